@@ -0,0 +1,14 @@
+-- Undo 000_baseline: drops the whole schema, data included.
+--
+-- Revert with: npm run db:rollback
+
+DROP VIEW IF EXISTS match_history_detailed;
+DROP VIEW IF EXISTS player_statistics;
+DROP FUNCTION IF EXISTS get_current_top_3();
+DROP FUNCTION IF EXISTS record_match_result(TEXT, TEXT);
+DROP TABLE IF EXISTS tournament_winners;
+DROP TABLE IF EXISTS monthly_archives;
+DROP TABLE IF EXISTS matches;
+DROP TABLE IF EXISTS players;
+DROP FUNCTION IF EXISTS update_player_tier();
+DROP FUNCTION IF EXISTS get_tier(INTEGER);
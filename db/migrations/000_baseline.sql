@@ -0,0 +1,187 @@
+-- Crown Point Chess Club - Baseline schema
+--
+-- The tables, views and functions server.js was originally written against.
+-- It is only run on an empty database. On a database that was set up by hand before
+-- migrations were tracked, npm run db:migrate records this version as applied without
+-- running it, so the functions and views already deployed there are not replaced;
+-- the later migrations then bring it up to date.
+--
+-- Apply with: npm run db:migrate
+
+-- Tiers are 50-point bands
+CREATE OR REPLACE FUNCTION get_tier(p_points INTEGER)
+RETURNS VARCHAR(20) AS $$
+BEGIN
+    RETURN CASE
+        WHEN p_points >= 200 THEN 'Diamond'
+        WHEN p_points >= 150 THEN 'Platinum'
+        WHEN p_points >= 100 THEN 'Gold'
+        WHEN p_points >= 50 THEN 'Silver'
+        ELSE 'Bronze'
+    END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE TABLE IF NOT EXISTS players (
+    player_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    points INTEGER NOT NULL DEFAULT 0 CHECK (points >= 0),
+    tier VARCHAR(20) NOT NULL DEFAULT 'Bronze',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Keep tier in step with points
+CREATE OR REPLACE FUNCTION update_player_tier()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.tier := get_tier(NEW.points);
+    NEW.updated_at := NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_players_tier ON players;
+CREATE TRIGGER trg_players_tier
+    BEFORE INSERT OR UPDATE OF points ON players
+    FOR EACH ROW EXECUTE FUNCTION update_player_tier();
+
+CREATE TABLE IF NOT EXISTS matches (
+    match_id SERIAL PRIMARY KEY,
+    winner_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    loser_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    winner_tier_before VARCHAR(20),
+    loser_tier_before VARCHAR(20),
+    winner_points_change INTEGER NOT NULL DEFAULT 0,
+    loser_points_change INTEGER NOT NULL DEFAULT 0,
+    match_date TIMESTAMP NOT NULL DEFAULT NOW(),
+    CHECK (winner_id <> loser_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_matches_winner ON matches (winner_id);
+CREATE INDEX IF NOT EXISTS idx_matches_loser ON matches (loser_id);
+CREATE INDEX IF NOT EXISTS idx_matches_date ON matches (match_date DESC);
+
+CREATE TABLE IF NOT EXISTS monthly_archives (
+    archive_id SERIAL PRIMARY KEY,
+    archive_month VARCHAR(20) NOT NULL UNIQUE,
+    first_place_player_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    first_place_points INTEGER NOT NULL,
+    second_place_player_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    second_place_points INTEGER NOT NULL,
+    third_place_player_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    third_place_points INTEGER NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS tournament_winners (
+    winner_id SERIAL PRIMARY KEY,
+    player_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    tournament_name VARCHAR(100) NOT NULL DEFAULT 'Tournament',
+    tournament_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    UNIQUE (player_id, tournament_name, tournament_date)
+);
+
+-- Record a decisive game and move both players' points.
+-- Same tier: winner +3, loser -2. An upset across d tiers pays +(3 + 2d) / -(2 + d);
+-- a favourite d tiers above gains max(1, 3 - d) and the loser drops max(1, 2 - d).
+-- Points never go below zero.
+CREATE OR REPLACE FUNCTION record_match_result(p_winner_name TEXT, p_loser_name TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_winner players%ROWTYPE;
+    v_loser players%ROWTYPE;
+    v_tier_gap INTEGER;
+    v_gain INTEGER;
+    v_loss INTEGER;
+BEGIN
+    SELECT * INTO v_winner FROM players WHERE name = p_winner_name FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN 'Error: Player ' || p_winner_name || ' not found';
+    END IF;
+
+    SELECT * INTO v_loser FROM players WHERE name = p_loser_name FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN 'Error: Player ' || p_loser_name || ' not found';
+    END IF;
+
+    IF v_winner.player_id = v_loser.player_id THEN
+        RETURN 'Error: Winner and loser cannot be the same player';
+    END IF;
+
+    v_tier_gap := FLOOR(v_loser.points / 50) - FLOOR(v_winner.points / 50);
+
+    IF v_tier_gap >= 0 THEN
+        v_gain := 3 + 2 * v_tier_gap;
+        v_loss := 2 + v_tier_gap;
+    ELSE
+        v_gain := GREATEST(1, 3 + v_tier_gap);
+        v_loss := GREATEST(1, 2 + v_tier_gap);
+    END IF;
+
+    v_loss := LEAST(v_loss, v_loser.points);
+
+    INSERT INTO matches (
+        winner_id, loser_id,
+        winner_tier_before, loser_tier_before,
+        winner_points_change, loser_points_change
+    ) VALUES (
+        v_winner.player_id, v_loser.player_id,
+        v_winner.tier, v_loser.tier,
+        v_gain, -v_loss
+    );
+
+    UPDATE players SET points = points + v_gain WHERE player_id = v_winner.player_id;
+    UPDATE players SET points = points - v_loss WHERE player_id = v_loser.player_id;
+
+    RETURN 'Match recorded: ' || v_winner.name || ' (+' || v_gain || ') defeated '
+        || v_loser.name || ' (-' || v_loss || ')';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION get_current_top_3()
+RETURNS TABLE (player_id INTEGER, name VARCHAR, points INTEGER, tier VARCHAR) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT p.player_id, p.name, p.points, p.tier
+    FROM players p
+    ORDER BY p.points DESC, p.name ASC
+    LIMIT 3;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP VIEW IF EXISTS player_statistics;
+CREATE VIEW player_statistics AS
+SELECT
+    p.player_id,
+    p.name,
+    p.points,
+    p.tier,
+    COUNT(m.match_id) FILTER (WHERE m.winner_id = p.player_id) AS wins,
+    COUNT(m.match_id) FILTER (WHERE m.loser_id = p.player_id) AS losses,
+    COUNT(m.match_id) AS total_games,
+    CASE
+        WHEN COUNT(m.match_id) = 0 THEN 0
+        ELSE ROUND(COUNT(m.match_id) FILTER (WHERE m.winner_id = p.player_id)::NUMERIC
+            / COUNT(m.match_id) * 100, 2)
+    END AS win_percentage
+FROM players p
+LEFT JOIN matches m ON p.player_id IN (m.winner_id, m.loser_id)
+GROUP BY p.player_id, p.name, p.points, p.tier;
+
+DROP VIEW IF EXISTS match_history_detailed;
+CREATE VIEW match_history_detailed AS
+SELECT
+    m.match_id,
+    m.match_date,
+    m.winner_id,
+    wp.name AS winner_name,
+    m.winner_tier_before,
+    m.winner_points_change,
+    m.loser_id,
+    lp.name AS loser_name,
+    m.loser_tier_before,
+    m.loser_points_change
+FROM matches m
+JOIN players wp ON m.winner_id = wp.player_id
+JOIN players lp ON m.loser_id = lp.player_id;
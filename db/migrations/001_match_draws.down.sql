@@ -0,0 +1,47 @@
+-- Undo 001_match_draws. Drawn games are deleted, since matches can no longer tell
+-- them apart from decisive ones; points they moved are not given back.
+--
+-- Revert with: npm run db:rollback
+
+DROP VIEW IF EXISTS match_history_detailed;
+DROP VIEW IF EXISTS player_statistics;
+DROP FUNCTION IF EXISTS record_draw_result(TEXT, TEXT);
+
+DELETE FROM matches WHERE is_draw;
+ALTER TABLE matches DROP COLUMN IF EXISTS is_draw;
+
+DROP VIEW IF EXISTS player_statistics;
+CREATE VIEW player_statistics AS
+SELECT
+    p.player_id,
+    p.name,
+    p.points,
+    p.tier,
+    COUNT(m.match_id) FILTER (WHERE m.winner_id = p.player_id) AS wins,
+    COUNT(m.match_id) FILTER (WHERE m.loser_id = p.player_id) AS losses,
+    COUNT(m.match_id) AS total_games,
+    CASE
+        WHEN COUNT(m.match_id) = 0 THEN 0
+        ELSE ROUND(COUNT(m.match_id) FILTER (WHERE m.winner_id = p.player_id)::NUMERIC
+            / COUNT(m.match_id) * 100, 2)
+    END AS win_percentage
+FROM players p
+LEFT JOIN matches m ON p.player_id IN (m.winner_id, m.loser_id)
+GROUP BY p.player_id, p.name, p.points, p.tier;
+
+DROP VIEW IF EXISTS match_history_detailed;
+CREATE VIEW match_history_detailed AS
+SELECT
+    m.match_id,
+    m.match_date,
+    m.winner_id,
+    wp.name AS winner_name,
+    m.winner_tier_before,
+    m.winner_points_change,
+    m.loser_id,
+    lp.name AS loser_name,
+    m.loser_tier_before,
+    m.loser_points_change
+FROM matches m
+JOIN players wp ON m.winner_id = wp.player_id
+JOIN players lp ON m.loser_id = lp.player_id;
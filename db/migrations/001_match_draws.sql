@@ -0,0 +1,107 @@
+-- Crown Point Chess Club - Drawn games
+--
+-- A draw is stored as a regular row in matches with is_draw = TRUE. For those
+-- rows winner_id/loser_id simply hold the two players in the order they were
+-- reported, and the *_points_change columns hold each side's change.
+--
+-- Apply with: npm run db:migrate
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS is_draw BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Record a drawn game between two players.
+-- Tiers are 50-point bands. Players in the same tier keep their points; otherwise
+-- the lower-tier player takes one point per tier of difference from the higher one.
+CREATE OR REPLACE FUNCTION record_draw_result(p_player1_name TEXT, p_player2_name TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_player1 players%ROWTYPE;
+    v_player2 players%ROWTYPE;
+    v_tier_gap INTEGER;
+    v_player1_change INTEGER := 0;
+    v_player2_change INTEGER := 0;
+BEGIN
+    SELECT * INTO v_player1 FROM players WHERE name = p_player1_name FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN 'Error: Player ' || p_player1_name || ' not found';
+    END IF;
+
+    SELECT * INTO v_player2 FROM players WHERE name = p_player2_name FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN 'Error: Player ' || p_player2_name || ' not found';
+    END IF;
+
+    IF v_player1.player_id = v_player2.player_id THEN
+        RETURN 'Error: A player cannot draw against themselves';
+    END IF;
+
+    v_tier_gap := FLOOR(v_player1.points / 50) - FLOOR(v_player2.points / 50);
+
+    IF v_tier_gap > 0 THEN
+        v_player1_change := -LEAST(v_tier_gap, v_player1.points);
+        v_player2_change := v_tier_gap;
+    ELSIF v_tier_gap < 0 THEN
+        v_player1_change := -v_tier_gap;
+        v_player2_change := -LEAST(-v_tier_gap, v_player2.points);
+    END IF;
+
+    INSERT INTO matches (
+        winner_id, loser_id,
+        winner_tier_before, loser_tier_before,
+        winner_points_change, loser_points_change,
+        is_draw
+    ) VALUES (
+        v_player1.player_id, v_player2.player_id,
+        v_player1.tier, v_player2.tier,
+        v_player1_change, v_player2_change,
+        TRUE
+    );
+
+    UPDATE players SET points = points + v_player1_change WHERE player_id = v_player1.player_id;
+    UPDATE players SET points = points + v_player2_change WHERE player_id = v_player2.player_id;
+
+    RETURN 'Draw recorded: ' || v_player1.name || ' (' || v_player1_change || ') vs '
+        || v_player2.name || ' (' || v_player2_change || ')';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Views now count draws separately; a draw counts as half a win.
+DROP VIEW IF EXISTS player_statistics;
+CREATE VIEW player_statistics AS
+SELECT
+    p.player_id,
+    p.name,
+    p.points,
+    p.tier,
+    COUNT(m.match_id) FILTER (WHERE NOT m.is_draw AND m.winner_id = p.player_id) AS wins,
+    COUNT(m.match_id) FILTER (WHERE NOT m.is_draw AND m.loser_id = p.player_id) AS losses,
+    COUNT(m.match_id) FILTER (WHERE m.is_draw) AS draws,
+    COUNT(m.match_id) AS total_games,
+    CASE
+        WHEN COUNT(m.match_id) = 0 THEN 0
+        ELSE ROUND(
+            (COUNT(m.match_id) FILTER (WHERE NOT m.is_draw AND m.winner_id = p.player_id)
+                + COUNT(m.match_id) FILTER (WHERE m.is_draw) * 0.5)::NUMERIC
+            / COUNT(m.match_id) * 100, 2)
+    END AS win_percentage
+FROM players p
+LEFT JOIN matches m ON p.player_id IN (m.winner_id, m.loser_id)
+GROUP BY p.player_id, p.name, p.points, p.tier;
+
+DROP VIEW IF EXISTS match_history_detailed;
+CREATE VIEW match_history_detailed AS
+SELECT
+    m.match_id,
+    m.match_date,
+    m.winner_id,
+    wp.name AS winner_name,
+    m.winner_tier_before,
+    m.winner_points_change,
+    m.loser_id,
+    lp.name AS loser_name,
+    m.loser_tier_before,
+    m.loser_points_change,
+    m.is_draw,
+    CASE WHEN m.is_draw THEN 'draw' ELSE 'decisive' END AS result
+FROM matches m
+JOIN players wp ON m.winner_id = wp.player_id
+JOIN players lp ON m.loser_id = lp.player_id;
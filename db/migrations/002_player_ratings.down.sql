@@ -0,0 +1,15 @@
+-- Undo 002_player_ratings: drops the Glicko-2 columns.
+--
+-- Revert with: npm run db:rollback
+
+DROP INDEX IF EXISTS idx_players_rating;
+
+ALTER TABLE matches DROP COLUMN IF EXISTS loser_rating_change;
+ALTER TABLE matches DROP COLUMN IF EXISTS winner_rating_change;
+ALTER TABLE matches DROP COLUMN IF EXISTS loser_rating_before;
+ALTER TABLE matches DROP COLUMN IF EXISTS winner_rating_before;
+
+ALTER TABLE players DROP COLUMN IF EXISTS rated_games;
+ALTER TABLE players DROP COLUMN IF EXISTS rating_volatility;
+ALTER TABLE players DROP COLUMN IF EXISTS rating_deviation;
+ALTER TABLE players DROP COLUMN IF EXISTS rating;
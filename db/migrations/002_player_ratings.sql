@@ -0,0 +1,19 @@
+-- Crown Point Chess Club - Glicko-2 ratings
+--
+-- Ratings run alongside the points/tier ladder and are maintained by the
+-- application (lib/rating.js), not by record_match_result().
+-- After applying, fill in ratings for existing games with: npm run ratings:backfill
+--
+-- Apply with: npm run db:migrate
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS rating DOUBLE PRECISION NOT NULL DEFAULT 1500;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS rating_deviation DOUBLE PRECISION NOT NULL DEFAULT 350;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS rating_volatility DOUBLE PRECISION NOT NULL DEFAULT 0.06;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS rated_games INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS winner_rating_before DOUBLE PRECISION;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS loser_rating_before DOUBLE PRECISION;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS winner_rating_change DOUBLE PRECISION;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS loser_rating_change DOUBLE PRECISION;
+
+CREATE INDEX IF NOT EXISTS idx_players_rating ON players (rating DESC);
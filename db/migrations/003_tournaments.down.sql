@@ -0,0 +1,7 @@
+-- Undo 003_tournaments. Matches played in tournaments stay in matches.
+--
+-- Revert with: npm run db:rollback
+
+DROP TABLE IF EXISTS tournament_pairings;
+DROP TABLE IF EXISTS tournament_players;
+DROP TABLE IF EXISTS tournaments;
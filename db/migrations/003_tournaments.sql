@@ -0,0 +1,44 @@
+-- Crown Point Chess Club - Tournaments
+--
+-- A tournament has registered players and one pairing row per board per round.
+-- Byes are pairings with no black player and result 'bye'. Played boards point at
+-- the matches row the result was recorded as.
+--
+-- Apply with: npm run db:migrate
+
+CREATE TABLE IF NOT EXISTS tournaments (
+    tournament_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    format VARCHAR(20) NOT NULL DEFAULT 'swiss',
+    status VARCHAR(20) NOT NULL DEFAULT 'registration'
+        CHECK (status IN ('registration', 'in_progress', 'completed')),
+    total_rounds INTEGER CHECK (total_rounds > 0),
+    current_round INTEGER NOT NULL DEFAULT 0,
+    tournament_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    winner_player_id INTEGER REFERENCES players(player_id),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS tournament_players (
+    tournament_id INTEGER NOT NULL REFERENCES tournaments(tournament_id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(player_id),
+    seed INTEGER,
+    withdrawn BOOLEAN NOT NULL DEFAULT FALSE,
+    registered_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (tournament_id, player_id)
+);
+
+CREATE TABLE IF NOT EXISTS tournament_pairings (
+    pairing_id SERIAL PRIMARY KEY,
+    tournament_id INTEGER NOT NULL REFERENCES tournaments(tournament_id) ON DELETE CASCADE,
+    round_number INTEGER NOT NULL,
+    board_number INTEGER NOT NULL,
+    white_player_id INTEGER NOT NULL REFERENCES players(player_id),
+    black_player_id INTEGER REFERENCES players(player_id),
+    result VARCHAR(7) CHECK (result IN ('1-0', '0-1', '1/2-1/2', 'bye')),
+    match_id INTEGER REFERENCES matches(match_id),
+    UNIQUE (tournament_id, round_number, board_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournament_pairings_round ON tournament_pairings (tournament_id, round_number);
@@ -0,0 +1,10 @@
+-- Undo 004_tournament_formats. Round-robin and knockout tournaments are deleted,
+-- as are pairings still waiting for their white player.
+--
+-- Revert with: npm run db:rollback
+
+DELETE FROM tournaments WHERE format <> 'swiss';
+DELETE FROM tournament_pairings WHERE white_player_id IS NULL;
+
+ALTER TABLE tournament_pairings ALTER COLUMN white_player_id SET NOT NULL;
+ALTER TABLE tournaments DROP CONSTRAINT IF EXISTS tournaments_format_check;
@@ -0,0 +1,13 @@
+-- Crown Point Chess Club - Round-robin and single-elimination tournaments
+--
+-- Knockout games for later rounds are created as soon as one player is known,
+-- so a pairing may have an empty white or black slot until the other game ends.
+-- For knockouts board_number is the game's position in the bracket.
+--
+-- Apply with: npm run db:migrate
+
+ALTER TABLE tournaments DROP CONSTRAINT IF EXISTS tournaments_format_check;
+ALTER TABLE tournaments ADD CONSTRAINT tournaments_format_check
+    CHECK (format IN ('swiss', 'round_robin', 'single_elimination'));
+
+ALTER TABLE tournament_pairings ALTER COLUMN white_player_id DROP NOT NULL;
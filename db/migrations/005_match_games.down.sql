@@ -0,0 +1,5 @@
+-- Undo 005_match_games: drops stored PGNs.
+--
+-- Revert with: npm run db:rollback
+
+DROP TABLE IF EXISTS match_games;
@@ -0,0 +1,17 @@
+-- Crown Point Chess Club - PGN games attached to matches
+--
+-- One game per match. moves holds the SAN move list; pgn is the normalised
+-- PGN text served back by GET /api/matches/:id/pgn.
+--
+-- Apply with: npm run db:migrate
+
+CREATE TABLE IF NOT EXISTS match_games (
+    match_id INTEGER PRIMARY KEY REFERENCES matches(match_id) ON DELETE CASCADE,
+    white_player_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    black_player_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    headers JSONB NOT NULL DEFAULT '{}',
+    moves JSONB NOT NULL,
+    final_fen TEXT NOT NULL,
+    pgn TEXT NOT NULL,
+    uploaded_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
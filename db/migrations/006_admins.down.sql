@@ -0,0 +1,5 @@
+-- Undo 006_admins: drops every admin account.
+--
+-- Revert with: npm run db:rollback
+
+DROP TABLE IF EXISTS admins;
@@ -0,0 +1,21 @@
+-- Crown Point Chess Club - Admin accounts
+--
+-- Replaces the shared ADMIN_PASSWORD. Roles, most to least privileged:
+--   owner       - everything, including managing admin accounts
+--   officer     - players, archives, tournaments and badges
+--   scorekeeper - recording results only
+-- Create the first owner with: npm run admin:create -- <username> owner
+--
+-- Apply with: npm run db:migrate
+
+CREATE TABLE IF NOT EXISTS admins (
+    admin_id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'officer', 'scorekeeper')),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES admins(admin_id),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    password_changed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_login_at TIMESTAMP
+);
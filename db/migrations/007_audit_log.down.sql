@@ -0,0 +1,5 @@
+-- Undo 007_audit_log: drops the audit trail.
+--
+-- Revert with: npm run db:rollback
+
+DROP TABLE IF EXISTS audit_log;
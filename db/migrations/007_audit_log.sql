@@ -0,0 +1,26 @@
+-- Crown Point Chess Club - Audit log of admin writes
+--
+-- One row per admin mutation with before/after snapshots of the affected rows.
+-- admin_username is copied so entries stay readable if the account is renamed.
+--
+-- Apply with: npm run db:migrate
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    audit_id BIGSERIAL PRIMARY KEY,
+    admin_id INTEGER REFERENCES admins(admin_id),
+    admin_username VARCHAR(50),
+    action VARCHAR(50) NOT NULL,
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id TEXT,
+    method VARCHAR(10) NOT NULL,
+    route TEXT NOT NULL,
+    path TEXT NOT NULL,
+    before_data JSONB,
+    after_data JSONB,
+    ip_address TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_admin ON audit_log (admin_id);
@@ -0,0 +1,5 @@
+-- Undo 008_points_rules.
+--
+-- Revert with: npm run db:rollback
+
+DROP FUNCTION IF EXISTS calculate_points_change(INTEGER, INTEGER, BOOLEAN);
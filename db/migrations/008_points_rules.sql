@@ -0,0 +1,52 @@
+-- Crown Point Chess Club - Shared points rules
+--
+-- calculate_points_change() gives the points arithmetic of one game, so corrected or
+-- voided matches can be replayed (see lib/corrections.js). record_match_result() and
+-- record_draw_result() are left as deployed.
+--
+-- Apply with: npm run db:migrate
+
+-- Points change for one game given both players' points beforehand.
+-- Decisive (p_is_draw = FALSE): player 1 won. Same tier: +3 / -2. An upset across
+-- d tiers pays +(3 + 2d) / -(2 + d); a favourite d tiers above gains max(1, 3 - d)
+-- and the loser drops max(1, 2 - d).
+-- Draw: same tier keeps points, otherwise the lower-tier player takes one point
+-- per tier of difference from the higher one.
+-- Nobody drops below zero.
+CREATE OR REPLACE FUNCTION calculate_points_change(
+    p_player1_points INTEGER,
+    p_player2_points INTEGER,
+    p_is_draw BOOLEAN
+)
+RETURNS TABLE (player1_change INTEGER, player2_change INTEGER) AS $$
+DECLARE
+    v_tier_gap INTEGER;
+BEGIN
+    IF p_is_draw THEN
+        v_tier_gap := FLOOR(p_player1_points / 50) - FLOOR(p_player2_points / 50);
+
+        IF v_tier_gap > 0 THEN
+            player1_change := -LEAST(v_tier_gap, p_player1_points);
+            player2_change := v_tier_gap;
+        ELSIF v_tier_gap < 0 THEN
+            player1_change := -v_tier_gap;
+            player2_change := -LEAST(-v_tier_gap, p_player2_points);
+        ELSE
+            player1_change := 0;
+            player2_change := 0;
+        END IF;
+    ELSE
+        v_tier_gap := FLOOR(p_player2_points / 50) - FLOOR(p_player1_points / 50);
+
+        IF v_tier_gap >= 0 THEN
+            player1_change := 3 + 2 * v_tier_gap;
+            player2_change := -LEAST(2 + v_tier_gap, p_player2_points);
+        ELSE
+            player1_change := GREATEST(1, 3 + v_tier_gap);
+            player2_change := -LEAST(GREATEST(1, 2 + v_tier_gap), p_player2_points);
+        END IF;
+    END IF;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
@@ -0,0 +1,6 @@
+-- Undo 009_seasons. Archives written when seasons closed stay in monthly_archives.
+--
+-- Revert with: npm run db:rollback
+
+DROP TABLE IF EXISTS season_standings;
+DROP TABLE IF EXISTS seasons;
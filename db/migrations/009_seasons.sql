@@ -0,0 +1,41 @@
+-- Crown Point Chess Club - Seasons
+--
+-- A season runs for one month or one semester (SEASON_BOUNDARY). When it ends the
+-- scheduler in lib/seasons.js snapshots the full standings into season_standings,
+-- writes the monthly_archives podium and resets points according to SEASON_RESET.
+--
+-- Apply with: npm run db:migrate
+
+CREATE TABLE IF NOT EXISTS seasons (
+    season_id SERIAL PRIMARY KEY,
+    name VARCHAR(20) NOT NULL UNIQUE,
+    boundary VARCHAR(10) NOT NULL CHECK (boundary IN ('month', 'semester')),
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'closed')),
+    reset_rule VARCHAR(10) CHECK (reset_rule IN ('none', 'hard', 'soft')),
+    reset_keep NUMERIC(4, 3),
+    archive_id INTEGER REFERENCES monthly_archives(archive_id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    closed_at TIMESTAMP,
+    CHECK (ends_on >= starts_on)
+);
+
+-- Only one season can be running at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_active ON seasons (status) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS season_standings (
+    season_id INTEGER NOT NULL REFERENCES seasons(season_id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    rank INTEGER NOT NULL,
+    points INTEGER NOT NULL,
+    tier VARCHAR(20) NOT NULL,
+    rating INTEGER NOT NULL,
+    wins INTEGER NOT NULL DEFAULT 0,
+    losses INTEGER NOT NULL DEFAULT 0,
+    draws INTEGER NOT NULL DEFAULT 0,
+    points_after_reset INTEGER NOT NULL,
+    PRIMARY KEY (season_id, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_standings_player ON season_standings (player_id);
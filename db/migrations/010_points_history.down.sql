@@ -0,0 +1,7 @@
+-- Undo 010_points_history.
+--
+-- Revert with: npm run db:rollback
+
+DROP TRIGGER IF EXISTS trg_players_points_history ON players;
+DROP FUNCTION IF EXISTS record_points_history();
+DROP TABLE IF EXISTS points_history;
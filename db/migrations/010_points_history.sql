@@ -0,0 +1,64 @@
+-- Crown Point Chess Club - Points history
+--
+-- Every change to a player's points (matches, season resets, corrections) leaves a
+-- row in points_history, so the leaderboard can be rebuilt for any moment in time.
+-- Rows are written by a trigger; recordMatch() links the ones a match produced.
+-- Existing matches are backfilled the first time this runs.
+--
+-- Apply with: npm run db:migrate
+
+CREATE TABLE IF NOT EXISTS points_history (
+    history_id BIGSERIAL PRIMARY KEY,
+    player_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    match_id INTEGER REFERENCES matches(match_id) ON DELETE CASCADE,
+    points INTEGER NOT NULL,
+    tier VARCHAR(20) NOT NULL,
+    recorded_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_points_history_player ON points_history (player_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_points_history_recorded ON points_history (recorded_at);
+CREATE INDEX IF NOT EXISTS idx_points_history_match ON points_history (match_id);
+
+-- Backfill: work back from current points through every recorded match
+INSERT INTO points_history (player_id, match_id, points, tier, recorded_at)
+WITH changes AS (
+    SELECT winner_id as player_id, match_id, match_date, winner_points_change as change FROM matches
+    UNION ALL
+    SELECT loser_id as player_id, match_id, match_date, loser_points_change as change FROM matches
+),
+starting AS (
+    SELECT p.player_id, p.created_at, p.points - COALESCE(SUM(c.change), 0)::INTEGER as points
+    FROM players p
+    LEFT JOIN changes c ON p.player_id = c.player_id
+    GROUP BY p.player_id
+),
+history AS (
+    SELECT s.player_id, NULL::INTEGER as match_id, s.points,
+           LEAST(s.created_at, (SELECT MIN(match_date) FROM changes c WHERE c.player_id = s.player_id)) as recorded_at
+    FROM starting s
+    UNION ALL
+    SELECT c.player_id, c.match_id,
+           s.points + SUM(c.change) OVER (PARTITION BY c.player_id ORDER BY c.match_date, c.match_id)::INTEGER,
+           c.match_date
+    FROM changes c
+    JOIN starting s ON c.player_id = s.player_id
+)
+SELECT player_id, match_id, points, get_tier(points), recorded_at
+FROM history
+WHERE NOT EXISTS (SELECT 1 FROM points_history)
+ORDER BY recorded_at, match_id NULLS FIRST;
+
+CREATE OR REPLACE FUNCTION record_points_history()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO points_history (player_id, points, tier)
+    VALUES (NEW.player_id, NEW.points, NEW.tier);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_players_points_history ON players;
+CREATE TRIGGER trg_players_points_history
+    AFTER INSERT OR UPDATE OF points ON players
+    FOR EACH ROW EXECUTE FUNCTION record_points_history();
@@ -0,0 +1,13 @@
+-- Undo 011_player_profiles. Inactive players become active again.
+--
+-- Revert with: npm run db:rollback
+
+DROP INDEX IF EXISTS idx_players_active;
+DROP INDEX IF EXISTS idx_players_email;
+
+ALTER TABLE players DROP COLUMN IF EXISTS deactivated_at;
+ALTER TABLE players DROP COLUMN IF EXISTS inactive_reason;
+ALTER TABLE players DROP COLUMN IF EXISTS is_active;
+ALTER TABLE players DROP COLUMN IF EXISTS graduation_year;
+ALTER TABLE players DROP COLUMN IF EXISTS grade;
+ALTER TABLE players DROP COLUMN IF EXISTS email;
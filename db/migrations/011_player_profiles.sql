@@ -0,0 +1,18 @@
+-- Crown Point Chess Club - Player profiles
+--
+-- Contact and school details, plus deactivation for players who graduated or left
+-- the club. Inactive players are hidden from the leaderboard but keep their matches,
+-- archives and badges.
+--
+-- Apply with: npm run db:migrate
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+ALTER TABLE players ADD COLUMN IF NOT EXISTS grade SMALLINT CHECK (grade BETWEEN 1 AND 12);
+ALTER TABLE players ADD COLUMN IF NOT EXISTS graduation_year SMALLINT CHECK (graduation_year BETWEEN 1900 AND 2200);
+ALTER TABLE players ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS inactive_reason VARCHAR(20)
+    CHECK (inactive_reason IN ('graduated', 'left', 'other'));
+ALTER TABLE players ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_players_email ON players (LOWER(email)) WHERE email IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_players_active ON players (is_active);
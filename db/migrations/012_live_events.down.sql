@@ -0,0 +1,5 @@
+-- Undo 012_live_events.
+--
+-- Revert with: npm run db:rollback
+
+DROP TABLE IF EXISTS live_events;
@@ -0,0 +1,18 @@
+-- Crown Point Chess Club - Live feed events
+--
+-- Every event pushed to /api/live is stored here before it is announced with
+-- NOTIFY live_events, so each server process can fan it out to its own clients and
+-- a client that reconnects can pick up what it missed (see lib/live.js).
+-- Rows older than LIVE_RETENTION_HOURS are pruned.
+--
+-- Apply with: npm run db:migrate
+
+CREATE TABLE IF NOT EXISTS live_events (
+    event_id BIGSERIAL PRIMARY KEY,
+    topic VARCHAR(50) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_live_events_created ON live_events (created_at);
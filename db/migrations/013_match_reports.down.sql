@@ -0,0 +1,7 @@
+-- Undo 013_match_reports. Player accounts and every report are dropped; matches
+-- recorded from confirmed reports stay.
+--
+-- Revert with: npm run db:rollback
+
+DROP TABLE IF EXISTS match_reports;
+DROP TABLE IF EXISTS player_accounts;
@@ -0,0 +1,45 @@
+-- Crown Point Chess Club - Player accounts and self-reported results
+--
+-- Players log in with an account an officer creates for their players row. One
+-- player reports a result; it stays pending until the opponent confirms it (and it
+-- is recorded as a match) or disputes it. Disputed reports, and pending ones the
+-- opponent never answered, wait in the admin review queue (see lib/reports.js).
+--
+-- Apply with: npm run db:migrate
+
+CREATE TABLE IF NOT EXISTS player_accounts (
+    account_id SERIAL PRIMARY KEY,
+    player_id INTEGER NOT NULL UNIQUE REFERENCES players(player_id) ON DELETE CASCADE,
+    username VARCHAR(50) NOT NULL,
+    password_hash TEXT NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES admins(admin_id),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    password_changed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_login_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_player_accounts_username ON player_accounts (LOWER(username));
+
+-- result is from the reporter's side: win, loss or draw
+CREATE TABLE IF NOT EXISTS match_reports (
+    report_id SERIAL PRIMARY KEY,
+    reporter_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    opponent_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    result VARCHAR(10) NOT NULL CHECK (result IN ('win', 'loss', 'draw')),
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'confirmed', 'disputed', 'expired', 'withdrawn', 'approved', 'rejected')),
+    dispute_reason TEXT,
+    match_id INTEGER REFERENCES matches(match_id) ON DELETE SET NULL,
+    reported_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    responded_at TIMESTAMP,
+    resolved_by INTEGER REFERENCES admins(admin_id),
+    resolved_at TIMESTAMP,
+    resolution_note TEXT,
+    CHECK (reporter_id <> opponent_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_reports_status ON match_reports (status, reported_at);
+CREATE INDEX IF NOT EXISTS idx_match_reports_reporter ON match_reports (reporter_id);
+CREATE INDEX IF NOT EXISTS idx_match_reports_opponent ON match_reports (opponent_id);
@@ -0,0 +1,27 @@
+-- Undo 014_challenges. Every challenge is dropped; forfeit wins stay as ordinary
+-- matches.
+--
+-- Revert with: npm run db:rollback
+
+DROP TABLE IF EXISTS challenges;
+
+DROP VIEW IF EXISTS match_history_detailed;
+CREATE VIEW match_history_detailed AS
+SELECT
+    m.match_id,
+    m.match_date,
+    m.winner_id,
+    wp.name AS winner_name,
+    m.winner_tier_before,
+    m.winner_points_change,
+    m.loser_id,
+    lp.name AS loser_name,
+    m.loser_tier_before,
+    m.loser_points_change,
+    m.is_draw,
+    CASE WHEN m.is_draw THEN 'draw' ELSE 'decisive' END AS result
+FROM matches m
+JOIN players wp ON m.winner_id = wp.player_id
+JOIN players lp ON m.loser_id = lp.player_id;
+
+ALTER TABLE matches DROP COLUMN IF EXISTS is_forfeit;
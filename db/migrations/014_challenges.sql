@@ -0,0 +1,55 @@
+-- Crown Point Chess Club - Ladder challenges
+--
+-- A player challenges someone ranked at most CHALLENGE_RANK_RANGE places above them.
+-- The defender accepts with a date to play or declines; a challenge nobody answers
+-- by its deadline is a forfeit win for the challenger, recorded as a match with
+-- is_forfeit set (see lib/challenges.js).
+--
+-- Apply with: npm run db:migrate
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS is_forfeit BOOLEAN NOT NULL DEFAULT FALSE;
+
+DROP VIEW IF EXISTS match_history_detailed;
+CREATE VIEW match_history_detailed AS
+SELECT
+    m.match_id,
+    m.match_date,
+    m.winner_id,
+    wp.name AS winner_name,
+    m.winner_tier_before,
+    m.winner_points_change,
+    m.loser_id,
+    lp.name AS loser_name,
+    m.loser_tier_before,
+    m.loser_points_change,
+    m.is_draw,
+    CASE WHEN m.is_draw THEN 'draw' ELSE 'decisive' END AS result,
+    m.is_forfeit
+FROM matches m
+JOIN players wp ON m.winner_id = wp.player_id
+JOIN players lp ON m.loser_id = lp.player_id;
+
+-- Ranks are the leaderboard positions when the challenge was made; note says why it
+-- was declined or cancelled
+CREATE TABLE IF NOT EXISTS challenges (
+    challenge_id SERIAL PRIMARY KEY,
+    challenger_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    defender_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    challenger_rank INTEGER NOT NULL,
+    defender_rank INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'withdrawn', 'forfeited', 'completed', 'cancelled')),
+    message TEXT,
+    issued_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    respond_by TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP,
+    scheduled_for TIMESTAMP,
+    note TEXT,
+    match_id INTEGER REFERENCES matches(match_id) ON DELETE SET NULL,
+    closed_at TIMESTAMP,
+    CHECK (challenger_id <> defender_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_challenges_status ON challenges (status, respond_by);
+CREATE INDEX IF NOT EXISTS idx_challenges_challenger ON challenges (challenger_id);
+CREATE INDEX IF NOT EXISTS idx_challenges_defender ON challenges (defender_id);
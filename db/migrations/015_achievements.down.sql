@@ -0,0 +1,7 @@
+-- Undo 015_achievements. Every badge except tournament wins is dropped, manual
+-- badges included.
+--
+-- Revert with: npm run db:rollback
+
+DROP VIEW IF EXISTS player_badge_list;
+DROP TABLE IF EXISTS player_badges;
@@ -0,0 +1,45 @@
+-- Crown Point Chess Club - Achievements
+--
+-- Badges awarded by the rules in lib/achievements.js after every match and monthly
+-- archive, and manual badges officers grant. A player holds each badge once per
+-- detail (the tier for promotions, the month for podiums, the title for manual
+-- badges; empty otherwise). Podium badges for existing archives are backfilled
+-- here; run npm run badges:backfill once for badges earned by past matches.
+--
+-- Apply with: npm run db:migrate
+
+CREATE TABLE IF NOT EXISTS player_badges (
+    badge_id SERIAL PRIMARY KEY,
+    player_id INTEGER NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    badge_key VARCHAR(50) NOT NULL,
+    detail VARCHAR(100) NOT NULL DEFAULT '',
+    source VARCHAR(10) NOT NULL CHECK (source IN ('match', 'archive', 'manual')),
+    match_id INTEGER REFERENCES matches(match_id) ON DELETE CASCADE,
+    archive_id INTEGER REFERENCES monthly_archives(archive_id) ON DELETE CASCADE,
+    note TEXT,
+    granted_by INTEGER REFERENCES admins(admin_id),
+    earned_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (player_id, badge_key, detail)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_badges_key ON player_badges (badge_key);
+
+INSERT INTO player_badges (player_id, badge_key, detail, source, archive_id, earned_at)
+SELECT podium.player_id, podium.badge_key, ma.archive_month, 'archive', ma.archive_id, ma.created_at
+FROM monthly_archives ma
+CROSS JOIN LATERAL (VALUES
+    (ma.first_place_player_id, 'monthly_champion'),
+    (ma.first_place_player_id, 'monthly_podium'),
+    (ma.second_place_player_id, 'monthly_podium'),
+    (ma.third_place_player_id, 'monthly_podium')
+) AS podium (player_id, badge_key)
+ON CONFLICT (player_id, badge_key, detail) DO NOTHING;
+
+-- Every badge a player holds, tournament wins included. id is the player_badges
+-- row, or the tournament_winners row for tournament badges.
+CREATE OR REPLACE VIEW player_badge_list AS
+SELECT badge_id AS id, player_id, badge_key, detail, source, note, earned_at
+FROM player_badges
+UNION ALL
+SELECT winner_id, player_id, 'tournament_winner', tournament_name, 'tournament', NULL, tournament_date::TIMESTAMP
+FROM tournament_winners;
@@ -0,0 +1,38 @@
+-- Undo 016_match_metadata. Colors stay with any stored PGN; every other detail is
+-- dropped.
+--
+-- Revert with: npm run db:rollback
+
+DROP VIEW IF EXISTS match_history_detailed;
+CREATE VIEW match_history_detailed AS
+SELECT
+    m.match_id,
+    m.match_date,
+    m.winner_id,
+    wp.name AS winner_name,
+    m.winner_tier_before,
+    m.winner_points_change,
+    m.loser_id,
+    lp.name AS loser_name,
+    m.loser_tier_before,
+    m.loser_points_change,
+    m.is_draw,
+    CASE WHEN m.is_draw THEN 'draw' ELSE 'decisive' END AS result,
+    m.is_forfeit
+FROM matches m
+JOIN players wp ON m.winner_id = wp.player_id
+JOIN players lp ON m.loser_id = lp.player_id;
+
+DROP INDEX IF EXISTS idx_matches_time_control;
+
+ALTER TABLE matches
+    DROP CONSTRAINT IF EXISTS matches_white_player_check,
+    DROP COLUMN IF EXISTS white_player_id,
+    DROP COLUMN IF EXISTS time_control,
+    DROP COLUMN IF EXISTS clock_minutes,
+    DROP COLUMN IF EXISTS clock_increment,
+    DROP COLUMN IF EXISTS eco,
+    DROP COLUMN IF EXISTS opening,
+    DROP COLUMN IF EXISTS event,
+    DROP COLUMN IF EXISTS round,
+    DROP COLUMN IF EXISTS notes;
@@ -0,0 +1,66 @@
+-- Crown Point Chess Club - Match metadata
+--
+-- Optional details recorded with a match: who had white, the time control, the
+-- opening, the event and round, and free-form notes. time_control is the category;
+-- games with a custom clock also keep clock_minutes and clock_increment (seconds)
+-- and are filed under the category that clock falls in (see lib/matches.js).
+-- Colors and opening details of matches with a stored PGN are backfilled from it.
+--
+-- Apply with: npm run db:migrate
+
+ALTER TABLE matches
+    ADD COLUMN IF NOT EXISTS white_player_id INTEGER REFERENCES players(player_id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS time_control VARCHAR(10) CHECK (time_control IN ('bullet', 'blitz', 'rapid', 'classical')),
+    ADD COLUMN IF NOT EXISTS clock_minutes INTEGER CHECK (clock_minutes > 0),
+    ADD COLUMN IF NOT EXISTS clock_increment INTEGER CHECK (clock_increment >= 0),
+    ADD COLUMN IF NOT EXISTS eco VARCHAR(3),
+    ADD COLUMN IF NOT EXISTS opening VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS event VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS round VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS notes TEXT;
+
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS matches_white_player_check;
+ALTER TABLE matches ADD CONSTRAINT matches_white_player_check
+    CHECK (white_player_id IS NULL OR white_player_id IN (winner_id, loser_id));
+
+-- PGN tags left as ? or - are unknown
+UPDATE matches m SET
+    white_player_id = mg.white_player_id,
+    eco = CASE WHEN mg.headers->>'ECO' ~ '^[A-E][0-9]{2}$' THEN mg.headers->>'ECO' END,
+    opening = NULLIF(NULLIF(LEFT(mg.headers->>'Opening', 100), '?'), '-'),
+    event = NULLIF(NULLIF(LEFT(mg.headers->>'Event', 100), '?'), '-'),
+    round = NULLIF(NULLIF(LEFT(mg.headers->>'Round', 20), '?'), '-')
+FROM match_games mg
+WHERE mg.match_id = m.match_id;
+
+CREATE INDEX IF NOT EXISTS idx_matches_time_control ON matches (time_control);
+
+DROP VIEW IF EXISTS match_history_detailed;
+CREATE VIEW match_history_detailed AS
+SELECT
+    m.match_id,
+    m.match_date,
+    m.winner_id,
+    wp.name AS winner_name,
+    m.winner_tier_before,
+    m.winner_points_change,
+    m.loser_id,
+    lp.name AS loser_name,
+    m.loser_tier_before,
+    m.loser_points_change,
+    m.is_draw,
+    CASE WHEN m.is_draw THEN 'draw' ELSE 'decisive' END AS result,
+    m.is_forfeit,
+    m.white_player_id,
+    CASE WHEN m.white_player_id IS NULL THEN NULL WHEN m.white_player_id = m.winner_id THEN wp.name ELSE lp.name END AS white_name,
+    m.time_control,
+    m.clock_minutes,
+    m.clock_increment,
+    m.eco,
+    m.opening,
+    m.event,
+    m.round,
+    m.notes
+FROM matches m
+JOIN players wp ON m.winner_id = wp.player_id
+JOIN players lp ON m.loser_id = lp.player_id;
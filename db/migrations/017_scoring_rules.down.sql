@@ -0,0 +1,100 @@
+-- Undo 017_scoring_rules: replays go back to calculate_points_change() with the
+-- original rules, and get_tier() back to fixed 50-point tiers. Matches keep the
+-- points they were scored with under any later rules.
+--
+-- Revert with: npm run db:rollback
+
+DROP VIEW IF EXISTS match_history_detailed;
+CREATE VIEW match_history_detailed AS
+SELECT
+    m.match_id,
+    m.match_date,
+    m.winner_id,
+    wp.name AS winner_name,
+    m.winner_tier_before,
+    m.winner_points_change,
+    m.loser_id,
+    lp.name AS loser_name,
+    m.loser_tier_before,
+    m.loser_points_change,
+    m.is_draw,
+    CASE WHEN m.is_draw THEN 'draw' ELSE 'decisive' END AS result,
+    m.is_forfeit,
+    m.white_player_id,
+    CASE WHEN m.white_player_id IS NULL THEN NULL WHEN m.white_player_id = m.winner_id THEN wp.name ELSE lp.name END AS white_name,
+    m.time_control,
+    m.clock_minutes,
+    m.clock_increment,
+    m.eco,
+    m.opening,
+    m.event,
+    m.round,
+    m.notes
+FROM matches m
+JOIN players wp ON m.winner_id = wp.player_id
+JOIN players lp ON m.loser_id = lp.player_id;
+
+DROP FUNCTION IF EXISTS get_tier(INTEGER, INTEGER);
+CREATE OR REPLACE FUNCTION get_tier(p_points INTEGER)
+RETURNS VARCHAR(20) AS $$
+BEGIN
+    RETURN CASE
+        WHEN p_points >= 200 THEN 'Diamond'
+        WHEN p_points >= 150 THEN 'Platinum'
+        WHEN p_points >= 100 THEN 'Gold'
+        WHEN p_points >= 50 THEN 'Silver'
+        ELSE 'Bronze'
+    END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+UPDATE players SET tier = get_tier(points) WHERE tier <> get_tier(points);
+
+-- Points change for one game given both players' points beforehand.
+-- Decisive (p_is_draw = FALSE): player 1 won. Same tier: +3 / -2. An upset across
+-- d tiers pays +(3 + 2d) / -(2 + d); a favourite d tiers above gains max(1, 3 - d)
+-- and the loser drops max(1, 2 - d).
+-- Draw: same tier keeps points, otherwise the lower-tier player takes one point
+-- per tier of difference from the higher one.
+-- Nobody drops below zero.
+CREATE OR REPLACE FUNCTION calculate_points_change(
+    p_player1_points INTEGER,
+    p_player2_points INTEGER,
+    p_is_draw BOOLEAN
+)
+RETURNS TABLE (player1_change INTEGER, player2_change INTEGER) AS $$
+DECLARE
+    v_tier_gap INTEGER;
+BEGIN
+    IF p_is_draw THEN
+        v_tier_gap := FLOOR(p_player1_points / 50) - FLOOR(p_player2_points / 50);
+
+        IF v_tier_gap > 0 THEN
+            player1_change := -LEAST(v_tier_gap, p_player1_points);
+            player2_change := v_tier_gap;
+        ELSIF v_tier_gap < 0 THEN
+            player1_change := -v_tier_gap;
+            player2_change := -LEAST(-v_tier_gap, p_player2_points);
+        ELSE
+            player1_change := 0;
+            player2_change := 0;
+        END IF;
+    ELSE
+        v_tier_gap := FLOOR(p_player2_points / 50) - FLOOR(p_player1_points / 50);
+
+        IF v_tier_gap >= 0 THEN
+            player1_change := 3 + 2 * v_tier_gap;
+            player2_change := -LEAST(2 + v_tier_gap, p_player2_points);
+        ELSE
+            player1_change := GREATEST(1, 3 + v_tier_gap);
+            player2_change := -LEAST(GREATEST(1, 2 + v_tier_gap), p_player2_points);
+        END IF;
+    END IF;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+ALTER TABLE matches DROP COLUMN IF EXISTS rules_version;
+
+DROP TABLE IF EXISTS scoring_rules;
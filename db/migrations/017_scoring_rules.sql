@@ -0,0 +1,89 @@
+-- Crown Point Chess Club - Scoring rules
+--
+-- Points and tier rules move out of the stored functions into lib/points.js, with
+-- their settings kept here as numbered versions. Admins change the rules by adding
+-- a version; the newest one scores new matches, and each match records the version
+-- that scored it so a later replay uses the same rules. Version 1 is the rules
+-- calculate_points_change() applied, and every existing match is marked with it.
+-- record_match_result() and record_draw_result() are no longer called and are left
+-- as they are.
+-- get_tier() now reads the tier boundaries of the newest version, or of the version
+-- it is given.
+--
+-- Apply with: npm run db:migrate
+
+CREATE TABLE IF NOT EXISTS scoring_rules (
+    version SERIAL PRIMARY KEY,
+    rules JSONB NOT NULL,
+    note TEXT,
+    created_by INTEGER REFERENCES admins(admin_id),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO scoring_rules (version, rules, note)
+VALUES (1, '{
+    "tierMinimums": [0, 50, 100, 150, 200],
+    "win": 3,
+    "loss": 2,
+    "upsetBonus": { "win": 2, "loss": 1 },
+    "favouritePenalty": { "win": 1, "loss": 1 },
+    "minimum": { "win": 1, "loss": 1 },
+    "drawPerTier": 1,
+    "floor": 0,
+    "ceiling": null,
+    "provisional": { "games": 0, "factor": 1 },
+    "maxStartingPoints": 49
+}', 'Original rules')
+ON CONFLICT (version) DO NOTHING;
+
+SELECT setval(pg_get_serial_sequence('scoring_rules', 'version'), MAX(version)) FROM scoring_rules;
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS rules_version INTEGER REFERENCES scoring_rules(version);
+UPDATE matches SET rules_version = 1 WHERE rules_version IS NULL;
+ALTER TABLE matches ALTER COLUMN rules_version SET NOT NULL;
+
+-- Points are worked out in lib/points.js, so replays no longer need this
+DROP FUNCTION IF EXISTS calculate_points_change(INTEGER, INTEGER, BOOLEAN);
+
+-- The tier points fall in under a version's boundaries (the newest by default).
+-- Kept identical to tierFor() in lib/points.js.
+DROP FUNCTION IF EXISTS get_tier(INTEGER);
+CREATE OR REPLACE FUNCTION get_tier(p_points INTEGER, p_version INTEGER DEFAULT NULL)
+RETURNS VARCHAR(20) AS $$
+    SELECT (ARRAY['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'])[COUNT(*)]
+    FROM scoring_rules r
+    CROSS JOIN LATERAL jsonb_array_elements_text(r.rules->'tierMinimums') minimum
+    WHERE r.version = COALESCE(p_version, (SELECT MAX(version) FROM scoring_rules))
+    AND p_points >= minimum::INTEGER;
+$$ LANGUAGE sql STABLE;
+
+DROP VIEW IF EXISTS match_history_detailed;
+CREATE VIEW match_history_detailed AS
+SELECT
+    m.match_id,
+    m.match_date,
+    m.winner_id,
+    wp.name AS winner_name,
+    m.winner_tier_before,
+    m.winner_points_change,
+    m.loser_id,
+    lp.name AS loser_name,
+    m.loser_tier_before,
+    m.loser_points_change,
+    m.is_draw,
+    CASE WHEN m.is_draw THEN 'draw' ELSE 'decisive' END AS result,
+    m.is_forfeit,
+    m.white_player_id,
+    CASE WHEN m.white_player_id IS NULL THEN NULL WHEN m.white_player_id = m.winner_id THEN wp.name ELSE lp.name END AS white_name,
+    m.time_control,
+    m.clock_minutes,
+    m.clock_increment,
+    m.eco,
+    m.opening,
+    m.event,
+    m.round,
+    m.notes,
+    m.rules_version
+FROM matches m
+JOIN players wp ON m.winner_id = wp.player_id
+JOIN players lp ON m.loser_id = lp.player_id;
@@ -0,0 +1,7 @@
+-- Undo 018_password_change_times: the columns go back to TIMESTAMP in the session
+-- time zone.
+--
+-- Revert with: npm run db:rollback
+
+ALTER TABLE player_accounts ALTER COLUMN password_changed_at TYPE TIMESTAMP;
+ALTER TABLE admins ALTER COLUMN password_changed_at TYPE TIMESTAMP;
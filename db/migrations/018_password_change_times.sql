@@ -0,0 +1,10 @@
+-- Crown Point Chess Club - Password change times with time zone
+--
+-- password_changed_at is compared with the UTC issue time of login tokens, so it
+-- keeps its time zone. Existing values were written by NOW() in the session time
+-- zone, which is how they are read during the change.
+--
+-- Apply with: npm run db:migrate
+
+ALTER TABLE admins ALTER COLUMN password_changed_at TYPE TIMESTAMPTZ;
+ALTER TABLE player_accounts ALTER COLUMN password_changed_at TYPE TIMESTAMPTZ;
@@ -0,0 +1,272 @@
+// Achievements: badges awarded by rules after every recorded match and monthly
+// archive, plus manual badges officers grant. Tournament wins (tournament_winners)
+// are listed as badges too. A player holds each badge once per detail, e.g. one
+// promotion badge per tier and one podium badge per month; see BADGES.
+//
+// Match badges always follow the match history: corrections and merges rebuild them
+// with replayBadges. Run npm run badges:backfill once to award them for matches
+// recorded before badges existed.
+const { TIERS } = require('./points');
+
+const STREAK_LENGTH = 5;
+const GAMES_MILESTONE = 50;
+
+// Every kind of badge. source says what awards it: match and archive rules,
+// tournament_winners rows, or an officer (manual badges are named by their detail).
+const BADGES = {
+    win_streak: { name: 'Hot Streak', description: `Won ${STREAK_LENGTH} games in a row`, source: 'match' },
+    giant_slayer: { name: 'Giant Slayer', description: 'Beat a player from a higher tier', source: 'match' },
+    games_played: { name: 'Club Regular', description: `Played ${GAMES_MILESTONE} games`, source: 'match' },
+    promotion: { name: 'Promoted', description: 'Reached a new tier', source: 'match' },
+    monthly_champion: { name: 'Monthly Champion', description: 'Finished a month in first place', source: 'archive' },
+    monthly_podium: { name: 'Monthly Podium', description: 'Finished a month in the top three', source: 'archive' },
+    tournament_winner: { name: 'Tournament Winner', description: 'Won a tournament', source: 'tournament' },
+    manual: { name: null, description: 'Awarded by the club', source: 'manual' }
+};
+
+// A player's standing right after a match, as matchBadges reads it:
+//   won, forfeit        how the match went for them
+//   streak, games       from playerRecord, counting this match
+//   tierBefore, tierAfter, opponentTierBefore
+const MATCH_RULES = [
+    { key: 'win_streak', earned: (state) => state.streak >= STREAK_LENGTH },
+    {
+        key: 'giant_slayer',
+        earned: (state) => state.won && !state.forfeit && TIERS.indexOf(state.opponentTierBefore) > TIERS.indexOf(state.tierBefore)
+    },
+    { key: 'games_played', earned: (state) => state.games >= GAMES_MILESTONE },
+    {
+        key: 'promotion',
+        earned: (state) => TIERS.indexOf(state.tierAfter) > TIERS.indexOf(state.tierBefore),
+        detail: (state) => state.tierAfter
+    }
+];
+
+// Badges a match earns one player, as [{ key, detail }]
+const matchBadges = (state) => MATCH_RULES
+    .filter(rule => rule.earned(state))
+    .map(rule => ({ key: rule.key, detail: rule.detail ? rule.detail(state) : '' }));
+
+// Fold one match into a player's { streak, games }. Forfeits are not games played:
+// they neither count nor break a streak.
+const advanceRecord = (record, match, playerId) => {
+    if (match.is_forfeit) {
+        return record;
+    }
+
+    const won = !match.is_draw && match.winner_id === playerId;
+    return { streak: won ? record.streak + 1 : 0, games: record.games + 1 };
+};
+
+const EMPTY_RECORD = { streak: 0, games: 0 };
+
+// { streak, games } after a player's matches, given in the order they were played
+const playerRecord = (matches, playerId) => matches.reduce((record, match) => advanceRecord(record, match, playerId), EMPTY_RECORD);
+
+// Both players' states for matchBadges, given each one's record and tier after the match
+const matchStates = (match, { winnerRecord, loserRecord, winnerTierAfter, loserTierAfter }) => [
+    {
+        playerId: match.winner_id,
+        won: !match.is_draw,
+        forfeit: Boolean(match.is_forfeit),
+        ...winnerRecord,
+        tierBefore: match.winner_tier_before,
+        tierAfter: winnerTierAfter,
+        opponentTierBefore: match.loser_tier_before
+    },
+    {
+        playerId: match.loser_id,
+        won: false,
+        forfeit: Boolean(match.is_forfeit),
+        ...loserRecord,
+        tierBefore: match.loser_tier_before,
+        tierAfter: loserTierAfter,
+        opponentTierBefore: match.winner_tier_before
+    }
+];
+
+// Podium badges for a monthly archive, as [{ playerId, key, detail }]
+const archiveBadges = (archive) => [
+    { playerId: archive.first_place_player_id, key: 'monthly_champion', detail: archive.archive_month },
+    ...[archive.first_place_player_id, archive.second_place_player_id, archive.third_place_player_id]
+        .map(playerId => ({ playerId, key: 'monthly_podium', detail: archive.archive_month }))
+];
+
+// A badge row (player_badge_list columns) with its name and description. JSON
+// aggregates hand timestamps back as text, so earned_at is turned back into a Date.
+const describeBadge = ({ id, badge_key: key, detail, source, note, earned_at: earnedAt }) => {
+    const badge = BADGES[key] || { name: key, description: null };
+    return {
+        id,
+        key,
+        name: key === 'manual' ? detail : badge.name,
+        description: key === 'manual' ? note || badge.description : badge.description,
+        detail: key === 'manual' || detail === '' ? null : detail,
+        source,
+        earned_at: earnedAt instanceof Date ? earnedAt : new Date(earnedAt)
+    };
+};
+
+// === POSTGRES ===
+
+// Store badges for one player; ones already held are skipped. Returns the new rows.
+const insertBadges = async (db, playerId, badges, { source, matchId = null, archiveId = null, earnedAt }) => {
+    const inserted = [];
+
+    for (const { key, detail } of badges) {
+        const result = await db.query(`
+            INSERT INTO player_badges (player_id, badge_key, detail, source, match_id, archive_id, earned_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (player_id, badge_key, detail) DO NOTHING
+            RETURNING badge_id as id, player_id, badge_key, detail, source, note, earned_at
+        `, [playerId, key, detail, source, matchId, archiveId, earnedAt]);
+        inserted.push(...result.rows);
+    }
+
+    return inserted;
+};
+
+// Evaluate the match rules for a freshly recorded (and rated) match.
+// Returns the badges it earned, described.
+const awardMatchBadges = async (client, match) => {
+    const [historyResult, tiersResult] = await Promise.all([
+        client.query(`
+            SELECT match_id, winner_id, loser_id, is_draw, is_forfeit
+            FROM matches
+            WHERE winner_id = ANY($1) OR loser_id = ANY($1)
+            ORDER BY match_date ASC, match_id ASC
+        `, [[match.winner_id, match.loser_id]]),
+        client.query('SELECT player_id, tier FROM players WHERE player_id = ANY($1)', [[match.winner_id, match.loser_id]])
+    ]);
+    const history = historyResult.rows;
+    const tierOf = (playerId) => tiersResult.rows.find(row => row.player_id === playerId).tier;
+    const recordOf = (playerId) => playerRecord(
+        history.filter(row => row.winner_id === playerId || row.loser_id === playerId),
+        playerId
+    );
+
+    const states = matchStates(match, {
+        winnerRecord: recordOf(match.winner_id),
+        loserRecord: recordOf(match.loser_id),
+        winnerTierAfter: tierOf(match.winner_id),
+        loserTierAfter: tierOf(match.loser_id)
+    });
+    const earned = [];
+
+    for (const state of states) {
+        earned.push(...await insertBadges(client, state.playerId, matchBadges(state), {
+            source: 'match',
+            matchId: match.match_id,
+            earnedAt: match.match_date
+        }));
+    }
+
+    return earned.map(describeBadge);
+};
+
+// Podium badges for a freshly created archive. Returns them, described.
+const awardArchiveBadges = async (db, archive) => {
+    const earned = [];
+
+    for (const { playerId, key, detail } of archiveBadges(archive)) {
+        earned.push(...await insertBadges(db, playerId, [{ key, detail }], {
+            source: 'archive',
+            archiveId: archive.archive_id,
+            earnedAt: archive.created_at
+        }));
+    }
+
+    return earned.map(describeBadge);
+};
+
+// Rebuild every match badge by replaying all matches in the order they were played,
+// each earned at the match that first qualified for it. Tiers after each match come
+// from points_history. Returns { matches, badges }.
+const replayBadges = async (client) => {
+    const matchesResult = await client.query(`
+        SELECT
+            m.match_id, m.match_date, m.winner_id, m.loser_id, m.is_draw, m.is_forfeit,
+            m.winner_tier_before, m.loser_tier_before,
+            COALESCE(wh.tier, m.winner_tier_before) as winner_tier_after,
+            COALESCE(lh.tier, m.loser_tier_before) as loser_tier_after
+        FROM matches m
+        LEFT JOIN LATERAL (
+            SELECT tier FROM points_history
+            WHERE match_id = m.match_id AND player_id = m.winner_id
+            ORDER BY history_id DESC LIMIT 1
+        ) wh ON true
+        LEFT JOIN LATERAL (
+            SELECT tier FROM points_history
+            WHERE match_id = m.match_id AND player_id = m.loser_id
+            ORDER BY history_id DESC LIMIT 1
+        ) lh ON true
+        ORDER BY m.match_date ASC, m.match_id ASC
+    `);
+
+    const records = new Map();
+    const earned = new Map();
+
+    for (const match of matchesResult.rows) {
+        const recordOf = (playerId) => {
+            const record = advanceRecord(records.get(playerId) || EMPTY_RECORD, match, playerId);
+            records.set(playerId, record);
+            return record;
+        };
+
+        const states = matchStates(match, {
+            winnerRecord: recordOf(match.winner_id),
+            loserRecord: recordOf(match.loser_id),
+            winnerTierAfter: match.winner_tier_after,
+            loserTierAfter: match.loser_tier_after
+        });
+
+        for (const state of states) {
+            for (const badge of matchBadges(state)) {
+                const id = `${state.playerId}:${badge.key}:${badge.detail}`;
+
+                if (!earned.has(id)) {
+                    earned.set(id, { playerId: state.playerId, ...badge, match });
+                }
+            }
+        }
+    }
+
+    await client.query(`DELETE FROM player_badges WHERE source = 'match'`);
+
+    for (const { playerId, key, detail, match } of earned.values()) {
+        await insertBadges(client, playerId, [{ key, detail }], {
+            source: 'match',
+            matchId: match.match_id,
+            earnedAt: match.match_date
+        });
+    }
+
+    return { matches: matchesResult.rows.length, badges: earned.size };
+};
+
+// JSON array of a player's badges (player p) for list queries; describe with describeBadge
+const BADGES_COLUMN = `
+    COALESCE((
+        SELECT json_agg(json_build_object(
+            'id', b.id, 'badge_key', b.badge_key, 'detail', b.detail,
+            'source', b.source, 'note', b.note, 'earned_at', b.earned_at
+        ) ORDER BY b.earned_at, b.id)
+        FROM player_badge_list b WHERE b.player_id = p.player_id
+    ), '[]'::JSON)
+`;
+
+module.exports = {
+    STREAK_LENGTH,
+    GAMES_MILESTONE,
+    BADGES,
+    matchBadges,
+    advanceRecord,
+    playerRecord,
+    matchStates,
+    archiveBadges,
+    describeBadge,
+    awardMatchBadges,
+    awardArchiveBadges,
+    replayBadges,
+    BADGES_COLUMN
+};
@@ -0,0 +1,71 @@
+// Audit trail for admin writes. Player writes (self-reported results) are recorded
+// with no admin; the player is in the recorded data.
+// Call recordAudit with the same client as the write so both commit together.
+
+const ENTITY_TYPES = [
+    'player', 'match', 'archive', 'tournament_winner', 'tournament', 'admin', 'season',
+    'player_account', 'report', 'challenge', 'badge', 'scoring_rules'
+];
+
+const recordAudit = async (db, req, { action, entityType, entityId = null, before = null, after = null }) => {
+    const admin = req.admin || {};
+    const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : req.path;
+
+    await db.query(`
+        INSERT INTO audit_log (
+            admin_id, admin_username, action, entity_type, entity_id,
+            method, route, path, before_data, after_data, ip_address
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+        admin.adminId || null,
+        admin.username || null,
+        action,
+        entityType,
+        entityId === null ? null : String(entityId),
+        req.method,
+        route,
+        req.originalUrl,
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        req.ip
+    ]);
+};
+
+// A player row plus every row that references it, for snapshots before destructive changes
+const snapshotPlayer = async (db, playerId) => {
+    const [player, matches, archives, tournamentWinners, badges] = await Promise.all([
+        db.query('SELECT * FROM players WHERE player_id = $1', [playerId]),
+        db.query('SELECT * FROM matches WHERE winner_id = $1 OR loser_id = $1 ORDER BY match_id', [playerId]),
+        db.query(`
+            SELECT * FROM monthly_archives
+            WHERE $1 IN (first_place_player_id, second_place_player_id, third_place_player_id)
+            ORDER BY archive_id
+        `, [playerId]),
+        db.query('SELECT * FROM tournament_winners WHERE player_id = $1 ORDER BY winner_id', [playerId]),
+        db.query('SELECT * FROM player_badges WHERE player_id = $1 ORDER BY badge_id', [playerId])
+    ]);
+
+    if (player.rows.length === 0) {
+        return null;
+    }
+
+    return {
+        player: player.rows[0],
+        matches: matches.rows,
+        monthly_archives: archives.rows,
+        tournament_winners: tournamentWinners.rows,
+        player_badges: badges.rows
+    };
+};
+
+// Current points, tier and rating for a set of players
+const snapshotStandings = async (db, playerIds) => {
+    const result = await db.query(`
+        SELECT player_id, name, points, tier, rating, rating_deviation
+        FROM players WHERE player_id = ANY($1)
+        ORDER BY player_id
+    `, [playerIds]);
+    return result.rows;
+};
+
+module.exports = { ENTITY_TYPES, recordAudit, snapshotPlayer, snapshotStandings };
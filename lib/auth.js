@@ -0,0 +1,34 @@
+// Admin roles and password handling
+const bcrypt = require('bcrypt');
+
+const ADMIN_ROLES = ['owner', 'officer', 'scorekeeper'];
+
+// Role lists for authenticateAdmin(...roles)
+const OWNER = ['owner'];
+const OFFICER = ['owner', 'officer'];
+const SCOREKEEPER = ['owner', 'officer', 'scorekeeper'];
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+const verifyPassword = (password, hash) => bcrypt.compare(password, hash);
+
+// Returns an error message, or null when the password is acceptable
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+};
+
+module.exports = {
+    ADMIN_ROLES,
+    OWNER,
+    OFFICER,
+    SCOREKEEPER,
+    hashPassword,
+    verifyPassword,
+    validatePassword
+};
@@ -0,0 +1,129 @@
+// Batch match entry: a club night's results recorded in one transaction, reporting
+// how each game moved points, tiers and ratings and how the leaderboard changed.
+const { validateMatches, insertMatches } = require('./imports');
+
+// Active players in leaderboard order, for before/after comparisons
+const loadStandings = async (db) => {
+    const result = await db.query(`
+        SELECT
+            ROW_NUMBER() OVER (ORDER BY p.points DESC, ps.wins DESC, p.name ASC)::INTEGER as rank,
+            p.player_id as id,
+            p.name,
+            p.points,
+            p.tier,
+            ROUND(p.rating)::INTEGER as rating
+        FROM players p
+        JOIN player_statistics ps ON p.player_id = ps.player_id
+        WHERE p.is_active
+        ORDER BY rank
+    `);
+    return result.rows;
+};
+
+const MAX_BATCH_MATCHES = 100;
+
+// Check a batch body ({ matches: [...] }) and pick out each entry's fields.
+// Returns { error } or { entries }.
+const parseBatch = ({ matches }) => {
+    if (!Array.isArray(matches) || matches.length === 0) {
+        return { error: 'matches must be a non-empty list' };
+    }
+
+    if (matches.length > MAX_BATCH_MATCHES) {
+        return { error: `At most ${MAX_BATCH_MATCHES} matches per batch` };
+    }
+
+    return {
+        entries: matches.map(entry => ({
+            winnerId: entry.winnerId,
+            loserId: entry.loserId,
+            winnerName: entry.winnerName,
+            loserName: entry.loserName,
+            isDraw: entry.isDraw
+        }))
+    };
+};
+
+// Record batch entries in order on client and report how each one moved points,
+// tiers and ratings, plus the leaderboard afterwards. Returns { errors } if any entry
+// is invalid, otherwise { results, standings, standingsBefore, matchIds }.
+const recordBatch = async (client, entries) => {
+    // Hold every player row so concurrent single entries queue behind the batch
+    await client.query('SELECT player_id FROM players ORDER BY player_id FOR UPDATE');
+
+    const validated = await validateMatches(client, entries);
+
+    if (validated.errors) {
+        return validated;
+    }
+
+    const standingsBefore = await loadStandings(client);
+    const recorded = await insertMatches(client, validated.matches);
+    const matchIds = recorded.map(entry => entry.matchId);
+
+    const detailResult = await client.query(`
+        SELECT
+            m.match_id,
+            m.is_draw,
+            m.winner_id,
+            wp.name as winner_name,
+            m.winner_points_change,
+            wh.points as winner_points_after,
+            wh.tier as winner_tier_after,
+            ROUND(m.winner_rating_change)::INTEGER as winner_rating_change,
+            m.loser_id,
+            lp.name as loser_name,
+            m.loser_points_change,
+            lh.points as loser_points_after,
+            lh.tier as loser_tier_after,
+            ROUND(m.loser_rating_change)::INTEGER as loser_rating_change
+        FROM matches m
+        JOIN players wp ON m.winner_id = wp.player_id
+        JOIN players lp ON m.loser_id = lp.player_id
+        JOIN points_history wh ON wh.match_id = m.match_id AND wh.player_id = m.winner_id
+        JOIN points_history lh ON lh.match_id = m.match_id AND lh.player_id = m.loser_id
+        WHERE m.match_id = ANY($1)
+    `, [matchIds]);
+
+    const detailById = new Map(detailResult.rows.map(row => [row.match_id, row]));
+    const results = recorded.map(entry => {
+        const match = detailById.get(entry.matchId);
+        return {
+            index: entry.row - 1,
+            matchId: entry.matchId,
+            message: entry.message,
+            isDraw: match.is_draw,
+            winner: {
+                id: match.winner_id,
+                name: match.winner_name,
+                pointsChange: match.winner_points_change,
+                points: match.winner_points_after,
+                tier: match.winner_tier_after,
+                ratingChange: match.winner_rating_change
+            },
+            loser: {
+                id: match.loser_id,
+                name: match.loser_name,
+                pointsChange: match.loser_points_change,
+                points: match.loser_points_after,
+                tier: match.loser_tier_after,
+                ratingChange: match.loser_rating_change
+            }
+        };
+    });
+
+    const before = new Map(standingsBefore.map(row => [row.id, row]));
+    const standings = (await loadStandings(client)).map(row => ({
+        ...row,
+        previous_rank: before.has(row.id) ? before.get(row.id).rank : null,
+        points_change: before.has(row.id) ? row.points - before.get(row.id).points : 0
+    }));
+
+    return { results, standings, standingsBefore, matchIds };
+};
+
+// Errors for a batch with invalid entries, indexed like the request's list
+const batchErrors = (errors) =>
+    errors.map(({ row, error }) => ({ index: row === null ? null : row - 1, error }));
+
+module.exports = { MAX_BATCH_MATCHES, parseBatch, recordBatch, batchErrors };
@@ -0,0 +1,92 @@
+// Round-robin and single-elimination schedules
+// Pure functions that work on player IDs listed in seed order (index 0 = seed 1).
+
+// Berger tables: every player meets every other once. An odd field gets a dummy
+// opponent, and whoever draws the dummy has a bye that round.
+// Returns one array of { whiteId, blackId } per round; blackId null marks a bye.
+const bergerSchedule = (playerIds) => {
+    const field = playerIds.length % 2 === 0 ? [...playerIds] : [...playerIds, null];
+    const n = field.length;
+    const m = n - 1;
+    const rounds = [];
+
+    for (let round = 1; round <= m; round++) {
+        // Table numbers are 1-based; player n stays fixed while the rest rotate
+        const pivot = (((round - 1) * n) / 2) % m + 1;
+        const games = [round % 2 === 1 ? [pivot, n] : [n, pivot]];
+
+        for (let j = 1; j < n / 2; j++) {
+            games.push([((pivot - 1 + j) % m) + 1, ((pivot - 1 - j + m) % m) + 1]);
+        }
+
+        rounds.push(games.map(([white, black]) => {
+            const whiteId = field[white - 1];
+            const blackId = field[black - 1];
+            return whiteId === null
+                ? { whiteId: blackId, blackId: null }
+                : { whiteId, blackId };
+        }));
+    }
+
+    return rounds;
+};
+
+const nextPowerOfTwo = (count) => {
+    let size = 1;
+    while (size < count) {
+        size *= 2;
+    }
+    return size;
+};
+
+// Standard bracket order, e.g. for 8: 1, 8, 4, 5, 2, 7, 3, 6, so the top seeds
+// can only meet in the later rounds.
+const bracketOrder = (size) => {
+    let seeds = [1];
+    while (seeds.length < size) {
+        const total = seeds.length * 2 + 1;
+        seeds = seeds.flatMap(seed => [seed, total - seed]);
+    }
+    return seeds;
+};
+
+// First round of a knockout bracket. The field is padded to a power of two and the
+// missing seeds become byes, which always go to the top seeds.
+// Returns { size, rounds, games: [{ position, whiteId, blackId }] } with blackId null for byes.
+const eliminationBracket = (playerIds) => {
+    const size = Math.max(nextPowerOfTwo(playerIds.length), 2);
+    const order = bracketOrder(size);
+    const games = [];
+
+    for (let position = 1; position <= size / 2; position++) {
+        const [whiteId = null, blackId = null] = [order[position * 2 - 2], order[position * 2 - 1]]
+            .map(seed => playerIds[seed - 1])
+            .filter(id => id !== undefined);
+        games.push({ position, whiteId, blackId });
+    }
+
+    return { size, rounds: Math.log2(size), games };
+};
+
+// Where the winner of a knockout game plays next
+const nextSlot = (round, position) => ({
+    round: round + 1,
+    position: Math.ceil(position / 2),
+    color: position % 2 === 1 ? 'white' : 'black'
+});
+
+const roundName = (round, totalRounds) => {
+    const remaining = totalRounds - round;
+    if (remaining === 0) return 'Final';
+    if (remaining === 1) return 'Semifinals';
+    if (remaining === 2) return 'Quarterfinals';
+    return `Round of ${2 ** (remaining + 1)}`;
+};
+
+module.exports = {
+    bergerSchedule,
+    eliminationBracket,
+    nextPowerOfTwo,
+    nextSlot,
+    roundName
+};
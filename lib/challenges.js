@@ -0,0 +1,491 @@
+// Ladder challenges: a player challenges someone a few places above them on the
+// leaderboard (the /api/leaderboard points ordering). The defender accepts with a
+// date to play, or declines. A challenge left unanswered past its deadline is a
+// forfeit win for the challenger, recorded through recordMatch with isForfeit. An
+// accepted challenge with no result some days after its game was due is cancelled,
+// so it stops counting against CHALLENGE_MAX_OPEN.
+//
+// Configured through the environment:
+//   CHALLENGE_RANK_RANGE      how many places above themselves a player may challenge (default 3)
+//   CHALLENGE_RESPONSE_HOURS  how long the defender has to answer (default 72)
+//   CHALLENGE_PLAY_DAYS       how far ahead an accepted game may be scheduled (default 14)
+//   CHALLENGE_RESULT_DAYS     how long after the scheduled game an officer has to record the
+//                             result before the challenge is cancelled (default 7)
+//   CHALLENGE_MAX_OPEN        open (pending or accepted) challenges a player may be part of,
+//                             0 for no limit (default 1)
+//   CHALLENGE_CHECK_MINUTES   how often the scheduler looks for overdue challenges (default 15)
+//
+// Service calls follow lib/services.js.
+const { runPeriodically } = require('./db');
+const { validateNote } = require('./services');
+const { recordMatch } = require('./matches');
+const { transactionRepositories } = require('./repositories');
+const { publishStandings, publishMatch } = require('./live');
+
+const CHALLENGE_STATUSES = ['pending', 'accepted', 'declined', 'withdrawn', 'forfeited', 'completed', 'cancelled'];
+const OPEN_STATUSES = ['pending', 'accepted'];
+
+// Results an officer can record, named for the side that won
+const CHALLENGE_RESULTS = ['challenger', 'defender', 'draw'];
+
+const challengeSettings = (env = process.env) => {
+    const number = (name, fallback) => (env[name] === undefined ? fallback : Number(env[name]));
+    const rankRange = number('CHALLENGE_RANK_RANGE', 3);
+    const responseHours = number('CHALLENGE_RESPONSE_HOURS', 72);
+    const playDays = number('CHALLENGE_PLAY_DAYS', 14);
+    const resultDays = number('CHALLENGE_RESULT_DAYS', 7);
+    const maxOpen = number('CHALLENGE_MAX_OPEN', 1);
+    const checkMinutes = number('CHALLENGE_CHECK_MINUTES', 15);
+
+    if (!(Number.isInteger(rankRange) && rankRange > 0)) {
+        throw new Error('CHALLENGE_RANK_RANGE must be a positive whole number');
+    }
+    if (!(responseHours > 0)) {
+        throw new Error('CHALLENGE_RESPONSE_HOURS must be a positive number');
+    }
+    if (!(playDays > 0)) {
+        throw new Error('CHALLENGE_PLAY_DAYS must be a positive number');
+    }
+    if (!(resultDays > 0)) {
+        throw new Error('CHALLENGE_RESULT_DAYS must be a positive number');
+    }
+    if (!(Number.isInteger(maxOpen) && maxOpen >= 0)) {
+        throw new Error('CHALLENGE_MAX_OPEN must be a whole number (0 for no limit)');
+    }
+    if (!(checkMinutes > 0)) {
+        throw new Error('CHALLENGE_CHECK_MINUTES must be a positive number');
+    }
+
+    return { rankRange, responseHours, playDays, resultDays, maxOpen, checkMinutes };
+};
+
+const CHALLENGE_SELECT = `
+    SELECT
+        c.challenge_id as id,
+        c.challenger_id,
+        cp.name as challenger_name,
+        c.challenger_rank,
+        c.defender_id,
+        dp.name as defender_name,
+        c.defender_rank,
+        c.status,
+        c.message,
+        c.issued_at,
+        c.respond_by,
+        c.responded_at,
+        c.scheduled_for,
+        c.note,
+        c.match_id,
+        c.closed_at
+    FROM challenges c
+    JOIN players cp ON c.challenger_id = cp.player_id
+    JOIN players dp ON c.defender_id = dp.player_id
+`;
+
+const loadChallenge = async (db, challengeId, { forUpdate = false } = {}) => {
+    const result = await db.query(`
+        ${CHALLENGE_SELECT}
+        WHERE c.challenge_id = $1
+        ${forUpdate ? 'FOR UPDATE OF c' : ''}
+    `, [challengeId]);
+    return result.rows[0] || null;
+};
+
+// Challenges in the given statuses, optionally only those playerId is part of.
+// Open ones come soonest deadline first, closed ones newest first.
+const listChallenges = async (db, { playerId = null, statuses = OPEN_STATUSES } = {}) => {
+    const result = await db.query(`
+        ${CHALLENGE_SELECT}
+        WHERE c.status = ANY($1)
+        AND ($2::INTEGER IS NULL OR c.challenger_id = $2 OR c.defender_id = $2)
+        ORDER BY
+            CASE WHEN c.status = 'accepted' THEN c.scheduled_for WHEN c.status = 'pending' THEN c.respond_by END ASC NULLS LAST,
+            c.issued_at DESC, c.challenge_id DESC
+    `, [statuses, playerId]);
+    return result.rows;
+};
+
+// Award every pending challenge past its deadline to the challenger, recorded as a
+// forfeit win and announced on the live feed. Challenges another process is already
+// handling are skipped. Returns [{ challenge, match }] plus any that could not be
+// recorded (a player was deactivated meanwhile), which are cancelled instead.
+const forfeitOverdue = async (client) => {
+    const overdue = await client.query(`
+        SELECT challenge_id FROM challenges
+        WHERE status = 'pending' AND respond_by < NOW()
+        ORDER BY respond_by, challenge_id
+        FOR UPDATE SKIP LOCKED
+    `);
+    const forfeited = [];
+
+    for (const { challenge_id: challengeId } of overdue.rows) {
+        const challenge = await loadChallenge(client, challengeId);
+        // recordMatch itself accepts inactive players
+        const inactive = await client.query(`
+            SELECT name FROM players WHERE player_id = ANY($1) AND NOT is_active ORDER BY player_id
+        `, [[challenge.challenger_id, challenge.defender_id]]);
+        const recorded = inactive.rows.length > 0
+            ? { error: `${inactive.rows[0].name} is inactive` }
+            : await recordMatch(client, {
+                winnerName: challenge.challenger_name,
+                loserName: challenge.defender_name,
+                isForfeit: true
+            });
+
+        if (recorded.error) {
+            await client.query(`
+                UPDATE challenges SET status = 'cancelled', note = $2, closed_at = NOW()
+                WHERE challenge_id = $1
+            `, [challengeId, `Forfeit could not be recorded: ${recorded.error}`]);
+            forfeited.push({ challenge: await loadChallenge(client, challengeId), match: null });
+            continue;
+        }
+
+        await client.query(`
+            UPDATE challenges SET status = 'forfeited', match_id = $2, closed_at = NOW()
+            WHERE challenge_id = $1
+        `, [challengeId, recorded.match.match_id]);
+
+        const tx = transactionRepositories(client);
+        await publishMatch(tx, recorded.match.match_id);
+        await publishStandings(tx, 'challenge.forfeit', { match_id: recorded.match.match_id, challenge_id: challengeId });
+
+        forfeited.push({ challenge: await loadChallenge(client, challengeId), match: recorded.match });
+    }
+
+    return forfeited;
+};
+
+// Cancel every accepted challenge whose game was due more than settings.resultDays
+// ago with no result recorded. Challenges another process is already handling are
+// skipped. Returns the cancelled challenges.
+const cancelUnplayed = async (client, settings) => {
+    const unplayed = await client.query(`
+        UPDATE challenges SET status = 'cancelled', note = $2, closed_at = NOW()
+        WHERE challenge_id IN (
+            SELECT challenge_id FROM challenges
+            WHERE status = 'accepted' AND scheduled_for < NOW() - $1::FLOAT * INTERVAL '1 day'
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING challenge_id
+    `, [settings.resultDays, `No result was recorded within ${settings.resultDays} day(s) of the scheduled game`]);
+
+    const cancelled = [];
+    for (const { challenge_id: challengeId } of unplayed.rows) {
+        cancelled.push(await loadChallenge(client, challengeId));
+    }
+    return cancelled;
+};
+
+// Challenge defenderId on behalf of challengerId. Body: { defenderId, message }.
+// Returns { error, status } or { challenge }.
+const createChallenge = async (client, challengerId, { defenderId, message }, settings) => {
+    if (!Number.isInteger(defenderId)) {
+        return { error: 'defenderId must be a player ID' };
+    }
+
+    if (defenderId === challengerId) {
+        return { error: 'You cannot challenge yourself' };
+    }
+
+    const note = validateNote(message, 'Message');
+    if (note.error) {
+        return { error: note.error };
+    }
+
+    await forfeitOverdue(client);
+    await cancelUnplayed(client, settings);
+
+    // Locking both players serializes challenges that involve either of them
+    const playersResult = await client.query(`
+        SELECT player_id, name, is_active FROM players WHERE player_id = ANY($1) ORDER BY player_id FOR UPDATE
+    `, [[challengerId, defenderId]]);
+    const challenger = playersResult.rows.find(player => player.player_id === challengerId);
+    const defender = playersResult.rows.find(player => player.player_id === defenderId);
+
+    // The challenger's player may have been removed or merged since they signed in
+    if (!challenger || !defender) {
+        return { error: 'Player not found', status: 404 };
+    }
+
+    const inactive = [challenger, defender].find(player => !player.is_active);
+    if (inactive) {
+        return { error: `${inactive.name} is inactive and cannot take part in challenges` };
+    }
+
+    const leaderboard = await transactionRepositories(client).players.leaderboard('points');
+    const rankOf = (playerId) => Number(leaderboard.find(row => row.id === playerId).rank);
+    const challengerRank = rankOf(challengerId);
+    const defenderRank = rankOf(defenderId);
+
+    if (defenderRank >= challengerRank) {
+        return { error: `You can only challenge players ranked above you (you are #${challengerRank}, ${defender.name} is #${defenderRank})` };
+    }
+
+    if (challengerRank - defenderRank > settings.rankRange) {
+        return {
+            error: `You can challenge at most ${settings.rankRange} place(s) above you (you are #${challengerRank}, ${defender.name} is #${defenderRank})`
+        };
+    }
+
+    const openResult = await client.query(`
+        SELECT
+            COUNT(*) FILTER (WHERE $1 IN (challenger_id, defender_id))::INTEGER as challenger_open,
+            COUNT(*) FILTER (WHERE $2 IN (challenger_id, defender_id))::INTEGER as defender_open,
+            COUNT(*) FILTER (WHERE $1 IN (challenger_id, defender_id) AND $2 IN (challenger_id, defender_id))::INTEGER as with_each_other
+        FROM challenges
+        WHERE status = ANY($3)
+    `, [challengerId, defenderId, OPEN_STATUSES]);
+    const open = openResult.rows[0];
+
+    if (open.with_each_other > 0) {
+        return { error: `You already have an open challenge with ${defender.name}`, status: 409 };
+    }
+
+    if (settings.maxOpen > 0 && open.challenger_open >= settings.maxOpen) {
+        return { error: `You already have ${open.challenger_open} open challenge(s); the limit is ${settings.maxOpen}`, status: 409 };
+    }
+
+    if (settings.maxOpen > 0 && open.defender_open >= settings.maxOpen) {
+        return { error: `${defender.name} already has ${open.defender_open} open challenge(s); try again later`, status: 409 };
+    }
+
+    const inserted = await client.query(`
+        INSERT INTO challenges (challenger_id, defender_id, challenger_rank, defender_rank, message, respond_by)
+        VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6))
+        RETURNING challenge_id
+    `, [challengerId, defenderId, challengerRank, defenderRank, note.value, settings.responseHours]);
+
+    return { challenge: await loadChallenge(client, inserted.rows[0].challenge_id) };
+};
+
+// Lock a challenge playerId is part of, after forfeiting overdue ones. Returns
+// { error, status } or { challenge }. Challenges of other players look like missing ones.
+const loadOwnChallenge = async (client, playerId, challengeId) => {
+    await forfeitOverdue(client);
+
+    const challenge = await loadChallenge(client, challengeId, { forUpdate: true });
+
+    if (!challenge || (challenge.challenger_id !== playerId && challenge.defender_id !== playerId)) {
+        return { error: 'Challenge not found', status: 404 };
+    }
+
+    return { challenge };
+};
+
+const notPending = (challenge) => ({
+    error: challenge.status === 'forfeited'
+        ? 'This challenge was not answered in time and was forfeited'
+        : `This challenge is already ${challenge.status}`,
+    status: 409
+});
+
+// A date (YYYY-MM-DD) or date and time from today up to settings.playDays ahead.
+// Returns { error } or { value } as a Date.
+const parseScheduledFor = (value, { playDays }) => {
+    if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+        return { error: 'scheduledFor must be a date (YYYY-MM-DD) or date and time' };
+    }
+
+    // A bare date means that day, local time
+    const scheduled = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const latest = new Date(Date.now() + playDays * 24 * 60 * 60 * 1000);
+
+    if (scheduled < today) {
+        return { error: 'scheduledFor must not be in the past' };
+    }
+
+    if (scheduled > latest) {
+        return { error: `Challenges must be played within ${playDays} day(s)` };
+    }
+
+    return { value: scheduled };
+};
+
+// The defender accepts and sets when the game is played. Returns { error, status } or { challenge }.
+const acceptChallenge = async (client, playerId, challengeId, { scheduledFor }, settings) => {
+    const scheduled = parseScheduledFor(scheduledFor, settings);
+    if (scheduled.error) {
+        return { error: scheduled.error };
+    }
+
+    const loaded = await loadOwnChallenge(client, playerId, challengeId);
+    if (loaded.error) return loaded;
+
+    const { challenge } = loaded;
+
+    if (challenge.defender_id !== playerId) {
+        return { error: 'Only the challenged player can accept', status: 403 };
+    }
+
+    if (challenge.status !== 'pending') {
+        return notPending(challenge);
+    }
+
+    await client.query(`
+        UPDATE challenges SET status = 'accepted', scheduled_for = $2, responded_at = NOW()
+        WHERE challenge_id = $1
+    `, [challengeId, scheduled.value]);
+
+    return { challenge: await loadChallenge(client, challengeId) };
+};
+
+// The defender declines. Returns { error, status } or { challenge }.
+const declineChallenge = async (client, playerId, challengeId, reason) => {
+    const note = validateNote(reason, 'Reason');
+    if (note.error) {
+        return { error: note.error };
+    }
+
+    const loaded = await loadOwnChallenge(client, playerId, challengeId);
+    if (loaded.error) return loaded;
+
+    const { challenge } = loaded;
+
+    if (challenge.defender_id !== playerId) {
+        return { error: 'Only the challenged player can decline', status: 403 };
+    }
+
+    if (challenge.status !== 'pending') {
+        return notPending(challenge);
+    }
+
+    await client.query(`
+        UPDATE challenges SET status = 'declined', note = $2, responded_at = NOW(), closed_at = NOW()
+        WHERE challenge_id = $1
+    `, [challengeId, note.value]);
+
+    return { challenge: await loadChallenge(client, challengeId) };
+};
+
+// The challenger takes back a challenge that has not been answered. Returns { error, status } or { challenge }.
+const withdrawChallenge = async (client, playerId, challengeId) => {
+    const loaded = await loadOwnChallenge(client, playerId, challengeId);
+    if (loaded.error) return loaded;
+
+    const { challenge } = loaded;
+
+    if (challenge.challenger_id !== playerId) {
+        return { error: 'Only the challenger can withdraw a challenge', status: 403 };
+    }
+
+    if (challenge.status !== 'pending') {
+        return notPending(challenge);
+    }
+
+    await client.query(`
+        UPDATE challenges SET status = 'withdrawn', closed_at = NOW() WHERE challenge_id = $1
+    `, [challengeId]);
+
+    return { challenge: await loadChallenge(client, challengeId) };
+};
+
+// An officer records how an open challenge ended. Body: { result: challenger|defender|draw,
+// forfeit } where forfeit marks a no-show win. Returns { error, status } or
+// { challenge, match, message }.
+const recordChallengeResult = async (client, challengeId, { result, forfeit = false }) => {
+    if (!CHALLENGE_RESULTS.includes(result)) {
+        return { error: `Result must be one of: ${CHALLENGE_RESULTS.join(', ')}` };
+    }
+
+    if (typeof forfeit !== 'boolean') {
+        return { error: 'forfeit must be true or false' };
+    }
+
+    if (forfeit && result === 'draw') {
+        return { error: 'A forfeit cannot be a draw' };
+    }
+
+    await forfeitOverdue(client);
+
+    const challenge = await loadChallenge(client, challengeId, { forUpdate: true });
+
+    if (!challenge) {
+        return { error: 'Challenge not found', status: 404 };
+    }
+
+    if (!OPEN_STATUSES.includes(challenge.status)) {
+        return { error: `This challenge is already ${challenge.status}`, status: 409 };
+    }
+
+    const challengerWon = result !== 'defender';
+    const recorded = await recordMatch(client, {
+        winnerName: challengerWon ? challenge.challenger_name : challenge.defender_name,
+        loserName: challengerWon ? challenge.defender_name : challenge.challenger_name,
+        isDraw: result === 'draw',
+        isForfeit: forfeit
+    });
+
+    if (recorded.error) {
+        return { error: recorded.error };
+    }
+
+    await client.query(`
+        UPDATE challenges SET status = 'completed', match_id = $2, closed_at = NOW()
+        WHERE challenge_id = $1
+    `, [challengeId, recorded.match.match_id]);
+
+    return { challenge: await loadChallenge(client, challengeId), match: recorded.match, message: recorded.message };
+};
+
+// An officer calls off an open challenge. Returns { error, status } or { challenge }.
+const cancelChallenge = async (client, challengeId, reason) => {
+    const note = validateNote(reason, 'Reason');
+    if (note.error) {
+        return { error: note.error };
+    }
+
+    const challenge = await loadChallenge(client, challengeId, { forUpdate: true });
+
+    if (!challenge) {
+        return { error: 'Challenge not found', status: 404 };
+    }
+
+    if (!OPEN_STATUSES.includes(challenge.status)) {
+        return { error: `This challenge is already ${challenge.status}`, status: 409 };
+    }
+
+    await client.query(`
+        UPDATE challenges SET status = 'cancelled', note = $2, closed_at = NOW() WHERE challenge_id = $1
+    `, [challengeId, note.value]);
+
+    return { challenge: await loadChallenge(client, challengeId) };
+};
+
+// Run forfeitOverdue and cancelUnplayed now and then every settings.checkMinutes.
+// Returns the timer.
+const startChallengeScheduler = (pool, settings, log = console) => runPeriodically(pool, settings.checkMinutes, {
+    label: 'Challenge check',
+    work: async (client) => ({
+        forfeited: await forfeitOverdue(client),
+        unplayed: await cancelUnplayed(client, settings)
+    }),
+    report: ({ forfeited, unplayed }) => {
+        forfeited.forEach(({ challenge, match }) => {
+            log.log(match
+                ? `Challenge ${challenge.id} forfeited: ${challenge.challenger_name} wins against ${challenge.defender_name}`
+                : `Challenge ${challenge.id} cancelled: ${challenge.note}`);
+        });
+        unplayed.forEach(challenge => log.log(`Challenge ${challenge.id} cancelled: ${challenge.note}`));
+    }
+}, log);
+
+module.exports = {
+    CHALLENGE_STATUSES,
+    OPEN_STATUSES,
+    CHALLENGE_RESULTS,
+    challengeSettings,
+    loadChallenge,
+    listChallenges,
+    forfeitOverdue,
+    cancelUnplayed,
+    createChallenge,
+    acceptChallenge,
+    declineChallenge,
+    withdrawChallenge,
+    recordChallengeResult,
+    cancelChallenge,
+    startChallengeScheduler
+};
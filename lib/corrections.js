@@ -0,0 +1,288 @@
+// Voiding and correcting recorded matches.
+// Points depend on the points both players had going into each game, so after a
+// change every later match is replayed in order, each under the scoring rules
+// version it was recorded with.
+const { replayRatings } = require('./matches');
+const { loadRules, tierFor, pointsChange } = require('./points');
+const { replayBadges } = require('./achievements');
+const { rewriteMatchHistory } = require('./history');
+
+const PLAYER_COLUMNS = 'player_id, name, points, tier, ROUND(rating)::INTEGER as rating';
+
+const GAME_RESULTS = { white: '1-0', black: '0-1', draw: '1/2-1/2' };
+
+const loadPlayers = async (client) => {
+    const result = await client.query(`SELECT ${PLAYER_COLUMNS} FROM players`);
+    return new Map(result.rows.map(player => [player.player_id, player]));
+};
+
+// Matches from the given one onwards, in the order they were played
+const loadMatchesFrom = async (client, { match_date, match_id }) => {
+    const result = await client.query(`
+        SELECT match_id, match_date, winner_id, loser_id, is_draw, rules_version,
+               winner_tier_before, loser_tier_before,
+               winner_points_change, loser_points_change
+        FROM matches
+        WHERE (match_date, match_id) >= ($1, $2)
+        ORDER BY match_date ASC, match_id ASC
+    `, [match_date, match_id]);
+    return result.rows;
+};
+
+// Re-score every match from `from` onwards, starting each player from the points
+// they had before it. Anything not explained by those matches (starting points,
+// manual edits) is carried forward unchanged. Returns each match with the points
+// both players had after it.
+const replayPoints = async (client, from, startingPoints) => {
+    const points = new Map(startingPoints);
+    const matches = await loadMatchesFrom(client, from);
+    const replayed = [];
+
+    // Games played before the replay starts, for provisional scoring
+    const gamesResult = await client.query(`
+        SELECT player_id, COUNT(*)::INTEGER as games
+        FROM (
+            SELECT winner_id as player_id, match_date, match_id FROM matches
+            UNION ALL
+            SELECT loser_id as player_id, match_date, match_id FROM matches
+        ) played
+        WHERE (match_date, match_id) < ($1, $2)
+        GROUP BY player_id
+    `, [from.match_date, from.match_id]);
+    const games = new Map(gamesResult.rows.map(row => [row.player_id, row.games]));
+
+    const rulesByVersion = new Map();
+
+    for (const match of matches) {
+        if (!rulesByVersion.has(match.rules_version)) {
+            rulesByVersion.set(match.rules_version, (await loadRules(client, match.rules_version)).rules);
+        }
+        const rules = rulesByVersion.get(match.rules_version);
+
+        const winner = { points: points.get(match.winner_id) || 0, games: games.get(match.winner_id) || 0 };
+        const loser = { points: points.get(match.loser_id) || 0, games: games.get(match.loser_id) || 0 };
+        const [winnerChange, loserChange] = pointsChange(rules, winner, loser, match.is_draw);
+
+        points.set(match.winner_id, winner.points + winnerChange);
+        points.set(match.loser_id, loser.points + loserChange);
+        games.set(match.winner_id, winner.games + 1);
+        games.set(match.loser_id, loser.games + 1);
+        replayed.push({
+            match,
+            winnerPoints: points.get(match.winner_id),
+            loserPoints: points.get(match.loser_id)
+        });
+
+        await client.query(`
+            UPDATE matches
+            SET winner_tier_before = $2, loser_tier_before = $3,
+                winner_points_change = $4, loser_points_change = $5
+            WHERE match_id = $1
+        `, [match.match_id, tierFor(winner.points, rules), tierFor(loser.points, rules), winnerChange, loserChange]);
+    }
+
+    for (const [playerId, playerPoints] of points) {
+        await client.query(`
+            UPDATE players SET points = $2 WHERE player_id = $1 AND points <> $2
+        `, [playerId, playerPoints]);
+    }
+
+    return replayed;
+};
+
+// What a stored PGN's Result tag must be for the corrected match, or null if
+// the game's players no longer match the result
+const expectedGameResult = (game, { winnerId, loserId, isDraw }) => {
+    const players = [game.white_player_id, game.black_player_id];
+
+    if (!players.includes(winnerId) || !players.includes(loserId)) {
+        return null;
+    }
+
+    if (isDraw) {
+        return GAME_RESULTS.draw;
+    }
+
+    return winnerId === game.white_player_id ? GAME_RESULTS.white : GAME_RESULTS.black;
+};
+
+const buildDiff = (playersBefore, playersAfter, matchesBefore, matchesAfter) => {
+    const players = [];
+
+    for (const [playerId, before] of playersBefore) {
+        const after = playersAfter.get(playerId);
+
+        if (!after || before.points !== after.points || before.rating !== after.rating) {
+            players.push({
+                playerId,
+                name: before.name,
+                points: { before: before.points, after: after ? after.points : null },
+                tier: { before: before.tier, after: after ? after.tier : null },
+                rating: { before: before.rating, after: after ? after.rating : null }
+            });
+        }
+    }
+
+    const afterById = new Map(matchesAfter.map(match => [match.match_id, match]));
+    const matches = [];
+
+    for (const before of matchesBefore) {
+        const after = afterById.get(before.match_id);
+
+        if (after
+            && before.winner_id === after.winner_id
+            && before.loser_id === after.loser_id
+            && before.is_draw === after.is_draw
+            && before.winner_points_change === after.winner_points_change
+            && before.loser_points_change === after.loser_points_change) {
+            continue;
+        }
+
+        matches.push({
+            matchId: before.match_id,
+            matchDate: before.match_date,
+            voided: !after,
+            before: {
+                winnerId: before.winner_id,
+                loserId: before.loser_id,
+                isDraw: before.is_draw,
+                winnerPointsChange: before.winner_points_change,
+                loserPointsChange: before.loser_points_change
+            },
+            after: after ? {
+                winnerId: after.winner_id,
+                loserId: after.loser_id,
+                isDraw: after.is_draw,
+                winnerPointsChange: after.winner_points_change,
+                loserPointsChange: after.loser_points_change
+            } : null
+        });
+    }
+
+    return { players, matches };
+};
+
+// Void (changes = null) or correct ({ winnerId, loserId, isDraw }, any omitted field
+// keeps its recorded value) a match and replay everything after it. Must run inside a transaction; roll it back for a dry run.
+// Returns { error, status } or { match, correction, gameRemoved, diff }.
+const reviseMatch = async (client, matchId, changes = null) => {
+    const matchResult = await client.query('SELECT * FROM matches WHERE match_id = $1 FOR UPDATE', [matchId]);
+
+    if (matchResult.rows.length === 0) {
+        return { error: 'Match not found', status: 404 };
+    }
+
+    const match = matchResult.rows[0];
+    const correction = changes && {
+        winnerId: changes.winnerId ?? match.winner_id,
+        loserId: changes.loserId ?? match.loser_id,
+        isDraw: changes.isDraw ?? match.is_draw
+    };
+
+    const pairingResult = await client.query(`
+        SELECT tournament_id FROM tournament_pairings WHERE match_id = $1
+    `, [matchId]);
+
+    if (pairingResult.rows.length > 0) {
+        return {
+            error: `Match belongs to tournament ${pairingResult.rows[0].tournament_id}; tournament results cannot be changed here`,
+            status: 409
+        };
+    }
+
+    // A closed season's standings, podium and reset were based on this result
+    const seasonResult = await client.query(`
+        SELECT name FROM seasons
+        WHERE status = 'closed' AND closed_at > $1
+        ORDER BY closed_at ASC
+        LIMIT 1
+    `, [match.match_date]);
+
+    if (seasonResult.rows.length > 0) {
+        return {
+            error: `Match was played before season ${seasonResult.rows[0].name} closed; closed seasons cannot be changed`,
+            status: 409
+        };
+    }
+
+    if (correction) {
+        if (correction.winnerId === correction.loserId) {
+            return {
+                error: correction.isDraw
+                    ? 'A player cannot draw against themselves'
+                    : 'Winner and loser cannot be the same player'
+            };
+        }
+
+        const found = await client.query(`
+            SELECT player_id FROM players WHERE player_id = ANY($1)
+        `, [[correction.winnerId, correction.loserId]]);
+
+        if (found.rows.length !== 2) {
+            return { error: 'One or both players not found' };
+        }
+
+        if (correction.winnerId === match.winner_id
+            && correction.loserId === match.loser_id
+            && correction.isDraw === match.is_draw) {
+            return { error: 'The correction does not change the match' };
+        }
+    }
+
+    // Lock every player so nothing else is recorded while the ladder is rebuilt
+    await client.query('SELECT player_id FROM players ORDER BY player_id FOR UPDATE');
+
+    const playersBefore = await loadPlayers(client);
+    const matchesBefore = await loadMatchesFrom(client, match);
+
+    const startingPoints = new Map();
+    playersBefore.forEach(player => startingPoints.set(player.player_id, player.points));
+    matchesBefore.forEach(later => {
+        startingPoints.set(later.winner_id, startingPoints.get(later.winner_id) - later.winner_points_change);
+        startingPoints.set(later.loser_id, startingPoints.get(later.loser_id) - later.loser_points_change);
+    });
+
+    let gameRemoved = false;
+
+    if (correction) {
+        const gameResult = await client.query('SELECT * FROM match_games WHERE match_id = $1', [matchId]);
+        const game = gameResult.rows[0];
+
+        const storedResult = game && (game.headers.Result || game.pgn.trim().split(/\s+/).pop());
+
+        if (game && expectedGameResult(game, correction) !== storedResult) {
+            await client.query('DELETE FROM match_games WHERE match_id = $1', [matchId]);
+            gameRemoved = true;
+        }
+
+        // Who had white is kept while they are still one of the players
+        await client.query(`
+            UPDATE matches SET
+                winner_id = $2, loser_id = $3, is_draw = $4,
+                white_player_id = CASE WHEN white_player_id IN ($2, $3) THEN white_player_id END
+            WHERE match_id = $1
+        `, [matchId, correction.winnerId, correction.loserId, correction.isDraw]);
+    } else {
+        await client.query('DELETE FROM matches WHERE match_id = $1', [matchId]);
+    }
+
+    const replayed = await replayPoints(client, match, startingPoints);
+    await rewriteMatchHistory(client, replayed, matchesBefore.map(later => later.match_id));
+    await replayRatings(client);
+    await replayBadges(client);
+
+    const [playersAfter, matchesAfter] = await Promise.all([
+        loadPlayers(client),
+        loadMatchesFrom(client, match)
+    ]);
+    const revised = await client.query('SELECT * FROM matches WHERE match_id = $1', [matchId]);
+
+    return {
+        match,
+        correction: revised.rows[0] || null,
+        gameRemoved,
+        diff: buildDiff(playersBefore, playersAfter, matchesBefore, matchesAfter)
+    };
+};
+
+module.exports = { reviseMatch };
@@ -0,0 +1,104 @@
+// Minimal RFC 4180 CSV reading and writing for imports and exports
+
+// Parse CSV text into { headers, rows } where each row is an object keyed by header
+// and carries its source line as row.line. Returns { error } for malformed input.
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (record.length > 1 || record[0] !== '') {
+            records.push({ values: record, line: recordLine });
+        }
+        record = [];
+        recordLine = line;
+    };
+
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line += 1;
+                field += char;
+            }
+        } else if (char === '"') {
+            if (field !== '') {
+                return { error: `Unexpected quote on line ${line}` };
+            }
+            inQuotes = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i += 1;
+            line += 1;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        return { error: `Unterminated quoted field starting before line ${line}` };
+    }
+    endRecord();
+
+    if (records.length === 0) {
+        return { error: 'CSV is empty' };
+    }
+
+    const headers = records[0].values.map(header => header.trim());
+    const rows = [];
+
+    for (const { values, line: rowLine } of records.slice(1)) {
+        if (values.length > headers.length) {
+            return { error: `Line ${rowLine} has ${values.length} fields but the header has ${headers.length}` };
+        }
+        const row = { line: rowLine };
+        headers.forEach((header, index) => {
+            row[header] = values[index] === undefined ? '' : values[index];
+        });
+        rows.push(row);
+    }
+
+    return { headers, rows };
+};
+
+// Quote a value for CSV. Text that a spreadsheet would run as a formula is prefixed with '.
+const csvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of objects to CSV text with the given column order
+const toCsv = (columns, rows) => [
+    columns.map(csvCell).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, toCsv };
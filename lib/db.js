@@ -0,0 +1,79 @@
+// Shared PostgreSQL helpers
+const { Pool } = require('pg');
+
+// DB_SSL: true (default) verifies the server certificate, no-verify encrypts without
+// checking it (self-signed hosts), false connects in plain text (local development)
+const sslSetting = (value = process.env.DB_SSL) => {
+    if (value === undefined || value === '' || value === 'true') {
+        return true;
+    }
+    if (value === 'no-verify') {
+        return { rejectUnauthorized: false };
+    }
+    if (value === 'false') {
+        return false;
+    }
+    throw new Error('DB_SSL must be one of: true, no-verify, false');
+};
+
+// PostgreSQL configuration
+const createPool = (overrides = {}) => new Pool({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'postgres',
+    password: process.env.DB_PASSWORD || 'password',
+    database: process.env.DB_NAME || 'crown_point_chess_club',
+    port: process.env.DB_PORT || 5432,
+    max: process.env.DB_POOL_MAX || 10,
+    idleTimeoutMillis: process.env.DB_POOL_IDLE_TIMEOUT || 30000,
+    connectionTimeoutMillis: 2000,
+    ssl: sslSetting(),
+    ...overrides
+});
+
+// Run work(client) inside BEGIN/COMMIT, rolling back if it throws
+const withTransaction = async (pool, work) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Run work(client) inside a transaction that is always rolled back, for dry runs
+const withRollback = async (pool, work) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        return await work(client);
+    } finally {
+        await client.query('ROLLBACK');
+        client.release();
+    }
+};
+
+// Run work(client) in a transaction now and then every `minutes`, handing each result
+// to report(result). A failed run is logged as "<label> failed" and the next one goes
+// ahead as planned. Returns the timer, which does not keep the process alive.
+const runPeriodically = (pool, minutes, { label, work, report }, log = console) => {
+    const tick = async () => {
+        try {
+            report(await withTransaction(pool, work));
+        } catch (error) {
+            log.error(`${label} failed:`, error);
+        }
+    };
+
+    tick();
+    const timer = setInterval(tick, minutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { createPool, withTransaction, withRollback, runPeriodically };
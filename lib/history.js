@@ -0,0 +1,179 @@
+// Leaderboard history rebuilt from points_history and matches.
+// Rank order matches the live leaderboard: points, then wins, then name.
+const { DEFAULT_RATING } = require('./rating');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// YYYY-MM-DD, optionally followed by a time and a UTC offset
+const ISO_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,6})?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Parse ?asOf=. A bare date means the end of that day.
+// Returns { cutoff, span } for "recorded_at < cutoff + span", or null if invalid.
+const parseAsOf = (value) => {
+    const parts = typeof value === 'string' && value.match(ISO_TIMESTAMP);
+
+    if (!parts) {
+        return null;
+    }
+
+    const [year, month, day, hour, minute, second] = parts.slice(1).map(part => Number(part || 0));
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+        return null;
+    }
+    return { cutoff: value, span: DATE_ONLY.test(value) ? '1 day' : '1 microsecond' };
+};
+
+// The leaderboard as it stood at asOf (from parseAsOf), sorted by 'points' or 'rating'
+const leaderboardAsOf = async (db, { cutoff, span }, sort = 'points') => {
+    const result = await db.query(`
+        WITH latest AS (
+            SELECT DISTINCT ON (h.player_id) h.player_id, h.points, h.tier
+            FROM points_history h
+            WHERE h.recorded_at < $1::TIMESTAMP + $2::INTERVAL
+            ORDER BY h.player_id, h.recorded_at DESC, h.history_id DESC
+        ),
+        games AS (
+            SELECT match_id, match_date, winner_id as player_id,
+                   CASE WHEN is_draw THEN 'draw' ELSE 'win' END as result,
+                   winner_rating_before + winner_rating_change as rating_after
+            FROM matches WHERE match_date < $1::TIMESTAMP + $2::INTERVAL
+            UNION ALL
+            SELECT match_id, match_date, loser_id as player_id,
+                   CASE WHEN is_draw THEN 'draw' ELSE 'loss' END as result,
+                   loser_rating_before + loser_rating_change as rating_after
+            FROM matches WHERE match_date < $1::TIMESTAMP + $2::INTERVAL
+        ),
+        records AS (
+            SELECT player_id,
+                   COUNT(*) FILTER (WHERE result = 'win') as win_count,
+                   COUNT(*) FILTER (WHERE result = 'loss') as loss_count,
+                   COUNT(*) FILTER (WHERE result = 'draw') as draw_count
+            FROM games
+            GROUP BY player_id
+        ),
+        ratings AS (
+            SELECT DISTINCT ON (player_id) player_id, rating_after
+            FROM games
+            ORDER BY player_id, match_date DESC, match_id DESC
+        )
+        SELECT
+            p.player_id as id,
+            p.name,
+            l.points,
+            l.tier,
+            ROUND(COALESCE(r.rating_after, $3))::INTEGER as rating,
+            COALESCE(rec.win_count, 0) as wins,
+            COALESCE(rec.loss_count, 0) as losses,
+            COALESCE(rec.draw_count, 0) as draws,
+            CASE
+                WHEN COALESCE(rec.win_count, 0) + COALESCE(rec.loss_count, 0) + COALESCE(rec.draw_count, 0) = 0 THEN 0
+                ELSE ROUND(((COALESCE(rec.win_count, 0) + COALESCE(rec.draw_count, 0) * 0.5)::NUMERIC / (COALESCE(rec.win_count, 0) + COALESCE(rec.loss_count, 0) + COALESCE(rec.draw_count, 0))) * 100, 2)
+            END as win_percentage,
+            EXISTS (
+                SELECT 1 FROM monthly_archives ma
+                WHERE p.player_id IN (ma.first_place_player_id, ma.second_place_player_id, ma.third_place_player_id)
+                AND ma.created_at < $1::TIMESTAMP + $2::INTERVAL
+            ) as is_champion,
+            EXISTS (
+                SELECT 1 FROM tournament_winners tw
+                WHERE tw.player_id = p.player_id AND tw.tournament_date < $1::TIMESTAMP + $2::INTERVAL
+            ) as is_tournament_winner,
+            ROW_NUMBER() OVER (ORDER BY l.points DESC, COALESCE(rec.win_count, 0) DESC, p.name ASC) as rank,
+            ROW_NUMBER() OVER (ORDER BY COALESCE(r.rating_after, $3) DESC, l.points DESC, p.name ASC) as rating_rank
+        FROM latest l
+        JOIN players p ON l.player_id = p.player_id
+        LEFT JOIN records rec ON p.player_id = rec.player_id
+        LEFT JOIN ratings r ON p.player_id = r.player_id
+        ORDER BY ${sort === 'rating' ? 'rating_rank' : 'rank'}
+    `, [cutoff, span, DEFAULT_RATING]);
+    return result.rows;
+};
+
+// Compare two standings entries in leaderboard order
+const ranksAbove = (a, b) => {
+    if (a.points !== b.points) return a.points > b.points;
+    if (a.wins !== b.wins) return a.wins > b.wins;
+    return a.name < b.name;
+};
+
+// Points, tier and rank among active players (as on the leaderboard) for a player
+// after every change to their points. Returns null when the player does not exist.
+const playerHistory = async (repos, playerId) => {
+    const player = await repos.players.findById(playerId);
+
+    if (!player) {
+        return null;
+    }
+
+    const rows = await repos.players.rankHistory(playerId);
+    const wins = rows.length > 0 ? await repos.matches.winDates(rows[rows.length - 1].recorded_at) : [];
+
+    const standings = new Map();
+    const series = [];
+    let winIndex = 0;
+
+    // Changes made at the same moment (both sides of a match) are applied together
+    for (let i = 0; i < rows.length;) {
+        const moment = rows[i].recorded_at.getTime();
+        let own = null;
+
+        for (; i < rows.length && rows[i].recorded_at.getTime() === moment; i++) {
+            const row = rows[i];
+            const entry = standings.get(row.player_id) || { name: row.name, wins: 0 };
+            entry.points = row.points;
+            standings.set(row.player_id, entry);
+
+            if (row.player_id === playerId) {
+                own = row;
+            }
+        }
+
+        while (winIndex < wins.length && wins[winIndex].match_date.getTime() <= moment) {
+            const entry = standings.get(wins[winIndex].player_id);
+            if (entry) entry.wins += 1;
+            winIndex += 1;
+        }
+
+        if (own) {
+            const self = standings.get(playerId);
+            let rank = 1;
+            standings.forEach((other, otherId) => {
+                if (otherId !== playerId && ranksAbove(other, self)) rank += 1;
+            });
+
+            series.push({
+                recorded_at: own.recorded_at,
+                match_id: own.match_id,
+                points: own.points,
+                tier: own.tier,
+                rank,
+                player_count: standings.size
+            });
+        }
+    }
+
+    return { player: { id: player.player_id, name: player.name }, history: series };
+};
+
+// After a replay, replace the history rows of the replayed matches with the
+// recomputed points. replayed: [{ match, winnerPoints, loserPoints }] (points after the game).
+const rewriteMatchHistory = async (client, replayed, matchIds) => {
+    // Rows the replay's own player updates just left behind, plus the old match rows
+    await client.query(`
+        DELETE FROM points_history
+        WHERE match_id = ANY($1) OR (match_id IS NULL AND recorded_at = NOW())
+    `, [matchIds]);
+
+    for (const { match, winnerPoints, loserPoints } of replayed) {
+        await client.query(`
+            INSERT INTO points_history (player_id, match_id, points, tier, recorded_at)
+            SELECT player_id, m.match_id, points, get_tier(points, m.rules_version), m.match_date
+            FROM matches m, (VALUES ($1::INTEGER, $3::INTEGER), ($2::INTEGER, $4::INTEGER)) as after (player_id, points)
+            WHERE m.match_id = $5
+        `, [match.winner_id, match.loser_id, winnerPoints, loserPoints, match.match_id]);
+    }
+};
+
+module.exports = { parseAsOf, leaderboardAsOf, playerHistory, rewriteMatchHistory };
@@ -0,0 +1,260 @@
+// Bulk imports of player rosters and match logs.
+// Every row is validated before anything is written; callers run the writes in one
+// transaction so an import either lands completely or not at all.
+const { validateProfile } = require('./players');
+const { recordMatch } = require('./matches');
+const { loadRules, startingPointsRange } = require('./points');
+
+const MAX_ROWS = 1000;
+
+// "Graduation Year", "graduation_year" and "graduationYear" all become "graduationyear"
+const normalizeKeys = (row) => {
+    const normalized = {};
+    Object.entries(row).forEach(([key, value]) => {
+        normalized[key.toLowerCase().replace(/[^a-z0-9]/g, '')] = typeof value === 'string' ? value.trim() : value;
+    });
+    return normalized;
+};
+
+// CSV cells arrive as text; whole numbers are converted, anything else is left for validation to reject
+const toInteger = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    return typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+};
+
+const toBoolean = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return false;
+    }
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    const text = String(value).toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(text)) return true;
+    if (['false', 'no', 'n', '0'].includes(text)) return false;
+    return null;
+};
+
+// Shared checks on the row list itself. Returns an error message or null.
+const checkRows = (rows) => {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return 'No rows to import';
+    }
+    if (rows.length > MAX_ROWS) {
+        return `At most ${MAX_ROWS} rows can be imported at once`;
+    }
+    return null;
+};
+
+// Per-row error with the row's position (1-based) and CSV line when known
+const rowError = (row, index, error) => ({ row: index + 1, ...(row.line ? { line: row.line } : {}), error });
+
+// Validate a roster. Columns: name, email, grade, graduation year, points (within the
+// starting points the current scoring rules allow).
+// Returns { errors } or { players } ready for insertPlayers().
+const validatePlayers = async (db, rows) => {
+    const listError = checkRows(rows);
+    if (listError) {
+        return { errors: [{ row: null, error: listError }] };
+    }
+
+    const existing = await db.query('SELECT LOWER(name) as name, LOWER(email) as email FROM players');
+    const { min, max } = startingPointsRange((await loadRules(db)).rules);
+    const takenNames = new Set(existing.rows.map(row => row.name));
+    const takenEmails = new Set(existing.rows.filter(row => row.email).map(row => row.email));
+
+    const errors = [];
+    const players = [];
+
+    rows.forEach((raw, index) => {
+        const row = normalizeKeys(raw);
+        const profile = validateProfile({
+            name: row.name === undefined ? '' : row.name,
+            email: row.email === undefined ? undefined : row.email,
+            grade: toInteger(row.grade),
+            graduationYear: toInteger(row.graduationyear)
+        });
+
+        if (profile.error) {
+            errors.push(rowError(raw, index, profile.error));
+            return;
+        }
+
+        const points = toInteger(row.points) ?? min;
+        if (!Number.isInteger(points) || points < min || points > max) {
+            errors.push(rowError(raw, index, `Points must be a whole number between ${min} and ${max}`));
+            return;
+        }
+
+        const { name, email = null, grade = null, graduation_year = null } = profile.values;
+
+        if (takenNames.has(name.toLowerCase())) {
+            errors.push(rowError(raw, index, `Player name ${name} already exists`));
+            return;
+        }
+        if (email && takenEmails.has(email.toLowerCase())) {
+            errors.push(rowError(raw, index, `Email address ${email} already in use`));
+            return;
+        }
+
+        takenNames.add(name.toLowerCase());
+        if (email) takenEmails.add(email.toLowerCase());
+        players.push({ name, email, grade, graduation_year, points });
+    });
+
+    return errors.length > 0 ? { errors } : { players };
+};
+
+const insertPlayers = async (client, players) => {
+    const created = [];
+
+    for (const player of players) {
+        const result = await client.query(`
+            INSERT INTO players (name, points, email, grade, graduation_year)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [player.name, player.points, player.email, player.grade, player.graduation_year]);
+        created.push(result.rows[0]);
+    }
+
+    return created;
+};
+
+// Check a match log against players ({ player_id, name, is_active } for everyone)
+// without touching the database. Columns: winner, loser (names, or winner id /
+// loser id), draw (yes/no), date (optional; defaults to now). Dated games must not
+// be before earliest. Returns { errors } or { matches } in the order they should be
+// recorded.
+const checkMatchRows = (rows, players, earliest = null) => {
+    const listError = checkRows(rows);
+    if (listError) {
+        return { errors: [{ row: null, error: listError }] };
+    }
+
+    const byName = new Map(players.map(player => [player.name.toLowerCase(), player]));
+    const byId = new Map(players.map(player => [player.player_id, player]));
+    const now = new Date();
+
+    const errors = [];
+    const matches = [];
+
+    const findPlayer = (name, id) => {
+        const playerId = toInteger(id);
+        if (playerId !== undefined) return byId.get(playerId);
+        return name ? byName.get(String(name).toLowerCase()) : undefined;
+    };
+
+    rows.forEach((raw, index) => {
+        const row = normalizeKeys(raw);
+        const winner = findPlayer(row.winner ?? row.winnername, row.winnerid);
+        const loser = findPlayer(row.loser ?? row.losername, row.loserid);
+        const isDraw = toBoolean(row.draw ?? row.isdraw);
+        const dateText = row.date ?? row.matchdate;
+
+        if (!winner || !loser) {
+            errors.push(rowError(raw, index, `${!winner ? 'Winner' : 'Loser'} not found`));
+            return;
+        }
+        if (winner.player_id === loser.player_id) {
+            errors.push(rowError(raw, index, isDraw ? 'A player cannot draw against themselves' : 'Winner and loser cannot be the same player'));
+            return;
+        }
+        if (!winner.is_active || !loser.is_active) {
+            errors.push(rowError(raw, index, `${!winner.is_active ? winner.name : loser.name} is inactive`));
+            return;
+        }
+        if (isDraw === null) {
+            errors.push(rowError(raw, index, 'Draw must be yes or no'));
+            return;
+        }
+
+        let matchDate = null;
+        if (dateText) {
+            matchDate = new Date(dateText);
+            if (isNaN(matchDate.getTime())) {
+                errors.push(rowError(raw, index, `Invalid date ${dateText}`));
+                return;
+            }
+            if (matchDate > now) {
+                errors.push(rowError(raw, index, 'Date is in the future'));
+                return;
+            }
+            if (earliest && matchDate < earliest) {
+                errors.push(rowError(raw, index, `Date is before ${earliest.toISOString()}, the latest recorded match or season close`));
+                return;
+            }
+        }
+
+        matches.push({ row: index + 1, winner, loser, isDraw, matchDate });
+    });
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    // Oldest first; undated games are played "now" and keep their file order at the end
+    matches.sort((a, b) => {
+        if (a.matchDate && b.matchDate) return a.matchDate - b.matchDate || a.row - b.row;
+        if (a.matchDate) return -1;
+        if (b.matchDate) return 1;
+        return a.row - b.row;
+    });
+
+    return { matches };
+};
+
+// Validate a match log as checkMatchRows does. Dated games must be newer than every
+// recorded match and the last season close, since earlier points cannot be rewritten.
+const validateMatches = async (db, rows) => {
+    const listError = checkRows(rows);
+    if (listError) {
+        return { errors: [{ row: null, error: listError }] };
+    }
+
+    const [playersResult, boundResult] = await Promise.all([
+        db.query('SELECT player_id, name, is_active FROM players'),
+        db.query(`
+            SELECT GREATEST(
+                (SELECT MAX(match_date) FROM matches),
+                (SELECT MAX(closed_at) FROM seasons)
+            ) as earliest
+        `)
+    ]);
+
+    return checkMatchRows(rows, playersResult.rows, boundResult.rows[0].earliest);
+};
+
+// Record validated matches in order. A dated game is moved to its date afterwards,
+// together with the points history it produced.
+const insertMatches = async (client, matches) => {
+    const recorded = [];
+
+    for (const entry of matches) {
+        const outcome = await recordMatch(client, {
+            winnerName: entry.winner.name,
+            loserName: entry.loser.name,
+            isDraw: entry.isDraw
+        });
+
+        if (outcome.error) {
+            throw new Error(`Row ${entry.row}: ${outcome.error}`);
+        }
+
+        if (entry.matchDate) {
+            await client.query('UPDATE matches SET match_date = $2 WHERE match_id = $1', [
+                outcome.match.match_id, entry.matchDate
+            ]);
+            await client.query('UPDATE points_history SET recorded_at = $2 WHERE match_id = $1', [
+                outcome.match.match_id, entry.matchDate
+            ]);
+        }
+
+        recorded.push({ row: entry.row, matchId: outcome.match.match_id, message: outcome.message });
+    }
+
+    return recorded;
+};
+
+module.exports = { MAX_ROWS, validatePlayers, insertPlayers, checkMatchRows, validateMatches, insertMatches };
@@ -0,0 +1,221 @@
+// Live feed behind /api/live (Server-Sent Events).
+//
+// Writes publish events from inside their transaction with tx.publish() (see
+// lib/repositories). Postgres stores each event in live_events and announces it
+// with NOTIFY; every server process LISTENs, reads the new rows and hands them to
+// its own subscribers, so a match recorded through one process reaches TVs
+// connected to another. The memory backend delivers in-process.
+//
+// Subscribers name the topics they want: leaderboard, matches, or tournament:<id>.
+// A client that reconnects with Last-Event-ID gets the events it missed; if those
+// have already been pruned it gets a reset event and should refetch everything.
+const { LIVE_CHANNEL } = require('./repositories/postgres');
+
+const TOPICS = ['leaderboard', 'matches'];
+const TOURNAMENT_TOPIC = /^tournament:\d+$/;
+
+// Events read per query when catching up or replaying
+const BATCH_SIZE = 200;
+
+// A reconnecting client further behind than this is sent a reset instead
+const MAX_REPLAY = 1000;
+
+const RECONNECT_DELAY_MS = 5000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const isTopic = (topic) => TOPICS.includes(topic) || TOURNAMENT_TOPIC.test(topic);
+
+const tournamentTopic = (tournamentId) => `tournament:${tournamentId}`;
+
+// Current standings of active players on the leaderboard topic. reason names the
+// write that changed them (match.record, player.create, ...).
+const publishStandings = async (tx, reason, details = {}) => tx.publish('leaderboard', 'standings', {
+    reason,
+    ...details,
+    players: await tx.players.leaderboard('points')
+});
+
+// A match as it appears in match history, on the matches topic
+const publishMatch = async (tx, matchId, { type = 'match.recorded' } = {}) => tx.publish('matches', type, {
+    match: await tx.matches.findDetailed(matchId)
+});
+
+// LIVE_RETENTION_HOURS: how long stored events stay available for resuming (default 24)
+const liveSettings = (env = process.env) => {
+    const retentionHours = env.LIVE_RETENTION_HOURS === undefined ? 24 : Number(env.LIVE_RETENTION_HOURS);
+
+    if (!(retentionHours > 0)) {
+        throw new Error('LIVE_RETENTION_HOURS must be a positive number');
+    }
+
+    return { retentionHours };
+};
+
+const createLiveFeed = ({ backend, pool, repos, settings, log = console }) => {
+    const subscribers = new Set();
+    let lastSeen = 0;
+    let listener = null;
+    let stopListening = null;
+    let reconnectTimer = null;
+    let pruneTimer = null;
+    let stopped = false;
+
+    const deliver = (event) => {
+        lastSeen = Math.max(lastSeen, event.event_id);
+
+        subscribers.forEach(subscriber => {
+            if (!subscriber.topics.has(event.topic)) return;
+
+            if (subscriber.pending) {
+                subscriber.pending.push(event);
+            } else {
+                subscriber.send(event);
+            }
+        });
+    };
+
+    // Read everything newer than lastSeen. Notifications that arrive while a read is
+    // running trigger one more pass instead of a parallel read.
+    let catchingUp = null;
+    let catchUpAgain = false;
+    const catchUp = () => {
+        if (catchingUp) {
+            catchUpAgain = true;
+            return catchingUp;
+        }
+
+        catchingUp = (async () => {
+            do {
+                catchUpAgain = false;
+                const events = await repos.events.since(lastSeen, BATCH_SIZE);
+                events.forEach(deliver);
+                if (events.length === BATCH_SIZE) catchUpAgain = true;
+            } while (catchUpAgain);
+        })().finally(() => {
+            catchingUp = null;
+        });
+
+        return catchingUp;
+    };
+
+    const scheduleReconnect = () => {
+        if (stopped || reconnectTimer) return;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            listen();
+        }, RECONNECT_DELAY_MS);
+        reconnectTimer.unref();
+    };
+
+    // Hold one pooled connection for LISTEN; events missed while it was down are
+    // picked up by the catch-up that follows every (re)connect
+    const listen = async () => {
+        let client = null;
+
+        try {
+            client = await pool.connect();
+            client.on('notification', () => {
+                catchUp().catch(error => log.error('Live feed catch-up failed:', error));
+            });
+            client.on('error', (error) => {
+                log.error('Live feed connection lost:', error);
+                if (listener === client) {
+                    listener = null;
+                    client.release(error);
+                }
+                scheduleReconnect();
+            });
+
+            await client.query(`LISTEN ${LIVE_CHANNEL}`);
+            listener = client;
+            await catchUp();
+        } catch (error) {
+            log.error('Live feed could not listen for events:', error);
+            if (client && listener !== client) client.release(error);
+            scheduleReconnect();
+        }
+    };
+
+    const prune = () => repos.events.prune(settings.retentionHours)
+        .catch(error => log.error('Pruning live events failed:', error));
+
+    return {
+        start: async () => {
+            if (backend === 'memory') {
+                stopListening = repos.onEvent(deliver);
+                return;
+            }
+
+            const { latest } = await repos.events.bounds();
+            lastSeen = latest || 0;
+            await listen();
+
+            prune();
+            pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+            pruneTimer.unref();
+        },
+
+        stop: () => {
+            stopped = true;
+            clearTimeout(reconnectTimer);
+            clearInterval(pruneTimer);
+            if (stopListening) stopListening();
+            if (listener) {
+                listener.release();
+                listener = null;
+            }
+            subscribers.forEach(subscriber => subscriber.close());
+        },
+
+        // Register send(event) for events on topics. With lastEventId, events after it are
+        // replayed first; send(null) means the client is too far behind and must refetch.
+        // close() is called when the feed shuts down. Returns an unsubscribe function.
+        subscribe: async ({ topics, lastEventId = null }, send, close) => {
+            // Live events that arrive during the replay wait in pending so order is kept
+            const subscriber = { topics: new Set(topics), send, close, pending: [] };
+            subscribers.add(subscriber);
+
+            try {
+                let replayedUpTo = lastEventId;
+
+                if (lastEventId !== null && lastEventId < lastSeen) {
+                    const { oldest } = await repos.events.bounds();
+                    const upTo = lastSeen;
+
+                    if (oldest === null || oldest > lastEventId + 1 || upTo - lastEventId > MAX_REPLAY) {
+                        send(null);
+                    } else {
+                        let after = lastEventId;
+                        while (after < upTo) {
+                            const events = await repos.events.since(after, BATCH_SIZE);
+                            if (events.length === 0) break;
+                            events.filter(event => event.event_id <= upTo && subscriber.topics.has(event.topic)).forEach(send);
+                            after = events[events.length - 1].event_id;
+                        }
+                    }
+                    replayedUpTo = upTo;
+                }
+
+                subscriber.pending
+                    .filter(event => replayedUpTo === null || event.event_id > replayedUpTo)
+                    .forEach(send);
+            } finally {
+                subscriber.pending = null;
+            }
+
+            return () => subscribers.delete(subscriber);
+        },
+
+        subscriberCount: () => subscribers.size
+    };
+};
+
+module.exports = {
+    TOPICS,
+    isTopic,
+    tournamentTopic,
+    publishStandings,
+    publishMatch,
+    liveSettings,
+    createLiveFeed
+};
@@ -0,0 +1,413 @@
+// Match recording shared by the admin routes and maintenance scripts
+const rating = require('./rating');
+const { formatPgn } = require('./pgn');
+const { awardMatchBadges } = require('./achievements');
+const { loadRules, pointsChange, tierFor } = require('./points');
+
+const TIME_CONTROLS = ['bullet', 'blitz', 'rapid', 'classical'];
+
+// A custom clock is filed by its estimated length, minutes + 40 moves of increment:
+// under 3 minutes bullet, under 8 blitz, under 25 rapid, classical beyond
+const TIME_CONTROL_LIMITS = [['bullet', 3], ['blitz', 8], ['rapid', 25]];
+
+const CLOCK_PATTERN = /^(\d+)\+(\d+)$/;
+const ECO_PATTERN = /^[A-E]\d{2}$/;
+
+// Optional text details: request field, column and longest value
+const DETAIL_FIELDS = [
+    ['opening', 'opening', 100],
+    ['event', 'event', 100],
+    ['round', 'round', 20],
+    ['notes', 'notes', 1000]
+];
+
+const timeControlFor = (minutes, increment) => {
+    const estimate = minutes + increment * 40 / 60;
+    const match = TIME_CONTROL_LIMITS.find(([, limit]) => estimate < limit);
+    return match ? match[0] : 'classical';
+};
+
+// Check a match's optional metadata: timeControl (a category, or "minutes+increment"
+// for a custom clock), eco, opening, event, round and notes. Who had white is checked
+// by the caller, which knows the players. Returns { error } or { values } keyed by
+// column; fields left out are not in values.
+const validateMatchDetails = (body) => {
+    const values = {};
+
+    if (body.timeControl !== undefined && body.timeControl !== null && body.timeControl !== '') {
+        const timeControl = String(body.timeControl).trim().toLowerCase();
+        const clock = CLOCK_PATTERN.exec(timeControl);
+
+        if (clock) {
+            const [minutes, increment] = [Number(clock[1]), Number(clock[2])];
+
+            if (minutes < 1 || minutes > 600 || increment > 600) {
+                return { error: 'A custom time control needs 1 to 600 minutes and at most 600 seconds increment' };
+            }
+            Object.assign(values, {
+                time_control: timeControlFor(minutes, increment),
+                clock_minutes: minutes,
+                clock_increment: increment
+            });
+        } else if (TIME_CONTROLS.includes(timeControl)) {
+            values.time_control = timeControl;
+        } else {
+            return { error: `timeControl must be one of ${TIME_CONTROLS.join(', ')} or minutes+increment, e.g. 10+5` };
+        }
+    }
+
+    if (body.eco !== undefined && body.eco !== null && body.eco !== '') {
+        const eco = String(body.eco).trim().toUpperCase();
+
+        if (!ECO_PATTERN.test(eco)) {
+            return { error: 'eco must be an ECO code from A00 to E99' };
+        }
+        values.eco = eco;
+    }
+
+    for (const [field, column, maxLength] of DETAIL_FIELDS) {
+        const value = body[field];
+
+        if (value === undefined || value === null || value === '') continue;
+
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return { error: `${field} must be text` };
+        }
+        if (String(value).trim().length > maxLength) {
+            return { error: `${field} must be at most ${maxLength} characters` };
+        }
+        if (String(value).trim() !== '') {
+            values[column] = String(value).trim();
+        }
+    }
+
+    return { values };
+};
+
+// PGN tags that fill in match details, and the details they fill
+const PGN_TAGS = { ECO: 'eco', Opening: 'opening', Event: 'event', Round: 'round' };
+
+// Details a game's PGN tags supply, as columns; tags left as ? or - are unknown and
+// ones that fail validation are skipped
+const pgnDetails = (headers) => Object.assign({}, ...Object.entries(PGN_TAGS).map(([tag, field]) => {
+    const value = headers[tag];
+
+    if (!value || value === '?' || value === '-') {
+        return {};
+    }
+
+    const parsed = validateMatchDetails({ [field]: value });
+    return parsed.error ? {} : parsed.values;
+}));
+
+const toRating = (player) => ({
+    rating: player.rating,
+    deviation: player.rating_deviation,
+    volatility: player.rating_volatility
+});
+
+// Update both players' ratings for a freshly recorded match row
+const applyMatchRating = async (client, match) => {
+    const playersResult = await client.query(`
+        SELECT player_id, rating, rating_deviation, rating_volatility
+        FROM players
+        WHERE player_id = ANY($1)
+        FOR UPDATE
+    `, [[match.winner_id, match.loser_id]]);
+
+    const byId = {};
+    playersResult.rows.forEach(player => {
+        byId[player.player_id] = player;
+    });
+    const winner = byId[match.winner_id];
+    const loser = byId[match.loser_id];
+
+    const [winnerAfter, loserAfter] = rating.rateGame(
+        toRating(winner),
+        toRating(loser),
+        match.is_draw ? 0.5 : 1
+    );
+
+    await client.query(`
+        UPDATE players
+        SET rating = $2, rating_deviation = $3, rating_volatility = $4, rated_games = rated_games + 1
+        WHERE player_id = $1
+    `, [match.winner_id, winnerAfter.rating, winnerAfter.deviation, winnerAfter.volatility]);
+    await client.query(`
+        UPDATE players
+        SET rating = $2, rating_deviation = $3, rating_volatility = $4, rated_games = rated_games + 1
+        WHERE player_id = $1
+    `, [match.loser_id, loserAfter.rating, loserAfter.deviation, loserAfter.volatility]);
+    await client.query(`
+        UPDATE matches
+        SET winner_rating_before = $2, loser_rating_before = $3,
+            winner_rating_change = $4, loser_rating_change = $5
+        WHERE match_id = $1
+    `, [
+        match.match_id,
+        winner.rating, loser.rating,
+        winnerAfter.rating - winner.rating, loserAfter.rating - loser.rating
+    ]);
+
+    return { winner: winnerAfter, loser: loserAfter };
+};
+
+// Games each player has played, by player ID
+const gamesPlayed = async (client, playerIds) => {
+    const result = await client.query(`
+        SELECT p.player_id, COUNT(m.match_id)::INTEGER as games
+        FROM players p
+        LEFT JOIN matches m ON p.player_id IN (m.winner_id, m.loser_id)
+        WHERE p.player_id = ANY($1)
+        GROUP BY p.player_id
+    `, [playerIds]);
+    return new Map(result.rows.map(row => [row.player_id, row.games]));
+};
+
+// Record a result under the current scoring rules (lib/points.js), then rate it and
+// award any badges it earns. For a draw, winnerName and loserName are just the two
+// players. isForfeit marks a win awarded without the game being played (see
+// lib/challenges.js); details are matches columns from validateMatchDetails, plus
+// white_player_id. Must run inside a transaction. Returns { error } when the result
+// cannot be recorded, otherwise { message, match, badges }.
+const recordMatch = async (client, { winnerName, loserName, isDraw = false, isForfeit = false, details = {} }) => {
+    const playersResult = await client.query(`
+        SELECT * FROM players WHERE name = ANY($1) ORDER BY player_id FOR UPDATE
+    `, [[winnerName, loserName]]);
+
+    const winner = playersResult.rows.find(row => row.name === winnerName);
+    const loser = playersResult.rows.find(row => row.name === loserName);
+
+    if (!winner) {
+        return { error: `Error: Player ${winnerName} not found` };
+    }
+    if (!loser) {
+        return { error: `Error: Player ${loserName} not found` };
+    }
+    if (winner.player_id === loser.player_id) {
+        return { error: isDraw ? 'Error: A player cannot draw against themselves' : 'Error: Winner and loser cannot be the same player' };
+    }
+
+    const { version, rules } = await loadRules(client);
+    const games = await gamesPlayed(client, [winner.player_id, loser.player_id]);
+    const [winnerChange, loserChange] = pointsChange(
+        rules,
+        { points: winner.points, games: games.get(winner.player_id) },
+        { points: loser.points, games: games.get(loser.player_id) },
+        isDraw
+    );
+
+    const matchResult = await client.query(`
+        INSERT INTO matches (
+            winner_id, loser_id,
+            winner_tier_before, loser_tier_before,
+            winner_points_change, loser_points_change,
+            is_draw, is_forfeit, rules_version
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+    `, [
+        winner.player_id, loser.player_id,
+        winner.tier, loser.tier,
+        winnerChange, loserChange,
+        isDraw, isForfeit, version
+    ]);
+
+    const match = matchResult.rows[0];
+
+    await client.query('UPDATE players SET points = points + $2 WHERE player_id = $1', [winner.player_id, winnerChange]);
+    await client.query('UPDATE players SET points = points + $2 WHERE player_id = $1', [loser.player_id, loserChange]);
+
+    const message = isDraw
+        ? `Draw recorded: ${winner.name} (${winnerChange}) vs ${loser.name} (${loserChange})`
+        : `Match recorded: ${winner.name} (+${winnerChange}) defeated ${loser.name} (-${-loserChange})`;
+
+    const columns = Object.keys(details);
+    if (columns.length > 0) {
+        await client.query(`
+            UPDATE matches SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}
+            WHERE match_id = $1
+        `, [match.match_id, ...columns.map(column => details[column])]);
+    }
+
+    // The points_history trigger fired for both players; tie those rows to the match
+    await client.query(`
+        UPDATE points_history SET match_id = $1
+        WHERE player_id = ANY($2) AND match_id IS NULL
+        AND recorded_at = (SELECT match_date FROM matches WHERE match_id = $1)
+    `, [match.match_id, [match.winner_id, match.loser_id]]);
+
+    await applyMatchRating(client, match);
+
+    const ratedResult = await client.query('SELECT * FROM matches WHERE match_id = $1', [match.match_id]);
+    const badges = await awardMatchBadges(client, ratedResult.rows[0]);
+
+    return { message, match: ratedResult.rows[0], badges };
+};
+
+// A player after one more game that changed their points by change and left their
+// rating at rated (from rating.rateGame). player has the points, games and rating
+// columns of a players row, games being how many they had played.
+const afterGame = (rules, player, change, rated) => ({
+    ...player,
+    points: player.points + change,
+    tier: tierFor(player.points + change, rules),
+    games: player.games + 1,
+    rating: rated.rating,
+    rating_deviation: rated.deviation,
+    rating_volatility: rated.volatility
+});
+
+// Both players after one game, scored the way recordMatch scores it but without
+// writing anything: [winnerAfter, loserAfter]. For a draw they are just the two
+// players.
+const playGame = (rules, winner, loser, isDraw) => {
+    const [winnerChange, loserChange] = pointsChange(rules, winner, loser, isDraw);
+    const [winnerRated, loserRated] = rating.rateGame(toRating(winner), toRating(loser), isDraw ? 0.5 : 1);
+
+    return [afterGame(rules, winner, winnerChange, winnerRated), afterGame(rules, loser, loserChange, loserRated)];
+};
+
+// How a game moved a player: { pointsChange, points, tier, ratingChange }
+const gameChange = (before, after) => ({
+    pointsChange: after.points - before.points,
+    points: after.points,
+    tier: after.tier,
+    ratingChange: Math.round(after.rating - before.rating)
+});
+
+// What every result of a game between white and black (as for playGame) would do
+// to their points, tiers and ratings under rules. Returns [{ result, white, black }].
+const previewMatch = (rules, white, black) => [
+    { result: 'white', isDraw: false, whiteWins: true },
+    { result: 'black', isDraw: false, whiteWins: false },
+    { result: 'draw', isDraw: true, whiteWins: true }
+].map(({ result, isDraw, whiteWins }) => {
+    const [whiteAfter, blackAfter] = whiteWins
+        ? playGame(rules, white, black, isDraw)
+        : playGame(rules, black, white, isDraw).reverse();
+
+    return { result, white: gameChange(white, whiteAfter), black: gameChange(black, blackAfter) };
+});
+
+// Play matches from checkMatchRows() in order on copies of players (a Map of player
+// ID to the fields playGame needs, plus name and wins). Returns { results, players }
+// with each match's { index, isDraw, winner, loser } and the players afterwards.
+const simulateMatches = (rules, players, matches) => {
+    const after = new Map([...players].map(([playerId, player]) => [playerId, { ...player }]));
+
+    const results = matches.map(({ row, winner: { player_id: winnerId }, loser: { player_id: loserId }, isDraw }) => {
+        const winner = after.get(winnerId);
+        const loser = after.get(loserId);
+        const [winnerAfter, loserAfter] = playGame(rules, winner, loser, isDraw);
+
+        after.set(winnerId, { ...winnerAfter, wins: winner.wins + (isDraw ? 0 : 1) });
+        after.set(loserId, loserAfter);
+
+        return {
+            index: row - 1,
+            isDraw,
+            winner: { id: winnerId, name: winner.name, ...gameChange(winner, winnerAfter) },
+            loser: { id: loserId, name: loser.name, ...gameChange(loser, loserAfter) }
+        };
+    });
+
+    return { results, players: after };
+};
+
+// Recompute every rating from scratch by replaying all matches in the order they were played
+const replayRatings = async (client) => {
+    const playersResult = await client.query('SELECT player_id FROM players');
+    const ratings = new Map();
+    const gamesPlayed = new Map();
+    playersResult.rows.forEach(player => {
+        ratings.set(player.player_id, rating.newRating());
+        gamesPlayed.set(player.player_id, 0);
+    });
+
+    const matchesResult = await client.query(`
+        SELECT match_id, winner_id, loser_id, is_draw
+        FROM matches
+        ORDER BY match_date ASC, match_id ASC
+    `);
+
+    for (const match of matchesResult.rows) {
+        const winnerBefore = ratings.get(match.winner_id);
+        const loserBefore = ratings.get(match.loser_id);
+        const [winnerAfter, loserAfter] = rating.rateGame(winnerBefore, loserBefore, match.is_draw ? 0.5 : 1);
+
+        ratings.set(match.winner_id, winnerAfter);
+        ratings.set(match.loser_id, loserAfter);
+        gamesPlayed.set(match.winner_id, gamesPlayed.get(match.winner_id) + 1);
+        gamesPlayed.set(match.loser_id, gamesPlayed.get(match.loser_id) + 1);
+
+        await client.query(`
+            UPDATE matches
+            SET winner_rating_before = $2, loser_rating_before = $3,
+                winner_rating_change = $4, loser_rating_change = $5
+            WHERE match_id = $1
+        `, [
+            match.match_id,
+            winnerBefore.rating, loserBefore.rating,
+            winnerAfter.rating - winnerBefore.rating, loserAfter.rating - loserBefore.rating
+        ]);
+    }
+
+    for (const [playerId, current] of ratings) {
+        await client.query(`
+            UPDATE players
+            SET rating = $2, rating_deviation = $3, rating_volatility = $4, rated_games = $5
+            WHERE player_id = $1
+        `, [playerId, current.rating, current.deviation, current.volatility, gamesPlayed.get(playerId)]);
+    }
+
+    return { players: ratings.size, matches: matchesResult.rows.length };
+};
+
+// The match_games columns for a game from parsePgn(): its headers with the club's
+// names for the players, and the PGN rebuilt from them
+const storedGame = (game, { whiteName, blackName }) => {
+    const headers = { ...game.headers, White: whiteName, Black: blackName };
+    return {
+        headers,
+        moves: game.moves,
+        final_fen: game.fen,
+        pgn: formatPgn({ headers, moves: game.moves, result: game.result })
+    };
+};
+
+// Attach (or replace) the PGN game for a match and note who had white. game comes
+// from parsePgn().
+const saveMatchGame = async (client, matchId, game, { whiteId, blackId, whiteName, blackName }) => {
+    const { headers, moves, final_fen, pgn } = storedGame(game, { whiteName, blackName });
+
+    const result = await client.query(`
+        INSERT INTO match_games (match_id, white_player_id, black_player_id, headers, moves, final_fen, pgn)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (match_id) DO UPDATE SET
+            white_player_id = EXCLUDED.white_player_id,
+            black_player_id = EXCLUDED.black_player_id,
+            headers = EXCLUDED.headers,
+            moves = EXCLUDED.moves,
+            final_fen = EXCLUDED.final_fen,
+            pgn = EXCLUDED.pgn,
+            uploaded_at = NOW()
+        RETURNING *
+    `, [matchId, whiteId, blackId, JSON.stringify(headers), JSON.stringify(moves), final_fen, pgn]);
+
+    await client.query('UPDATE matches SET white_player_id = $2 WHERE match_id = $1', [matchId, whiteId]);
+
+    return result.rows[0];
+};
+
+module.exports = {
+    TIME_CONTROLS,
+    validateMatchDetails,
+    pgnDetails,
+    recordMatch,
+    previewMatch,
+    simulateMatches,
+    applyMatchRating,
+    replayRatings,
+    storedGame,
+    saveMatchGame
+};
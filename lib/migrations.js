@@ -0,0 +1,197 @@
+// Versioned schema migrations.
+//
+// db/migrations/NNN_description.sql files are applied in version order, each in its
+// own transaction, and recorded in schema_migrations. An optional
+// NNN_description.down.sql next to it undoes that version.
+//
+// A database set up by hand before migrations were tracked already has the baseline
+// schema, possibly changed since, so the baseline is recorded there as applied
+// without running it.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+
+// Keeps two processes from migrating the same database at once
+const MIGRATION_LOCK_KEY = 4170310;
+
+const UP_PATTERN = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+
+const BASELINE_VERSION = '000';
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+// Every migration on disk in version order: { version, name, sql, checksum, downSql }
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+    const files = fs.readdirSync(dir);
+    const migrations = [];
+
+    files.forEach(file => {
+        const match = UP_PATTERN.exec(file);
+        if (!match) return;
+
+        const [, version, description] = match;
+        const name = `${version}_${description}`;
+        const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+        const downFile = `${name}.down.sql`;
+
+        if (migrations.some(migration => migration.version === version)) {
+            throw new Error(`Two migrations share version ${version}`);
+        }
+
+        migrations.push({
+            version,
+            name,
+            sql,
+            checksum: checksum(sql),
+            downSql: files.includes(downFile) ? fs.readFileSync(path.join(dir, downFile), 'utf8') : null
+        });
+    });
+
+    return migrations.sort((a, b) => a.version.localeCompare(b.version));
+};
+
+const ensureMigrationsTable = (db) => db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(10) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+`);
+
+// Applied rows, oldest first. A database that has never been migrated has none.
+const loadApplied = async (db) => {
+    const exists = await db.query(`SELECT to_regclass('schema_migrations') IS NOT NULL as exists`);
+
+    if (!exists.rows[0].exists) {
+        return [];
+    }
+
+    const result = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+};
+
+// True when the club's tables exist although no migration has been recorded
+const hasUntrackedSchema = async (db) => {
+    const result = await db.query(`SELECT to_regclass('players') IS NOT NULL as exists`);
+    return result.rows[0].exists;
+};
+
+// Compare the database with the files on disk. Returns:
+//   applied  rows from schema_migrations, with modified = true when the file changed since
+//   pending  migrations on disk that have not run
+//   unknown  applied versions with no file (the database is ahead of this checkout)
+const migrationStatus = async (db, migrations = loadMigrations()) => {
+    const applied = await loadApplied(db);
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const appliedVersions = new Set(applied.map(row => row.version));
+
+    return {
+        applied: applied.map(row => ({
+            ...row,
+            modified: byVersion.has(row.version) && byVersion.get(row.version).checksum !== row.checksum
+        })),
+        pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+        unknown: applied.filter(row => !byVersion.has(row.version))
+    };
+};
+
+// Run work(client) on one connection while holding the migration lock
+const withMigrationLock = async (pool, work) => {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        try {
+            await ensureMigrationsTable(client);
+            return await work(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+};
+
+const runInTransaction = async (client, work) => {
+    await client.query('BEGIN');
+    try {
+        await work();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+};
+
+// Apply pending migrations up to and including version `to` (default: all).
+// Stops at the first failure; earlier migrations stay applied. Returns the names applied,
+// including a baseline that was only recorded.
+const migrateUp = (pool, { to = null, migrations = loadMigrations(), log = console } = {}) =>
+    withMigrationLock(pool, async (client) => {
+        const { applied, pending } = await migrationStatus(client, migrations);
+        const toApply = pending.filter(migration => to === null || migration.version <= to);
+        const done = [];
+
+        const record = (migration) => client.query(`
+            INSERT INTO schema_migrations (version, name, checksum)
+            VALUES ($1, $2, $3)
+        `, [migration.version, migration.name, migration.checksum]);
+
+        if (applied.length === 0 && toApply.length > 0 && toApply[0].version === BASELINE_VERSION
+            && await hasUntrackedSchema(client)) {
+            const baseline = toApply.shift();
+            log.log(`Marking ${baseline.name} as applied: the database already has its schema`);
+            await record(baseline);
+            done.push(baseline.name);
+        }
+
+        for (const migration of toApply) {
+            log.log(`Applying ${migration.name}`);
+            await runInTransaction(client, async () => {
+                await client.query(migration.sql);
+                await record(migration);
+            }).catch(error => {
+                throw new Error(`${migration.name} failed: ${error.message}`);
+            });
+            done.push(migration.name);
+        }
+
+        return done;
+    });
+
+// Undo the newest applied migrations: the last `steps` of them, or every one above
+// version `to`. Refuses before changing anything if one of them has no down file.
+// Returns the names reverted.
+const migrateDown = (pool, { steps = 1, to = null, migrations = loadMigrations(), log = console } = {}) =>
+    withMigrationLock(pool, async (client) => {
+        const { applied } = await migrationStatus(client, migrations);
+        const newestFirst = [...applied].reverse();
+        const toRevert = to === null
+            ? newestFirst.slice(0, steps)
+            : newestFirst.filter(row => row.version > to);
+        const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+        const missing = toRevert.filter(row => !byVersion.has(row.version) || !byVersion.get(row.version).downSql);
+        if (missing.length > 0) {
+            throw new Error(`No down migration for ${missing.map(row => row.name).join(', ')}`);
+        }
+
+        const done = [];
+
+        for (const row of toRevert) {
+            log.log(`Reverting ${row.name}`);
+            await runInTransaction(client, async () => {
+                await client.query(byVersion.get(row.version).downSql);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+            }).catch(error => {
+                throw new Error(`${row.name} down failed: ${error.message}`);
+            });
+            done.push(row.name);
+        }
+
+        return done;
+    });
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, migrationStatus, migrateUp, migrateDown };
@@ -0,0 +1,157 @@
+// Head-to-head records and per-opponent breakdowns built from a player's games
+const { TIERS } = require('./points');
+
+// Every game a player has played, from their side of the board, oldest first.
+// The Postgres query behind repos.matches.gamesFor().
+const loadGames = async (db, playerId, opponentId = null) => {
+    const result = await db.query(`
+        SELECT
+            m.match_id,
+            m.match_date,
+            CASE
+                WHEN m.is_draw THEN 'draw'
+                WHEN m.winner_id = $1 THEN 'win'
+                ELSE 'loss'
+            END as result,
+            CASE WHEN m.winner_id = $1 THEN m.loser_id ELSE m.winner_id END as opponent_id,
+            CASE WHEN m.winner_id = $1 THEN lp.name ELSE wp.name END as opponent_name,
+            CASE WHEN m.winner_id = $1 THEN m.winner_tier_before ELSE m.loser_tier_before END as tier_before,
+            CASE WHEN m.winner_id = $1 THEN m.loser_tier_before ELSE m.winner_tier_before END as opponent_tier,
+            CASE WHEN m.winner_id = $1 THEN m.winner_points_change ELSE m.loser_points_change END as point_change,
+            CASE WHEN m.winner_id = $1 THEN m.loser_points_change ELSE m.winner_points_change END as opponent_point_change,
+            CASE
+                WHEN m.white_player_id IS NULL THEN NULL
+                WHEN m.white_player_id = $1 THEN 'white'
+                ELSE 'black'
+            END as color,
+            m.time_control,
+            m.eco,
+            m.opening,
+            m.event,
+            m.round,
+            mg.match_id IS NOT NULL as has_pgn
+        FROM matches m
+        JOIN players wp ON m.winner_id = wp.player_id
+        JOIN players lp ON m.loser_id = lp.player_id
+        LEFT JOIN match_games mg ON m.match_id = mg.match_id
+        WHERE (m.winner_id = $1 OR m.loser_id = $1)
+        AND ($2::INTEGER IS NULL OR $2 IN (m.winner_id, m.loser_id))
+        ORDER BY m.match_date ASC, m.match_id ASC
+    `, [playerId, opponentId]);
+    return result.rows;
+};
+
+const emptyRecord = () => ({ wins: 0, losses: 0, draws: 0, games: 0, points_net: 0 });
+
+const addToRecord = (record, game) => {
+    record[game.result === 'win' ? 'wins' : game.result === 'loss' ? 'losses' : 'draws'] += 1;
+    record.games += 1;
+    record.points_net += game.point_change;
+    return record;
+};
+
+const gameSummary = (game) => game && {
+    match_id: game.match_id,
+    match_date: game.match_date,
+    opponent_id: game.opponent_id,
+    opponent_name: game.opponent_name,
+    opponent_tier: game.opponent_tier,
+    point_change: game.point_change
+};
+
+// Later games win ties, so the most recent of equally good results is reported
+const better = (candidate, current, compare) =>
+    !current || compare(candidate, current) >= 0 ? candidate : current;
+
+// Record against each opponent and each opponent tier, best win per tier and worst loss
+const opponentBreakdown = async (repos, playerId) => {
+    const games = await repos.matches.gamesFor(playerId);
+    const opponents = new Map();
+    const tiers = new Map();
+    let worstLoss = null;
+
+    for (const game of games) {
+        const opponent = opponents.get(game.opponent_id) || {
+            opponent_id: game.opponent_id,
+            opponent_name: game.opponent_name,
+            ...emptyRecord(),
+            last_played: null
+        };
+        addToRecord(opponent, game);
+        opponent.last_played = game.match_date;
+        opponents.set(game.opponent_id, opponent);
+
+        const tierKey = game.opponent_tier || 'Unknown';
+        const tier = tiers.get(tierKey) || { tier: tierKey, ...emptyRecord(), best_win: null };
+        addToRecord(tier, game);
+        tiers.set(tierKey, tier);
+
+        if (game.result === 'win') {
+            tier.best_win = better(game, tier.best_win, (a, b) => a.point_change - b.point_change);
+        } else if (game.result === 'loss') {
+            worstLoss = better(game, worstLoss, (a, b) => b.point_change - a.point_change);
+        }
+    }
+
+    const tierRank = (tier) => {
+        const index = TIERS.indexOf(tier);
+        return index === -1 ? TIERS.length : index;
+    };
+
+    return {
+        opponents: [...opponents.values()].sort((a, b) =>
+            b.games - a.games || a.opponent_name.localeCompare(b.opponent_name)
+        ),
+        byOpponentTier: [...tiers.values()]
+            .sort((a, b) => tierRank(a.tier) - tierRank(b.tier))
+            .map(tier => ({ ...tier, best_win: gameSummary(tier.best_win) })),
+        worstLoss: gameSummary(worstLoss)
+    };
+};
+
+// Full record between two players from the first player's side, games newest first.
+// Returns null if either player is missing.
+const headToHead = async (repos, playerId, opponentId) => {
+    const rows = await repos.players.findByIds([playerId, opponentId]);
+    const [player, opponent] = [playerId, opponentId].map(id => rows.find(row => row.player_id === id));
+
+    if (!player || !opponent) {
+        return null;
+    }
+
+    const summary = ({ player_id, name, points, tier, rating }) => ({ id: player_id, name, points, tier, rating: Math.round(rating) });
+    const games = await repos.matches.gamesFor(playerId, opponentId);
+    const record = games.reduce(addToRecord, emptyRecord());
+
+    return {
+        players: [summary(player), summary(opponent)],
+        record: {
+            wins: record.wins,
+            losses: record.losses,
+            draws: record.draws,
+            games: record.games
+        },
+        points: {
+            net: games.reduce((sum, game) => sum + game.point_change, 0),
+            opponent_net: games.reduce((sum, game) => sum + game.opponent_point_change, 0)
+        },
+        games: games.map(game => ({
+            match_id: game.match_id,
+            match_date: game.match_date,
+            result: game.result,
+            point_change: game.point_change,
+            opponent_point_change: game.opponent_point_change,
+            tier_before: game.tier_before,
+            opponent_tier: game.opponent_tier,
+            color: game.color,
+            time_control: game.time_control,
+            eco: game.eco,
+            opening: game.opening,
+            event: game.event,
+            round: game.round,
+            has_pgn: game.has_pgn
+        })).reverse()
+    };
+};
+
+module.exports = { loadGames, opponentBreakdown, headToHead };
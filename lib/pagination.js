@@ -0,0 +1,214 @@
+// Cursor pagination, filters and sorting for list endpoints.
+//
+// Every paginated list answers { success, <rows>, nextCursor, total }: total counts
+// the rows matching the filters, and nextCursor (null on the last page) is passed
+// back as ?cursor= for the next page. Cursors are opaque and tied to the sort and
+// order they were issued for. Pages continue after the last row's sort value and
+// id (keyset pagination), so rows added meanwhile do not shift later pages.
+//
+// Query parameters: limit, cursor, sort, order (asc|desc), plus the list's filters.
+// A page holds at most MAX_LIMIT rows, unless limit is left out on a list that
+// returns everything by default.
+const { TIERS } = require('./points');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Each list's id field, sorts and filters (see parseFilters). Sorts name a response
+// column to order by:
+//   type     how values compare: integer, numeric, text, timestamp or date
+//   order    default direction
+//   reverse  the column runs opposite to the sort (rank 1 has the most points)
+// Ties are broken by the id field in the same direction.
+const LISTS = {
+    leaderboard: {
+        idField: 'id',
+        defaultSort: 'points',
+        sorts: {
+            points: { field: 'rank', type: 'integer', order: 'desc', reverse: true },
+            rating: { field: 'rating_rank', type: 'integer', order: 'desc', reverse: true },
+            name: { field: 'name', type: 'text', order: 'asc' },
+            wins: { field: 'wins', type: 'integer', order: 'desc' },
+            win_percentage: { field: 'win_percentage', type: 'numeric', order: 'desc' }
+        },
+        filters: ['tier', 'activeOnly'],
+        activeOnlyByDefault: true
+    },
+    matches: {
+        idField: 'match_id',
+        defaultSort: 'date',
+        sorts: {
+            date: { field: 'match_date', type: 'timestamp', order: 'desc' },
+            winner: { field: 'winner_name', type: 'text', order: 'asc' },
+            loser: { field: 'loser_name', type: 'text', order: 'asc' }
+        },
+        filters: ['from', 'to', 'player', 'tier', 'tournament']
+    },
+    archives: {
+        idField: 'id',
+        defaultSort: 'date',
+        sorts: {
+            date: { field: 'archive_date', type: 'timestamp', order: 'desc' },
+            month: { field: 'archive_month', type: 'text', order: 'desc' }
+        },
+        filters: ['from', 'to', 'player']
+    },
+    tournamentWinners: {
+        idField: 'winner_id',
+        defaultSort: 'date',
+        sorts: {
+            date: { field: 'tournament_date', type: 'date', order: 'desc' },
+            name: { field: 'name', type: 'text', order: 'asc' },
+            tournament: { field: 'tournament_name', type: 'text', order: 'asc' }
+        },
+        filters: ['from', 'to', 'player', 'tournament', 'activeOnly'],
+        activeOnlyByDefault: false
+    }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const encodeCursor = ({ sort, order, value, id }) =>
+    Buffer.from(JSON.stringify([sort, order, value, id])).toString('base64url');
+
+// { value, id } to continue after, or null when the cursor is malformed or was
+// issued for a different sort
+const decodeCursor = (cursor, sort, order) => {
+    try {
+        const [cursorSort, cursorOrder, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+        if (cursorSort !== sort || cursorOrder !== order || !Number.isInteger(id)
+            || !['string', 'number'].includes(typeof value)) {
+            return null;
+        }
+
+        return { value, id };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Filters accepted by a list, validated. Returns { error } or { filters }.
+//   from, to    inclusive dates (YYYY-MM-DD)
+//   player      player ID
+//   tier        tier name
+//   activeOnly  true to leave out inactive players (the list's activeOnlyByDefault when absent)
+//   tournament  part of a tournament name, case-insensitive
+const parseFilters = (query, { filters: names, activeOnlyByDefault = false }) => {
+    const filters = {};
+
+    for (const name of ['from', 'to']) {
+        if (!names.includes(name) || query[name] === undefined) continue;
+
+        if (!DATE_PATTERN.test(query[name]) || isNaN(Date.parse(query[name]))) {
+            return { error: `${name} must be a date (YYYY-MM-DD)` };
+        }
+        filters[name] = query[name];
+    }
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+        return { error: 'from must not be after to' };
+    }
+
+    if (names.includes('player') && query.player !== undefined) {
+        if (!/^\d+$/.test(query.player)) {
+            return { error: 'player must be a player ID' };
+        }
+        filters.player = Number(query.player);
+    }
+
+    if (names.includes('tier') && query.tier !== undefined) {
+        const tier = TIERS.find(name => name.toLowerCase() === String(query.tier).toLowerCase());
+
+        if (!tier) {
+            return { error: `tier must be one of: ${TIERS.join(', ')}` };
+        }
+        filters.tier = tier;
+    }
+
+    if (names.includes('activeOnly')) {
+        if (query.activeOnly !== undefined && !['true', 'false'].includes(query.activeOnly)) {
+            return { error: 'activeOnly must be true or false' };
+        }
+        filters.activeOnly = query.activeOnly === undefined ? activeOnlyByDefault : query.activeOnly === 'true';
+    }
+
+    if (names.includes('tournament') && query.tournament !== undefined) {
+        const tournament = String(query.tournament).trim();
+
+        if (tournament === '') {
+            return { error: 'tournament must not be empty' };
+        }
+        filters.tournament = tournament;
+    }
+
+    return { filters };
+};
+
+// Read limit, sort, order, cursor and filters for one of LISTS. Returns { error } or
+// { filters, page: { sort, order, spec, idField, limit, after } }; after is null on the first page.
+// A defaultLimit of null returns every row when ?limit is not given.
+const parseListQuery = (query, list, { defaultLimit = DEFAULT_LIMIT } = {}) => {
+    const { sorts, defaultSort, idField } = LISTS[list];
+    const sort = query.sort || defaultSort;
+
+    if (!sorts[sort]) {
+        return { error: `Sort must be one of: ${Object.keys(sorts).join(', ')}` };
+    }
+
+    const order = query.order || sorts[sort].order;
+
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'Order must be asc or desc' };
+    }
+
+    let limit = defaultLimit;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit);
+
+        if (isNaN(limit) || limit < 1) {
+            return { error: 'limit must be a positive number' };
+        }
+        limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    let after = null;
+    if (query.cursor) {
+        after = decodeCursor(String(query.cursor), sort, order);
+
+        if (!after) {
+            return { error: 'Invalid cursor for this sort' };
+        }
+    }
+
+    const parsed = parseFilters(query, LISTS[list]);
+
+    if (parsed.error) {
+        return parsed;
+    }
+
+    return {
+        filters: parsed.filters,
+        page: { sort, order, spec: sorts[sort], idField, limit, after }
+    };
+};
+
+// True when the page should run the field in descending order
+const isDescending = (page) => (page.order === 'desc') !== Boolean(page.spec.reverse);
+
+// Response fields for a page the repositories returned as { rows, total, next }
+const pageFields = ({ total, next }, page) => ({
+    nextCursor: next ? encodeCursor({ sort: page.sort, order: page.order, ...next }) : null,
+    total: Number(total)
+});
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    DATE_PATTERN,
+    LISTS,
+    parseFilters,
+    parseListQuery,
+    isDescending,
+    pageFields
+};
@@ -0,0 +1,151 @@
+// PGN parsing and formatting for games attached to matches
+const { Chess } = require('chess.js');
+
+const HEADER_PATTERN = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/;
+const TERMINATION_PATTERN = /(?:^|\s)(1-0|0-1|1\/2-1\/2|\*)\s*$/;
+
+// Seven Tag Roster, written first and in this order
+const ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+const MAX_LINE_LENGTH = 80;
+
+// Parse a single game. Checks the tag pairs, that every SAN move is legal and that
+// the Result tag agrees with the movetext (and with checkmate, if the game ends in one).
+// Returns { headers, moves, result, fen } or { error }.
+const parsePgn = (text) => {
+    if (typeof text !== 'string' || text.trim() === '') {
+        return { error: 'PGN text is required' };
+    }
+
+    const lines = text.replace(/\r\n?/g, '\n').trim().split('\n');
+    const headers = {};
+    let index = 0;
+
+    for (; index < lines.length; index++) {
+        const line = lines[index];
+        if (line.trim() === '') {
+            continue;
+        }
+        const tag = HEADER_PATTERN.exec(line);
+        if (!tag) {
+            if (line.trim().startsWith('[')) {
+                return { error: `Malformed PGN tag: ${line.trim()}` };
+            }
+            break;
+        }
+        headers[tag[1]] = tag[2].replace(/\\(["\\])/g, '$1');
+    }
+
+    if (headers.FEN || headers.SetUp === '1') {
+        return { error: 'Games from a custom starting position (FEN tag) are not supported' };
+    }
+
+    const movetext = lines.slice(index).join('\n').trim();
+
+    if (movetext.includes('\n[') || /^\[/m.test(movetext)) {
+        return { error: 'Only one game can be uploaded at a time' };
+    }
+
+    const termination = TERMINATION_PATTERN.exec(movetext);
+
+    if (!termination) {
+        return { error: 'PGN moves must end with a result (1-0, 0-1, 1/2-1/2 or *)' };
+    }
+
+    const result = termination[1];
+
+    if (headers.Result && headers.Result !== result) {
+        return { error: `Result tag ${headers.Result} does not match the result after the moves (${result})` };
+    }
+
+    const chess = new Chess();
+    try {
+        chess.loadPgn(text);
+    } catch (error) {
+        return { error: `Invalid PGN: ${error.message}` };
+    }
+
+    const moves = chess.history();
+
+    if (moves.length === 0) {
+        return { error: 'PGN contains no moves' };
+    }
+
+    if (chess.isCheckmate()) {
+        const expected = chess.turn() === 'w' ? '0-1' : '1-0';
+        if (result !== expected) {
+            return { error: `Game ends in checkmate, so the result must be ${expected}` };
+        }
+    }
+
+    return {
+        headers: { ...headers, Result: result },
+        moves,
+        result,
+        fen: chess.fen()
+    };
+};
+
+// Decide who had white and check the game's result agrees with the recorded outcome.
+// Without an explicit whiteName the White/Black tags must name one of the players.
+// Returns { whiteName, blackName } or { error }.
+const matchGameToResult = (game, { winnerName, loserName, isDraw }, whiteName = null) => {
+    const players = [winnerName, loserName];
+    const other = (name) => (name === winnerName ? loserName : winnerName);
+
+    let white = whiteName;
+    if (!white && players.includes(game.headers.White)) {
+        white = game.headers.White;
+    } else if (!white && players.includes(game.headers.Black)) {
+        white = other(game.headers.Black);
+    }
+
+    if (!white || !players.includes(white)) {
+        return {
+            error: "Could not tell which player had white: set the PGN White/Black tags to the players' names or send whiteId"
+        };
+    }
+
+    const expected = isDraw ? '1/2-1/2' : white === winnerName ? '1-0' : '0-1';
+
+    if (game.result !== expected) {
+        return { error: `PGN result ${game.result} does not match the recorded result (${expected})` };
+    }
+
+    return { whiteName: white, blackName: other(white) };
+};
+
+const escapeTag = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// Write a game back out as PGN text with the movetext wrapped at 80 columns
+const formatPgn = ({ headers, moves, result }) => {
+    const tags = [
+        ...ROSTER.map(name => [name, headers[name] || (name === 'Result' ? result : '?')]),
+        ...Object.entries(headers).filter(([name]) => !ROSTER.includes(name))
+    ].map(([name, value]) => `[${name} "${escapeTag(value)}"]`);
+
+    const tokens = [];
+    moves.forEach((move, index) => {
+        if (index % 2 === 0) {
+            tokens.push(`${index / 2 + 1}.`);
+        }
+        tokens.push(move);
+    });
+    tokens.push(result);
+
+    const lines = [];
+    let line = '';
+    tokens.forEach(token => {
+        if (line && line.length + token.length + 1 > MAX_LINE_LENGTH) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    });
+    lines.push(line);
+
+    return `${tags.join('\n')}\n\n${lines.join('\n')}\n`;
+};
+
+module.exports = { parsePgn, matchGameToResult, formatPgn };
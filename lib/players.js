@@ -0,0 +1,257 @@
+// Player profiles: validation, edits, deactivation and merging duplicates
+const { replayRatings } = require('./matches');
+const { replayBadges } = require('./achievements');
+const { loadRules } = require('./points');
+
+const INACTIVE_REASONS = ['graduated', 'left', 'other'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Request fields and the players columns they map to
+const PROFILE_FIELDS = {
+    name: 'name',
+    email: 'email',
+    grade: 'grade',
+    graduationYear: 'graduation_year'
+};
+
+// Check the profile fields present in body. Returns { error } or { values } keyed by column;
+// an empty string or null clears an optional field.
+const validateProfile = (body) => {
+    const values = {};
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || body.name.trim() === '') {
+            return { error: 'Player name is required' };
+        }
+        if (body.name.trim().length > 100) {
+            return { error: 'Player name must be at most 100 characters' };
+        }
+        values.name = body.name.trim();
+    }
+
+    if (body.email !== undefined) {
+        const email = typeof body.email === 'string' ? body.email.trim() : body.email;
+
+        if (email !== null && email !== '' && (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) {
+            return { error: 'Email address is not valid' };
+        }
+        values.email = email || null;
+    }
+
+    if (body.grade !== undefined) {
+        if (body.grade !== null && body.grade !== '' && !(Number.isInteger(body.grade) && body.grade >= 1 && body.grade <= 12)) {
+            return { error: 'Grade must be a whole number from 1 to 12' };
+        }
+        values.grade = body.grade === '' ? null : body.grade;
+    }
+
+    if (body.graduationYear !== undefined) {
+        const year = body.graduationYear;
+
+        if (year !== null && year !== '' && !(Number.isInteger(year) && year >= 1900 && year <= 2200)) {
+            return { error: 'Graduation year must be a four-digit year' };
+        }
+        values.graduation_year = year === '' ? null : year;
+    }
+
+    return { values };
+};
+
+// Apply a PATCH: profile fields plus isActive / inactiveReason. players is the
+// players repository of the caller's transaction (see lib/repositories).
+// Returns { error, status } or { before, player }.
+const updatePlayer = async (players, playerId, body) => {
+    const profile = validateProfile(body);
+
+    if (profile.error) {
+        return profile;
+    }
+
+    const values = { ...profile.values };
+
+    if (body.isActive !== undefined) {
+        if (typeof body.isActive !== 'boolean') {
+            return { error: 'isActive must be true or false' };
+        }
+        values.is_active = body.isActive;
+    }
+
+    if (body.inactiveReason !== undefined) {
+        if (body.inactiveReason !== null && !INACTIVE_REASONS.includes(body.inactiveReason)) {
+            return { error: `inactiveReason must be one of: ${INACTIVE_REASONS.join(', ')}` };
+        }
+        values.inactive_reason = body.inactiveReason;
+    }
+
+    const columns = Object.keys(values);
+
+    if (columns.length === 0) {
+        return { error: `Provide at least one of: ${[...Object.keys(PROFILE_FIELDS), 'isActive', 'inactiveReason'].join(', ')}` };
+    }
+
+    const before = await players.findForUpdate(playerId);
+
+    if (!before) {
+        return { error: 'Player not found', status: 404 };
+    }
+
+    if (values.inactive_reason && (values.is_active ?? before.is_active)) {
+        return { error: 'inactiveReason only applies when deactivating a player' };
+    }
+
+    // Reactivating clears the reason
+    if (values.is_active === true) {
+        values.inactive_reason = null;
+    }
+
+    return { before, player: await players.update(playerId, values) };
+};
+
+// Move everything recorded for duplicateId onto keepId, then delete the duplicate.
+// The kept player takes over the points the duplicate earned in matches; the
+// duplicate's starting points are dropped, and the total is kept within the current
+// scoring rules' floor and ceiling. Ratings and match badges are replayed
+// from scratch.
+// Must run inside a transaction. Returns { error, status } or { player, moved }.
+const mergePlayers = async (client, keepId, duplicateId) => {
+    if (keepId === duplicateId) {
+        return { error: 'Cannot merge a player into themselves' };
+    }
+
+    const playersResult = await client.query(`
+        SELECT * FROM players WHERE player_id = ANY($1) ORDER BY player_id FOR UPDATE
+    `, [[keepId, duplicateId]]);
+
+    const keep = playersResult.rows.find(row => row.player_id === keepId);
+    const duplicate = playersResult.rows.find(row => row.player_id === duplicateId);
+
+    if (!keep || !duplicate) {
+        return { error: 'Player not found', status: 404 };
+    }
+
+    // A game between the two entries would become a game against themselves
+    const sharedMatches = await client.query(`
+        SELECT match_id FROM matches
+        WHERE (winner_id = $1 AND loser_id = $2) OR (winner_id = $2 AND loser_id = $1)
+        ORDER BY match_id
+    `, [keepId, duplicateId]);
+
+    if (sharedMatches.rows.length > 0) {
+        return {
+            error: `${keep.name} and ${duplicate.name} played each other in match ${sharedMatches.rows.map(row => row.match_id).join(', ')}; void those first`,
+            status: 409
+        };
+    }
+
+    const sharedTournaments = await client.query(`
+        SELECT t.name FROM tournament_players a
+        JOIN tournament_players b ON a.tournament_id = b.tournament_id
+        JOIN tournaments t ON a.tournament_id = t.tournament_id
+        WHERE a.player_id = $1 AND b.player_id = $2
+    `, [keepId, duplicateId]);
+
+    if (sharedTournaments.rows.length > 0) {
+        return {
+            error: `Both entries are registered in tournament ${sharedTournaments.rows[0].name}`,
+            status: 409
+        };
+    }
+
+    const earned = await client.query(`
+        SELECT COALESCE(SUM(CASE WHEN winner_id = $1 THEN winner_points_change ELSE loser_points_change END), 0)::INTEGER as points
+        FROM matches WHERE winner_id = $1 OR loser_id = $1
+    `, [duplicateId]);
+
+    const moved = {};
+    const repoint = async (label, sql) => {
+        const result = await client.query(sql, [keepId, duplicateId]);
+        moved[label] = (moved[label] || 0) + result.rowCount;
+    };
+
+    // Who had white moves with the player, so it always names one of the two
+    const whiteFollows = 'white_player_id = CASE WHEN white_player_id = $2 THEN $1 ELSE white_player_id END';
+    await repoint('matches', `UPDATE matches SET winner_id = $1, ${whiteFollows} WHERE winner_id = $2`);
+    await repoint('matches', `UPDATE matches SET loser_id = $1, ${whiteFollows} WHERE loser_id = $2`);
+    await repoint('games', 'UPDATE match_games SET white_player_id = $1 WHERE white_player_id = $2');
+    await repoint('games', 'UPDATE match_games SET black_player_id = $1 WHERE black_player_id = $2');
+    await repoint('archives', 'UPDATE monthly_archives SET first_place_player_id = $1 WHERE first_place_player_id = $2');
+    await repoint('archives', 'UPDATE monthly_archives SET second_place_player_id = $1 WHERE second_place_player_id = $2');
+    await repoint('archives', 'UPDATE monthly_archives SET third_place_player_id = $1 WHERE third_place_player_id = $2');
+
+    // Badges both entries already hold are kept once
+    await client.query(`
+        DELETE FROM tournament_winners d
+        USING tournament_winners k
+        WHERE d.player_id = $2 AND k.player_id = $1
+        AND d.tournament_name = k.tournament_name AND d.tournament_date = k.tournament_date
+    `, [keepId, duplicateId]);
+    await repoint('tournamentWinners', 'UPDATE tournament_winners SET player_id = $1 WHERE player_id = $2');
+
+    await repoint('tournaments', 'UPDATE tournament_players SET player_id = $1 WHERE player_id = $2');
+    await client.query('UPDATE tournament_pairings SET white_player_id = $1 WHERE white_player_id = $2', [keepId, duplicateId]);
+    await client.query('UPDATE tournament_pairings SET black_player_id = $1 WHERE black_player_id = $2', [keepId, duplicateId]);
+    await client.query('UPDATE tournaments SET winner_player_id = $1 WHERE winner_player_id = $2', [keepId, duplicateId]);
+
+    // Season placements already snapshotted for the kept entry stay as they were
+    await client.query(`
+        DELETE FROM season_standings d
+        USING season_standings k
+        WHERE d.player_id = $2 AND k.player_id = $1 AND d.season_id = k.season_id
+    `, [keepId, duplicateId]);
+    await repoint('seasons', 'UPDATE season_standings SET player_id = $1 WHERE player_id = $2');
+
+    // Reports between the two entries would become reports against themselves
+    await client.query(`
+        DELETE FROM match_reports
+        WHERE (reporter_id = $1 AND opponent_id = $2) OR (reporter_id = $2 AND opponent_id = $1)
+    `, [keepId, duplicateId]);
+    await repoint('reports', 'UPDATE match_reports SET reporter_id = $1 WHERE reporter_id = $2');
+    await repoint('reports', 'UPDATE match_reports SET opponent_id = $1 WHERE opponent_id = $2');
+
+    // Likewise for challenges between them
+    await client.query(`
+        DELETE FROM challenges
+        WHERE (challenger_id = $1 AND defender_id = $2) OR (challenger_id = $2 AND defender_id = $1)
+    `, [keepId, duplicateId]);
+    await repoint('challenges', 'UPDATE challenges SET challenger_id = $1 WHERE challenger_id = $2');
+    await repoint('challenges', 'UPDATE challenges SET defender_id = $1 WHERE defender_id = $2');
+
+    // Archive and manual badges the kept entry already holds are kept once; match
+    // badges are rebuilt below
+    await client.query(`
+        DELETE FROM player_badges d
+        USING player_badges k
+        WHERE d.player_id = $2 AND k.player_id = $1
+        AND d.badge_key = k.badge_key AND d.detail = k.detail
+    `, [keepId, duplicateId]);
+    await repoint('badges', 'UPDATE player_badges SET player_id = $1 WHERE player_id = $2');
+
+    // The duplicate's login carries over unless the kept entry has its own
+    await client.query(`
+        UPDATE player_accounts SET player_id = $1
+        WHERE player_id = $2 AND NOT EXISTS (SELECT 1 FROM player_accounts WHERE player_id = $1)
+    `, [keepId, duplicateId]);
+
+    await client.query('DELETE FROM players WHERE player_id = $1', [duplicateId]);
+
+    // LEAST ignores a null ceiling
+    const { rules } = await loadRules(client);
+    await client.query(`
+        UPDATE players SET
+            points = LEAST(GREATEST($6, points + $2), $7),
+            email = COALESCE(email, $3),
+            grade = COALESCE(grade, $4),
+            graduation_year = COALESCE(graduation_year, $5)
+        WHERE player_id = $1
+    `, [keepId, earned.rows[0].points, duplicate.email, duplicate.grade, duplicate.graduation_year, rules.floor, rules.ceiling]);
+
+    await replayRatings(client);
+    await replayBadges(client);
+
+    const player = await client.query('SELECT * FROM players WHERE player_id = $1', [keepId]);
+
+    return { player: player.rows[0], duplicate, moved };
+};
+
+module.exports = { INACTIVE_REASONS, validateProfile, updatePlayer, mergePlayers };
@@ -0,0 +1,181 @@
+// Points and tier rules. A set of rules is plain JSON, versioned in the
+// scoring_rules table (db/migrations/017): the newest version scores new matches,
+// and every match keeps the version it was scored by, so replays after a
+// correction score it the same way. get_tier() in the database reads the same
+// tier boundaries.
+
+const TIERS = ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'];
+
+// Scoring rules version 1, the rules calculate_points_change() applied before they
+// became configurable
+const DEFAULT_RULES = {
+    // Points needed for each tier in TIERS; the first is always 0
+    tierMinimums: [0, 50, 100, 150, 200],
+    // Decisive game between players in the same tier
+    win: 3,
+    loss: 2,
+    // Added for each tier the winner was below the loser
+    upsetBonus: { win: 2, loss: 1 },
+    // Taken off for each tier the winner was above the loser, down to minimum
+    favouritePenalty: { win: 1, loss: 1 },
+    minimum: { win: 1, loss: 1 },
+    // In a draw the higher player hands the lower one this much per tier between them
+    drawPerTier: 1,
+    // Nobody goes below floor or above ceiling (null for no ceiling)
+    floor: 0,
+    ceiling: null,
+    // Until a player has this many games, their points change is multiplied by factor
+    // (rounded). 0 games turns provisional scoring off.
+    provisional: { games: 0, factor: 1 },
+    // Highest points a new player can be added with
+    maxStartingPoints: 49
+};
+
+// Rules made of a win and a loss amount
+const PAIRED_RULES = ['upsetBonus', 'favouritePenalty', 'minimum'];
+
+// Upper bound for any points amount in the rules
+const MAX_RULE_POINTS = 10000;
+
+const MAX_PROVISIONAL_FACTOR = 10;
+
+const isAmount = (value, min = 0) => Number.isInteger(value) && value >= min && value <= MAX_RULE_POINTS;
+
+// Apply changes (a partial set of rules; paired rules and provisional may be
+// partial too) to rules and check the result. Returns { error } or { rules }.
+const validateRules = (rules, changes) => {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return { error: 'rules must be an object' };
+    }
+
+    const unknown = Object.keys(changes).filter(key => !(key in DEFAULT_RULES));
+    if (unknown.length > 0) {
+        return { error: `Unknown rule: ${unknown[0]}. Rules are: ${Object.keys(DEFAULT_RULES).join(', ')}` };
+    }
+
+    const merged = { ...rules };
+    for (const [key, value] of Object.entries(changes)) {
+        const nested = PAIRED_RULES.includes(key) || key === 'provisional';
+        merged[key] = nested && value && typeof value === 'object' && !Array.isArray(value)
+            ? { ...rules[key], ...value }
+            : value;
+    }
+
+    const { tierMinimums, floor, ceiling, provisional, maxStartingPoints } = merged;
+
+    if (!Array.isArray(tierMinimums) || tierMinimums.length !== TIERS.length || !tierMinimums.every(value => isAmount(value))) {
+        return { error: `tierMinimums must list the points needed for each of ${TIERS.join(', ')}` };
+    }
+    if (tierMinimums[0] !== 0 || tierMinimums.some((value, index) => index > 0 && value <= tierMinimums[index - 1])) {
+        return { error: 'tierMinimums must start at 0 and increase' };
+    }
+    if (!isAmount(merged.win) || !isAmount(merged.loss)) {
+        return { error: `win and loss must be whole numbers from 0 to ${MAX_RULE_POINTS}` };
+    }
+    for (const key of PAIRED_RULES) {
+        const value = merged[key];
+        if (!value || typeof value !== 'object' || Object.keys(value).some(field => field !== 'win' && field !== 'loss')
+            || !isAmount(value.win) || !isAmount(value.loss)) {
+            return { error: `${key} must be { win, loss } with whole numbers from 0 to ${MAX_RULE_POINTS}` };
+        }
+    }
+    if (!isAmount(merged.drawPerTier)) {
+        return { error: `drawPerTier must be a whole number from 0 to ${MAX_RULE_POINTS}` };
+    }
+    if (!isAmount(floor)) {
+        return { error: `floor must be a whole number from 0 to ${MAX_RULE_POINTS}` };
+    }
+    if (ceiling !== null && (!isAmount(ceiling) || ceiling <= floor)) {
+        return { error: 'ceiling must be null or a whole number above floor' };
+    }
+    if (!provisional || typeof provisional !== 'object' || Object.keys(provisional).some(field => field !== 'games' && field !== 'factor')
+        || !isAmount(provisional.games)
+        || typeof provisional.factor !== 'number' || !(provisional.factor > 0 && provisional.factor <= MAX_PROVISIONAL_FACTOR)) {
+        return { error: `provisional must be { games, factor } with whole games and a factor above 0 and at most ${MAX_PROVISIONAL_FACTOR}` };
+    }
+    if (!isAmount(maxStartingPoints) || maxStartingPoints < floor || (ceiling !== null && maxStartingPoints > ceiling)) {
+        return { error: 'maxStartingPoints must be a whole number from floor to ceiling' };
+    }
+
+    return { rules: merged };
+};
+
+// How many tiers up from the bottom points are. Above the top tier, every further
+// band as wide as the one below it counts as one more, so gaps keep growing there
+// the way the original 50-point bands did.
+const tierLevel = (points, { tierMinimums }) => {
+    const top = tierMinimums.length - 1;
+
+    if (points >= tierMinimums[top]) {
+        return top + Math.floor((points - tierMinimums[top]) / (tierMinimums[top] - tierMinimums[top - 1]));
+    }
+    return tierMinimums.filter(minimum => points >= minimum).length - 1;
+};
+
+const tierFor = (points, rules = DEFAULT_RULES) => TIERS[Math.min(tierLevel(points, rules), TIERS.length - 1)];
+
+// points moved into [floor, ceiling]
+const clampPoints = (points, { floor, ceiling }) => Math.max(floor, ceiling === null ? points : Math.min(points, ceiling));
+
+// Starting points a new player may be given: { min, max }
+const startingPointsRange = (rules) => ({ min: rules.floor, max: rules.maxStartingPoints });
+
+// Points change for one game between player1 and player2, each { points, games }
+// with the points they had and the games they had played beforehand, as
+// [player1Change, player2Change]. Decisive: player 1 won.
+const pointsChange = (rules, player1, player2, isDraw) => {
+    const scaled = (player, amount) => player.games < rules.provisional.games
+        ? Math.round(amount * rules.provisional.factor)
+        : amount;
+    const gain = (player, amount) => rules.ceiling === null
+        ? amount
+        : Math.min(amount, Math.max(0, rules.ceiling - player.points));
+    // || 0 so a loss clamped to nothing is 0 rather than -0
+    const drop = (player, amount) => -Math.min(amount, Math.max(0, player.points - rules.floor)) || 0;
+
+    if (isDraw) {
+        const gap = tierLevel(player1.points, rules) - tierLevel(player2.points, rules);
+        const transfer = Math.abs(gap) * rules.drawPerTier;
+
+        if (gap > 0) {
+            return [drop(player1, scaled(player1, transfer)), gain(player2, scaled(player2, transfer))];
+        }
+        if (gap < 0) {
+            return [gain(player1, scaled(player1, transfer)), drop(player2, scaled(player2, transfer))];
+        }
+        return [0, 0];
+    }
+
+    // Positive when the winner was the lower player
+    const gap = tierLevel(player2.points, rules) - tierLevel(player1.points, rules);
+    const [won, lost] = gap >= 0
+        ? [rules.win + rules.upsetBonus.win * gap, rules.loss + rules.upsetBonus.loss * gap]
+        : [
+            Math.max(rules.minimum.win, rules.win + rules.favouritePenalty.win * gap),
+            Math.max(rules.minimum.loss, rules.loss + rules.favouritePenalty.loss * gap)
+        ];
+
+    return [gain(player1, scaled(player1, won)), drop(player2, scaled(player2, lost))];
+};
+
+// Scoring rules by version from db (the pool or a transaction's client): the
+// newest when version is null. Returns { version, rules } or null.
+const loadRules = async (db, version = null) => {
+    const result = await db.query(`
+        SELECT version, rules FROM scoring_rules
+        WHERE version = COALESCE($1, (SELECT MAX(version) FROM scoring_rules))
+    `, [version]);
+    return result.rows[0] || null;
+};
+
+module.exports = {
+    TIERS,
+    DEFAULT_RULES,
+    validateRules,
+    tierLevel,
+    tierFor,
+    clampPoints,
+    startingPointsRange,
+    pointsChange,
+    loadRules
+};
@@ -0,0 +1,110 @@
+// Glicko-2 rating calculations
+// See Mark Glickman, "Example of the Glicko-2 system" (glicko.net/glicko/glicko2.pdf).
+// Every recorded game is treated as its own rating period, so ratings move after
+// each match instead of in monthly batches.
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+
+// A player stays provisional until their rating deviation drops below this.
+const PROVISIONAL_DEVIATION = 110;
+
+// System constant: how much volatility may change between periods.
+const TAU = 0.5;
+const SCALE = 173.7178;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+const newRating = () => ({
+    rating: DEFAULT_RATING,
+    deviation: DEFAULT_DEVIATION,
+    volatility: DEFAULT_VOLATILITY
+});
+
+const isProvisional = ({ deviation }) => deviation > PROVISIONAL_DEVIATION;
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+const expectedScore = (mu, opponentMu, opponentPhi) =>
+    1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+
+// Step 5 of the paper: find the new volatility with the Illinois algorithm.
+const nextVolatility = (phi, sigma, delta, v) => {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const denom = phi * phi + v + ex;
+        return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denom * denom) - (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) {
+            k++;
+        }
+        B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+        const C = A + ((A - B) * fA) / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+
+    return Math.exp(A / 2);
+};
+
+// Rate one player after a single game.
+// score is 1 for a win, 0.5 for a draw and 0 for a loss.
+const updateRating = (player, opponent, score) => {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const phi = player.deviation / SCALE;
+    const opponentMu = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const opponentPhi = opponent.deviation / SCALE;
+
+    const gPhi = g(opponentPhi);
+    const E = expectedScore(mu, opponentMu, opponentPhi);
+    const v = 1 / (gPhi * gPhi * E * (1 - E));
+    const delta = v * gPhi * (score - E);
+
+    const volatility = nextVolatility(phi, player.volatility, delta, v);
+    const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * gPhi * (score - E);
+
+    return {
+        rating: newMu * SCALE + DEFAULT_RATING,
+        deviation: Math.min(newPhi * SCALE, DEFAULT_DEVIATION),
+        volatility
+    };
+};
+
+// Rate both sides of a game. scoreA is player A's score (1, 0.5 or 0).
+const rateGame = (playerA, playerB, scoreA) => [
+    updateRating(playerA, playerB, scoreA),
+    updateRating(playerB, playerA, 1 - scoreA)
+];
+
+module.exports = {
+    DEFAULT_RATING,
+    DEFAULT_DEVIATION,
+    DEFAULT_VOLATILITY,
+    PROVISIONAL_DEVIATION,
+    newRating,
+    isProvisional,
+    updateRating,
+    rateGame
+};
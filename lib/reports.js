@@ -0,0 +1,346 @@
+// Self-reported results: a player reports a game, the opponent confirms or disputes
+// it. Confirmed reports are recorded through recordMatch like any other
+// match. Disputed reports, and pending ones older than the confirmation window
+// (which expire), wait for an officer to approve or reject them.
+//
+// Configured through the environment:
+//   REPORT_CONFIRM_HOURS  how long the opponent has to answer (default 72)
+//
+// Service calls follow lib/services.js.
+const { recordMatch } = require('./matches');
+const { validateNote } = require('./services');
+
+const REPORT_RESULTS = ['win', 'loss', 'draw'];
+const REPORT_STATUSES = ['pending', 'confirmed', 'disputed', 'expired', 'withdrawn', 'approved', 'rejected'];
+
+// Statuses an officer can decide on; disputed and expired make up the review queue
+const REVIEW_STATUSES = ['disputed', 'expired'];
+const RESOLVABLE_STATUSES = ['pending', ...REVIEW_STATUSES];
+
+const reportSettings = (env = process.env) => {
+    const confirmHours = env.REPORT_CONFIRM_HOURS === undefined ? 72 : Number(env.REPORT_CONFIRM_HOURS);
+
+    if (!(confirmHours > 0)) {
+        throw new Error('REPORT_CONFIRM_HOURS must be a positive number');
+    }
+
+    return { confirmHours };
+};
+
+const REPORT_SELECT = `
+    SELECT
+        r.report_id as id,
+        r.reporter_id,
+        rp.name as reporter_name,
+        r.opponent_id,
+        op.name as opponent_name,
+        r.result,
+        r.notes,
+        r.status,
+        r.dispute_reason,
+        r.match_id,
+        r.reported_at,
+        r.responded_at,
+        r.resolved_at,
+        a.username as resolved_by,
+        r.resolution_note
+    FROM match_reports r
+    JOIN players rp ON r.reporter_id = rp.player_id
+    JOIN players op ON r.opponent_id = op.player_id
+    LEFT JOIN admins a ON r.resolved_by = a.admin_id
+`;
+
+const loadReport = async (db, reportId, { forUpdate = false } = {}) => {
+    const result = await db.query(`
+        ${REPORT_SELECT}
+        WHERE r.report_id = $1
+        ${forUpdate ? 'FOR UPDATE OF r' : ''}
+    `, [reportId]);
+    return result.rows[0] || null;
+};
+
+// Reports a player made or was named in, newest first (optionally one status)
+const listPlayerReports = async (db, playerId, status = null) => {
+    const result = await db.query(`
+        ${REPORT_SELECT}
+        WHERE (r.reporter_id = $1 OR r.opponent_id = $1)
+        AND ($2::VARCHAR IS NULL OR r.status = $2)
+        ORDER BY r.reported_at DESC, r.report_id DESC
+    `, [playerId, status]);
+    return result.rows;
+};
+
+// Reports waiting for an officer (default: the review queue), oldest first
+const listReviewQueue = async (db, statuses = REVIEW_STATUSES) => {
+    const result = await db.query(`
+        ${REPORT_SELECT}
+        WHERE r.status = ANY($1)
+        ORDER BY r.reported_at ASC, r.report_id ASC
+    `, [statuses]);
+    return result.rows;
+};
+
+// Pending reports the opponent did not answer in time move to the review queue.
+// Returns how many expired.
+const expireReports = async (db, { confirmHours }) => {
+    const result = await db.query(`
+        UPDATE match_reports SET status = 'expired'
+        WHERE status = 'pending' AND reported_at < NOW() - make_interval(hours => $1)
+    `, [confirmHours]);
+    return result.rowCount;
+};
+
+// File a report from reporterId. Body: { opponentId, result (win|loss|draw from the
+// reporter's side), notes }. Returns { error, status } or { report }.
+const createReport = async (client, reporterId, { opponentId, result, notes }) => {
+    if (!Number.isInteger(opponentId)) {
+        return { error: 'opponentId must be a player ID' };
+    }
+
+    if (!REPORT_RESULTS.includes(result)) {
+        return { error: `Result must be one of: ${REPORT_RESULTS.join(', ')}` };
+    }
+
+    if (opponentId === reporterId) {
+        return { error: 'You cannot report a game against yourself' };
+    }
+
+    const note = validateNote(notes, 'Notes');
+    if (note.error) {
+        return { error: note.error };
+    }
+
+    const playersResult = await client.query(`
+        SELECT player_id, name, is_active FROM players WHERE player_id = ANY($1) ORDER BY player_id FOR UPDATE
+    `, [[reporterId, opponentId]]);
+    const opponent = playersResult.rows.find(player => player.player_id === opponentId);
+    const reporter = playersResult.rows.find(player => player.player_id === reporterId);
+
+    if (!opponent) {
+        return { error: 'Opponent not found', status: 404 };
+    }
+
+    const inactive = [reporter, opponent].find(player => !player.is_active);
+    if (inactive) {
+        return { error: `${inactive.name} is inactive and cannot have results reported` };
+    }
+
+    // One open report per pair, so both players reporting the same game does not count it twice
+    const open = await client.query(`
+        SELECT report_id FROM match_reports
+        WHERE status = 'pending'
+        AND ((reporter_id = $1 AND opponent_id = $2) OR (reporter_id = $2 AND opponent_id = $1))
+    `, [reporterId, opponentId]);
+
+    if (open.rows.length > 0) {
+        return {
+            error: `A result against ${opponent.name} is already waiting for confirmation (report ${open.rows[0].report_id})`,
+            status: 409
+        };
+    }
+
+    const inserted = await client.query(`
+        INSERT INTO match_reports (reporter_id, opponent_id, result, notes)
+        VALUES ($1, $2, $3, $4)
+        RETURNING report_id
+    `, [reporterId, opponentId, result, note.value]);
+
+    return { report: await loadReport(client, inserted.rows[0].report_id) };
+};
+
+// Record the game a report describes; result (from the reporter's side) defaults to
+// the reported one. Players deactivated since the report was filed are refused.
+const recordReport = async (client, report, result = report.result) => {
+    const inactive = await client.query(`
+        SELECT name FROM players WHERE player_id = ANY($1) AND NOT is_active ORDER BY name
+    `, [[report.reporter_id, report.opponent_id]]);
+
+    if (inactive.rows.length > 0) {
+        return { error: `${inactive.rows[0].name} is inactive; reactivate them before recording this result` };
+    }
+
+    if (result === 'draw') {
+        return recordMatch(client, { winnerName: report.reporter_name, loserName: report.opponent_name, isDraw: true });
+    }
+
+    const reporterWon = result === 'win';
+    return recordMatch(client, {
+        winnerName: reporterWon ? report.reporter_name : report.opponent_name,
+        loserName: reporterWon ? report.opponent_name : report.reporter_name
+    });
+};
+
+// Lock a report that playerId is part of, after expiring overdue ones. Returns
+// { error, status } or { report }. Reports of other players look like missing ones.
+const loadOwnReport = async (client, playerId, reportId, settings) => {
+    await expireReports(client, settings);
+
+    const report = await loadReport(client, reportId, { forUpdate: true });
+
+    if (!report || (report.reporter_id !== playerId && report.opponent_id !== playerId)) {
+        return { error: 'Report not found', status: 404 };
+    }
+
+    return { report };
+};
+
+const notPending = (report) => ({
+    error: report.status === 'expired'
+        ? 'This report was not confirmed in time and is waiting for an officer'
+        : `This report is already ${report.status}`,
+    status: 409
+});
+
+// The opponent confirms: the match is recorded. Returns { error, status } or
+// { report, match, message }.
+const confirmReport = async (client, playerId, reportId, settings) => {
+    const loaded = await loadOwnReport(client, playerId, reportId, settings);
+    if (loaded.error) return loaded;
+
+    const { report } = loaded;
+
+    if (report.opponent_id !== playerId) {
+        return { error: 'Only your opponent can confirm this result', status: 403 };
+    }
+
+    if (report.status !== 'pending') {
+        return notPending(report);
+    }
+
+    const recorded = await recordReport(client, report);
+
+    if (recorded.error) {
+        return { error: recorded.error };
+    }
+
+    await client.query(`
+        UPDATE match_reports SET status = 'confirmed', match_id = $2, responded_at = NOW()
+        WHERE report_id = $1
+    `, [reportId, recorded.match.match_id]);
+
+    return { report: await loadReport(client, reportId), match: recorded.match, message: recorded.message };
+};
+
+// The opponent disputes: the report goes to the review queue. Returns { error, status } or { report }.
+const disputeReport = async (client, playerId, reportId, reason, settings) => {
+    const loaded = await loadOwnReport(client, playerId, reportId, settings);
+    if (loaded.error) return loaded;
+
+    const { report } = loaded;
+
+    if (report.opponent_id !== playerId) {
+        return { error: 'Only your opponent can dispute this result', status: 403 };
+    }
+
+    if (report.status !== 'pending') {
+        return notPending(report);
+    }
+
+    const note = validateNote(reason, 'Reason');
+    if (note.error) {
+        return { error: note.error };
+    }
+
+    await client.query(`
+        UPDATE match_reports SET status = 'disputed', dispute_reason = $2, responded_at = NOW()
+        WHERE report_id = $1
+    `, [reportId, note.value]);
+
+    return { report: await loadReport(client, reportId) };
+};
+
+// The reporter takes back a report nobody has answered. Returns { error, status } or { report }.
+const withdrawReport = async (client, playerId, reportId, settings) => {
+    const loaded = await loadOwnReport(client, playerId, reportId, settings);
+    if (loaded.error) return loaded;
+
+    const { report } = loaded;
+
+    if (report.reporter_id !== playerId) {
+        return { error: 'Only the player who reported this result can withdraw it', status: 403 };
+    }
+
+    if (report.status !== 'pending') {
+        return notPending(report);
+    }
+
+    await client.query(`UPDATE match_reports SET status = 'withdrawn' WHERE report_id = $1`, [reportId]);
+
+    return { report: await loadReport(client, reportId) };
+};
+
+// An officer's decision: approve records the match (with result, from the reporter's
+// side, overriding the reported one), reject discards the report.
+// Returns { error, status } or { report, match, message } (match only when approved).
+const resolveReport = async (client, adminId, reportId, { decision, result, note }) => {
+    if (!['approve', 'reject'].includes(decision)) {
+        return { error: 'Decision must be approve or reject' };
+    }
+
+    if (result !== undefined && !REPORT_RESULTS.includes(result)) {
+        return { error: `Result must be one of: ${REPORT_RESULTS.join(', ')}` };
+    }
+
+    const resolution = validateNote(note, 'Note');
+    if (resolution.error) {
+        return { error: resolution.error };
+    }
+
+    const report = await loadReport(client, reportId, { forUpdate: true });
+
+    if (!report) {
+        return { error: 'Report not found', status: 404 };
+    }
+
+    if (!RESOLVABLE_STATUSES.includes(report.status)) {
+        return { error: `This report is already ${report.status}`, status: 409 };
+    }
+
+    let recorded = null;
+
+    if (decision === 'approve') {
+        recorded = await recordReport(client, report, result);
+
+        if (recorded.error) {
+            return { error: recorded.error };
+        }
+    }
+
+    await client.query(`
+        UPDATE match_reports SET
+            status = $2,
+            match_id = $3,
+            resolved_by = $4,
+            resolved_at = NOW(),
+            resolution_note = $5
+        WHERE report_id = $1
+    `, [
+        reportId,
+        decision === 'approve' ? 'approved' : 'rejected',
+        recorded ? recorded.match.match_id : null,
+        adminId,
+        resolution.value
+    ]);
+
+    return {
+        report: await loadReport(client, reportId),
+        match: recorded ? recorded.match : null,
+        message: recorded ? recorded.message : null
+    };
+};
+
+module.exports = {
+    REPORT_RESULTS,
+    REPORT_STATUSES,
+    REVIEW_STATUSES,
+    reportSettings,
+    loadReport,
+    listPlayerReports,
+    listReviewQueue,
+    expireReports,
+    createReport,
+    confirmReport,
+    disputeReport,
+    withdrawReport,
+    resolveReport
+};
@@ -0,0 +1,41 @@
+// Data access for players, matches, archives and tournament winners.
+// DATA_BACKEND picks the implementation: postgres (default) or memory, which runs
+// the API without a database.
+//
+// The memory backend covers players, matches (with their games, statistics and
+// points history), archives, badges, scoring rules, tournament winners and the live
+// feed. These need Postgres and answer 501 under it: the leaderboard for a past date,
+// club statistics, batch recording, match corrections, player merges, admin
+// accounts, the audit log, seasons, imports and exports, tournaments, player
+// accounts, match reports and challenges.
+const { LEADERBOARD_SORTS, transactionRepositories, createPostgresRepositories } = require('./postgres');
+const { createMemoryRepositories } = require('./memory');
+
+const BACKENDS = ['postgres', 'memory'];
+
+const backendSetting = (value = process.env.DATA_BACKEND) => {
+    const backend = value || 'postgres';
+
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`DATA_BACKEND must be one of: ${BACKENDS.join(', ')}`);
+    }
+
+    return backend;
+};
+
+const createRepositories = ({ backend, pool }) =>
+    backend === 'memory' ? createMemoryRepositories() : createPostgresRepositories(pool);
+
+// Stand-in for the pool under the memory backend, where nothing should reach it:
+// every query fails with code BACKEND_UNAVAILABLE, which handleError turns into a 503
+const unavailablePool = () => {
+    const fail = async () => {
+        const error = new Error('This endpoint needs the Postgres backend (DATA_BACKEND=postgres)');
+        error.code = 'BACKEND_UNAVAILABLE';
+        throw error;
+    };
+
+    return { query: fail, connect: fail, end: async () => {} };
+};
+
+module.exports = { BACKENDS, LEADERBOARD_SORTS, backendSetting, createRepositories, transactionRepositories, unavailablePool };
@@ -0,0 +1,957 @@
+// In-memory repositories with the same behaviour as the Postgres ones, for running
+// the API without a database. Points and tiers follow lib/points.js, ratings
+// lib/rating.js, and results come back in the shapes node-postgres produces
+// (COUNT and ROW_NUMBER as strings, percentages as fixed-point text).
+// Data lives for the life of the process.
+const { DEFAULT_RULES, tierFor, clampPoints, pointsChange } = require('../points');
+const { storedGame } = require('../matches');
+const rating = require('../rating');
+const { isDescending } = require('../pagination');
+const achievements = require('../achievements');
+
+const roundToCents = (value) => (Math.round(value * 100) / 100).toFixed(2);
+
+// Errors shaped like the unique violations node-postgres raises, so routes can
+// handle both backends the same way
+const uniqueViolation = (constraint) => {
+    const error = new Error(`duplicate key value violates unique constraint "${constraint}"`);
+    error.code = '23505';
+    error.constraint = constraint;
+    return error;
+};
+
+const emptyState = () => ({
+    players: [],
+    matches: [],
+    matchGames: [],
+    pointsHistory: [],
+    archives: [],
+    tournamentWinners: [],
+    badges: [],
+    admins: [],
+    audit: [],
+    liveEvents: [],
+    // Version 1 as the Postgres migration seeds it
+    scoringRules: [{ version: 1, rules: DEFAULT_RULES, note: 'Original rules', created_by: null, created_at: new Date() }],
+    nextId: {
+        players: 1, matches: 1, pointsHistory: 1, archives: 1, tournamentWinners: 1, badges: 1, admins: 1, audit: 1, liveEvents: 1, scoringRules: 2
+    }
+});
+
+// Optional match columns set from validateMatchDetails (lib/matches.js)
+const MATCH_DETAILS = ['time_control', 'clock_minutes', 'clock_increment', 'eco', 'opening', 'event', 'round', 'notes'];
+
+// Live feed events kept for reconnecting clients
+const MAX_LIVE_EVENTS = 1000;
+
+const copy = (row) => (row ? { ...row } : null);
+
+// Local midnight, which is how node-postgres hands back DATE columns
+const today = () => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+// Local midnight of a YYYY-MM-DD date, plus days
+const localDate = (date, days = 0) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day + days);
+};
+
+// Sort values compared the way Postgres compares the field's type
+const sortKey = (type, value) => {
+    if (type === 'text') return String(value);
+    if (type === 'timestamp' || type === 'date') return new Date(value).getTime();
+    return Number(value);
+};
+
+// One page of rows that already passed the filters, as { rows, total, next } like pageQuery
+const pageRows = (rows, { spec, order, idField, limit, after }) => {
+    const direction = isDescending({ spec, order }) ? -1 : 1;
+    const compare = (a, b) => direction
+        * ((spec.type === 'text' ? a.value.localeCompare(b.value) : a.value - b.value) || a.id - b.id);
+    const keyed = rows
+        .map(row => ({ row, key: { value: sortKey(spec.type, row[spec.field]), id: row[idField] } }))
+        .sort((a, b) => compare(a.key, b.key));
+    const remaining = after
+        ? keyed.filter(({ key }) => compare(key, { value: sortKey(spec.type, after.value), id: after.id }) > 0)
+        : keyed;
+    const more = limit !== null && remaining.length > limit;
+    const entries = more ? remaining.slice(0, limit) : remaining;
+    const last = entries.length > 0 ? entries[entries.length - 1].row : null;
+    const lastValue = last && last[spec.field];
+
+    return {
+        rows: entries.map(({ row }) => row),
+        total: String(rows.length),
+        next: more
+            ? { value: lastValue instanceof Date ? lastValue.toISOString() : lastValue, id: last[idField] }
+            : null
+    };
+};
+
+const bind = (state) => {
+    const nextId = (table) => state.nextId[table]++;
+    const playerById = (playerId) => state.players.find(player => player.player_id === playerId);
+    const playerByName = (name) => state.players.find(player => player.name === name);
+
+    const isChampion = (playerId) => state.badges.some(badge => badge.player_id === playerId && badge.badge_key === 'monthly_podium');
+    const isTournamentWinner = (playerId) => state.tournamentWinners.some(badge => badge.player_id === playerId);
+
+    // A player's badges as the player_badge_list view has them, tournament wins
+    // included, oldest first and described
+    const badgesFor = (playerId) => [
+        ...state.badges
+            .filter(badge => badge.player_id === playerId)
+            .map(badge => ({ ...badge, id: badge.badge_id })),
+        ...state.tournamentWinners
+            .filter(badge => badge.player_id === playerId)
+            .map(badge => ({
+                id: badge.winner_id,
+                badge_key: 'tournament_winner',
+                detail: badge.tournament_name,
+                source: 'tournament',
+                note: null,
+                earned_at: badge.tournament_date
+            }))
+    ]
+        .sort((a, b) => a.earned_at - b.earned_at || a.id - b.id)
+        .map(achievements.describeBadge);
+
+    // Store badges for one player, skipping ones already held, like insertBadges.
+    // Returns the new ones, described.
+    const awardBadges = (playerId, badges, { source, matchId = null, archiveId = null, earnedAt }) => badges
+        .filter(({ key, detail }) => !state.badges.some(badge =>
+            badge.player_id === playerId && badge.badge_key === key && badge.detail === detail
+        ))
+        .map(({ key, detail }) => {
+            const badge = {
+                badge_id: nextId('badges'),
+                player_id: playerId,
+                badge_key: key,
+                detail,
+                source,
+                match_id: matchId,
+                archive_id: archiveId,
+                note: null,
+                granted_by: null,
+                earned_at: earnedAt
+            };
+            state.badges.push(badge);
+            return achievements.describeBadge({ ...badge, id: badge.badge_id });
+        });
+
+    const playedBy = (playerId) => state.matches.filter(match => match.winner_id === playerId || match.loser_id === playerId);
+
+    const record = (playerId) => {
+        const played = playedBy(playerId);
+        const draws = played.filter(match => match.is_draw).length;
+        const wins = played.filter(match => !match.is_draw && match.winner_id === playerId).length;
+        return { wins, losses: played.length - wins - draws, draws };
+    };
+
+    const ratingFields = (player) => ({
+        rating: Math.round(player.rating),
+        rating_deviation: Math.round(player.rating_deviation),
+        is_provisional: player.rating_deviation > rating.PROVISIONAL_DEVIATION
+    });
+
+    const byPoints = (a, b) => b.points - a.points || a.name.localeCompare(b.name);
+    const byRating = (a, b) => b.rating - a.rating || byPoints(a, b);
+
+    // The scoring rules in force
+    const currentRules = () => state.scoringRules[state.scoringRules.length - 1];
+
+    const scoringRulesRow = (row) => ({
+        version: row.version,
+        rules: structuredClone(row.rules),
+        note: row.note,
+        created_by: row.created_by === null ? null : state.admins.find(admin => admin.admin_id === row.created_by).username,
+        created_at: row.created_at,
+        matches: state.matches.filter(match => match.rules_version === row.version).length
+    });
+
+    // A points_history row, as the Postgres trigger writes whenever points are set
+    const recordPoints = (player, matchId = null) => {
+        state.pointsHistory.push({
+            history_id: nextId('pointsHistory'),
+            player_id: player.player_id,
+            match_id: matchId,
+            points: player.points,
+            tier: player.tier,
+            recorded_at: player.updated_at
+        });
+    };
+
+    // Points after match, when given, are recorded at the time of the match
+    const setPoints = (player, points, match = null) => {
+        player.points = points;
+        player.tier = tierFor(points, currentRules().rules);
+        player.updated_at = match ? match.match_date : new Date();
+        recordPoints(player, match && match.match_id);
+    };
+
+    // A match from playerId's side of the board
+    const side = (match, playerId) => {
+        const won = match.winner_id === playerId;
+        return {
+            result: match.is_draw ? 'draw' : won ? 'win' : 'loss',
+            opponent: playerById(won ? match.loser_id : match.winner_id),
+            tier_before: won ? match.winner_tier_before : match.loser_tier_before,
+            opponent_tier: won ? match.loser_tier_before : match.winner_tier_before,
+            point_change: won ? match.winner_points_change : match.loser_points_change,
+            opponent_point_change: won ? match.loser_points_change : match.winner_points_change,
+            rating_change: won ? match.winner_rating_change : match.loser_rating_change,
+            color: match.white_player_id === null ? null : match.white_player_id === playerId ? 'white' : 'black'
+        };
+    };
+
+    const gameFor = (matchId) => state.matchGames.find(game => game.match_id === matchId);
+
+    const historyRow = (match) => {
+        const winner = playerById(match.winner_id);
+        const loser = playerById(match.loser_id);
+        return {
+            match_id: match.match_id,
+            match_date: match.match_date,
+            winner_id: match.winner_id,
+            winner_name: winner.name,
+            winner_tier_before: match.winner_tier_before,
+            winner_points_change: match.winner_points_change,
+            loser_id: match.loser_id,
+            loser_name: loser.name,
+            loser_tier_before: match.loser_tier_before,
+            loser_points_change: match.loser_points_change,
+            is_draw: match.is_draw,
+            result: match.is_draw ? 'draw' : 'decisive',
+            is_forfeit: match.is_forfeit,
+            white_player_id: match.white_player_id,
+            white_name: match.white_player_id === null ? null : playerById(match.white_player_id).name,
+            ...Object.fromEntries(MATCH_DETAILS.map(column => [column, match[column]])),
+            rules_version: match.rules_version
+        };
+    };
+
+    // Players with their record and badges, as the Postgres leaderboard query returns
+    // them, ranked among the players selected
+    const leaderboardRows = (activeOnly) => {
+        const rows = state.players.filter(player => player.is_active || !activeOnly).map(player => ({ player, ...record(player.player_id) }));
+        const byRank = (a, b) => b.player.points - a.player.points || b.wins - a.wins || a.player.name.localeCompare(b.player.name);
+        const ranks = new Map([...rows].sort(byRank).map((row, index) => [row.player.player_id, index + 1]));
+        const ratingRanks = new Map([...rows].sort((a, b) => byRating(a.player, b.player))
+            .map((row, index) => [row.player.player_id, index + 1]));
+
+        return rows.map(({ player, wins, losses, draws }) => {
+            const games = wins + losses + draws;
+            return {
+                id: player.player_id,
+                name: player.name,
+                points: player.points,
+                tier: player.tier,
+                is_active: player.is_active,
+                ...ratingFields(player),
+                wins: String(wins),
+                losses: String(losses),
+                draws: String(draws),
+                win_percentage: games === 0 ? '0' : roundToCents((wins + draws * 0.5) / games * 100),
+                is_champion: isChampion(player.player_id),
+                is_tournament_winner: isTournamentWinner(player.player_id),
+                badges: badgesFor(player.player_id),
+                rank: String(ranks.get(player.player_id)),
+                rating_rank: String(ratingRanks.get(player.player_id))
+            };
+        });
+    };
+
+    return {
+        admins: {
+            findById: async (adminId) => {
+                const admin = state.admins.find(row => row.admin_id === adminId);
+                return admin ? {
+                    admin_id: admin.admin_id,
+                    username: admin.username,
+                    role: admin.role,
+                    is_active: admin.is_active,
+                    password_changed_at: admin.password_changed_at
+                } : null;
+            },
+
+            findForLogin: async (username) => {
+                const admin = state.admins.find(row => row.is_active && row.username.toLowerCase() === String(username).toLowerCase());
+                return admin ? {
+                    admin_id: admin.admin_id,
+                    username: admin.username,
+                    password_hash: admin.password_hash,
+                    role: admin.role
+                } : null;
+            },
+
+            recordLogin: async (adminId) => {
+                const admin = state.admins.find(row => row.admin_id === adminId);
+                if (admin) admin.last_login_at = new Date();
+            }
+        },
+
+        players: {
+            leaderboard: async (sort) => leaderboardRows(true)
+                .sort((a, b) => (sort === 'rating' ? a.rating_rank - b.rating_rank : a.rank - b.rank)),
+
+            leaderboardPage: async ({ tier, activeOnly }, page) =>
+                pageRows(leaderboardRows(activeOnly).filter(row => !tier || row.tier === tier), page),
+
+            top3: async (sort) => state.players
+                .filter(player => player.is_active)
+                .sort(sort === 'rating' ? byRating : byPoints)
+                .slice(0, 3)
+                .map((player, index) => ({
+                    id: player.player_id,
+                    name: player.name,
+                    points: player.points,
+                    tier: player.tier,
+                    ...ratingFields(player),
+                    is_champion: isChampion(player.player_id),
+                    is_tournament_winner: isTournamentWinner(player.player_id),
+                    badges: badgesFor(player.player_id),
+                    rank: String(index + 1)
+                })),
+
+            listForAdmin: async () => [...state.players]
+                .sort((a, b) => Number(b.is_active) - Number(a.is_active) || a.name.localeCompare(b.name))
+                .map(player => ({
+                    id: player.player_id,
+                    name: player.name,
+                    points: player.points,
+                    tier: player.tier,
+                    email: player.email,
+                    grade: player.grade,
+                    graduation_year: player.graduation_year,
+                    is_active: player.is_active,
+                    inactive_reason: player.inactive_reason,
+                    deactivated_at: player.deactivated_at,
+                    is_champion: isChampion(player.player_id),
+                    is_tournament_winner: isTournamentWinner(player.player_id),
+                    badges: badgesFor(player.player_id)
+                })),
+
+            findById: async (playerId) => copy(playerById(playerId)),
+
+            findByName: async (name) => copy(playerByName(name)),
+
+            findByIds: async (playerIds) => state.players
+                .filter(player => playerIds.includes(player.player_id))
+                .sort((a, b) => a.player_id - b.player_id)
+                .map(copy),
+
+            findByNames: async (names) => state.players
+                .filter(player => names.includes(player.name))
+                .sort((a, b) => a.player_id - b.player_id)
+                .map(copy),
+
+            findForUpdate: async (playerId) => copy(playerById(playerId)),
+
+            create: async ({ name, points = 0, email = null, grade = null, graduation_year = null }) => {
+                if (playerByName(name)) {
+                    throw uniqueViolation('players_name_key');
+                }
+                if (email && state.players.some(player => player.email && player.email.toLowerCase() === email.toLowerCase())) {
+                    throw uniqueViolation('idx_players_email');
+                }
+
+                const now = new Date();
+                const player = {
+                    player_id: nextId('players'),
+                    name,
+                    points,
+                    tier: tierFor(points, currentRules().rules),
+                    created_at: now,
+                    updated_at: now,
+                    rating: rating.DEFAULT_RATING,
+                    rating_deviation: rating.DEFAULT_DEVIATION,
+                    rating_volatility: rating.DEFAULT_VOLATILITY,
+                    rated_games: 0,
+                    email,
+                    grade,
+                    graduation_year,
+                    is_active: true,
+                    inactive_reason: null,
+                    deactivated_at: null
+                };
+                state.players.push(player);
+                recordPoints(player);
+                return copy(player);
+            },
+
+            update: async (playerId, values) => {
+                const player = playerById(playerId);
+
+                if (values.name !== undefined && state.players.some(other => other !== player && other.name === values.name)) {
+                    throw uniqueViolation('players_name_key');
+                }
+                if (values.email && state.players.some(other =>
+                    other !== player && other.email && other.email.toLowerCase() === values.email.toLowerCase()
+                )) {
+                    throw uniqueViolation('idx_players_email');
+                }
+                if (values.is_active !== undefined && values.is_active !== player.is_active) {
+                    player.deactivated_at = values.is_active ? null : new Date();
+                }
+
+                Object.assign(player, values, { updated_at: new Date() });
+                return copy(player);
+            },
+
+            statistics: async (playerId) => {
+                const player = playerById(playerId);
+
+                if (!player) {
+                    return null;
+                }
+
+                const { wins, losses, draws } = record(playerId);
+                const games = wins + losses + draws;
+                return {
+                    player_id: player.player_id,
+                    name: player.name,
+                    points: player.points,
+                    tier: player.tier,
+                    wins: String(wins),
+                    losses: String(losses),
+                    draws: String(draws),
+                    total_games: String(games),
+                    win_percentage: games === 0 ? '0' : roundToCents((wins + draws * 0.5) / games * 100),
+                    rating: player.rating,
+                    rating_deviation: player.rating_deviation,
+                    rating_volatility: player.rating_volatility,
+                    rated_games: player.rated_games,
+                    is_active: player.is_active
+                };
+            },
+
+            // Seasons need the Postgres backend (see index.js), so none has closed here
+            seasonResults: async () => [],
+
+            pointsHistory: async (playerId = null) => state.pointsHistory
+                .filter(row => playerId === null || row.player_id === playerId)
+                .sort((a, b) => a.recorded_at - b.recorded_at || a.history_id - b.history_id)
+                .map(row => ({ ...row, name: playerById(row.player_id).name })),
+
+            rankHistory: async (playerId) => {
+                const own = state.pointsHistory.filter(row => row.player_id === playerId);
+                const until = own.length > 0 ? Math.max(...own.map(row => row.recorded_at.getTime())) : -Infinity;
+
+                return state.pointsHistory
+                    .filter(row => (row.player_id === playerId || playerById(row.player_id).is_active) && row.recorded_at <= until)
+                    .sort((a, b) => a.recorded_at - b.recorded_at || a.history_id - b.history_id)
+                    .map(row => ({ ...row, name: playerById(row.player_id).name }));
+            },
+
+            snapshot: async (playerId) => {
+                const player = playerById(playerId);
+
+                if (!player) {
+                    return null;
+                }
+
+                return {
+                    player: copy(player),
+                    matches: playedBy(playerId).map(copy),
+                    monthly_archives: state.archives.filter(archive => [
+                        archive.first_place_player_id, archive.second_place_player_id, archive.third_place_player_id
+                    ].includes(playerId)).map(copy),
+                    tournament_winners: state.tournamentWinners.filter(badge => badge.player_id === playerId).map(copy),
+                    player_badges: state.badges.filter(badge => badge.player_id === playerId).map(copy)
+                };
+            },
+
+            // Tournaments need the Postgres backend (see index.js), so nobody is entered in one here
+            isInTournament: async () => false,
+
+            remove: async (playerId) => {
+                state.players = state.players.filter(player => player.player_id !== playerId);
+                state.badges = state.badges.filter(badge => badge.player_id !== playerId);
+                state.pointsHistory = state.pointsHistory.filter(row => row.player_id !== playerId);
+            },
+
+            standings: async (playerIds) => state.players
+                .filter(player => playerIds.includes(player.player_id))
+                .sort((a, b) => a.player_id - b.player_id)
+                .map(player => ({
+                    player_id: player.player_id,
+                    name: player.name,
+                    points: player.points,
+                    tier: player.tier,
+                    rating: player.rating,
+                    rating_deviation: player.rating_deviation
+                }))
+        },
+
+        matches: {
+            // Same checks, points and messages as recordMatch() in lib/matches.js
+            record: async ({ winnerName, loserName, isDraw = false, isForfeit = false, details = {} }) => {
+                const winner = playerByName(winnerName);
+                const loser = playerByName(loserName);
+
+                if (!winner) {
+                    return { error: `Error: Player ${winnerName} not found` };
+                }
+                if (!loser) {
+                    return { error: `Error: Player ${loserName} not found` };
+                }
+                if (winner.player_id === loser.player_id) {
+                    return { error: isDraw ? 'Error: A player cannot draw against themselves' : 'Error: Winner and loser cannot be the same player' };
+                }
+
+                const { version, rules } = currentRules();
+                const [winnerChange, loserChange] = pointsChange(
+                    rules,
+                    { points: winner.points, games: playedBy(winner.player_id).length },
+                    { points: loser.points, games: playedBy(loser.player_id).length },
+                    isDraw
+                );
+                const [winnerRating, loserRating] = rating.rateGame(
+                    { rating: winner.rating, deviation: winner.rating_deviation, volatility: winner.rating_volatility },
+                    { rating: loser.rating, deviation: loser.rating_deviation, volatility: loser.rating_volatility },
+                    isDraw ? 0.5 : 1
+                );
+
+                const match = {
+                    match_id: nextId('matches'),
+                    winner_id: winner.player_id,
+                    loser_id: loser.player_id,
+                    winner_tier_before: winner.tier,
+                    loser_tier_before: loser.tier,
+                    winner_points_change: winnerChange,
+                    loser_points_change: loserChange,
+                    match_date: new Date(),
+                    is_draw: Boolean(isDraw),
+                    is_forfeit: Boolean(isForfeit),
+                    winner_rating_before: winner.rating,
+                    loser_rating_before: loser.rating,
+                    winner_rating_change: winnerRating.rating - winner.rating,
+                    loser_rating_change: loserRating.rating - loser.rating,
+                    white_player_id: null,
+                    ...Object.fromEntries(MATCH_DETAILS.map(column => [column, null])),
+                    ...details,
+                    rules_version: version
+                };
+                state.matches.push(match);
+
+                setPoints(winner, winner.points + winnerChange, match);
+                setPoints(loser, loser.points + loserChange, match);
+
+                [[winner, winnerRating], [loser, loserRating]].forEach(([player, after]) => {
+                    player.rating = after.rating;
+                    player.rating_deviation = after.deviation;
+                    player.rating_volatility = after.volatility;
+                    player.rated_games += 1;
+                });
+
+                const recordOf = (playerId) => achievements.playerRecord(playedBy(playerId), playerId);
+                const states = achievements.matchStates(match, {
+                    winnerRecord: recordOf(winner.player_id),
+                    loserRecord: recordOf(loser.player_id),
+                    winnerTierAfter: winner.tier,
+                    loserTierAfter: loser.tier
+                });
+                const badges = states.flatMap(playerState => awardBadges(playerState.playerId, achievements.matchBadges(playerState), {
+                    source: 'match',
+                    matchId: match.match_id,
+                    earnedAt: match.match_date
+                }));
+
+                const message = isDraw
+                    ? `Draw recorded: ${winner.name} (${winnerChange}) vs ${loser.name} (${loserChange})`
+                    : `Match recorded: ${winner.name} (+${winnerChange}) defeated ${loser.name} (-${-loserChange})`;
+
+                return { message, match: copy(match), badges };
+            },
+
+            findDetailed: async (matchId) => {
+                const match = state.matches.find(row => row.match_id === matchId);
+                return match ? historyRow(match) : null;
+            },
+
+            saveGame: async (matchId, game, { whiteId, blackId, whiteName, blackName }) => {
+                const saved = {
+                    match_id: matchId,
+                    white_player_id: whiteId,
+                    black_player_id: blackId,
+                    ...storedGame(game, { whiteName, blackName }),
+                    uploaded_at: new Date()
+                };
+                state.matchGames = [...state.matchGames.filter(row => row.match_id !== matchId), saved];
+                state.matches.find(match => match.match_id === matchId).white_player_id = whiteId;
+                return structuredClone(saved);
+            },
+
+            findGame: async (matchId) => {
+                const game = gameFor(matchId);
+                return game ? {
+                    ...structuredClone(game),
+                    white_name: playerById(game.white_player_id).name,
+                    black_name: playerById(game.black_player_id).name
+                } : null;
+            },
+
+            pgnFor: async (playerId) => playedBy(playerId)
+                .filter(match => gameFor(match.match_id))
+                .sort((a, b) => a.match_date - b.match_date)
+                .map(match => gameFor(match.match_id).pgn),
+
+            gamesFor: async (playerId, opponentId = null) => playedBy(playerId)
+                .filter(match => opponentId === null || match.winner_id === opponentId || match.loser_id === opponentId)
+                .sort((a, b) => a.match_date - b.match_date || a.match_id - b.match_id)
+                .map(match => {
+                    const { opponent, rating_change, ...fields } = side(match, playerId);
+                    return {
+                        match_id: match.match_id,
+                        match_date: match.match_date,
+                        result: fields.result,
+                        opponent_id: opponent.player_id,
+                        opponent_name: opponent.name,
+                        tier_before: fields.tier_before,
+                        opponent_tier: fields.opponent_tier,
+                        point_change: fields.point_change,
+                        opponent_point_change: fields.opponent_point_change,
+                        color: fields.color,
+                        time_control: match.time_control,
+                        eco: match.eco,
+                        opening: match.opening,
+                        event: match.event,
+                        round: match.round,
+                        has_pgn: Boolean(gameFor(match.match_id))
+                    };
+                }),
+
+            recentFor: async (playerId, limit) => playedBy(playerId)
+                .sort((a, b) => b.match_date - a.match_date || b.match_id - a.match_id)
+                .slice(0, limit)
+                .map(match => {
+                    const fields = side(match, playerId);
+                    const game = gameFor(match.match_id);
+                    return {
+                        match_id: match.match_id,
+                        result: fields.result,
+                        opponent_name: fields.opponent.name,
+                        opponent_tier: fields.opponent_tier,
+                        point_change: fields.point_change,
+                        rating_change: Math.round(fields.rating_change),
+                        match_date: match.match_date,
+                        color: fields.color,
+                        ...Object.fromEntries(MATCH_DETAILS.map(column => [column, match[column]])),
+                        moves: game ? structuredClone(game.moves) : null
+                    };
+                }),
+
+            winDates: async (until = null) => state.matches
+                .filter(match => !match.is_draw && (!until || match.match_date <= until))
+                .sort((a, b) => a.match_date - b.match_date)
+                .map(match => ({ player_id: match.winner_id, match_date: match.match_date })),
+
+            // Tournaments need the Postgres backend, so tournament_name is always null here
+            page: async ({ from, to, player, tier, tournament }, page) => pageRows(state.matches
+                .map(match => ({ ...historyRow(match), tournament_name: null }))
+                .filter(row => (!from || row.match_date >= localDate(from))
+                    && (!to || row.match_date < localDate(to, 1))
+                    && (!player || row.winner_id === player || row.loser_id === player)
+                    && (!tier || row.winner_tier_before === tier || row.loser_tier_before === tier)
+                    && !tournament), page)
+        },
+
+        archives: {
+            page: async ({ from, to, player }, page) => pageRows(state.archives
+                .map(archive => ({
+                    id: archive.archive_id,
+                    archive_month: archive.archive_month,
+                    first_place_name: playerById(archive.first_place_player_id).name,
+                    first_place_points: archive.first_place_points,
+                    second_place_name: playerById(archive.second_place_player_id).name,
+                    second_place_points: archive.second_place_points,
+                    third_place_name: playerById(archive.third_place_player_id).name,
+                    third_place_points: archive.third_place_points,
+                    archive_date: archive.created_at,
+                    podium_ids: [archive.first_place_player_id, archive.second_place_player_id, archive.third_place_player_id]
+                }))
+                .filter(row => (!from || row.archive_date >= localDate(from))
+                    && (!to || row.archive_date < localDate(to, 1))
+                    && (!player || row.podium_ids.includes(player))), page),
+
+            create: async (month, [first, second, third]) => {
+                if (state.archives.some(archive => archive.archive_month === month)) {
+                    throw uniqueViolation('monthly_archives_archive_month_key');
+                }
+
+                const archive = {
+                    archive_id: nextId('archives'),
+                    archive_month: month,
+                    first_place_player_id: first.player_id,
+                    first_place_points: first.points,
+                    second_place_player_id: second.player_id,
+                    second_place_points: second.points,
+                    third_place_player_id: third.player_id,
+                    third_place_points: third.points,
+                    created_at: new Date()
+                };
+                state.archives.push(archive);
+                achievements.archiveBadges(archive).forEach(({ playerId, key, detail }) => {
+                    awardBadges(playerId, [{ key, detail }], { source: 'archive', archiveId: archive.archive_id, earnedAt: archive.created_at });
+                });
+                return copy(archive);
+            },
+
+            remove: async (archiveId) => {
+                const archive = state.archives.find(row => row.archive_id === archiveId);
+                state.archives = state.archives.filter(row => row.archive_id !== archiveId);
+                state.badges = state.badges.filter(badge => badge.archive_id !== archiveId);
+                return copy(archive);
+            }
+        },
+
+        events: {
+            since: async (afterId, limit) => state.liveEvents
+                .filter(event => event.event_id > afterId)
+                .slice(0, limit)
+                .map(copy),
+
+            bounds: async () => ({
+                oldest: state.liveEvents.length > 0 ? state.liveEvents[0].event_id : null,
+                latest: state.liveEvents.length > 0 ? state.liveEvents[state.liveEvents.length - 1].event_id : null
+            }),
+
+            // Only the newest MAX_LIVE_EVENTS are kept, whatever their age
+            prune: async () => {}
+        },
+
+        badges: {
+            forPlayer: async (playerId) => badgesFor(playerId),
+
+            findById: async (badgeId) => copy(state.badges.find(badge => badge.badge_id === badgeId)),
+
+            grant: async (playerId, { title, note = null, grantedBy = null }) => {
+                if (state.badges.some(badge => badge.player_id === playerId && badge.badge_key === 'manual' && badge.detail === title)) {
+                    throw uniqueViolation('player_badges_player_id_badge_key_detail_key');
+                }
+
+                const badge = {
+                    badge_id: nextId('badges'),
+                    player_id: playerId,
+                    badge_key: 'manual',
+                    detail: title,
+                    source: 'manual',
+                    match_id: null,
+                    archive_id: null,
+                    note,
+                    granted_by: grantedBy,
+                    earned_at: new Date()
+                };
+                state.badges.push(badge);
+                return copy(badge);
+            },
+
+            remove: async (badgeId) => {
+                const badge = state.badges.find(row => row.badge_id === badgeId);
+                state.badges = state.badges.filter(row => row.badge_id !== badgeId);
+                return copy(badge);
+            }
+        },
+
+        scoringRules: {
+            list: async () => [...state.scoringRules].reverse().map(scoringRulesRow),
+
+            current: async () => scoringRulesRow(currentRules()),
+
+            findByVersion: async (version) => {
+                const row = state.scoringRules.find(candidate => candidate.version === version);
+                return row ? scoringRulesRow(row) : null;
+            },
+
+            create: async ({ rules, note = null, createdBy = null }) => {
+                const row = {
+                    version: nextId('scoringRules'),
+                    rules: structuredClone(rules),
+                    note,
+                    created_by: createdBy,
+                    created_at: new Date()
+                };
+                state.scoringRules.push(row);
+                return scoringRulesRow(row);
+            },
+
+            clamp: async () => state.players
+                .filter(player => player.points !== clampPoints(player.points, currentRules().rules))
+                .map(player => {
+                    const { points: pointsBefore, tier: tierBefore } = player;
+                    setPoints(player, clampPoints(player.points, currentRules().rules));
+                    return {
+                        player_id: player.player_id,
+                        name: player.name,
+                        points_before: pointsBefore,
+                        points: player.points,
+                        tier_before: tierBefore,
+                        tier: player.tier
+                    };
+                }),
+
+            retier: async () => state.players
+                .filter(player => player.tier !== tierFor(player.points, currentRules().rules))
+                .map(player => {
+                    const tierBefore = player.tier;
+                    player.tier = tierFor(player.points, currentRules().rules);
+                    return { player_id: player.player_id, name: player.name, points: player.points, tier_before: tierBefore, tier: player.tier };
+                })
+        },
+
+        tournamentWinners: {
+            page: async ({ from, to, player, tournament, activeOnly }, page) => pageRows(state.tournamentWinners
+                .map(badge => ({
+                    winner_id: badge.winner_id,
+                    player_id: badge.player_id,
+                    name: playerById(badge.player_id).name,
+                    is_active: playerById(badge.player_id).is_active,
+                    tournament_name: badge.tournament_name,
+                    tournament_date: badge.tournament_date
+                }))
+                .filter(row => (!from || row.tournament_date >= localDate(from))
+                    && (!to || row.tournament_date <= localDate(to))
+                    && (!player || row.player_id === player)
+                    && (!tournament || row.tournament_name.toLowerCase().includes(tournament.toLowerCase()))
+                    && (!activeOnly || row.is_active)), page),
+
+            add: async (playerId, tournamentName, { ignoreExisting = false } = {}) => {
+                if (!playerById(playerId)) {
+                    const error = new Error('insert or update on table "tournament_winners" violates foreign key constraint');
+                    error.code = '23503';
+                    throw error;
+                }
+
+                const date = today();
+                const exists = state.tournamentWinners.some(badge =>
+                    badge.player_id === playerId && badge.tournament_name === tournamentName && badge.tournament_date.getTime() === date.getTime()
+                );
+
+                if (exists) {
+                    if (ignoreExisting) return null;
+                    throw uniqueViolation('tournament_winners_player_id_tournament_name_tournament_date_key');
+                }
+
+                const badge = {
+                    winner_id: nextId('tournamentWinners'),
+                    player_id: playerId,
+                    tournament_name: tournamentName,
+                    tournament_date: date
+                };
+                state.tournamentWinners.push(badge);
+                return copy(badge);
+            },
+
+            removeForPlayer: async (playerId) => {
+                const removed = state.tournamentWinners.filter(badge => badge.player_id === playerId);
+                state.tournamentWinners = state.tournamentWinners.filter(badge => badge.player_id !== playerId);
+                return removed.map(copy);
+            },
+
+            clear: async () => {
+                const removed = state.tournamentWinners;
+                state.tournamentWinners = [];
+                return removed.map(copy);
+            }
+        }
+    };
+};
+
+const createMemoryRepositories = () => {
+    const state = emptyState();
+    const eventListeners = new Set();
+
+    // Transactions run one at a time against a copy of the data that is only kept if
+    // work finishes without throwing
+    let queue = Promise.resolve();
+    const serialize = (work) => {
+        const run = queue.then(work, work);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    return {
+        backend: 'memory',
+        ...bind(state),
+
+        // Events published in a transaction reach listeners once it has finished
+        transaction: (work) => serialize(async () => {
+            const saved = structuredClone(state);
+            const published = [];
+
+            try {
+                const result = await work({
+                    ...bind(state),
+                    publish: async (topic, type, payload) => {
+                        published.push({ topic, event_type: type, payload: structuredClone(payload), created_at: new Date() });
+                    },
+                    audit: async (req, { action, entityType, entityId = null, before = null, after = null }) => {
+                        state.audit.push({
+                            audit_id: state.nextId.audit++,
+                            admin_id: req.admin ? req.admin.adminId : null,
+                            admin_username: req.admin ? req.admin.username : null,
+                            action,
+                            entity_type: entityType,
+                            entity_id: entityId === null ? null : String(entityId),
+                            before_data: before,
+                            after_data: after,
+                            created_at: new Date()
+                        });
+                    }
+                });
+
+                published.forEach(event => {
+                    const stored = { event_id: state.nextId.liveEvents++, ...event };
+                    state.liveEvents.push(stored);
+                    eventListeners.forEach(listener => listener(copy(stored)));
+                });
+                state.liveEvents.splice(0, Math.max(0, state.liveEvents.length - MAX_LIVE_EVENTS));
+
+                return result;
+            } catch (error) {
+                Object.assign(state, saved);
+                throw error;
+            }
+        }),
+
+        // Called with each live event as it is published; returns a function that stops listening
+        onEvent: (listener) => {
+            eventListeners.add(listener);
+            return () => eventListeners.delete(listener);
+        },
+
+        serverTime: async () => new Date(),
+
+        // Load starting data: { players: [{ name, points, email, grade, graduationYear }],
+        // admins: [{ username, password_hash, role }] }
+        seed: async ({ players = [], admins = [] }) => {
+            const repos = bind(state);
+
+            for (const player of players) {
+                await repos.players.create({
+                    name: player.name,
+                    points: player.points || 0,
+                    email: player.email || null,
+                    grade: player.grade || null,
+                    graduation_year: player.graduationYear || null
+                });
+            }
+
+            admins.forEach(admin => {
+                state.admins.push({
+                    admin_id: state.nextId.admins++,
+                    username: admin.username,
+                    password_hash: admin.password_hash,
+                    role: admin.role || 'owner',
+                    is_active: true,
+                    password_changed_at: new Date(0),
+                    last_login_at: null
+                });
+            });
+        }
+    };
+};
+
+module.exports = { createMemoryRepositories };
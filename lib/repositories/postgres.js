@@ -0,0 +1,754 @@
+// Postgres repositories: the queries behind the player, match, archive, badge,
+// scoring rules and tournament winner routes. The Postgres-only features listed in
+// index.js query the pool themselves.
+const { withTransaction } = require('../db');
+const { recordMatch, saveMatchGame } = require('../matches');
+const { loadGames } = require('../opponents');
+const { recordAudit, snapshotPlayer, snapshotStandings } = require('../audit');
+const { PROVISIONAL_DEVIATION } = require('../rating');
+const { isDescending } = require('../pagination');
+const { awardArchiveBadges, describeBadge, BADGES_COLUMN } = require('../achievements');
+
+// Publishers take this lock so event ids are handed out in commit order, which lets
+// readers treat "everything after id N" as a complete catch-up
+const LIVE_LOCK_KEY = 4170311;
+const LIVE_CHANNEL = 'live_events';
+
+// Leaderboard orderings accepted through ?sort=
+const LEADERBOARD_SORTS = {
+    points: 'p.points DESC, COALESCE(wins.win_count, 0) DESC, p.name ASC',
+    rating: 'p.rating DESC, p.points DESC, p.name ASC'
+};
+
+const TOP3_SORTS = {
+    points: 'p.points DESC, p.name ASC',
+    rating: 'p.rating DESC, p.points DESC, p.name ASC'
+};
+
+const SQL_TYPES = { integer: 'BIGINT', numeric: 'NUMERIC', text: 'TEXT', timestamp: 'TIMESTAMP', date: 'DATE' };
+
+// Paged SELECT over source (a table, view or parenthesised query) aliased q.
+// where(sql, value) adds a condition on q's columns, with ? standing for value;
+// page(db, page) returns { rows, total, next } for a page from lib/pagination.js
+// (every row when its limit is null).
+const pageQuery = (source, params = []) => {
+    const values = [...params];
+    const conditions = [];
+
+    const query = {
+        where: (sql, value) => {
+            values.push(value);
+            conditions.push(`(${sql.replace(/\?/g, `$${values.length}`)})`);
+            return query;
+        },
+
+        page: async (db, { spec, order, idField, limit, after }) => {
+            const pageValues = [...values];
+            const pageConditions = [...conditions];
+            const addParam = (value) => {
+                pageValues.push(value);
+                return `$${pageValues.length}`;
+            };
+            const descending = isDescending({ spec, order });
+            const direction = descending ? 'DESC' : 'ASC';
+            const whereFor = (list) => (list.length > 0 ? `WHERE ${list.join(' AND ')}` : '');
+
+            // The cursor holds the sort value as text, cast back here, so timestamps keep
+            // their microseconds
+            if (after) {
+                pageConditions.push(`(q.${spec.field}, q.${idField}) ${descending ? '<' : '>'} (${addParam(after.value)}::${SQL_TYPES[spec.type]}, ${addParam(after.id)})`);
+            }
+
+            const [pageResult, countResult] = await Promise.all([
+                db.query(`
+                    SELECT q.*, q.${spec.field}::TEXT as sort_value
+                    FROM ${source} q
+                    ${whereFor(pageConditions)}
+                    ORDER BY q.${spec.field} ${direction}, q.${idField} ${direction}
+                    LIMIT ${addParam(limit === null ? null : limit + 1)}
+                `, pageValues),
+                db.query(`SELECT COUNT(*) as total FROM ${source} q ${whereFor(conditions)}`, values)
+            ]);
+
+            const more = limit !== null && pageResult.rows.length > limit;
+            const rows = more ? pageResult.rows.slice(0, limit) : pageResult.rows;
+            const last = rows[rows.length - 1];
+
+            return {
+                rows: rows.map(({ sort_value, ...row }) => row),
+                total: countResult.rows[0].total,
+                next: more ? { value: last.sort_value, id: last[idField] } : null
+            };
+        }
+    };
+
+    return query;
+};
+
+// The badge flags older clients read, for player p: a monthly podium finish or a
+// tournament win
+const BADGE_FLAGS = `
+    EXISTS (SELECT 1 FROM player_badges b WHERE b.player_id = p.player_id AND b.badge_key = 'monthly_podium') as is_champion,
+    EXISTS (SELECT 1 FROM tournament_winners tw WHERE tw.player_id = p.player_id) as is_tournament_winner
+`;
+
+// Rows from a query with BADGES_COLUMN, badges described
+const withBadges = (rows) => rows.map(row => ({ ...row, badges: row.badges.map(describeBadge) }));
+
+// Players with their record and badges. $1 is PROVISIONAL_DEVIATION; $2 false takes
+// inactive players in too. Ranks are among the players selected.
+const LEADERBOARD_SELECT = `
+    SELECT
+        p.player_id as id,
+        p.name,
+        p.points,
+        p.tier,
+        p.is_active,
+        ROUND(p.rating)::INTEGER as rating,
+        ROUND(p.rating_deviation)::INTEGER as rating_deviation,
+        p.rating_deviation > $1 as is_provisional,
+        COALESCE(wins.win_count, 0) as wins,
+        COALESCE(losses.loss_count, 0) as losses,
+        COALESCE(draws.draw_count, 0) as draws,
+        CASE
+            WHEN COALESCE(wins.win_count, 0) + COALESCE(losses.loss_count, 0) + COALESCE(draws.draw_count, 0) = 0 THEN 0
+            ELSE ROUND(((COALESCE(wins.win_count, 0) + COALESCE(draws.draw_count, 0) * 0.5)::NUMERIC / (COALESCE(wins.win_count, 0) + COALESCE(losses.loss_count, 0) + COALESCE(draws.draw_count, 0))) * 100, 2)
+        END as win_percentage,
+        ${BADGE_FLAGS},
+        ${BADGES_COLUMN} as badges,
+        ROW_NUMBER() OVER (ORDER BY p.points DESC, COALESCE(wins.win_count, 0) DESC, p.name ASC) as rank,
+        ROW_NUMBER() OVER (ORDER BY p.rating DESC, p.points DESC, p.name ASC) as rating_rank
+    FROM players p
+    LEFT JOIN (
+        SELECT winner_id, COUNT(*) as win_count
+        FROM matches
+        WHERE NOT is_draw
+        GROUP BY winner_id
+    ) wins ON p.player_id = wins.winner_id
+    LEFT JOIN (
+        SELECT loser_id, COUNT(*) as loss_count
+        FROM matches
+        WHERE NOT is_draw
+        GROUP BY loser_id
+    ) losses ON p.player_id = losses.loser_id
+    LEFT JOIN (
+        SELECT player_id, COUNT(*) as draw_count
+        FROM (
+            SELECT winner_id as player_id FROM matches WHERE is_draw
+            UNION ALL
+            SELECT loser_id as player_id FROM matches WHERE is_draw
+        ) drawn
+        GROUP BY player_id
+    ) draws ON p.player_id = draws.player_id
+    WHERE p.is_active OR NOT $2
+`;
+
+// A scoring rules version, who added it and how many matches it has scored
+const SCORING_RULES_SELECT = `
+    SELECT
+        r.version,
+        r.rules,
+        r.note,
+        a.username as created_by,
+        r.created_at,
+        (SELECT COUNT(*) FROM matches m WHERE m.rules_version = r.version)::INTEGER as matches
+    FROM scoring_rules r
+    LEFT JOIN admins a ON r.created_by = a.admin_id
+`;
+
+// Repositories bound to db, which is either the pool or a transaction's client
+const bind = (db) => ({
+    admins: {
+        findById: async (adminId) => {
+            const result = await db.query(`
+                SELECT admin_id, username, role, is_active, password_changed_at
+                FROM admins WHERE admin_id = $1
+            `, [adminId]);
+            return result.rows[0] || null;
+        },
+
+        // Active account for a login attempt, with its password hash
+        findForLogin: async (username) => {
+            const result = await db.query(`
+                SELECT admin_id, username, password_hash, role
+                FROM admins
+                WHERE LOWER(username) = LOWER($1) AND is_active
+            `, [username]);
+            return result.rows[0] || null;
+        },
+
+        recordLogin: (adminId) => db.query('UPDATE admins SET last_login_at = NOW() WHERE admin_id = $1', [adminId])
+    },
+
+    players: {
+        // Active players with their record and badges, ranked by sort (points or rating)
+        leaderboard: async (sort) => {
+            const result = await db.query(`
+                ${LEADERBOARD_SELECT}
+                ORDER BY ${LEADERBOARD_SORTS[sort]}
+            `, [PROVISIONAL_DEVIATION, true]);
+            return withBadges(result.rows);
+        },
+
+        // One page of the leaderboard (see lib/pagination.js). Filters: tier, activeOnly
+        leaderboardPage: async ({ tier, activeOnly }, page) => {
+            const query = pageQuery(`(${LEADERBOARD_SELECT})`, [PROVISIONAL_DEVIATION, activeOnly]);
+
+            if (tier) query.where('q.tier = ?', tier);
+
+            const result = await query.page(db, page);
+            return { ...result, rows: withBadges(result.rows) };
+        },
+
+        top3: async (sort) => {
+            const result = await db.query(`
+                SELECT
+                    p.player_id as id,
+                    p.name,
+                    p.points,
+                    p.tier,
+                    ROUND(p.rating)::INTEGER as rating,
+                    ROUND(p.rating_deviation)::INTEGER as rating_deviation,
+                    p.rating_deviation > $1 as is_provisional,
+                    ${BADGE_FLAGS},
+                    ${BADGES_COLUMN} as badges,
+                    ROW_NUMBER() OVER (ORDER BY ${TOP3_SORTS[sort]}) as rank
+                FROM players p
+                WHERE p.is_active
+                ORDER BY ${TOP3_SORTS[sort]}
+                LIMIT 3
+            `, [PROVISIONAL_DEVIATION]);
+            return withBadges(result.rows);
+        },
+
+        // Every player, active ones first, with profile fields for the admin screens
+        listForAdmin: async () => {
+            const result = await db.query(`
+                SELECT
+                    p.player_id as id,
+                    p.name,
+                    p.points,
+                    p.tier,
+                    p.email,
+                    p.grade,
+                    p.graduation_year,
+                    p.is_active,
+                    p.inactive_reason,
+                    p.deactivated_at,
+                    ${BADGE_FLAGS},
+                    ${BADGES_COLUMN} as badges
+                FROM players p
+                ORDER BY p.is_active DESC, p.name ASC
+            `);
+            return withBadges(result.rows);
+        },
+
+        findById: async (playerId) => {
+            const result = await db.query('SELECT * FROM players WHERE player_id = $1', [playerId]);
+            return result.rows[0] || null;
+        },
+
+        findByName: async (name) => {
+            const result = await db.query('SELECT * FROM players WHERE name = $1', [name]);
+            return result.rows[0] || null;
+        },
+
+        findByIds: async (playerIds) => {
+            const result = await db.query('SELECT * FROM players WHERE player_id = ANY($1) ORDER BY player_id', [playerIds]);
+            return result.rows;
+        },
+
+        findByNames: async (names) => {
+            const result = await db.query('SELECT * FROM players WHERE name = ANY($1) ORDER BY player_id', [names]);
+            return result.rows;
+        },
+
+        // Locks the row until the transaction ends
+        findForUpdate: async (playerId) => {
+            const result = await db.query('SELECT * FROM players WHERE player_id = $1 FOR UPDATE', [playerId]);
+            return result.rows[0] || null;
+        },
+
+        create: async ({ name, points, email, grade, graduation_year }) => {
+            const result = await db.query(`
+                INSERT INTO players (name, points, email, grade, graduation_year)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *
+            `, [name, points, email, grade, graduation_year]);
+            return result.rows[0];
+        },
+
+        // Set the given columns. Changing is_active stamps or clears deactivated_at.
+        update: async (playerId, values) => {
+            const assignments = Object.keys(values).map((column, index) => `${column} = $${index + 2}`);
+
+            if (values.is_active !== undefined) {
+                const param = `$${Object.keys(values).indexOf('is_active') + 2}::BOOLEAN`;
+                assignments.push(`deactivated_at = CASE
+                    WHEN is_active = ${param} THEN deactivated_at
+                    WHEN ${param} THEN NULL
+                    ELSE NOW()
+                END`);
+            }
+
+            const result = await db.query(`
+                UPDATE players SET ${assignments.join(', ')}, updated_at = NOW()
+                WHERE player_id = $1
+                RETURNING *
+            `, [playerId, ...Object.values(values)]);
+            return result.rows[0];
+        },
+
+        // The player's record from the player_statistics view with their rating, or null
+        statistics: async (playerId) => {
+            const result = await db.query(`
+                SELECT ps.*, p.rating, p.rating_deviation, p.rating_volatility, p.rated_games, p.is_active
+                FROM player_statistics ps
+                JOIN players p ON ps.player_id = p.player_id
+                WHERE ps.player_id = $1
+            `, [playerId]);
+            return result.rows[0] || null;
+        },
+
+        // Final placement in every closed season the player took part in, newest first
+        seasonResults: async (playerId) => {
+            const result = await db.query(`
+                SELECT
+                    s.season_id,
+                    s.name as season_name,
+                    s.starts_on,
+                    s.ends_on,
+                    ss.rank,
+                    ss.points,
+                    ss.tier,
+                    ss.wins,
+                    ss.losses,
+                    ss.draws,
+                    (SELECT COUNT(*)::INTEGER FROM season_standings x WHERE x.season_id = s.season_id) as player_count
+                FROM season_standings ss
+                JOIN seasons s ON ss.season_id = s.season_id
+                WHERE ss.player_id = $1
+                ORDER BY s.starts_on DESC
+            `, [playerId]);
+            return result.rows;
+        },
+
+        // Points and tier after every change to a player's points (everyone's when
+        // playerId is null), oldest first
+        pointsHistory: async (playerId = null) => {
+            const result = await db.query(`
+                SELECT h.history_id, h.player_id, p.name, h.match_id, h.points, h.tier, h.recorded_at
+                FROM points_history h
+                JOIN players p ON h.player_id = p.player_id
+                WHERE $1::INTEGER IS NULL OR h.player_id = $1
+                ORDER BY h.recorded_at ASC, h.history_id ASC
+            `, [playerId]);
+            return result.rows;
+        },
+
+        // The points changes needed to rank playerId after each of theirs: their own
+        // and active players' up to their last one, oldest first
+        rankHistory: async (playerId) => {
+            const result = await db.query(`
+                SELECT h.history_id, h.player_id, p.name, h.match_id, h.points, h.tier, h.recorded_at
+                FROM points_history h
+                JOIN players p ON h.player_id = p.player_id
+                WHERE (p.is_active OR h.player_id = $1)
+                AND h.recorded_at <= (SELECT MAX(recorded_at) FROM points_history WHERE player_id = $1)
+                ORDER BY h.recorded_at ASC, h.history_id ASC
+            `, [playerId]);
+            return result.rows;
+        },
+
+        // The player plus every match, archive and badge that references them, or null
+        snapshot: (playerId) => snapshotPlayer(db, playerId),
+
+        isInTournament: async (playerId) => {
+            const result = await db.query(`
+                SELECT COUNT(*)::INTEGER as count FROM tournament_players WHERE player_id = $1
+            `, [playerId]);
+            return result.rows[0].count > 0;
+        },
+
+        remove: (playerId) => db.query('DELETE FROM players WHERE player_id = $1', [playerId]),
+
+        // Current points, tier and rating for a set of players
+        standings: (playerIds) => snapshotStandings(db, playerIds)
+    },
+
+    matches: {
+        // Record a result and rate it. Returns { error } or { message, match, badges }.
+        record: (result) => recordMatch(db, result),
+
+        saveGame: (matchId, game, colors) => saveMatchGame(db, matchId, game, colors),
+
+        // The PGN game stored for a match with the players' names, or null
+        findGame: async (matchId) => {
+            const result = await db.query(`
+                SELECT mg.*, wp.name as white_name, bp.name as black_name
+                FROM match_games mg
+                JOIN players wp ON mg.white_player_id = wp.player_id
+                JOIN players bp ON mg.black_player_id = bp.player_id
+                WHERE mg.match_id = $1
+            `, [matchId]);
+            return result.rows[0] || null;
+        },
+
+        // PGN text of every game a player has stored, oldest first
+        pgnFor: async (playerId) => {
+            const result = await db.query(`
+                SELECT mg.pgn
+                FROM match_games mg
+                JOIN matches m ON mg.match_id = m.match_id
+                WHERE mg.white_player_id = $1 OR mg.black_player_id = $1
+                ORDER BY m.match_date ASC
+            `, [playerId]);
+            return result.rows.map(row => row.pgn);
+        },
+
+        // Every game a player has played from their side of the board, oldest first;
+        // only those against opponentId when given
+        gamesFor: (playerId, opponentId = null) => loadGames(db, playerId, opponentId),
+
+        // A player's latest games from their side, with match details and moves, newest first
+        recentFor: async (playerId, limit) => {
+            const result = await db.query(`
+                SELECT
+                    m.match_id,
+                    CASE
+                        WHEN m.is_draw THEN 'draw'
+                        WHEN m.winner_id = $1 THEN 'win'
+                        ELSE 'loss'
+                    END as result,
+                    CASE
+                        WHEN m.winner_id = $1 THEN lp.name
+                        ELSE wp.name
+                    END as opponent_name,
+                    CASE
+                        WHEN m.winner_id = $1 THEN m.loser_tier_before
+                        ELSE m.winner_tier_before
+                    END as opponent_tier,
+                    CASE
+                        WHEN m.winner_id = $1 THEN m.winner_points_change
+                        ELSE m.loser_points_change
+                    END as point_change,
+                    ROUND(CASE
+                        WHEN m.winner_id = $1 THEN m.winner_rating_change
+                        ELSE m.loser_rating_change
+                    END)::INTEGER as rating_change,
+                    m.match_date,
+                    CASE
+                        WHEN m.white_player_id IS NULL THEN NULL
+                        WHEN m.white_player_id = $1 THEN 'white'
+                        ELSE 'black'
+                    END as color,
+                    m.time_control,
+                    m.clock_minutes,
+                    m.clock_increment,
+                    m.eco,
+                    m.opening,
+                    m.event,
+                    m.round,
+                    m.notes,
+                    mg.moves
+                FROM matches m
+                JOIN players wp ON m.winner_id = wp.player_id
+                JOIN players lp ON m.loser_id = lp.player_id
+                LEFT JOIN match_games mg ON m.match_id = mg.match_id
+                WHERE m.winner_id = $1 OR m.loser_id = $1
+                ORDER BY m.match_date DESC
+                LIMIT $2
+            `, [playerId, limit]);
+            return result.rows;
+        },
+
+        // The winner and date of every decisive game, oldest first
+        // Winner and date of every decisive match, up to until when given
+        winDates: async (until = null) => {
+            const result = await db.query(`
+                SELECT winner_id as player_id, match_date
+                FROM matches
+                WHERE NOT is_draw AND ($1::TIMESTAMP IS NULL OR match_date <= $1)
+                ORDER BY match_date ASC
+            `, [until]);
+            return result.rows;
+        },
+
+        // One match as shown in match history, or null
+        findDetailed: async (matchId) => {
+            const result = await db.query('SELECT * FROM match_history_detailed WHERE match_id = $1', [matchId]);
+            return result.rows[0] || null;
+        },
+
+        // One page of match history, with the tournament each match was played in.
+        // Filters: from, to, player, tier (either player's tier at the time), tournament
+        page: ({ from, to, player, tier, tournament }, page) => {
+            const query = pageQuery(`(
+                SELECT
+                    mhd.*,
+                    (SELECT t.name FROM tournament_pairings tpr
+                     JOIN tournaments t ON tpr.tournament_id = t.tournament_id
+                     WHERE tpr.match_id = mhd.match_id
+                     LIMIT 1) as tournament_name
+                FROM match_history_detailed mhd
+            )`);
+
+            if (from) query.where('q.match_date >= ?::DATE', from);
+            if (to) query.where('q.match_date < ?::DATE + 1', to);
+            if (player) query.where('q.winner_id = ? OR q.loser_id = ?', player);
+            if (tier) query.where('q.winner_tier_before = ? OR q.loser_tier_before = ?', tier);
+            if (tournament) query.where('POSITION(LOWER(?) IN LOWER(q.tournament_name)) > 0', tournament);
+
+            return query.page(db, page);
+        }
+    },
+
+    archives: {
+        // One page of monthly podiums. Filters: from, to (archive date), player (on the podium)
+        page: ({ from, to, player }, page) => {
+            const query = pageQuery(`(
+                SELECT
+                    ma.archive_id as id,
+                    ma.archive_month,
+                    fp.name as first_place_name,
+                    ma.first_place_points,
+                    sp.name as second_place_name,
+                    ma.second_place_points,
+                    tp.name as third_place_name,
+                    ma.third_place_points,
+                    ma.created_at as archive_date,
+                    ARRAY[ma.first_place_player_id, ma.second_place_player_id, ma.third_place_player_id] as podium_ids
+                FROM monthly_archives ma
+                JOIN players fp ON ma.first_place_player_id = fp.player_id
+                JOIN players sp ON ma.second_place_player_id = sp.player_id
+                JOIN players tp ON ma.third_place_player_id = tp.player_id
+            )`);
+
+            if (from) query.where('q.archive_date >= ?::DATE', from);
+            if (to) query.where('q.archive_date < ?::DATE + 1', to);
+            if (player) query.where('? = ANY(q.podium_ids)', player);
+
+            return query.page(db, page);
+        },
+
+        // podium is the first, second and third placed player rows; they get their podium badges
+        create: async (month, [first, second, third]) => {
+            const result = await db.query(`
+                INSERT INTO monthly_archives (
+                    archive_month,
+                    first_place_player_id, first_place_points,
+                    second_place_player_id, second_place_points,
+                    third_place_player_id, third_place_points
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING *
+            `, [
+                month,
+                first.player_id, first.points,
+                second.player_id, second.points,
+                third.player_id, third.points
+            ]);
+            await awardArchiveBadges(db, result.rows[0]);
+            return result.rows[0];
+        },
+
+        // The deleted row, or null
+        remove: async (archiveId) => {
+            const result = await db.query('DELETE FROM monthly_archives WHERE archive_id = $1 RETURNING *', [archiveId]);
+            return result.rows[0] || null;
+        }
+    },
+
+    // Stored live feed events (see lib/live.js)
+    events: {
+        since: async (afterId, limit) => {
+            const result = await db.query(`
+                SELECT event_id::INTEGER as event_id, topic, event_type, payload, created_at
+                FROM live_events
+                WHERE event_id > $1
+                ORDER BY event_id
+                LIMIT $2
+            `, [afterId, limit]);
+            return result.rows;
+        },
+
+        // { oldest, latest } ids, null when there are none
+        bounds: async () => {
+            const result = await db.query(`
+                SELECT MIN(event_id)::INTEGER as oldest, MAX(event_id)::INTEGER as latest FROM live_events
+            `);
+            return result.rows[0];
+        },
+
+        prune: (hours) => db.query(`DELETE FROM live_events WHERE created_at < NOW() - make_interval(hours => $1)`, [hours])
+    },
+
+    // Badges players hold (see lib/achievements.js); tournament wins are listed too
+    badges: {
+        // Oldest first, described
+        forPlayer: async (playerId) => {
+            const result = await db.query(`
+                SELECT * FROM player_badge_list WHERE player_id = $1 ORDER BY earned_at, id
+            `, [playerId]);
+            return result.rows.map(describeBadge);
+        },
+
+        findById: async (badgeId) => {
+            const result = await db.query('SELECT * FROM player_badges WHERE badge_id = $1', [badgeId]);
+            return result.rows[0] || null;
+        },
+
+        // A manual badge named title; fails as a unique violation if the player holds it already
+        grant: async (playerId, { title, note, grantedBy }) => {
+            const result = await db.query(`
+                INSERT INTO player_badges (player_id, badge_key, detail, source, note, granted_by)
+                VALUES ($1, 'manual', $2, 'manual', $3, $4)
+                RETURNING *
+            `, [playerId, title, note, grantedBy]);
+            return result.rows[0];
+        },
+
+        // The deleted row, or null
+        remove: async (badgeId) => {
+            const result = await db.query('DELETE FROM player_badges WHERE badge_id = $1 RETURNING *', [badgeId]);
+            return result.rows[0] || null;
+        }
+    },
+
+    // Versions of the scoring rules (see lib/points.js). The newest is in force.
+    scoringRules: {
+        // Newest first
+        list: async () => {
+            const result = await db.query(`${SCORING_RULES_SELECT} ORDER BY r.version DESC`);
+            return result.rows;
+        },
+
+        current: async () => {
+            const result = await db.query(`${SCORING_RULES_SELECT} ORDER BY r.version DESC LIMIT 1`);
+            return result.rows[0];
+        },
+
+        findByVersion: async (version) => {
+            const result = await db.query(`${SCORING_RULES_SELECT} WHERE r.version = $1`, [version]);
+            return result.rows[0] || null;
+        },
+
+        // The new version, which is in force from now on
+        create: async ({ rules, note, createdBy }) => {
+            const result = await db.query(`
+                INSERT INTO scoring_rules (rules, note, created_by) VALUES ($1, $2, $3)
+                RETURNING version
+            `, [JSON.stringify(rules), note, createdBy]);
+
+            const created = await db.query(`${SCORING_RULES_SELECT} WHERE r.version = $1`, [result.rows[0].version]);
+            return created.rows[0];
+        },
+
+        // Bring points outside the current floor and ceiling within them (the tier
+        // follows). Returns the players whose points changed.
+        clamp: async () => {
+            const result = await db.query(`
+                WITH bounds AS (
+                    SELECT (rules->>'floor')::INTEGER as floor, (rules->>'ceiling')::INTEGER as ceiling
+                    FROM scoring_rules ORDER BY version DESC LIMIT 1
+                )
+                -- LEAST ignores a null ceiling
+                UPDATE players p SET points = LEAST(GREATEST(p.points, c.floor), c.ceiling)
+                FROM players old, bounds c
+                WHERE p.player_id = old.player_id AND p.points <> LEAST(GREATEST(p.points, c.floor), c.ceiling)
+                RETURNING p.player_id, p.name, old.points as points_before, p.points, old.tier as tier_before, p.tier
+            `);
+            return result.rows;
+        },
+
+        // Move players into the tiers the current boundaries put them in. Returns the
+        // players who changed tier.
+        retier: async () => {
+            const result = await db.query(`
+                UPDATE players p SET tier = get_tier(p.points)
+                FROM players old
+                WHERE p.player_id = old.player_id AND p.tier <> get_tier(p.points)
+                RETURNING p.player_id, p.name, p.points, old.tier as tier_before, p.tier
+            `);
+            return result.rows;
+        }
+    },
+
+    tournamentWinners: {
+        // One page of tournament win badges.
+        // Filters: from, to, player, tournament (part of the name), activeOnly
+        page: ({ from, to, player, tournament, activeOnly }, page) => {
+            const query = pageQuery(`(
+                SELECT
+                    tw.winner_id,
+                    tw.player_id,
+                    p.name,
+                    p.is_active,
+                    tw.tournament_name,
+                    tw.tournament_date
+                FROM tournament_winners tw
+                JOIN players p ON tw.player_id = p.player_id
+            )`);
+
+            if (from) query.where('q.tournament_date >= ?::DATE', from);
+            if (to) query.where('q.tournament_date <= ?::DATE', to);
+            if (player) query.where('q.player_id = ?', player);
+            if (tournament) query.where('POSITION(LOWER(?) IN LOWER(q.tournament_name)) > 0', tournament);
+            if (activeOnly) query.where('q.is_active = ?', true);
+
+            return query.page(db, page);
+        },
+
+        // The new badge. With ignoreExisting a repeat badge for today returns null
+        // instead of failing as a unique violation.
+        add: async (playerId, tournamentName, { ignoreExisting = false } = {}) => {
+            const result = await db.query(`
+                INSERT INTO tournament_winners (player_id, tournament_name)
+                VALUES ($1, $2)
+                ${ignoreExisting ? 'ON CONFLICT (player_id, tournament_name, tournament_date) DO NOTHING' : ''}
+                RETURNING *
+            `, [playerId, tournamentName]);
+            return result.rows[0] || null;
+        },
+
+        // Every badge the player holds, as deleted rows
+        removeForPlayer: async (playerId) => {
+            const result = await db.query('DELETE FROM tournament_winners WHERE player_id = $1 RETURNING *', [playerId]);
+            return result.rows;
+        },
+
+        clear: async () => {
+            const result = await db.query('DELETE FROM tournament_winners RETURNING *');
+            return result.rows;
+        }
+    }
+});
+
+// Repositories for a transaction's client, plus audit(req, entry) and
+// publish(topic, type, payload), which commit together with the rest of it
+const transactionRepositories = (client) => ({
+    ...bind(client),
+    audit: (req, entry) => recordAudit(client, req, entry),
+    publish: async (topic, type, payload) => {
+        await client.query('SELECT pg_advisory_xact_lock($1)', [LIVE_LOCK_KEY]);
+        const result = await client.query(`
+            INSERT INTO live_events (topic, event_type, payload) VALUES ($1, $2, $3)
+            RETURNING event_id
+        `, [topic, type, JSON.stringify(payload)]);
+        // NOTIFY is only delivered once the transaction commits
+        await client.query('SELECT pg_notify($1, $2)', [LIVE_CHANNEL, String(result.rows[0].event_id)]);
+    }
+});
+
+const createPostgresRepositories = (pool) => ({
+    backend: 'postgres',
+    ...bind(pool),
+
+    transaction: (work) => withTransaction(pool, (client) => work(transactionRepositories(client))),
+
+    serverTime: async () => {
+        const result = await pool.query('SELECT NOW() as server_time');
+        return result.rows[0].server_time;
+    }
+});
+
+module.exports = { LEADERBOARD_SORTS, LIVE_CHANNEL, transactionRepositories, createPostgresRepositories };
@@ -0,0 +1,292 @@
+// Season lifecycle: open a season per month or semester, and when it ends snapshot
+// the final standings, write the monthly_archives podium and reset points.
+//
+// Configured through the environment:
+//   SEASON_BOUNDARY        month (default) or semester (Spring: Jan-Jul, Fall: Aug-Dec)
+//   SEASON_RESET           none (default), hard (everyone back to 0) or soft, either one
+//                          kept within the scoring rules' floor and ceiling
+//   SEASON_SOFT_RESET_KEEP share of points kept by a soft reset, rounded down (default 0.5)
+//   SEASON_CHECK_MINUTES   how often the scheduler looks for a finished season (default 60)
+const { runPeriodically } = require('./db');
+const { transactionRepositories } = require('./repositories');
+const { publishStandings } = require('./live');
+const { awardArchiveBadges } = require('./achievements');
+const { DEFAULT_RATING } = require('./rating');
+const { clampPoints, loadRules } = require('./points');
+
+const BOUNDARIES = ['month', 'semester'];
+const RESET_RULES = ['none', 'hard', 'soft'];
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// First month (0-based) of each semester
+const SEMESTERS = [
+    { name: 'Spring', startMonth: 0 },
+    { name: 'Fall', startMonth: 7 }
+];
+
+// Keeps concurrent server processes from closing the same season twice
+const SEASON_LOCK_KEY = 4170309;
+
+const seasonSettings = (env = process.env) => {
+    const boundary = env.SEASON_BOUNDARY || 'month';
+    const reset = env.SEASON_RESET || 'none';
+    const softResetKeep = env.SEASON_SOFT_RESET_KEEP === undefined ? 0.5 : Number(env.SEASON_SOFT_RESET_KEEP);
+    const checkMinutes = env.SEASON_CHECK_MINUTES === undefined ? 60 : Number(env.SEASON_CHECK_MINUTES);
+
+    if (!BOUNDARIES.includes(boundary)) {
+        throw new Error(`SEASON_BOUNDARY must be one of: ${BOUNDARIES.join(', ')}`);
+    }
+    if (!RESET_RULES.includes(reset)) {
+        throw new Error(`SEASON_RESET must be one of: ${RESET_RULES.join(', ')}`);
+    }
+    if (!(softResetKeep >= 0 && softResetKeep <= 1)) {
+        throw new Error('SEASON_SOFT_RESET_KEEP must be between 0 and 1');
+    }
+    if (!(checkMinutes > 0)) {
+        throw new Error('SEASON_CHECK_MINUTES must be a positive number');
+    }
+
+    return { boundary, reset, softResetKeep, checkMinutes };
+};
+
+// Local calendar date as YYYY-MM-DD
+const formatDate = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// The season containing date: { name, boundary, startsOn, endsOn }
+const seasonPeriod = (date, boundary) => {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+
+    if (boundary === 'month') {
+        return {
+            name: `${MONTH_NAMES[month]} ${year}`,
+            boundary,
+            startsOn: formatDate(new Date(year, month, 1)),
+            endsOn: formatDate(new Date(year, month + 1, 0))
+        };
+    }
+
+    const index = SEMESTERS.map(semester => semester.startMonth <= month).lastIndexOf(true);
+    const next = SEMESTERS[index + 1];
+
+    return {
+        name: `${SEMESTERS[index].name} ${year}`,
+        boundary,
+        startsOn: formatDate(new Date(year, SEMESTERS[index].startMonth, 1)),
+        endsOn: formatDate(next ? new Date(year, next.startMonth, 0) : new Date(year, 12, 0))
+    };
+};
+
+// Points after a reset, kept within the scoring rules' floor and ceiling
+const resetPoints = (points, { reset, softResetKeep }, rules) => {
+    if (reset === 'hard') {
+        return clampPoints(0, rules);
+    }
+    if (reset === 'soft') {
+        return clampPoints(Math.floor(points * softResetKeep), rules);
+    }
+    return points;
+};
+
+const openSeason = async (client, period) => {
+    const result = await client.query(`
+        INSERT INTO seasons (name, boundary, starts_on, ends_on)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+    `, [period.name, period.boundary, period.startsOn, period.endsOn]);
+    return result.rows[0];
+};
+
+// Final standings of active players in leaderboard order as they stood when the
+// season ended (the end of ends_on), with the season's own record. Points, tier and
+// rating come from history, since games may have been played since; current_points
+// is what the player has now.
+const loadStandings = async (client, season) => {
+    const result = await client.query(`
+        WITH latest AS (
+            SELECT DISTINCT ON (h.player_id) h.player_id, h.points, h.tier
+            FROM points_history h
+            WHERE h.recorded_at < $2::DATE + 1
+            ORDER BY h.player_id, h.recorded_at DESC, h.history_id DESC
+        )
+        SELECT
+            p.player_id,
+            p.name,
+            l.points,
+            l.tier,
+            ROUND(COALESCE((
+                SELECT CASE WHEN r.winner_id = p.player_id
+                    THEN r.winner_rating_before + r.winner_rating_change
+                    ELSE r.loser_rating_before + r.loser_rating_change
+                END
+                FROM matches r
+                WHERE p.player_id IN (r.winner_id, r.loser_id) AND r.match_date < $2::DATE + 1
+                ORDER BY r.match_date DESC, r.match_id DESC
+                LIMIT 1
+            ), $3))::INTEGER as rating,
+            COUNT(m.match_id) FILTER (WHERE m.match_date >= $1 AND NOT m.is_draw AND m.winner_id = p.player_id)::INTEGER as wins,
+            COUNT(m.match_id) FILTER (WHERE m.match_date >= $1 AND NOT m.is_draw AND m.loser_id = p.player_id)::INTEGER as losses,
+            COUNT(m.match_id) FILTER (WHERE m.match_date >= $1 AND m.is_draw)::INTEGER as draws,
+            p.points as current_points
+        FROM players p
+        JOIN latest l ON p.player_id = l.player_id
+        LEFT JOIN matches m ON p.player_id IN (m.winner_id, m.loser_id) AND m.match_date < $2::DATE + 1
+        WHERE p.is_active
+        GROUP BY p.player_id, l.points, l.tier
+        ORDER BY
+            l.points DESC,
+            COUNT(m.match_id) FILTER (WHERE NOT m.is_draw AND m.winner_id = p.player_id) DESC,
+            p.name ASC
+    `, [season.starts_on, season.ends_on, DEFAULT_RATING]);
+    return result.rows;
+};
+
+// Podium for the season; an archive that already exists under the same name is linked instead
+const archivePodium = async (client, season, standings) => {
+    if (standings.length < 3) {
+        return null;
+    }
+
+    const [first, second, third] = standings;
+    const inserted = await client.query(`
+        INSERT INTO monthly_archives (
+            archive_month,
+            first_place_player_id, first_place_points,
+            second_place_player_id, second_place_points,
+            third_place_player_id, third_place_points
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (archive_month) DO NOTHING
+        RETURNING *
+    `, [
+        season.name,
+        first.player_id, first.points,
+        second.player_id, second.points,
+        third.player_id, third.points
+    ]);
+
+    if (inserted.rows.length > 0) {
+        await awardArchiveBadges(client, inserted.rows[0]);
+        return inserted.rows[0];
+    }
+
+    const existing = await client.query('SELECT * FROM monthly_archives WHERE archive_month = $1', [season.name]);
+    return existing.rows[0];
+};
+
+// Snapshot, archive and reset the given season. Must run inside a transaction.
+const closeSeason = async (client, season, settings) => {
+    await client.query('SELECT player_id FROM players ORDER BY player_id FOR UPDATE');
+
+    const { rules } = await loadRules(client);
+
+    // The reset applies to the points at the end of the season; anything won or
+    // lost since then counts towards the new one
+    const standings = (await loadStandings(client, season)).map((player, index) => ({
+        ...player,
+        rank: index + 1,
+        points_after_reset: clampPoints(resetPoints(player.points, settings, rules) + player.current_points - player.points, rules)
+    }));
+
+    for (const player of standings) {
+        await client.query(`
+            INSERT INTO season_standings (
+                season_id, player_id, rank, points, tier, rating,
+                wins, losses, draws, points_after_reset
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `, [
+            season.season_id, player.player_id, player.rank, player.points, player.tier, player.rating,
+            player.wins, player.losses, player.draws, player.points_after_reset
+        ]);
+
+        if (player.points_after_reset !== player.current_points) {
+            await client.query('UPDATE players SET points = $2 WHERE player_id = $1', [
+                player.player_id, player.points_after_reset
+            ]);
+        }
+    }
+
+    const archive = await archivePodium(client, season, standings);
+
+    const closed = await client.query(`
+        UPDATE seasons
+        SET status = 'closed', closed_at = NOW(), reset_rule = $2, reset_keep = $3, archive_id = $4
+        WHERE season_id = $1
+        RETURNING *
+    `, [
+        season.season_id,
+        settings.reset,
+        settings.reset === 'soft' ? settings.softResetKeep : null,
+        archive ? archive.archive_id : null
+    ]);
+
+    return { season: closed.rows[0], standings, archive };
+};
+
+// Close the running season if its period is over and make sure one is running for
+// today. Returns { closed, opened }, each null when nothing happened.
+const checkSeasons = async (client, settings, now = new Date()) => {
+    const locked = await client.query('SELECT pg_try_advisory_xact_lock($1) as locked', [SEASON_LOCK_KEY]);
+
+    if (!locked.rows[0].locked) {
+        return { closed: null, opened: null };
+    }
+
+    const activeResult = await client.query(`SELECT * FROM seasons WHERE status = 'active' FOR UPDATE`);
+    const active = activeResult.rows[0];
+    const today = formatDate(now);
+    let closed = null;
+
+    if (active) {
+        const due = await client.query('SELECT $1::DATE > $2::DATE as due', [today, active.ends_on]);
+
+        if (!due.rows[0].due) {
+            return { closed: null, opened: null };
+        }
+
+        closed = await closeSeason(client, active, settings);
+        await publishStandings(transactionRepositories(client), 'season.close', { season: closed.season });
+    }
+
+    const period = seasonPeriod(now, settings.boundary);
+    const existing = await client.query('SELECT season_id FROM seasons WHERE name = $1', [period.name]);
+
+    // Already played and closed early (e.g. after switching boundary); wait for the next period
+    if (existing.rows.length > 0) {
+        return { closed, opened: null };
+    }
+
+    return { closed, opened: await openSeason(client, period) };
+};
+
+// Run checkSeasons now and then every settings.checkMinutes. Returns the timer.
+const startSeasonScheduler = (pool, settings, log = console) => runPeriodically(pool, settings.checkMinutes, {
+    label: 'Season check',
+    work: (client) => checkSeasons(client, settings),
+    report: ({ closed, opened }) => {
+        if (closed) {
+            log.log(`Season ${closed.season.name} closed: ${closed.standings.length} players archived`);
+        }
+        if (opened) {
+            log.log(`Season ${opened.name} started`);
+        }
+    }
+}, log);
+
+module.exports = {
+    BOUNDARIES,
+    RESET_RULES,
+    seasonSettings,
+    seasonPeriod,
+    resetPoints,
+    closeSeason,
+    checkSeasons,
+    startSeasonScheduler
+};
@@ -0,0 +1,20 @@
+// Conventions shared by the player-facing services (lib/reports.js,
+// lib/challenges.js). Every service call runs inside a transaction the caller opens,
+// and a rejected request comes back as { error, status } (status defaults to 400)
+// instead of throwing.
+
+const MAX_NOTE_LENGTH = 500;
+
+// Optional free text such as a note, message or reason, named label in errors.
+// Returns { error } or { value }, which is null when the text is empty.
+const validateNote = (value, label) => {
+    if (value === undefined || value === null) return { value: null };
+
+    if (typeof value !== 'string' || value.length > MAX_NOTE_LENGTH) {
+        return { error: `${label} must be text of at most ${MAX_NOTE_LENGTH} characters` };
+    }
+
+    return { value: value.trim() || null };
+};
+
+module.exports = { MAX_NOTE_LENGTH, validateNote };
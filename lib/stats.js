@@ -0,0 +1,245 @@
+// Advanced statistics: a player's streaks, form, peak, activity, upsets and record
+// by color and time control, and the club-wide summary (most active players,
+// biggest upsets, tiers over time)
+const { TIERS } = require('./points');
+const { TIME_CONTROLS } = require('./matches');
+
+// Results in a player's form string
+const FORM_GAMES = 10;
+
+const RESULT_LETTERS = { win: 'W', loss: 'L', draw: 'D' };
+
+// A run of results: { length, from, to } with the first and last game's dates
+const run = (games) => games.length === 0 ? null : {
+    length: games.length,
+    from: games[0].match_date,
+    to: games[games.length - 1].match_date
+};
+
+// Current run of wins or losses and the longest of each. A draw ends any streak.
+const streaks = (games) => {
+    const longest = { win: [], loss: [] };
+    let start = 0;
+
+    games.forEach((game, index) => {
+        if (index > 0 && games[index - 1].result !== game.result) {
+            start = index;
+        }
+        if (game.result !== 'draw' && index + 1 - start > longest[game.result].length) {
+            longest[game.result] = games.slice(start, index + 1);
+        }
+    });
+
+    const current = games.slice(start);
+    const ongoing = current.length > 0 && current[0].result !== 'draw';
+
+    return {
+        current: ongoing ? { result: current[0].result, ...run(current) } : null,
+        longest_win: run(longest.win),
+        longest_loss: run(longest.loss)
+    };
+};
+
+// YYYY-MM of a date, in local time like the rest of the API
+const monthOf = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// Games in every month from the first game to now, empty months included
+const activity = (games, now = new Date()) => {
+    if (games.length === 0) {
+        return { months: [], average_per_month: 0 };
+    }
+
+    const counts = new Map();
+    games.forEach(game => counts.set(monthOf(game.match_date), (counts.get(monthOf(game.match_date)) || 0) + 1));
+
+    const months = [];
+    const first = games[0].match_date;
+    for (let month = new Date(first.getFullYear(), first.getMonth(), 1); month <= now; month.setMonth(month.getMonth() + 1)) {
+        months.push({ month: monthOf(month), games: counts.get(monthOf(month)) || 0 });
+    }
+
+    return {
+        months,
+        average_per_month: Math.round(games.length / months.length * 100) / 100
+    };
+};
+
+// Wins against a player in a higher tier than yours at the time
+const upsets = (games) => {
+    const wins = games.filter(game => game.result === 'win');
+    const upsetWins = wins.filter(game => TIERS.indexOf(game.opponent_tier) > TIERS.indexOf(game.tier_before));
+
+    return {
+        upsets: upsetWins.length,
+        wins: wins.length,
+        upset_rate: wins.length === 0 ? 0 : Math.round(upsetWins.length / wins.length * 10000) / 100
+    };
+};
+
+// Games without the detail are counted under 'unknown'
+const COLORS = ['white', 'black', 'unknown'];
+const TIME_CONTROL_GROUPS = [...TIME_CONTROLS, 'unknown'];
+
+// Record in each group of games, in the order given. A group is the labels its games
+// share, e.g. { color: 'black', time_control: 'blitz' }; groups with no games are left out.
+const recordBy = (games, groups) => groups
+    .map(labels => {
+        const group = games.filter(game => Object.entries(labels).every(([field, value]) => (game[field] || 'unknown') === value));
+        const wins = group.filter(game => game.result === 'win').length;
+        const draws = group.filter(game => game.result === 'draw').length;
+
+        return {
+            ...labels,
+            games: group.length,
+            wins,
+            losses: group.length - wins - draws,
+            draws,
+            win_percentage: group.length === 0 ? 0 : Math.round((wins + draws * 0.5) / group.length * 10000) / 100
+        };
+    })
+    .filter(record => record.games > 0);
+
+// Record by color, by time control, and by the two together (e.g. black in blitz)
+const splits = (games) => ({
+    byColor: recordBy(games, COLORS.map(color => ({ color }))),
+    byTimeControl: recordBy(games, TIME_CONTROL_GROUPS.map(timeControl => ({ time_control: timeControl }))),
+    byColorAndTimeControl: recordBy(games, COLORS.flatMap(color =>
+        TIME_CONTROL_GROUPS.map(timeControl => ({ color, time_control: timeControl }))
+    ))
+});
+
+// Highest points and tier a player has held and when they first got there, from
+// their points history. null before the player has any history.
+const peak = (history) => {
+    if (history.length === 0) {
+        return null;
+    }
+
+    let points = history[0];
+    let tier = history[0];
+
+    for (const row of history) {
+        if (row.points > points.points) points = row;
+        if (TIERS.indexOf(row.tier) > TIERS.indexOf(tier.tier)) tier = row;
+    }
+
+    return {
+        points: points.points,
+        points_reached_at: points.recorded_at,
+        tier: tier.tier,
+        tier_reached_at: tier.recorded_at
+    };
+};
+
+// Everything /api/player/:id/stats adds to the basic record
+const playerStats = async (repos, playerId) => {
+    const [games, history] = await Promise.all([repos.matches.gamesFor(playerId), repos.players.pointsHistory(playerId)]);
+    const wins = games.filter(game => game.result === 'win');
+
+    return {
+        streaks: streaks(games),
+        // Oldest to most recent
+        form: games.slice(-FORM_GAMES).map(game => RESULT_LETTERS[game.result]).join(''),
+        peak: peak(history),
+        average_points_per_win: wins.length === 0
+            ? 0
+            : Math.round(wins.reduce((sum, game) => sum + game.point_change, 0) / wins.length * 100) / 100,
+        activity: activity(games),
+        upsets: upsets(games),
+        ...splits(games)
+    };
+};
+
+// Club-wide statistics for matches played between from and to (inclusive dates,
+// either may be null), limit rows per list
+const clubSummary = async (db, { from = null, to = null, limit }) => {
+    const [activeResult, upsetsResult, tiersResult] = await Promise.all([
+        db.query(`
+            WITH games AS (
+                SELECT winner_id as player_id, CASE WHEN is_draw THEN 'draw' ELSE 'win' END as result
+                FROM matches
+                WHERE ($1::DATE IS NULL OR match_date >= $1::DATE) AND ($2::DATE IS NULL OR match_date < $2::DATE + 1)
+                UNION ALL
+                SELECT loser_id as player_id, CASE WHEN is_draw THEN 'draw' ELSE 'loss' END as result
+                FROM matches
+                WHERE ($1::DATE IS NULL OR match_date >= $1::DATE) AND ($2::DATE IS NULL OR match_date < $2::DATE + 1)
+            )
+            SELECT
+                p.player_id as id,
+                p.name,
+                p.tier,
+                p.is_active,
+                COUNT(*)::INTEGER as games,
+                COUNT(*) FILTER (WHERE g.result = 'win')::INTEGER as wins,
+                COUNT(*) FILTER (WHERE g.result = 'loss')::INTEGER as losses,
+                COUNT(*) FILTER (WHERE g.result = 'draw')::INTEGER as draws
+            FROM games g
+            JOIN players p ON g.player_id = p.player_id
+            GROUP BY p.player_id
+            ORDER BY games DESC, p.name ASC
+            LIMIT $3
+        `, [from, to, limit]),
+        // Tier gap first, then the points the winner took
+        db.query(`
+            SELECT
+                m.match_id,
+                m.match_date,
+                m.winner_id,
+                wp.name as winner_name,
+                m.winner_tier_before,
+                m.winner_points_change,
+                m.loser_id,
+                lp.name as loser_name,
+                m.loser_tier_before,
+                m.loser_points_change,
+                array_position($3::TEXT[], m.loser_tier_before::TEXT) - array_position($3::TEXT[], m.winner_tier_before::TEXT) as tier_gap
+            FROM matches m
+            JOIN players wp ON m.winner_id = wp.player_id
+            JOIN players lp ON m.loser_id = lp.player_id
+            WHERE NOT m.is_draw AND NOT m.is_forfeit
+            AND array_position($3::TEXT[], m.loser_tier_before::TEXT) > array_position($3::TEXT[], m.winner_tier_before::TEXT)
+            AND ($1::DATE IS NULL OR m.match_date >= $1::DATE) AND ($2::DATE IS NULL OR m.match_date < $2::DATE + 1)
+            ORDER BY tier_gap DESC, m.winner_points_change DESC, m.match_date DESC, m.match_id DESC
+            LIMIT $4
+        `, [from, to, TIERS, limit]),
+        // Players in each tier at the end of every month, from the first recorded
+        // points (or from) to now (or to)
+        db.query(`
+            WITH bounds AS (
+                SELECT
+                    date_trunc('month', GREATEST($1::DATE, MIN(recorded_at))) as first_month,
+                    date_trunc('month', COALESCE($2::DATE, NOW())) as last_month
+                FROM points_history
+            ),
+            months AS (
+                SELECT generate_series(first_month, last_month, INTERVAL '1 month') as month_start FROM bounds
+            )
+            SELECT to_char(m.month_start, 'YYYY-MM') as month, latest.tier, COUNT(*)::INTEGER as players
+            FROM months m
+            CROSS JOIN LATERAL (
+                SELECT DISTINCT ON (h.player_id) h.tier
+                FROM points_history h
+                WHERE h.recorded_at < m.month_start + INTERVAL '1 month'
+                ORDER BY h.player_id, h.recorded_at DESC, h.history_id DESC
+            ) latest
+            GROUP BY m.month_start, latest.tier
+            ORDER BY m.month_start
+        `, [from, to])
+    ]);
+
+    const months = new Map();
+    for (const row of tiersResult.rows) {
+        const month = months.get(row.month) || { month: row.month, total: 0, tiers: Object.fromEntries(TIERS.map(tier => [tier, 0])) };
+        month.tiers[row.tier] = row.players;
+        month.total += row.players;
+        months.set(row.month, month);
+    }
+
+    return {
+        mostActive: activeResult.rows,
+        biggestUpsets: upsetsResult.rows,
+        tierDistribution: [...months.values()]
+    };
+};
+
+module.exports = { FORM_GAMES, streaks, activity, upsets, splits, playerStats, clubSummary };
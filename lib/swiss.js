@@ -0,0 +1,211 @@
+// Swiss-system pairings and standings
+// Pure functions: callers pass in the registered players and every pairing so far.
+//
+//   players:  [{ playerId, seed, withdrawn }]                 seed 1 = strongest
+//   pairings: [{ round, whiteId, blackId, result }]           blackId null = bye
+//             (a knockout game still waiting on a player has one side null and no result)
+//             result is '1-0', '0-1', '1/2-1/2', 'bye' or null while unplayed
+
+const RESULT_SCORES = {
+    '1-0': [1, 0],
+    '0-1': [0, 1],
+    '1/2-1/2': [0.5, 0.5]
+};
+
+// Points awarded for a bye
+const BYE_SCORE = 1;
+
+// Give up on a strict pairing after this many backtracking steps and allow rematches
+const MAX_PAIRING_STEPS = 200000;
+
+// Tiebreak order used for Swiss events. Round-robins skip Buchholz, which there
+// only restates the player's own score.
+const SWISS_TIEBREAKS = ['buchholz', 'sonnebornBerger'];
+const ROUND_ROBIN_TIEBREAKS = ['sonnebornBerger', 'wins'];
+
+const rankBy = (tiebreaks) => (a, b) => {
+    if (b.score !== a.score) {
+        return b.score - a.score;
+    }
+    for (const key of tiebreaks) {
+        if (b[key] !== a[key]) {
+            return b[key] - a[key];
+        }
+    }
+    return a.seed - b.seed;
+};
+
+// Score every player, then rank by score and the given tiebreaks.
+// Buchholz is the sum of all opponents' scores; Sonneborn-Berger adds the scores of
+// beaten opponents and half the scores of drawn ones. Byes count toward neither.
+const computeStandings = (players, pairings, { tiebreaks = SWISS_TIEBREAKS } = {}) => {
+    const table = new Map();
+    players.forEach(player => {
+        table.set(player.playerId, {
+            playerId: player.playerId,
+            seed: player.seed,
+            withdrawn: Boolean(player.withdrawn),
+            score: 0,
+            wins: 0,
+            draws: 0,
+            losses: 0,
+            byes: 0,
+            opponents: [],
+            games: [],
+            colors: []
+        });
+    });
+
+    pairings.forEach(pairing => {
+        if (!pairing.whiteId || !pairing.blackId) {
+            if (pairing.result === 'bye') {
+                const white = table.get(pairing.whiteId);
+                white.score += BYE_SCORE;
+                white.byes++;
+            }
+            return;
+        }
+
+        const white = table.get(pairing.whiteId);
+        const black = table.get(pairing.blackId);
+        white.opponents.push(black.playerId);
+        black.opponents.push(white.playerId);
+        white.colors.push('white');
+        black.colors.push('black');
+
+        const scores = RESULT_SCORES[pairing.result];
+        if (!scores) {
+            return;
+        }
+
+        [[white, black, scores[0]], [black, white, scores[1]]].forEach(([player, opponent, score]) => {
+            player.score += score;
+            player.games.push({ opponentId: opponent.playerId, score });
+            if (score === 1) player.wins++;
+            else if (score === 0) player.losses++;
+            else player.draws++;
+        });
+    });
+
+    table.forEach(entry => {
+        entry.buchholz = entry.opponents.reduce((sum, id) => sum + table.get(id).score, 0);
+        entry.sonnebornBerger = entry.games.reduce(
+            (sum, game) => sum + game.score * table.get(game.opponentId).score,
+            0
+        );
+    });
+
+    return Array.from(table.values())
+        .sort(rankBy(tiebreaks))
+        .map((entry, index) => ({ ...entry, rank: index + 1 }));
+};
+
+// How much a player wants white next: negative colour balance first, then alternation.
+const whitePreference = (entry) => {
+    const whites = entry.colors.filter(color => color === 'white').length;
+    const balance = whites - (entry.colors.length - whites);
+    const last = entry.colors[entry.colors.length - 1];
+    return -balance * 2 + (last === 'black' ? 1 : last === 'white' ? -1 : 0);
+};
+
+// Decide colours for two paired players; the higher-ranked player wins ties.
+const assignColors = (higher, lower) =>
+    whitePreference(lower) > whitePreference(higher)
+        ? { whiteId: lower.playerId, blackId: higher.playerId }
+        : { whiteId: higher.playerId, blackId: lower.playerId };
+
+// Opponents to try for `player`, best first. Inside the player's score group this
+// follows the Dutch system (top half meets bottom half); other groups follow in rank order.
+const candidatesFor = (player, unpaired) => {
+    const group = unpaired.filter(other => other.score === player.score);
+    const others = unpaired.filter(other => other.score !== player.score);
+    const preferred = Math.max(Math.floor((group.length + 1) / 2) - 1, 0);
+
+    return [
+        ...group.slice(preferred),
+        ...group.slice(0, preferred).reverse(),
+        ...others
+    ];
+};
+
+const pairPlayers = (ordered, allowRematches) => {
+    const pairs = [];
+    const paired = new Set();
+    let steps = 0;
+
+    const search = () => {
+        const player = ordered.find(entry => !paired.has(entry.playerId));
+        if (!player) {
+            return true;
+        }
+
+        paired.add(player.playerId);
+        const unpaired = ordered.filter(entry => !paired.has(entry.playerId));
+
+        for (const opponent of candidatesFor(player, unpaired)) {
+            if (++steps > MAX_PAIRING_STEPS) {
+                break;
+            }
+            if (!allowRematches && player.opponents.includes(opponent.playerId)) {
+                continue;
+            }
+
+            paired.add(opponent.playerId);
+            pairs.push([player, opponent]);
+            if (search()) {
+                return true;
+            }
+            pairs.pop();
+            paired.delete(opponent.playerId);
+        }
+
+        paired.delete(player.playerId);
+        return false;
+    };
+
+    return search() ? pairs : null;
+};
+
+// Pair the next round from the current standings.
+// Returns { pairings: [{ whiteId, blackId }], byeId } with byeId null for even fields.
+const pairRound = (standings) => {
+    const active = standings.filter(entry => !entry.withdrawn);
+
+    // Odd fields: the lowest-ranked player without a bye sits out, falling back upward
+    // if the rest cannot be paired without rematches.
+    const byeCandidates = active.length % 2 === 0
+        ? [null]
+        : [
+            ...active.filter(entry => entry.byes === 0).reverse(),
+            ...active.filter(entry => entry.byes > 0).reverse()
+        ];
+
+    for (const allowRematches of [false, true]) {
+        for (const bye of byeCandidates) {
+            const field = active.filter(entry => entry !== bye);
+            const pairs = pairPlayers(field, allowRematches);
+
+            if (pairs) {
+                return {
+                    pairings: pairs.map(([higher, lower]) => assignColors(higher, lower)),
+                    byeId: bye ? bye.playerId : null
+                };
+            }
+        }
+    }
+
+    throw new Error('Unable to pair round');
+};
+
+// Default round count for a Swiss with this many players
+const recommendedRounds = (playerCount) => Math.max(1, Math.ceil(Math.log2(playerCount)));
+
+module.exports = {
+    RESULT_SCORES,
+    SWISS_TIEBREAKS,
+    ROUND_ROBIN_TIEBREAKS,
+    BYE_SCORE,
+    computeStandings,
+    pairRound,
+    recommendedRounds
+};
@@ -0,0 +1,534 @@
+// Tournament persistence: registration, rounds, results and completion
+const swiss = require('./swiss');
+const brackets = require('./brackets');
+const { recordMatch } = require('./matches');
+
+const FORMATS = ['swiss', 'round_robin', 'single_elimination'];
+
+const loadTournament = async (client, tournamentId, { forUpdate = false } = {}) => {
+    const tournamentResult = await client.query(`
+        SELECT * FROM tournaments WHERE tournament_id = $1 ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [tournamentId]);
+
+    if (tournamentResult.rows.length === 0) {
+        return null;
+    }
+
+    const [playersResult, pairingsResult] = await Promise.all([
+        client.query(`
+            SELECT tp.player_id, tp.seed, tp.withdrawn, p.name, p.points, p.tier,
+                   ROUND(p.rating)::INTEGER as rating
+            FROM tournament_players tp
+            JOIN players p ON tp.player_id = p.player_id
+            WHERE tp.tournament_id = $1
+            ORDER BY tp.seed ASC NULLS LAST, p.rating DESC, p.name ASC
+        `, [tournamentId]),
+        client.query(`
+            SELECT
+                tp.pairing_id,
+                tp.round_number,
+                tp.board_number,
+                tp.white_player_id,
+                w.name as white_name,
+                tp.black_player_id,
+                b.name as black_name,
+                tp.result,
+                tp.match_id
+            FROM tournament_pairings tp
+            LEFT JOIN players w ON tp.white_player_id = w.player_id
+            LEFT JOIN players b ON tp.black_player_id = b.player_id
+            WHERE tp.tournament_id = $1
+            ORDER BY tp.round_number ASC, tp.board_number ASC
+        `, [tournamentId])
+    ]);
+
+    return {
+        tournament: tournamentResult.rows[0],
+        players: playersResult.rows,
+        pairings: pairingsResult.rows
+    };
+};
+
+// Raw standings for a loaded tournament
+const computeStandings = ({ tournament, players, pairings }) => swiss.computeStandings(
+    players.map(player => ({
+        playerId: player.player_id,
+        seed: player.seed || players.length,
+        withdrawn: player.withdrawn
+    })),
+    pairings.map(pairing => ({
+        round: pairing.round_number,
+        whiteId: pairing.white_player_id,
+        blackId: pairing.black_player_id,
+        result: pairing.result
+    })),
+    {
+        tiebreaks: tournament.format === 'round_robin'
+            ? swiss.ROUND_ROBIN_TIEBREAKS
+            : swiss.SWISS_TIEBREAKS
+    }
+);
+
+// Standings with names attached, ranked by score then tiebreaks
+const getStandings = (state) => {
+    const names = {};
+    state.players.forEach(player => {
+        names[player.player_id] = player.name;
+    });
+
+    const standings = computeStandings(state);
+
+    return standings.map(entry => ({
+        rank: entry.rank,
+        player_id: entry.playerId,
+        name: names[entry.playerId],
+        seed: entry.seed,
+        withdrawn: entry.withdrawn,
+        score: entry.score,
+        wins: entry.wins,
+        draws: entry.draws,
+        losses: entry.losses,
+        byes: entry.byes,
+        buchholz: entry.buchholz,
+        sonneborn_berger: entry.sonnebornBerger
+    }));
+};
+
+const createTournament = async (client, { name, format = 'swiss', totalRounds = null, tournamentDate = null, playerIds = [] }) => {
+    const found = await client.query('SELECT player_id FROM players WHERE player_id = ANY($1) AND is_active', [playerIds]);
+
+    if (found.rows.length !== new Set(playerIds).size) {
+        return { error: 'One or more players not found or inactive' };
+    }
+
+    const result = await client.query(`
+        INSERT INTO tournaments (name, format, total_rounds, tournament_date)
+        VALUES ($1, $2, $3, COALESCE($4::DATE, CURRENT_DATE))
+        RETURNING *
+    `, [name, format, format === 'swiss' ? totalRounds : null, tournamentDate]);
+
+    const tournament = result.rows[0];
+
+    if (playerIds.length > 0) {
+        await registerPlayers(client, tournament.tournament_id, playerIds);
+    }
+
+    return { tournament };
+};
+
+const registerPlayers = async (client, tournamentId, playerIds) => {
+    const state = await loadTournament(client, tournamentId, { forUpdate: true });
+
+    if (!state) {
+        return { error: 'Tournament not found', status: 404 };
+    }
+
+    if (state.tournament.status !== 'registration') {
+        return { error: 'Players can only be registered before the first round' };
+    }
+
+    const found = await client.query('SELECT player_id FROM players WHERE player_id = ANY($1) AND is_active', [playerIds]);
+
+    if (found.rows.length !== new Set(playerIds).size) {
+        return { error: 'One or more players not found or inactive' };
+    }
+
+    await client.query(`
+        INSERT INTO tournament_players (tournament_id, player_id)
+        SELECT $1, unnest($2::INTEGER[])
+        ON CONFLICT (tournament_id, player_id) DO UPDATE SET withdrawn = FALSE
+    `, [tournamentId, playerIds]);
+
+    return { registered: found.rows.length };
+};
+
+// Before the first round this removes the player; afterwards they are withdrawn
+// from further pairings but keep their results in the standings.
+const withdrawPlayer = async (client, tournamentId, playerId) => {
+    const state = await loadTournament(client, tournamentId, { forUpdate: true });
+
+    if (!state) {
+        return { error: 'Tournament not found', status: 404 };
+    }
+
+    const result = state.tournament.status === 'registration'
+        ? await client.query(`
+            DELETE FROM tournament_players WHERE tournament_id = $1 AND player_id = $2
+        `, [tournamentId, playerId])
+        : await client.query(`
+            UPDATE tournament_players SET withdrawn = TRUE WHERE tournament_id = $1 AND player_id = $2
+        `, [tournamentId, playerId]);
+
+    if (result.rowCount === 0) {
+        return { error: 'Player is not registered in this tournament', status: 404 };
+    }
+
+    return { removed: state.tournament.status === 'registration' };
+};
+
+const isRoundComplete = (pairings, round) =>
+    pairings.filter(pairing => pairing.round_number === round).every(pairing => pairing.result !== null);
+
+// Seed the field once registration closes. Knockouts follow the leaderboard order
+// (points, then wins); Swiss and round-robin events seed by rating.
+const seedPlayers = async (client, tournamentId, format) => {
+    const orderBy = format === 'single_elimination'
+        ? `p.points DESC,
+           (SELECT COUNT(*) FROM matches m WHERE m.winner_id = p.player_id AND NOT m.is_draw) DESC,
+           p.name ASC`
+        : 'p.rating DESC, p.points DESC, p.name ASC';
+
+    await client.query(`
+        UPDATE tournament_players tp
+        SET seed = seeded.seed
+        FROM (
+            SELECT tp2.player_id,
+                   ROW_NUMBER() OVER (ORDER BY ${orderBy}) as seed
+            FROM tournament_players tp2
+            JOIN players p ON tp2.player_id = p.player_id
+            WHERE tp2.tournament_id = $1
+        ) seeded
+        WHERE tp.tournament_id = $1 AND tp.player_id = seeded.player_id
+    `, [tournamentId]);
+};
+
+const insertPairing = (client, tournamentId, round, board, whiteId, blackId, result = null) =>
+    client.query(`
+        INSERT INTO tournament_pairings (tournament_id, round_number, board_number, white_player_id, black_player_id, result)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [tournamentId, round, board, whiteId, blackId, result]);
+
+// Put a knockout winner into their slot for the next round
+const advanceWinner = async (client, tournamentId, round, position, winnerId) => {
+    const slot = brackets.nextSlot(round, position);
+    const column = slot.color === 'white' ? 'white_player_id' : 'black_player_id';
+
+    const updated = await client.query(`
+        UPDATE tournament_pairings SET ${column} = $4
+        WHERE tournament_id = $1 AND round_number = $2 AND board_number = $3
+    `, [tournamentId, slot.round, slot.position, winnerId]);
+
+    if (updated.rowCount === 0) {
+        await insertPairing(
+            client, tournamentId, slot.round, slot.position,
+            slot.color === 'white' ? winnerId : null,
+            slot.color === 'black' ? winnerId : null
+        );
+    }
+};
+
+// Round-robins get their whole Berger schedule up front
+const scheduleRoundRobin = async (client, tournamentId, seededIds) => {
+    const schedule = brackets.bergerSchedule(seededIds);
+
+    for (const [index, games] of schedule.entries()) {
+        let board = 1;
+        for (const game of games) {
+            await insertPairing(
+                client, tournamentId, index + 1, board++,
+                game.whiteId, game.blackId, game.blackId ? null : 'bye'
+            );
+        }
+    }
+
+    return schedule.length;
+};
+
+// Knockouts get their first round; byes advance straight away
+const scheduleElimination = async (client, tournamentId, seededIds) => {
+    const bracket = brackets.eliminationBracket(seededIds);
+
+    for (const game of bracket.games) {
+        await insertPairing(
+            client, tournamentId, 1, game.position,
+            game.whiteId, game.blackId, game.blackId ? null : 'bye'
+        );
+        if (!game.blackId) {
+            await advanceWinner(client, tournamentId, 1, game.position, game.whiteId);
+        }
+    }
+
+    return bracket.rounds;
+};
+
+// Close registration, seed the field and create the first round (or the full schedule)
+const startTournament = async (client, state) => {
+    const { tournament } = state;
+    const tournamentId = tournament.tournament_id;
+    const activePlayers = state.players.filter(player => !player.withdrawn);
+
+    if (activePlayers.length < 2) {
+        return { error: 'At least two players are required to start a tournament' };
+    }
+
+    await seedPlayers(client, tournamentId, tournament.format);
+    const seeded = await loadTournament(client, tournamentId);
+    const seededIds = seeded.players.map(player => player.player_id);
+
+    let totalRounds;
+    if (tournament.format === 'round_robin') {
+        totalRounds = await scheduleRoundRobin(client, tournamentId, seededIds);
+    } else if (tournament.format === 'single_elimination') {
+        totalRounds = await scheduleElimination(client, tournamentId, seededIds);
+    } else {
+        totalRounds = tournament.total_rounds || swiss.recommendedRounds(activePlayers.length);
+    }
+
+    await client.query(`
+        UPDATE tournaments
+        SET status = 'in_progress', total_rounds = $2, current_round = $3
+        WHERE tournament_id = $1
+    `, [tournamentId, totalRounds, tournament.format === 'swiss' ? 0 : 1]);
+
+    if (tournament.format !== 'swiss') {
+        return { round: 1, state: await loadTournament(client, tournamentId) };
+    }
+
+    return pairSwissRound(client, await loadTournament(client, tournamentId));
+};
+
+// Pair and store the next round
+const startNextRound = async (client, tournamentId) => {
+    const state = await loadTournament(client, tournamentId, { forUpdate: true });
+
+    if (!state) {
+        return { error: 'Tournament not found', status: 404 };
+    }
+
+    const { tournament } = state;
+
+    if (tournament.status === 'completed') {
+        return { error: 'Tournament is already completed' };
+    }
+
+    if (tournament.status === 'registration') {
+        return startTournament(client, state);
+    }
+
+    if (tournament.format !== 'swiss') {
+        return { error: 'Round-robin and knockout rounds are scheduled automatically' };
+    }
+
+    if (!isRoundComplete(state.pairings, tournament.current_round)) {
+        return { error: `Round ${tournament.current_round} still has unfinished games` };
+    }
+
+    if (tournament.current_round >= tournament.total_rounds) {
+        return { error: 'All rounds have already been played' };
+    }
+
+    return pairSwissRound(client, state);
+};
+
+const pairSwissRound = async (client, state) => {
+    const tournamentId = state.tournament.tournament_id;
+    const round = state.tournament.current_round + 1;
+    const { pairings, byeId } = swiss.pairRound(computeStandings(state));
+
+    let board = 1;
+    for (const pairing of pairings) {
+        await insertPairing(client, tournamentId, round, board++, pairing.whiteId, pairing.blackId);
+    }
+
+    if (byeId) {
+        await insertPairing(client, tournamentId, round, board, byeId, null, 'bye');
+    }
+
+    await client.query('UPDATE tournaments SET current_round = $2 WHERE tournament_id = $1', [tournamentId, round]);
+
+    return { round, state: await loadTournament(client, tournamentId) };
+};
+
+// Close the tournament and award the tournament_winners badge. Knockouts pass the
+// winner of the final; other formats take the top of the standings.
+const finishTournament = async (client, tournamentId, winnerId = null) => {
+    const state = await loadTournament(client, tournamentId);
+    const standings = getStandings(state);
+    const winner = winnerId
+        ? standings.find(entry => entry.player_id === winnerId)
+        : standings[0];
+
+    await client.query(`
+        UPDATE tournaments
+        SET status = 'completed', winner_player_id = $2, completed_at = NOW()
+        WHERE tournament_id = $1
+    `, [tournamentId, winner.player_id]);
+
+    await client.query(`
+        INSERT INTO tournament_winners (player_id, tournament_name, tournament_date)
+        SELECT $2, name, tournament_date FROM tournaments WHERE tournament_id = $1
+        ON CONFLICT (player_id, tournament_name, tournament_date) DO NOTHING
+    `, [tournamentId, winner.player_id]);
+
+    return winner;
+};
+
+// Record a board result as a normal match, then finish the tournament after the last game
+const recordPairingResult = async (client, tournamentId, pairingId, result) => {
+    if (!swiss.RESULT_SCORES[result]) {
+        return { error: "Result must be one of '1-0', '0-1' or '1/2-1/2'" };
+    }
+
+    const state = await loadTournament(client, tournamentId, { forUpdate: true });
+
+    if (!state) {
+        return { error: 'Tournament not found', status: 404 };
+    }
+
+    const pairing = state.pairings.find(p => p.pairing_id === pairingId);
+
+    if (!pairing) {
+        return { error: 'Pairing not found', status: 404 };
+    }
+
+    if (pairing.result === 'bye') {
+        return { error: 'Byes do not take a result' };
+    }
+
+    if (!pairing.white_player_id || !pairing.black_player_id) {
+        return { error: 'Both players for this game are not known yet' };
+    }
+
+    if (state.tournament.format === 'single_elimination' && result === '1/2-1/2') {
+        return { error: 'Knockout games need a decisive result; record the tiebreak winner' };
+    }
+
+    if (pairing.result) {
+        return { error: 'A result has already been recorded for this board' };
+    }
+
+    const whiteWon = result === '1-0';
+    const outcome = await recordMatch(client, {
+        winnerName: whiteWon || result === '1/2-1/2' ? pairing.white_name : pairing.black_name,
+        loserName: whiteWon || result === '1/2-1/2' ? pairing.black_name : pairing.white_name,
+        isDraw: result === '1/2-1/2',
+        details: {
+            white_player_id: pairing.white_player_id,
+            event: state.tournament.name,
+            round: String(pairing.round_number)
+        }
+    });
+
+    if (outcome.error) {
+        return outcome;
+    }
+
+    await client.query(`
+        UPDATE tournament_pairings SET result = $2, match_id = $3 WHERE pairing_id = $1
+    `, [pairingId, result, outcome.match.match_id]);
+
+    const { tournament } = state;
+    const unfinished = state.pairings.filter(p => p.result === null && p.pairing_id !== pairingId);
+    const roundFinished = !unfinished.some(p => p.round_number === tournament.current_round);
+    let winner = null;
+
+    if (tournament.format === 'single_elimination') {
+        const winnerId = whiteWon ? pairing.white_player_id : pairing.black_player_id;
+        if (pairing.round_number >= tournament.total_rounds) {
+            winner = await finishTournament(client, tournamentId, winnerId);
+        } else {
+            await advanceWinner(client, tournamentId, pairing.round_number, pairing.board_number, winnerId);
+        }
+    } else if (tournament.format === 'round_robin') {
+        if (unfinished.length === 0) {
+            winner = await finishTournament(client, tournamentId);
+        }
+    } else if (roundFinished && tournament.current_round >= tournament.total_rounds) {
+        winner = await finishTournament(client, tournamentId);
+    }
+
+    // Swiss rounds only move on when the next one is paired
+    if (!winner && roundFinished && tournament.format !== 'swiss') {
+        await client.query(`
+            UPDATE tournaments SET current_round = current_round + 1 WHERE tournament_id = $1
+        `, [tournamentId]);
+    }
+
+    return { message: outcome.message, match: outcome.match, winner };
+};
+
+// Drawable bracket state: a crosstable for round-robins, the full tree (with
+// empty slots for undecided games) for knockouts and the round list for Swiss.
+const getBracket = (state) => {
+    const { tournament, players, pairings } = state;
+    const byId = {};
+    players.forEach(player => {
+        byId[player.player_id] = { player_id: player.player_id, name: player.name, seed: player.seed };
+    });
+
+    const rounds = [];
+    for (let round = 1; round <= (tournament.total_rounds || 0); round++) {
+        rounds.push({
+            round,
+            games: pairings
+                .filter(pairing => pairing.round_number === round)
+                .map(pairing => ({
+                    pairing_id: pairing.pairing_id,
+                    board: pairing.board_number,
+                    white: byId[pairing.white_player_id] || null,
+                    black: byId[pairing.black_player_id] || null,
+                    result: pairing.result,
+                    match_id: pairing.match_id
+                }))
+        });
+    }
+
+    if (tournament.format === 'single_elimination') {
+        return {
+            format: tournament.format,
+            size: 2 ** (tournament.total_rounds || 0),
+            rounds: rounds.map(({ round, games }) => {
+                const slots = [];
+                for (let position = 1; position <= 2 ** (tournament.total_rounds - round); position++) {
+                    const game = games.find(g => g.board === position);
+                    slots.push(game
+                        ? {
+                            ...game,
+                            position,
+                            winner: game.result === '1-0' || game.result === 'bye'
+                                ? game.white
+                                : game.result === '0-1' ? game.black : null
+                        }
+                        : { position, white: null, black: null, result: null, winner: null });
+                }
+                return { round, name: brackets.roundName(round, tournament.total_rounds), games: slots };
+            })
+        };
+    }
+
+    if (tournament.format === 'round_robin') {
+        const crosstable = {};
+        players.forEach(player => {
+            crosstable[player.player_id] = {};
+        });
+        pairings.forEach(pairing => {
+            const scores = swiss.RESULT_SCORES[pairing.result];
+            if (scores) {
+                crosstable[pairing.white_player_id][pairing.black_player_id] = scores[0];
+                crosstable[pairing.black_player_id][pairing.white_player_id] = scores[1];
+            }
+        });
+
+        return {
+            format: tournament.format,
+            players: players.map(player => byId[player.player_id]),
+            crosstable,
+            rounds
+        };
+    }
+
+    return { format: tournament.format, rounds };
+};
+
+module.exports = {
+    FORMATS,
+    loadTournament,
+    getStandings,
+    getBracket,
+    createTournament,
+    registerPlayers,
+    withdrawPlayer,
+    startNextRound,
+    recordPairingResult,
+    finishTournament
+};
@@ -0,0 +1,269 @@
+// Player account routes: officers give players a login, players sign in and manage their password
+const express = require('express');
+const { OFFICER, hashPassword, verifyPassword, validatePassword } = require('../lib/auth');
+const { withTransaction } = require('../lib/db');
+const { recordAudit } = require('../lib/audit');
+
+module.exports = ({ pool, authenticateAdmin, authenticatePlayer, issuePlayerToken, handleError }) => {
+    const router = express.Router();
+
+    const ACCOUNT_COLUMNS = `
+        a.account_id as id, a.player_id, p.name, a.username, a.is_active, a.created_at, a.last_login_at
+    `;
+
+    const loadAccount = async (db, playerId) => {
+        const result = await db.query(`
+            SELECT ${ACCOUNT_COLUMNS}
+            FROM player_accounts a
+            JOIN players p ON a.player_id = p.player_id
+            WHERE a.player_id = $1
+        `, [playerId]);
+        return result.rows[0] || null;
+    };
+
+    // === PLAYER ===
+
+    // Player login
+    router.post('/api/player/login', async (req, res) => {
+        try {
+            const { username, password } = req.body;
+
+            if (!username || !password) {
+                return res.status(400).json({ success: false, error: 'Username and password are required' });
+            }
+
+            const result = await pool.query(`
+                SELECT a.account_id, a.player_id, a.username, a.password_hash, p.name
+                FROM player_accounts a
+                JOIN players p ON a.player_id = p.player_id
+                WHERE LOWER(a.username) = LOWER($1) AND a.is_active
+            `, [username]);
+            const account = result.rows[0];
+
+            if (!account || !await verifyPassword(password, account.password_hash)) {
+                return res.status(401).json({ success: false, error: 'Invalid username or password' });
+            }
+
+            await pool.query('UPDATE player_accounts SET last_login_at = NOW() WHERE account_id = $1', [account.account_id]);
+
+            res.json({
+                success: true,
+                token: issuePlayerToken(account),
+                player: { id: account.player_id, name: account.name, username: account.username },
+                message: 'Authentication successful'
+            });
+        } catch (error) {
+            handleError(res, error, 'Server error during authentication');
+        }
+    });
+
+    // Current player, with their standing
+    router.get('/api/player/me', authenticatePlayer, async (req, res) => {
+        try {
+            const result = await pool.query(`
+                SELECT p.player_id as id, p.name, p.points, p.tier, ROUND(p.rating)::INTEGER as rating, p.is_active
+                FROM players p WHERE p.player_id = $1
+            `, [req.player.playerId]);
+
+            res.json({ success: true, username: req.player.username, player: result.rows[0] });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch player');
+        }
+    });
+
+    // Change your own password
+    router.put('/api/player/me/password', authenticatePlayer, async (req, res) => {
+        try {
+            const { currentPassword, newPassword } = req.body;
+
+            const passwordError = validatePassword(newPassword);
+            if (passwordError) {
+                return res.status(400).json({ success: false, error: passwordError });
+            }
+
+            const result = await pool.query(
+                'SELECT password_hash FROM player_accounts WHERE account_id = $1',
+                [req.player.accountId]
+            );
+
+            if (!currentPassword || !await verifyPassword(currentPassword, result.rows[0].password_hash)) {
+                return res.status(401).json({ success: false, error: 'Current password is incorrect' });
+            }
+
+            await pool.query(`
+                UPDATE player_accounts SET password_hash = $2, password_changed_at = NOW() WHERE account_id = $1
+            `, [req.player.accountId, await hashPassword(newPassword)]);
+
+            res.json({
+                success: true,
+                message: 'Password changed. Please log in again.'
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to change password');
+        }
+    });
+
+    // === ADMIN ===
+
+    // A player's login, if they have one (admin only)
+    router.get('/api/admin/players/:id/account', authenticateAdmin(...OFFICER), async (req, res) => {
+        try {
+            const playerId = parseInt(req.params.id);
+
+            if (isNaN(playerId)) {
+                return res.status(400).json({ success: false, error: 'Invalid player ID' });
+            }
+
+            const account = await loadAccount(pool, playerId);
+
+            if (!account) {
+                return res.status(404).json({ success: false, error: 'This player has no account' });
+            }
+
+            res.json({ success: true, account });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch account');
+        }
+    });
+
+    // Give a player a login (admin only). Body: { username, password }
+    router.post('/api/admin/players/:id/account', authenticateAdmin(...OFFICER), async (req, res) => {
+        try {
+            const playerId = parseInt(req.params.id);
+            const { username, password } = req.body;
+
+            if (isNaN(playerId)) {
+                return res.status(400).json({ success: false, error: 'Invalid player ID' });
+            }
+
+            if (!username || typeof username !== 'string' || username.trim() === '') {
+                return res.status(400).json({ success: false, error: 'Username is required' });
+            }
+
+            const passwordError = validatePassword(password);
+            if (passwordError) {
+                return res.status(400).json({ success: false, error: passwordError });
+            }
+
+            const passwordHash = await hashPassword(password);
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const player = await client.query('SELECT player_id FROM players WHERE player_id = $1', [playerId]);
+
+                if (player.rows.length === 0) {
+                    return { error: 'Player not found', status: 404 };
+                }
+
+                await client.query(`
+                    INSERT INTO player_accounts (player_id, username, password_hash, created_by)
+                    VALUES ($1, $2, $3, $4)
+                `, [playerId, username.trim(), passwordHash, req.admin.adminId]);
+
+                const account = await loadAccount(client, playerId);
+
+                await recordAudit(client, req, {
+                    action: 'player_account.create',
+                    entityType: 'player_account',
+                    entityId: account.id,
+                    after: account
+                });
+
+                return { account };
+            });
+
+            if (outcome.error) {
+                return res.status(outcome.status || 400).json({ success: false, error: outcome.error });
+            }
+
+            res.json({
+                success: true,
+                message: `Account ${outcome.account.username} created for ${outcome.account.name}`,
+                account: outcome.account
+            });
+        } catch (error) {
+            if (error.code === '23505') { // Unique violation
+                res.status(400).json({
+                    success: false,
+                    error: error.constraint === 'idx_player_accounts_username'
+                        ? 'Username already exists'
+                        : 'This player already has an account'
+                });
+            } else {
+                handleError(res, error, 'Failed to create account');
+            }
+        }
+    });
+
+    // Reset a player's password or disable/re-enable their login (admin only).
+    // Body: { password, isActive }
+    router.patch('/api/admin/players/:id/account', authenticateAdmin(...OFFICER), async (req, res) => {
+        try {
+            const playerId = parseInt(req.params.id);
+            const { password, isActive } = req.body;
+
+            if (isNaN(playerId)) {
+                return res.status(400).json({ success: false, error: 'Invalid player ID' });
+            }
+
+            if (password === undefined && isActive === undefined) {
+                return res.status(400).json({ success: false, error: 'Provide password or isActive to change' });
+            }
+
+            if (isActive !== undefined && typeof isActive !== 'boolean') {
+                return res.status(400).json({ success: false, error: 'isActive must be true or false' });
+            }
+
+            if (password !== undefined) {
+                const passwordError = validatePassword(password);
+                if (passwordError) {
+                    return res.status(400).json({ success: false, error: passwordError });
+                }
+            }
+
+            const passwordHash = password === undefined ? null : await hashPassword(password);
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const before = await loadAccount(client, playerId);
+
+                if (!before) {
+                    return { error: 'This player has no account', status: 404 };
+                }
+
+                // A new password also signs the player out everywhere
+                await client.query(`
+                    UPDATE player_accounts SET
+                        password_hash = COALESCE($2, password_hash),
+                        password_changed_at = CASE WHEN $2::TEXT IS NULL THEN password_changed_at ELSE NOW() END,
+                        is_active = COALESCE($3, is_active)
+                    WHERE player_id = $1
+                `, [playerId, passwordHash, isActive ?? null]);
+
+                const account = await loadAccount(client, playerId);
+
+                await recordAudit(client, req, {
+                    action: password === undefined ? 'player_account.update' : 'player_account.password_reset',
+                    entityType: 'player_account',
+                    entityId: account.id,
+                    before,
+                    after: account
+                });
+
+                return { account };
+            });
+
+            if (outcome.error) {
+                return res.status(outcome.status || 400).json({ success: false, error: outcome.error });
+            }
+
+            res.json({
+                success: true,
+                message: `Account ${outcome.account.username} updated`,
+                account: outcome.account
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to update account');
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,261 @@
+// Admin account routes: owners manage accounts, every admin manages their own password
+const express = require('express');
+const {
+    ADMIN_ROLES,
+    OWNER,
+    hashPassword,
+    verifyPassword,
+    validatePassword
+} = require('../lib/auth');
+const { withTransaction } = require('../lib/db');
+const { recordAudit } = require('../lib/audit');
+
+module.exports = ({ pool, authenticateAdmin, handleError }) => {
+    const router = express.Router();
+
+    const ADMIN_COLUMNS = `
+        admin_id as id, username, role, is_active, created_at, last_login_at
+    `;
+
+    // Count active owners other than this admin, so the last one cannot be locked out
+    const otherActiveOwners = async (adminId) => {
+        const result = await pool.query(`
+            SELECT COUNT(*)::INTEGER as count FROM admins
+            WHERE role = 'owner' AND is_active AND admin_id <> $1
+        `, [adminId]);
+        return result.rows[0].count;
+    };
+
+    // Current admin
+    router.get('/api/admin/me', authenticateAdmin(), async (req, res) => {
+        try {
+            const result = await pool.query(`
+                SELECT ${ADMIN_COLUMNS} FROM admins WHERE admin_id = $1
+            `, [req.admin.adminId]);
+
+            res.json({ success: true, admin: result.rows[0] });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch admin');
+        }
+    });
+
+    // Change your own password
+    router.put('/api/admin/me/password', authenticateAdmin(), async (req, res) => {
+        try {
+            const { currentPassword, newPassword } = req.body;
+
+            const passwordError = validatePassword(newPassword);
+            if (passwordError) {
+                return res.status(400).json({ success: false, error: passwordError });
+            }
+
+            const result = await pool.query(
+                'SELECT password_hash FROM admins WHERE admin_id = $1',
+                [req.admin.adminId]
+            );
+
+            if (!currentPassword || !await verifyPassword(currentPassword, result.rows[0].password_hash)) {
+                return res.status(401).json({ success: false, error: 'Current password is incorrect' });
+            }
+
+            const passwordHash = await hashPassword(newPassword);
+
+            await withTransaction(pool, async (client) => {
+                await client.query(`
+                    UPDATE admins SET password_hash = $2, password_changed_at = NOW() WHERE admin_id = $1
+                `, [req.admin.adminId, passwordHash]);
+
+                await recordAudit(client, req, {
+                    action: 'admin.password_change',
+                    entityType: 'admin',
+                    entityId: req.admin.adminId
+                });
+            });
+
+            res.json({
+                success: true,
+                message: 'Password changed. Please log in again.'
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to change password');
+        }
+    });
+
+    // List admin accounts (owner only)
+    router.get('/api/admin/admins', authenticateAdmin(...OWNER), async (req, res) => {
+        try {
+            const result = await pool.query(`
+                SELECT ${ADMIN_COLUMNS} FROM admins ORDER BY is_active DESC, username ASC
+            `);
+
+            res.json({ success: true, admins: result.rows });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch admins');
+        }
+    });
+
+    // Create an admin account (owner only)
+    router.post('/api/admin/admins', authenticateAdmin(...OWNER), async (req, res) => {
+        try {
+            const { username, password, role } = req.body;
+
+            if (typeof username !== 'string' || username.trim() === '') {
+                return res.status(400).json({ success: false, error: 'Username is required' });
+            }
+
+            if (!ADMIN_ROLES.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Role must be one of: ${ADMIN_ROLES.join(', ')}`
+                });
+            }
+
+            const passwordError = validatePassword(password);
+            if (passwordError) {
+                return res.status(400).json({ success: false, error: passwordError });
+            }
+
+            const passwordHash = await hashPassword(password);
+
+            const result = await withTransaction(pool, async (client) => {
+                const created = await client.query(`
+                    INSERT INTO admins (username, password_hash, role, created_by)
+                    VALUES ($1, $2, $3, $4)
+                    RETURNING ${ADMIN_COLUMNS}
+                `, [username.trim(), passwordHash, role, req.admin.adminId]);
+
+                await recordAudit(client, req, {
+                    action: 'admin.create',
+                    entityType: 'admin',
+                    entityId: created.rows[0].id,
+                    after: created.rows[0]
+                });
+
+                return created;
+            });
+
+            res.json({
+                success: true,
+                message: `Admin ${username.trim()} created successfully!`,
+                admin: result.rows[0]
+            });
+        } catch (error) {
+            if (error.code === '23505') { // Unique violation
+                res.status(400).json({ success: false, error: 'Username already exists' });
+            } else {
+                handleError(res, error, 'Failed to create admin');
+            }
+        }
+    });
+
+    // Change an admin's role or disable/re-enable them (owner only)
+    router.patch('/api/admin/admins/:id', authenticateAdmin(...OWNER), async (req, res) => {
+        try {
+            const adminId = parseInt(req.params.id);
+            const { role, isActive } = req.body;
+
+            if (isNaN(adminId)) {
+                return res.status(400).json({ success: false, error: 'Invalid admin ID' });
+            }
+
+            if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Role must be one of: ${ADMIN_ROLES.join(', ')}`
+                });
+            }
+
+            const existing = await pool.query(`
+                SELECT ${ADMIN_COLUMNS} FROM admins WHERE admin_id = $1
+            `, [adminId]);
+
+            if (existing.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'Admin not found' });
+            }
+
+            const losesOwner = existing.rows[0].role === 'owner' && existing.rows[0].is_active &&
+                ((role !== undefined && role !== 'owner') || isActive === false);
+
+            if (losesOwner && await otherActiveOwners(adminId) === 0) {
+                return res.status(400).json({ success: false, error: 'At least one active owner is required' });
+            }
+
+            const result = await withTransaction(pool, async (client) => {
+                const updated = await client.query(`
+                    UPDATE admins
+                    SET role = COALESCE($2, role), is_active = COALESCE($3, is_active)
+                    WHERE admin_id = $1
+                    RETURNING ${ADMIN_COLUMNS}
+                `, [adminId, role ?? null, isActive ?? null]);
+
+                await recordAudit(client, req, {
+                    action: 'admin.update',
+                    entityType: 'admin',
+                    entityId: adminId,
+                    before: existing.rows[0],
+                    after: updated.rows[0]
+                });
+
+                return updated;
+            });
+
+            res.json({
+                success: true,
+                message: `Admin ${result.rows[0].username} updated`,
+                admin: result.rows[0]
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to update admin');
+        }
+    });
+
+    // Reset another admin's password (owner only)
+    router.put('/api/admin/admins/:id/password', authenticateAdmin(...OWNER), async (req, res) => {
+        try {
+            const adminId = parseInt(req.params.id);
+            const { newPassword } = req.body;
+
+            if (isNaN(adminId)) {
+                return res.status(400).json({ success: false, error: 'Invalid admin ID' });
+            }
+
+            const passwordError = validatePassword(newPassword);
+            if (passwordError) {
+                return res.status(400).json({ success: false, error: passwordError });
+            }
+
+            const passwordHash = await hashPassword(newPassword);
+
+            const result = await withTransaction(pool, async (client) => {
+                const updated = await client.query(`
+                    UPDATE admins SET password_hash = $2, password_changed_at = NOW()
+                    WHERE admin_id = $1
+                    RETURNING username
+                `, [adminId, passwordHash]);
+
+                if (updated.rows.length > 0) {
+                    await recordAudit(client, req, {
+                        action: 'admin.password_reset',
+                        entityType: 'admin',
+                        entityId: adminId
+                    });
+                }
+
+                return updated;
+            });
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'Admin not found' });
+            }
+
+            res.json({
+                success: true,
+                message: `Password reset for ${result.rows[0].username}`
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to reset password');
+        }
+    });
+
+    return router;
+};
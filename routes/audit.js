@@ -0,0 +1,93 @@
+// Audit log routes
+const express = require('express');
+const { OFFICER } = require('../lib/auth');
+const { ENTITY_TYPES } = require('../lib/audit');
+const { DATE_PATTERN } = require('../lib/pagination');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+module.exports = ({ pool, authenticateAdmin, handleError }) => {
+    const router = express.Router();
+
+    // Filterable audit trail, newest first.
+    // Filters: adminId, admin (username), action, entityType, entityId, from, to, limit, offset.
+    // from and to are timestamps or inclusive dates (YYYY-MM-DD).
+    router.get('/api/admin/audit', authenticateAdmin(...OFFICER), async (req, res) => {
+        try {
+            const { adminId, admin, action, entityType, entityId, from, to } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            if (adminId !== undefined && !/^\d+$/.test(adminId)) {
+                return res.status(400).json({ success: false, error: 'adminId must be an admin ID' });
+            }
+
+            if (entityType && !ENTITY_TYPES.includes(entityType)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `entityType must be one of: ${ENTITY_TYPES.join(', ')}`
+                });
+            }
+
+            for (const [name, value] of [['from', from], ['to', to]]) {
+                if (value && isNaN(Date.parse(value))) {
+                    return res.status(400).json({ success: false, error: `Invalid ${name} date` });
+                }
+            }
+
+            const conditions = [];
+            const params = [];
+            const addCondition = (sql, value) => {
+                params.push(value);
+                conditions.push(sql.replace('?', `$${params.length}`));
+            };
+
+            if (adminId) addCondition('admin_id = ?', Number(adminId));
+            if (admin) addCondition('LOWER(admin_username) = LOWER(?)', admin);
+            if (action) addCondition('action = ?', action);
+            if (entityType) addCondition('entity_type = ?', entityType);
+            if (entityId) addCondition('? = ANY(string_to_array(entity_id, \',\'))', String(entityId));
+            if (from) addCondition('created_at >= ?', from);
+            if (to) addCondition(DATE_PATTERN.test(to) ? 'created_at < ?::DATE + 1' : 'created_at <= ?', to);
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const [entries, total] = await Promise.all([
+                pool.query(`
+                    SELECT 
+                        audit_id as id,
+                        admin_id,
+                        admin_username,
+                        action,
+                        entity_type,
+                        entity_id,
+                        method,
+                        route,
+                        path,
+                        before_data,
+                        after_data,
+                        ip_address,
+                        created_at
+                    FROM audit_log
+                    ${where}
+                    ORDER BY created_at DESC, audit_id DESC
+                    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+                `, [...params, limit, offset]),
+                pool.query(`SELECT COUNT(*)::INTEGER as count FROM audit_log ${where}`, params)
+            ]);
+
+            res.json({
+                success: true,
+                entries: entries.rows,
+                total: total.rows[0].count,
+                limit,
+                offset
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch audit log');
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,145 @@
+// Achievement routes (see lib/achievements.js): the badge catalog, a player's
+// badges, and manual badges officers grant and take back
+const express = require('express');
+const { OFFICER } = require('../lib/auth');
+const { BADGES, STREAK_LENGTH, GAMES_MILESTONE, describeBadge } = require('../lib/achievements');
+
+module.exports = ({ repos, authenticateAdmin, handleError }) => {
+    const router = express.Router();
+
+    const parseId = (value) => {
+        const id = parseInt(value);
+        return isNaN(id) ? null : id;
+    };
+
+    // === PUBLIC ===
+
+    // Every kind of badge and how it is earned
+    router.get('/api/badges', (req, res) => {
+        res.json({
+            success: true,
+            badges: Object.entries(BADGES).map(([key, badge]) => ({ key, ...badge })),
+            rules: { streakLength: STREAK_LENGTH, gamesMilestone: GAMES_MILESTONE }
+        });
+    });
+
+    // A player's badges, oldest first
+    router.get('/api/players/:id/badges', async (req, res) => {
+        try {
+            const playerId = parseId(req.params.id);
+
+            if (playerId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid player ID' });
+            }
+
+            if (!await repos.players.findById(playerId)) {
+                return res.status(404).json({ success: false, error: 'Player not found' });
+            }
+
+            res.json({ success: true, badges: await repos.badges.forPlayer(playerId) });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch badges');
+        }
+    });
+
+    // === ADMIN ===
+
+    // Grant a manual badge (admin only). Body: { title, note }
+    router.post('/api/admin/players/:id/badges', authenticateAdmin(...OFFICER), async (req, res) => {
+        try {
+            const playerId = parseId(req.params.id);
+
+            if (playerId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid player ID' });
+            }
+
+            const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+            const note = typeof req.body.note === 'string' && req.body.note.trim() !== '' ? req.body.note.trim() : null;
+
+            if (title === '') {
+                return res.status(400).json({ success: false, error: 'Badge title is required' });
+            }
+            if (title.length > 100) {
+                return res.status(400).json({ success: false, error: 'Badge title must be at most 100 characters' });
+            }
+
+            const granted = await repos.transaction(async (tx) => {
+                const player = await tx.players.findById(playerId);
+
+                if (!player) {
+                    return null;
+                }
+
+                const badge = await tx.badges.grant(playerId, { title, note, grantedBy: req.admin.adminId });
+
+                await tx.audit(req, {
+                    action: 'badge.grant',
+                    entityType: 'badge',
+                    entityId: badge.badge_id,
+                    after: badge
+                });
+
+                return { player, badge };
+            });
+
+            if (!granted) {
+                return res.status(404).json({ success: false, error: 'Player not found' });
+            }
+
+            res.status(201).json({
+                success: true,
+                message: `${granted.player.name} was awarded ${title}`,
+                badge: describeBadge({ ...granted.badge, id: granted.badge.badge_id })
+            });
+        } catch (error) {
+            if (error.code === '23505') {
+                return res.status(400).json({ success: false, error: 'Player already has a badge with that title' });
+            }
+            handleError(res, error, 'Failed to grant badge');
+        }
+    });
+
+    // Take back a manual badge (admin only). Badges the rules awarded follow the
+    // match history and archives, so they cannot be removed here.
+    router.delete('/api/admin/players/:id/badges/:badgeId', authenticateAdmin(...OFFICER), async (req, res) => {
+        try {
+            const playerId = parseId(req.params.id);
+            const badgeId = parseId(req.params.badgeId);
+
+            if (playerId === null || badgeId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid player or badge ID' });
+            }
+
+            const outcome = await repos.transaction(async (tx) => {
+                const badge = await tx.badges.findById(badgeId);
+
+                if (!badge || badge.player_id !== playerId) {
+                    return { error: 'Badge not found', status: 404 };
+                }
+                if (badge.source !== 'manual') {
+                    return { error: 'Only manual badges can be removed; this one was awarded automatically', status: 409 };
+                }
+
+                await tx.badges.remove(badgeId);
+                await tx.audit(req, {
+                    action: 'badge.revoke',
+                    entityType: 'badge',
+                    entityId: badgeId,
+                    before: badge
+                });
+
+                return { badge };
+            });
+
+            if (outcome.error) {
+                return res.status(outcome.status).json({ success: false, error: outcome.error });
+            }
+
+            res.json({ success: true, message: `Badge ${outcome.badge.detail} removed` });
+        } catch (error) {
+            handleError(res, error, 'Failed to remove badge');
+        }
+    });
+
+    return router;
+};
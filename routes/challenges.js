@@ -0,0 +1,276 @@
+// Ladder challenge routes (see lib/challenges.js): players challenge and answer,
+// officers record results and call challenges off
+const express = require('express');
+const { withTransaction } = require('../lib/db');
+const challenges = require('../lib/challenges');
+const { SCOREKEEPER } = require('../lib/auth');
+const { recordAudit } = require('../lib/audit');
+const { transactionRepositories } = require('../lib/repositories');
+const { publishStandings, publishMatch } = require('../lib/live');
+
+module.exports = ({ pool, authenticateAdmin, authenticatePlayer, handleError, challengeSettings }) => {
+    const router = express.Router();
+
+    const parseId = (value) => {
+        const id = parseInt(value);
+        return isNaN(id) ? null : id;
+    };
+
+    const sendError = (res, outcome) =>
+        res.status(outcome.status || 400).json({ success: false, error: outcome.error });
+
+    // ?status= is open (pending and accepted, the default), all, or one status.
+    // Returns { error } or { statuses }.
+    const parseStatus = (status) => {
+        if (status === undefined || status === 'open') {
+            return { statuses: challenges.OPEN_STATUSES };
+        }
+        if (status === 'all') {
+            return { statuses: challenges.CHALLENGE_STATUSES };
+        }
+        if (!challenges.CHALLENGE_STATUSES.includes(status)) {
+            return { error: `Status must be open, all or one of: ${challenges.CHALLENGE_STATUSES.join(', ')}` };
+        }
+        return { statuses: [status] };
+    };
+
+    // Run a player's change to one challenge in a transaction, audit it and answer
+    // with the challenge; message(challenge) is the success message
+    const changeChallenge = async (req, res, action, change, message) => {
+        const outcome = await withTransaction(pool, async (client) => {
+            const changed = await change(client);
+
+            if (!changed.error) {
+                await recordAudit(client, req, {
+                    action,
+                    entityType: 'challenge',
+                    entityId: changed.challenge.id,
+                    after: changed.challenge
+                });
+            }
+
+            return changed;
+        });
+
+        if (outcome.error) {
+            return sendError(res, outcome);
+        }
+
+        res.json({ success: true, message: message(outcome.challenge), challenge: outcome.challenge });
+    };
+
+    // === PUBLIC ===
+
+    // Challenges on the ladder, soonest deadline or game first.
+    // ?player= narrows to one player's; ?status= as in parseStatus.
+    router.get('/api/challenges', async (req, res) => {
+        try {
+            const parsed = parseStatus(req.query.status);
+
+            if (parsed.error) {
+                return res.status(400).json({ success: false, error: parsed.error });
+            }
+
+            let playerId = null;
+            if (req.query.player !== undefined) {
+                playerId = parseId(req.query.player);
+
+                if (playerId === null) {
+                    return res.status(400).json({ success: false, error: 'player must be a player ID' });
+                }
+            }
+
+            const rows = await challenges.listChallenges(pool, { playerId, statuses: parsed.statuses });
+
+            res.json({
+                success: true,
+                challenges: rows,
+                rules: {
+                    rankRange: challengeSettings.rankRange,
+                    responseHours: challengeSettings.responseHours,
+                    playDays: challengeSettings.playDays,
+                    resultDays: challengeSettings.resultDays,
+                    maxOpen: challengeSettings.maxOpen
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch challenges');
+        }
+    });
+
+    // === PLAYER ===
+
+    // Challenge a player ranked above you. Body: { defenderId, message }
+    router.post('/api/player/challenges', authenticatePlayer, async (req, res) => {
+        try {
+            await changeChallenge(
+                req, res, 'challenge.create',
+                (client) => challenges.createChallenge(client, req.player.playerId, req.body, challengeSettings),
+                (challenge) => `${challenge.defender_name} has until ${challenge.respond_by.toISOString()} to answer your challenge`
+            );
+        } catch (error) {
+            handleError(res, error, 'Failed to create challenge');
+        }
+    });
+
+    // Challenges you made or received. ?status= as in parseStatus.
+    router.get('/api/player/challenges', authenticatePlayer, async (req, res) => {
+        try {
+            const parsed = parseStatus(req.query.status);
+
+            if (parsed.error) {
+                return res.status(400).json({ success: false, error: parsed.error });
+            }
+
+            const rows = await challenges.listChallenges(pool, { playerId: req.player.playerId, statuses: parsed.statuses });
+
+            res.json({
+                success: true,
+                challenges: rows,
+                // Challenges waiting on your answer
+                awaitingYou: rows.filter(challenge => challenge.status === 'pending' && challenge.defender_id === req.player.playerId).length
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch challenges');
+        }
+    });
+
+    // Accept a challenge. Body: { scheduledFor } (date, or date and time)
+    router.post('/api/player/challenges/:id/accept', authenticatePlayer, async (req, res) => {
+        try {
+            const challengeId = parseId(req.params.id);
+
+            if (challengeId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid challenge ID' });
+            }
+
+            await changeChallenge(
+                req, res, 'challenge.accept',
+                (client) => challenges.acceptChallenge(client, req.player.playerId, challengeId, req.body, challengeSettings),
+                (challenge) => `Challenge accepted; you play ${challenge.challenger_name} on ${challenge.scheduled_for.toISOString()}`
+            );
+        } catch (error) {
+            handleError(res, error, 'Failed to accept challenge');
+        }
+    });
+
+    // Decline a challenge. Body: { reason }
+    router.post('/api/player/challenges/:id/decline', authenticatePlayer, async (req, res) => {
+        try {
+            const challengeId = parseId(req.params.id);
+
+            if (challengeId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid challenge ID' });
+            }
+
+            await changeChallenge(
+                req, res, 'challenge.decline',
+                (client) => challenges.declineChallenge(client, req.player.playerId, challengeId, req.body.reason),
+                () => 'Challenge declined'
+            );
+        } catch (error) {
+            handleError(res, error, 'Failed to decline challenge');
+        }
+    });
+
+    // Withdraw a challenge you made that has not been answered yet
+    router.delete('/api/player/challenges/:id', authenticatePlayer, async (req, res) => {
+        try {
+            const challengeId = parseId(req.params.id);
+
+            if (challengeId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid challenge ID' });
+            }
+
+            await changeChallenge(
+                req, res, 'challenge.withdraw',
+                (client) => challenges.withdrawChallenge(client, req.player.playerId, challengeId),
+                () => 'Challenge withdrawn'
+            );
+        } catch (error) {
+            handleError(res, error, 'Failed to withdraw challenge');
+        }
+    });
+
+    // === ADMIN ===
+
+    // Record how an open challenge ended (admin only). Body: { result: challenger|defender|draw, forfeit }.
+    // forfeit marks a win by no-show.
+    router.post('/api/admin/challenges/:id/result', authenticateAdmin(...SCOREKEEPER), async (req, res) => {
+        try {
+            const challengeId = parseId(req.params.id);
+
+            if (challengeId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid challenge ID' });
+            }
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const recorded = await challenges.recordChallengeResult(client, challengeId, req.body);
+
+                if (!recorded.error) {
+                    await recordAudit(client, req, {
+                        action: 'challenge.result',
+                        entityType: 'match',
+                        entityId: recorded.match.match_id,
+                        after: { challenge: recorded.challenge, match: recorded.match }
+                    });
+
+                    const tx = transactionRepositories(client);
+                    await publishMatch(tx, recorded.match.match_id);
+                    await publishStandings(tx, 'challenge.result', { match_id: recorded.match.match_id, challenge_id: challengeId });
+                }
+
+                return recorded;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({
+                success: true,
+                message: outcome.message,
+                challenge: outcome.challenge,
+                match: outcome.match
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to record challenge result');
+        }
+    });
+
+    // Call off an open challenge (admin only). Body: { reason }
+    router.post('/api/admin/challenges/:id/cancel', authenticateAdmin(...SCOREKEEPER), async (req, res) => {
+        try {
+            const challengeId = parseId(req.params.id);
+
+            if (challengeId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid challenge ID' });
+            }
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const cancelled = await challenges.cancelChallenge(client, challengeId, req.body.reason);
+
+                if (!cancelled.error) {
+                    await recordAudit(client, req, {
+                        action: 'challenge.cancel',
+                        entityType: 'challenge',
+                        entityId: challengeId,
+                        after: cancelled.challenge
+                    });
+                }
+
+                return cancelled;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({ success: true, message: 'Challenge cancelled', challenge: outcome.challenge });
+        } catch (error) {
+            handleError(res, error, 'Failed to cancel challenge');
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,246 @@
+// Import and export routes: CSV or JSON rosters and match logs in, spreadsheets out
+const express = require('express');
+const { withTransaction, withRollback } = require('../lib/db');
+const { parseCsv, toCsv } = require('../lib/csv');
+const { validatePlayers, insertPlayers, validateMatches, insertMatches } = require('../lib/imports');
+const { OFFICER, SCOREKEEPER } = require('../lib/auth');
+const { recordAudit } = require('../lib/audit');
+const { transactionRepositories } = require('../lib/repositories');
+const { publishStandings } = require('../lib/live');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+module.exports = ({ pool, authenticateAdmin, handleError }) => {
+    const router = express.Router();
+
+    // CSV uploads are sent as text/csv; JSON goes through the app-wide express.json()
+    const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+    // Rows from a CSV body, a JSON array, or a JSON object holding the array under key
+    const readRows = (req, key) => {
+        if (typeof req.body === 'string') {
+            const parsed = parseCsv(req.body);
+            return parsed.error ? { error: parsed.error } : { rows: parsed.rows };
+        }
+        if (Array.isArray(req.body)) {
+            return { rows: req.body };
+        }
+        if (req.body && Array.isArray(req.body[key])) {
+            return { rows: req.body[key] };
+        }
+        return { error: `Send CSV with Content-Type text/csv, or JSON with a ${key} array` };
+    };
+
+    // Validate, then write everything in one transaction (rolled back for ?dryRun=true)
+    const runImport = async (req, res, { key, validate, insert, action, describe }) => {
+        const input = readRows(req, key);
+
+        if (input.error) {
+            return res.status(400).json({ success: false, error: input.error });
+        }
+
+        const dryRun = req.query.dryRun === 'true';
+        const run = async (client) => {
+            const validated = await validate(client, input.rows);
+
+            if (validated.errors) {
+                return validated;
+            }
+
+            const written = await insert(client, validated[key]);
+
+            if (!dryRun) {
+                await recordAudit(client, req, {
+                    action,
+                    entityType: key === 'players' ? 'player' : 'match',
+                    after: { rows: input.rows.length, written }
+                });
+
+                // Imports can be hundreds of rows, so the match feed gets a count rather than each match
+                const tx = transactionRepositories(client);
+                if (key === 'matches') {
+                    await tx.publish('matches', 'match.imported', { count: written.length });
+                }
+                await publishStandings(tx, action);
+            }
+
+            return { written };
+        };
+
+        // Validation is read-only, so a failed import has nothing to roll back either way
+        const outcome = dryRun ? await withRollback(pool, run) : await withTransaction(pool, run);
+
+        if (outcome.errors) {
+            return res.status(400).json({
+                success: false,
+                error: `${outcome.errors.length} row${outcome.errors.length === 1 ? ' has' : 's have'} errors; nothing was imported`,
+                errors: outcome.errors
+            });
+        }
+
+        res.json({
+            success: true,
+            dryRun,
+            message: dryRun
+                ? `${describe(outcome.written)} would be imported; nothing was saved`
+                : `Imported ${describe(outcome.written)}`,
+            [key]: outcome.written
+        });
+    };
+
+    // Send rows as a CSV or JSON download (?format=csv|json, default csv)
+    const sendExport = (req, res, name, columns, rows) => {
+        const format = req.query.format || 'csv';
+        const fileName = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        if (format === 'json') {
+            return res.json(rows);
+        }
+
+        res.type('text/csv').send(toCsv(columns, rows));
+    };
+
+    const checkExportFormat = (req, res, next) => {
+        if (req.query.format && !EXPORT_FORMATS.includes(req.query.format)) {
+            return res.status(400).json({ success: false, error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+        next();
+    };
+
+    // === IMPORTS ===
+
+    // Import a roster (admin only). Columns: name, email, grade, graduation_year, points
+    router.post('/api/admin/import/players', authenticateAdmin(...OFFICER), csvBody, async (req, res) => {
+        try {
+            await runImport(req, res, {
+                key: 'players',
+                validate: validatePlayers,
+                insert: async (client, players) => (await insertPlayers(client, players)).map(player => ({
+                    id: player.player_id,
+                    name: player.name,
+                    points: player.points,
+                    tier: player.tier,
+                    email: player.email,
+                    grade: player.grade,
+                    graduation_year: player.graduation_year
+                })),
+                action: 'player.import',
+                describe: (players) => `${players.length} player${players.length === 1 ? '' : 's'}`
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to import players');
+        }
+    });
+
+    // Import a match log (admin only). Columns: winner, loser, draw, date
+    router.post('/api/admin/import/matches', authenticateAdmin(...SCOREKEEPER), csvBody, async (req, res) => {
+        try {
+            await runImport(req, res, {
+                key: 'matches',
+                validate: validateMatches,
+                insert: insertMatches,
+                action: 'match.import',
+                describe: (matches) => `${matches.length} match${matches.length === 1 ? '' : 'es'}`
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to import matches');
+        }
+    });
+
+    // === EXPORTS ===
+
+    // Current leaderboard of active players
+    router.get('/api/admin/export/leaderboard', authenticateAdmin(), checkExportFormat, async (req, res) => {
+        try {
+            const result = await pool.query(`
+                SELECT
+                    ROW_NUMBER() OVER (ORDER BY p.points DESC, ps.wins DESC, p.name ASC)::INTEGER as rank,
+                    p.name,
+                    p.points,
+                    p.tier,
+                    ROUND(p.rating)::INTEGER as rating,
+                    ps.wins::INTEGER as wins,
+                    ps.losses::INTEGER as losses,
+                    ps.draws::INTEGER as draws,
+                    ps.win_percentage
+                FROM players p
+                JOIN player_statistics ps ON p.player_id = ps.player_id
+                WHERE p.is_active
+                ORDER BY rank
+            `);
+
+            sendExport(req, res, 'leaderboard', [
+                'rank', 'name', 'points', 'tier', 'rating', 'wins', 'losses', 'draws', 'win_percentage'
+            ], result.rows);
+        } catch (error) {
+            handleError(res, error, 'Failed to export leaderboard');
+        }
+    });
+
+    // Every match ever recorded, oldest first. The winner/loser/draw/date columns
+    // can be fed straight back into the match import.
+    router.get('/api/admin/export/matches', authenticateAdmin(), checkExportFormat, async (req, res) => {
+        try {
+            const result = await pool.query(`
+                SELECT
+                    m.match_id,
+                    m.match_date as date,
+                    wp.name as winner,
+                    lp.name as loser,
+                    CASE WHEN m.is_draw THEN 'yes' ELSE 'no' END as draw,
+                    m.winner_tier_before,
+                    m.loser_tier_before,
+                    m.winner_points_change,
+                    m.loser_points_change,
+                    ROUND(m.winner_rating_change)::INTEGER as winner_rating_change,
+                    ROUND(m.loser_rating_change)::INTEGER as loser_rating_change
+                FROM matches m
+                JOIN players wp ON m.winner_id = wp.player_id
+                JOIN players lp ON m.loser_id = lp.player_id
+                ORDER BY m.match_date ASC, m.match_id ASC
+            `);
+
+            sendExport(req, res, 'matches', [
+                'match_id', 'date', 'winner', 'loser', 'draw',
+                'winner_tier_before', 'loser_tier_before',
+                'winner_points_change', 'loser_points_change',
+                'winner_rating_change', 'loser_rating_change'
+            ], result.rows);
+        } catch (error) {
+            handleError(res, error, 'Failed to export matches');
+        }
+    });
+
+    // Monthly archive podiums, oldest first
+    router.get('/api/admin/export/archives', authenticateAdmin(), checkExportFormat, async (req, res) => {
+        try {
+            const result = await pool.query(`
+                SELECT
+                    ma.archive_month as month,
+                    fp.name as first_place,
+                    ma.first_place_points,
+                    sp.name as second_place,
+                    ma.second_place_points,
+                    tp.name as third_place,
+                    ma.third_place_points,
+                    ma.created_at as archived_at
+                FROM monthly_archives ma
+                JOIN players fp ON ma.first_place_player_id = fp.player_id
+                JOIN players sp ON ma.second_place_player_id = sp.player_id
+                JOIN players tp ON ma.third_place_player_id = tp.player_id
+                ORDER BY ma.created_at ASC
+            `);
+
+            sendExport(req, res, 'archives', [
+                'month', 'first_place', 'first_place_points', 'second_place', 'second_place_points',
+                'third_place', 'third_place_points', 'archived_at'
+            ], result.rows);
+        } catch (error) {
+            handleError(res, error, 'Failed to export archives');
+        }
+    });
+
+    return router;
+};
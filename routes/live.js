@@ -0,0 +1,89 @@
+// Live feed route (Server-Sent Events, see lib/live.js)
+const express = require('express');
+const { TOPICS, isTopic } = require('../lib/live');
+
+const HEARTBEAT_MS = 25000;
+
+// Browsers wait this long before reconnecting a dropped EventSource
+const RETRY_MS = 3000;
+
+module.exports = ({ liveFeed, handleError }) => {
+    const router = express.Router();
+
+    // Stream of events for a scoreboard or TV display.
+    // ?topics=leaderboard,matches,tournament:<id> (default: leaderboard,matches)
+    // Each event's id can be sent back as Last-Event-ID (or ?lastEventId=) to resume.
+    // Events: standings, match.recorded, match.corrected, match.voided, tournament.*,
+    // and reset when the missed events are gone and the client should refetch.
+    router.get('/api/live', async (req, res) => {
+        try {
+            const topics = req.query.topics
+                ? String(req.query.topics).split(',').map(topic => topic.trim()).filter(Boolean)
+                : TOPICS;
+            const invalid = topics.filter(topic => !isTopic(topic));
+
+            if (topics.length === 0 || invalid.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown topic(s): ${invalid.join(', ')}. Use ${TOPICS.join(', ')} or tournament:<id>`
+                });
+            }
+
+            const lastEventIdValue = req.get('Last-Event-ID') ?? req.query.lastEventId;
+            let lastEventId = null;
+
+            if (lastEventIdValue !== undefined && lastEventIdValue !== '') {
+                if (!/^\d+$/.test(String(lastEventIdValue))) {
+                    return res.status(400).json({ success: false, error: 'Last-Event-ID must be an event id' });
+                }
+                lastEventId = Number(lastEventIdValue);
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                // Keeps nginx from holding events back
+                'X-Accel-Buffering': 'no'
+            });
+            res.write(`retry: ${RETRY_MS}\n\n`);
+
+            const send = (event) => {
+                if (event === null) {
+                    res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+                    return;
+                }
+
+                res.write(`id: ${event.event_id}\nevent: ${event.event_type}\ndata: ${JSON.stringify({
+                    topic: event.topic,
+                    created_at: event.created_at,
+                    ...event.payload
+                })}\n\n`);
+            };
+
+            const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+            let unsubscribe = null;
+            let closed = false;
+
+            const cleanUp = () => {
+                closed = true;
+                clearInterval(heartbeat);
+                if (unsubscribe) unsubscribe();
+            };
+
+            req.on('close', cleanUp);
+
+            unsubscribe = await liveFeed.subscribe({ topics, lastEventId }, send, () => res.end());
+
+            if (closed) unsubscribe();
+        } catch (error) {
+            if (res.headersSent) {
+                console.error('Live feed subscription failed:', error);
+                return res.end();
+            }
+            handleError(res, error, 'Failed to open live feed');
+        }
+    });
+
+    return router;
+};
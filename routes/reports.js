@@ -0,0 +1,274 @@
+// Self-reported results (see lib/reports.js): players report and answer their own
+// games, officers work through the disputed and expired ones
+const express = require('express');
+const { withTransaction } = require('../lib/db');
+const reports = require('../lib/reports');
+const { SCOREKEEPER } = require('../lib/auth');
+const { recordAudit } = require('../lib/audit');
+const { transactionRepositories } = require('../lib/repositories');
+const { publishStandings, publishMatch } = require('../lib/live');
+
+module.exports = ({ pool, authenticateAdmin, authenticatePlayer, handleError, reportSettings }) => {
+    const router = express.Router();
+
+    const parseId = (value) => {
+        const id = parseInt(value);
+        return isNaN(id) ? null : id;
+    };
+
+    const sendError = (res, outcome) =>
+        res.status(outcome.status || 400).json({ success: false, error: outcome.error });
+
+    // Audit and announce a report that was just recorded as a match
+    const recordReportedMatch = async (client, req, action, outcome) => {
+        await recordAudit(client, req, {
+            action,
+            entityType: 'match',
+            entityId: outcome.match.match_id,
+            after: { report: outcome.report, match: outcome.match }
+        });
+
+        const tx = transactionRepositories(client);
+        await publishMatch(tx, outcome.match.match_id);
+        await publishStandings(tx, action, { match_id: outcome.match.match_id });
+    };
+
+    // === PLAYER ===
+
+    // Report a game you played. Body: { opponentId, result (win|loss|draw, from your side), notes }
+    router.post('/api/player/reports', authenticatePlayer, async (req, res) => {
+        try {
+            const outcome = await withTransaction(pool, async (client) => {
+                const created = await reports.createReport(client, req.player.playerId, req.body);
+
+                if (!created.error) {
+                    await recordAudit(client, req, {
+                        action: 'report.create',
+                        entityType: 'report',
+                        entityId: created.report.id,
+                        after: created.report
+                    });
+                }
+
+                return created;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({
+                success: true,
+                message: `Result reported; waiting for ${outcome.report.opponent_name} to confirm`,
+                report: outcome.report
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to report result');
+        }
+    });
+
+    // Reports you made or were named in. ?status= narrows to one status.
+    router.get('/api/player/reports', authenticatePlayer, async (req, res) => {
+        try {
+            const { status } = req.query;
+
+            if (status !== undefined && !reports.REPORT_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Status must be one of: ${reports.REPORT_STATUSES.join(', ')}`
+                });
+            }
+
+            await reports.expireReports(pool, reportSettings);
+            const rows = await reports.listPlayerReports(pool, req.player.playerId, status || null);
+
+            res.json({
+                success: true,
+                reports: rows,
+                // Reports waiting on your answer
+                awaitingYou: rows.filter(report => report.status === 'pending' && report.opponent_id === req.player.playerId).length
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch reports');
+        }
+    });
+
+    // Confirm a result your opponent reported; the match is recorded
+    router.post('/api/player/reports/:id/confirm', authenticatePlayer, async (req, res) => {
+        try {
+            const reportId = parseId(req.params.id);
+
+            if (reportId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid report ID' });
+            }
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const confirmed = await reports.confirmReport(client, req.player.playerId, reportId, reportSettings);
+
+                if (!confirmed.error) {
+                    await recordReportedMatch(client, req, 'report.confirm', confirmed);
+                }
+
+                return confirmed;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({
+                success: true,
+                message: outcome.message,
+                report: outcome.report,
+                match: outcome.match
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to confirm result');
+        }
+    });
+
+    // Dispute a result your opponent reported; an officer decides. Body: { reason }
+    router.post('/api/player/reports/:id/dispute', authenticatePlayer, async (req, res) => {
+        try {
+            const reportId = parseId(req.params.id);
+
+            if (reportId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid report ID' });
+            }
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const disputed = await reports.disputeReport(client, req.player.playerId, reportId, req.body.reason, reportSettings);
+
+                if (!disputed.error) {
+                    await recordAudit(client, req, {
+                        action: 'report.dispute',
+                        entityType: 'report',
+                        entityId: reportId,
+                        after: disputed.report
+                    });
+                }
+
+                return disputed;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({
+                success: true,
+                message: 'Result disputed; an officer will review it',
+                report: outcome.report
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to dispute result');
+        }
+    });
+
+    // Withdraw a result you reported that has not been answered yet
+    router.delete('/api/player/reports/:id', authenticatePlayer, async (req, res) => {
+        try {
+            const reportId = parseId(req.params.id);
+
+            if (reportId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid report ID' });
+            }
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const withdrawn = await reports.withdrawReport(client, req.player.playerId, reportId, reportSettings);
+
+                if (!withdrawn.error) {
+                    await recordAudit(client, req, {
+                        action: 'report.withdraw',
+                        entityType: 'report',
+                        entityId: reportId,
+                        after: withdrawn.report
+                    });
+                }
+
+                return withdrawn;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({ success: true, message: 'Report withdrawn', report: outcome.report });
+        } catch (error) {
+            handleError(res, error, 'Failed to withdraw report');
+        }
+    });
+
+    // === ADMIN ===
+
+    // Review queue: disputed and expired reports, oldest first (admin only).
+    // ?status= picks another status, e.g. pending or approved.
+    router.get('/api/admin/reports', authenticateAdmin(...SCOREKEEPER), async (req, res) => {
+        try {
+            const { status } = req.query;
+
+            if (status !== undefined && !reports.REPORT_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Status must be one of: ${reports.REPORT_STATUSES.join(', ')}`
+                });
+            }
+
+            await reports.expireReports(pool, reportSettings);
+            const rows = await reports.listReviewQueue(pool, status ? [status] : reports.REVIEW_STATUSES);
+
+            res.json({ success: true, reports: rows });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch reports');
+        }
+    });
+
+    // Decide on a report (admin only). Body: { decision: approve|reject, result, note }.
+    // result (win|loss|draw, from the reporter's side) overrides the reported one on approval.
+    router.post('/api/admin/reports/:id/resolve', authenticateAdmin(...SCOREKEEPER), async (req, res) => {
+        try {
+            const reportId = parseId(req.params.id);
+
+            if (reportId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid report ID' });
+            }
+
+            const outcome = await withTransaction(pool, async (client) => {
+                await reports.expireReports(client, reportSettings);
+                const resolved = await reports.resolveReport(client, req.admin.adminId, reportId, req.body);
+
+                if (resolved.error) {
+                    return resolved;
+                }
+
+                if (resolved.match) {
+                    await recordReportedMatch(client, req, 'report.approve', resolved);
+                } else {
+                    await recordAudit(client, req, {
+                        action: 'report.reject',
+                        entityType: 'report',
+                        entityId: reportId,
+                        after: resolved.report
+                    });
+                }
+
+                return resolved;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({
+                success: true,
+                message: outcome.match ? outcome.message : 'Report rejected',
+                report: outcome.report,
+                match: outcome.match
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to resolve report');
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,102 @@
+// Scoring rules routes (see lib/points.js): the rules in force, earlier versions,
+// and changing them. A change adds a version that scores matches recorded from then
+// on; matches already recorded keep the version that scored them.
+const express = require('express');
+const { OFFICER } = require('../lib/auth');
+const { validateRules } = require('../lib/points');
+const { publishStandings } = require('../lib/live');
+
+module.exports = ({ repos, authenticateAdmin, handleError }) => {
+    const router = express.Router();
+
+    // The rules in force and every version, newest first (admin only)
+    router.get('/api/admin/scoring-rules', authenticateAdmin(), async (req, res) => {
+        try {
+            const versions = await repos.scoringRules.list();
+
+            res.json({ success: true, current: versions[0], versions });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch scoring rules');
+        }
+    });
+
+    // One version (admin only)
+    router.get('/api/admin/scoring-rules/:version', authenticateAdmin(), async (req, res) => {
+        try {
+            const version = parseInt(req.params.version);
+
+            if (isNaN(version)) {
+                return res.status(400).json({ success: false, error: 'Invalid rules version' });
+            }
+
+            const scoringRules = await repos.scoringRules.findByVersion(version);
+
+            if (!scoringRules) {
+                return res.status(404).json({ success: false, error: 'Rules version not found' });
+            }
+
+            res.json({ success: true, scoringRules });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch scoring rules');
+        }
+    });
+
+    // Change the rules (admin only). Body: { rules, note }, where rules holds only the
+    // settings to change. Players outside a new floor or ceiling are brought within it,
+    // and everyone moves to the tier the new boundaries put them in.
+    router.put('/api/admin/scoring-rules', authenticateAdmin(...OFFICER), async (req, res) => {
+        try {
+            const note = typeof req.body.note === 'string' && req.body.note.trim() !== '' ? req.body.note.trim() : null;
+
+            if (note && note.length > 500) {
+                return res.status(400).json({ success: false, error: 'Note must be at most 500 characters' });
+            }
+
+            const outcome = await repos.transaction(async (tx) => {
+                const current = await tx.scoringRules.current();
+                const checked = validateRules(current.rules, req.body.rules);
+
+                if (checked.error) {
+                    return checked;
+                }
+                if (JSON.stringify(checked.rules) === JSON.stringify(current.rules)) {
+                    return { error: 'The rules are unchanged' };
+                }
+
+                const scoringRules = await tx.scoringRules.create({ rules: checked.rules, note, createdBy: req.admin.adminId });
+                const clamped = await tx.scoringRules.clamp();
+                const retiered = await tx.scoringRules.retier();
+
+                await tx.audit(req, {
+                    action: 'scoring_rules.update',
+                    entityType: 'scoring_rules',
+                    entityId: scoringRules.version,
+                    before: { version: current.version, rules: current.rules },
+                    after: { version: scoringRules.version, rules: scoringRules.rules, note, clamped, retiered }
+                });
+
+                if (clamped.length > 0 || retiered.length > 0) {
+                    await publishStandings(tx, 'scoring_rules.update', { version: scoringRules.version });
+                }
+
+                return { scoringRules, clamped, retiered };
+            });
+
+            if (outcome.error) {
+                return res.status(400).json({ success: false, error: outcome.error });
+            }
+
+            res.status(201).json({
+                success: true,
+                message: `Scoring rules version ${outcome.scoringRules.version} is now in force`,
+                scoringRules: outcome.scoringRules,
+                clamped: outcome.clamped,
+                retiered: outcome.retiered
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to update scoring rules');
+        }
+    });
+
+    return router;
+};
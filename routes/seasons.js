@@ -0,0 +1,141 @@
+// Season routes: past and current seasons with their final standings
+const express = require('express');
+const { withTransaction } = require('../lib/db');
+const { checkSeasons } = require('../lib/seasons');
+const { OFFICER } = require('../lib/auth');
+const { recordAudit } = require('../lib/audit');
+
+module.exports = ({ pool, authenticateAdmin, handleError, seasonSettings }) => {
+    const router = express.Router();
+
+    const SEASON_COLUMNS = `
+        s.season_id as id,
+        s.name,
+        s.boundary,
+        s.starts_on,
+        s.ends_on,
+        s.status,
+        s.reset_rule,
+        s.reset_keep,
+        s.archive_id,
+        s.closed_at
+    `;
+
+    // === PUBLIC ===
+
+    // List seasons, newest first, with their podium
+    router.get('/api/seasons', async (req, res) => {
+        try {
+            const result = await pool.query(`
+                SELECT
+                    ${SEASON_COLUMNS},
+                    COUNT(ss.player_id)::INTEGER as player_count,
+                    ARRAY_REMOVE(ARRAY_AGG(p.name ORDER BY ss.rank) FILTER (WHERE ss.rank <= 3), NULL) as podium
+                FROM seasons s
+                LEFT JOIN season_standings ss ON s.season_id = ss.season_id
+                LEFT JOIN players p ON ss.player_id = p.player_id
+                GROUP BY s.season_id
+                ORDER BY s.starts_on DESC, s.season_id DESC
+            `);
+
+            res.json({ success: true, seasons: result.rows });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch seasons');
+        }
+    });
+
+    // The running season
+    router.get('/api/seasons/current', async (req, res) => {
+        try {
+            const result = await pool.query(`
+                SELECT ${SEASON_COLUMNS} FROM seasons s WHERE s.status = 'active'
+            `);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'No season is running' });
+            }
+
+            res.json({ success: true, season: result.rows[0] });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch current season');
+        }
+    });
+
+    // One season with its full final standings
+    router.get('/api/seasons/:id', async (req, res) => {
+        try {
+            const seasonId = parseInt(req.params.id);
+
+            if (isNaN(seasonId)) {
+                return res.status(400).json({ success: false, error: 'Invalid season ID' });
+            }
+
+            const seasonResult = await pool.query(`
+                SELECT ${SEASON_COLUMNS} FROM seasons s WHERE s.season_id = $1
+            `, [seasonId]);
+
+            if (seasonResult.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'Season not found' });
+            }
+
+            const standingsResult = await pool.query(`
+                SELECT
+                    ss.rank,
+                    ss.player_id as id,
+                    p.name,
+                    ss.points,
+                    ss.tier,
+                    ss.rating,
+                    ss.wins,
+                    ss.losses,
+                    ss.draws,
+                    ss.points_after_reset
+                FROM season_standings ss
+                JOIN players p ON ss.player_id = p.player_id
+                WHERE ss.season_id = $1
+                ORDER BY ss.rank ASC
+            `, [seasonId]);
+
+            res.json({ success: true, season: seasonResult.rows[0], standings: standingsResult.rows });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch season');
+        }
+    });
+
+    // === ADMIN ===
+
+    // Run the scheduled season check now (admin only)
+    router.post('/api/admin/seasons/check', authenticateAdmin(...OFFICER), async (req, res) => {
+        try {
+            const { closed, opened } = await withTransaction(pool, async (client) => {
+                const outcome = await checkSeasons(client, seasonSettings);
+
+                if (outcome.closed) {
+                    await recordAudit(client, req, {
+                        action: 'season.close',
+                        entityType: 'season',
+                        entityId: outcome.closed.season.season_id,
+                        after: outcome.closed
+                    });
+                }
+
+                return outcome;
+            });
+
+            const messages = [];
+            if (closed) messages.push(`Season ${closed.season.name} closed`);
+            if (opened) messages.push(`Season ${opened.name} started`);
+
+            res.json({
+                success: true,
+                message: messages.length > 0 ? messages.join('; ') : 'The current season is still running',
+                closed: closed ? { season: closed.season, archive: closed.archive } : null,
+                opened
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to check seasons');
+        }
+    });
+
+    return router;
+};
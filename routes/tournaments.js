@@ -0,0 +1,375 @@
+// Tournament routes: public standings and pairings, admin round management
+const express = require('express');
+const { withTransaction } = require('../lib/db');
+const tournaments = require('../lib/tournaments');
+const { OFFICER, SCOREKEEPER } = require('../lib/auth');
+const { recordAudit } = require('../lib/audit');
+const { transactionRepositories } = require('../lib/repositories');
+const { tournamentTopic, publishStandings, publishMatch } = require('../lib/live');
+
+module.exports = ({ pool, authenticateAdmin, handleError }) => {
+    const router = express.Router();
+
+    const parseId = (value) => {
+        const id = parseInt(value);
+        return isNaN(id) ? null : id;
+    };
+
+    // Service calls return { error, status } for rejected requests
+    const sendError = (res, outcome) =>
+        res.status(outcome.status || 400).json({ success: false, error: outcome.error });
+
+    // Tell the tournament's live feed subscribers about a change, with the new standings and pairings
+    const publishTournament = async (client, tournamentId, type, details = {}) => {
+        const state = await tournaments.loadTournament(client, tournamentId);
+
+        await transactionRepositories(client).publish(tournamentTopic(tournamentId), type, {
+            ...details,
+            tournament: state.tournament,
+            standings: tournaments.getStandings(state),
+            pairings: state.pairings
+        });
+    };
+
+    // === PUBLIC ===
+
+    // List tournaments, newest first
+    router.get('/api/tournaments', async (req, res) => {
+        try {
+            const result = await pool.query(`
+                SELECT 
+                    t.tournament_id as id,
+                    t.name,
+                    t.format,
+                    t.status,
+                    t.total_rounds,
+                    t.current_round,
+                    t.tournament_date,
+                    w.name as winner_name,
+                    COUNT(tp.player_id) as player_count
+                FROM tournaments t
+                LEFT JOIN players w ON t.winner_player_id = w.player_id
+                LEFT JOIN tournament_players tp ON t.tournament_id = tp.tournament_id
+                GROUP BY t.tournament_id, w.name
+                ORDER BY t.tournament_date DESC, t.tournament_id DESC
+            `);
+
+            res.json({ success: true, tournaments: result.rows });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch tournaments');
+        }
+    });
+
+    // Tournament details with players and every round's pairings
+    router.get('/api/tournaments/:id', async (req, res) => {
+        try {
+            const tournamentId = parseId(req.params.id);
+
+            if (tournamentId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid tournament ID' });
+            }
+
+            const state = await tournaments.loadTournament(pool, tournamentId);
+
+            if (!state) {
+                return res.status(404).json({ success: false, error: 'Tournament not found' });
+            }
+
+            res.json({ success: true, ...state });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch tournament');
+        }
+    });
+
+    // Standings with Buchholz and Sonneborn-Berger tiebreaks
+    router.get('/api/tournaments/:id/standings', async (req, res) => {
+        try {
+            const tournamentId = parseId(req.params.id);
+
+            if (tournamentId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid tournament ID' });
+            }
+
+            const state = await tournaments.loadTournament(pool, tournamentId);
+
+            if (!state) {
+                return res.status(404).json({ success: false, error: 'Tournament not found' });
+            }
+
+            res.json({
+                success: true,
+                tournament: state.tournament,
+                standings: tournaments.getStandings(state)
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch standings');
+        }
+    });
+
+    // Bracket for drawing: crosstable (round-robin), tree (knockout) or rounds (Swiss)
+    router.get('/api/tournaments/:id/bracket', async (req, res) => {
+        try {
+            const tournamentId = parseId(req.params.id);
+
+            if (tournamentId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid tournament ID' });
+            }
+
+            const state = await tournaments.loadTournament(pool, tournamentId);
+
+            if (!state) {
+                return res.status(404).json({ success: false, error: 'Tournament not found' });
+            }
+
+            res.json({
+                success: true,
+                tournament: state.tournament,
+                bracket: tournaments.getBracket(state)
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch bracket');
+        }
+    });
+
+    // === ADMIN ===
+
+    // Create a tournament, optionally registering players straight away
+    router.post('/api/admin/tournaments', authenticateAdmin(...OFFICER), async (req, res) => {
+        try {
+            const { name, format = 'swiss', rounds = null, tournamentDate = null, playerIds = [] } = req.body;
+
+            if (!name || name.trim() === '') {
+                return res.status(400).json({ success: false, error: 'Tournament name is required' });
+            }
+
+            if (!tournaments.FORMATS.includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Format must be one of: ${tournaments.FORMATS.join(', ')}`
+                });
+            }
+
+            if (rounds !== null && (!Number.isInteger(rounds) || rounds < 1)) {
+                return res.status(400).json({ success: false, error: 'Rounds must be a positive whole number' });
+            }
+
+            if (!Array.isArray(playerIds)) {
+                return res.status(400).json({ success: false, error: 'playerIds must be an array' });
+            }
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const created = await tournaments.createTournament(client, {
+                    name: name.trim(),
+                    format,
+                    totalRounds: rounds,
+                    tournamentDate,
+                    playerIds
+                });
+
+                if (!created.error) {
+                    await recordAudit(client, req, {
+                        action: 'tournament.create',
+                        entityType: 'tournament',
+                        entityId: created.tournament.tournament_id,
+                        after: { tournament: created.tournament, playerIds }
+                    });
+                }
+
+                return created;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({
+                success: true,
+                message: `Tournament ${outcome.tournament.name} created successfully!`,
+                tournament: outcome.tournament
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to create tournament');
+        }
+    });
+
+    // Register players
+    router.post('/api/admin/tournaments/:id/players', authenticateAdmin(...OFFICER), async (req, res) => {
+        try {
+            const tournamentId = parseId(req.params.id);
+            const { playerIds } = req.body;
+
+            if (tournamentId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid tournament ID' });
+            }
+
+            if (!Array.isArray(playerIds) || playerIds.length === 0) {
+                return res.status(400).json({ success: false, error: 'At least one player ID is required' });
+            }
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const registered = await tournaments.registerPlayers(client, tournamentId, playerIds);
+
+                if (!registered.error) {
+                    await recordAudit(client, req, {
+                        action: 'tournament.register',
+                        entityType: 'tournament',
+                        entityId: tournamentId,
+                        after: { playerIds }
+                    });
+                    await publishTournament(client, tournamentId, 'tournament.players', { playerIds });
+                }
+
+                return registered;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({
+                success: true,
+                message: `Registered ${outcome.registered} players`
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to register players');
+        }
+    });
+
+    // Unregister (before round 1) or withdraw (after) a player
+    router.delete('/api/admin/tournaments/:id/players/:playerId', authenticateAdmin(...OFFICER), async (req, res) => {
+        try {
+            const tournamentId = parseId(req.params.id);
+            const playerId = parseId(req.params.playerId);
+
+            if (tournamentId === null || playerId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid tournament or player ID' });
+            }
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const withdrawn = await tournaments.withdrawPlayer(client, tournamentId, playerId);
+
+                if (!withdrawn.error) {
+                    await recordAudit(client, req, {
+                        action: withdrawn.removed ? 'tournament.unregister' : 'tournament.withdraw',
+                        entityType: 'tournament',
+                        entityId: tournamentId,
+                        before: { playerId }
+                    });
+                    await publishTournament(client, tournamentId, 'tournament.players', { withdrawn: playerId });
+                }
+
+                return withdrawn;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({
+                success: true,
+                message: outcome.removed ? 'Player unregistered' : 'Player withdrawn from further rounds'
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to withdraw player');
+        }
+    });
+
+    // Start the tournament, or pair the next Swiss round.
+    // Round-robins get their whole schedule and knockouts their first round on start.
+    router.post('/api/admin/tournaments/:id/rounds', authenticateAdmin(...SCOREKEEPER), async (req, res) => {
+        try {
+            const tournamentId = parseId(req.params.id);
+
+            if (tournamentId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid tournament ID' });
+            }
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const paired = await tournaments.startNextRound(client, tournamentId);
+
+                if (!paired.error) {
+                    await recordAudit(client, req, {
+                        action: 'tournament.pair_round',
+                        entityType: 'tournament',
+                        entityId: tournamentId,
+                        after: {
+                            round: paired.round,
+                            pairings: paired.state.pairings.filter(p => p.round_number === paired.round)
+                        }
+                    });
+                    await publishTournament(client, tournamentId, 'tournament.round', { round: paired.round });
+                }
+
+                return paired;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({
+                success: true,
+                message: `Round ${outcome.round} paired`,
+                round: outcome.round,
+                pairings: outcome.state.pairings.filter(p => p.round_number === outcome.round)
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to pair round');
+        }
+    });
+
+    // Record a board result; it is also recorded as a normal match.
+    // Knockout winners advance into the next round automatically.
+    router.post('/api/admin/tournaments/:id/pairings/:pairingId/result', authenticateAdmin(...SCOREKEEPER), async (req, res) => {
+        try {
+            const tournamentId = parseId(req.params.id);
+            const pairingId = parseId(req.params.pairingId);
+            const { result } = req.body;
+
+            if (tournamentId === null || pairingId === null) {
+                return res.status(400).json({ success: false, error: 'Invalid tournament or pairing ID' });
+            }
+
+            const outcome = await withTransaction(pool, async (client) => {
+                const recorded = await tournaments.recordPairingResult(client, tournamentId, pairingId, result);
+
+                if (!recorded.error) {
+                    await recordAudit(client, req, {
+                        action: 'tournament.result',
+                        entityType: 'match',
+                        entityId: recorded.match.match_id,
+                        after: { tournamentId, pairingId, result, match: recorded.match, winner: recorded.winner }
+                    });
+
+                    const tx = transactionRepositories(client);
+                    await publishMatch(tx, recorded.match.match_id);
+                    await publishTournament(client, tournamentId, 'tournament.result', {
+                        pairingId,
+                        match_id: recorded.match.match_id,
+                        winner: recorded.winner
+                    });
+                    await publishStandings(tx, 'tournament.result', { match_id: recorded.match.match_id });
+                }
+
+                return recorded;
+            });
+
+            if (outcome.error) {
+                return sendError(res, outcome);
+            }
+
+            res.json({
+                success: true,
+                message: outcome.winner
+                    ? `${outcome.message}. Tournament won by ${outcome.winner.name}!`
+                    : outcome.message,
+                match: outcome.match,
+                winner: outcome.winner
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to record tournament result');
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,21 @@
+// scripts/backfill-badges.js - Rebuild every match badge from the match history
+const { createPool, withTransaction } = require('../lib/db');
+const { replayBadges } = require('../lib/achievements');
+require('dotenv').config();
+
+async function backfillBadges() {
+    const pool = createPool({ max: 1 });
+
+    try {
+        console.log('Replaying matches to award badges...');
+        const summary = await withTransaction(pool, replayBadges);
+        console.log(`Awarded ${summary.badges} match badges from ${summary.matches} matches.`);
+    } catch (error) {
+        console.error('Badge backfill failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+backfillBadges();
@@ -0,0 +1,21 @@
+// scripts/backfill-ratings.js - Rebuild every player's rating from the match history
+const { createPool, withTransaction } = require('../lib/db');
+const { replayRatings } = require('../lib/matches');
+require('dotenv').config();
+
+async function backfillRatings() {
+    const pool = createPool({ max: 1 });
+
+    try {
+        console.log('Replaying matches to rebuild ratings...');
+        const summary = await withTransaction(pool, replayRatings);
+        console.log(`Rated ${summary.matches} matches for ${summary.players} players.`);
+    } catch (error) {
+        console.error('Rating backfill failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+backfillRatings();
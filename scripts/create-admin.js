@@ -0,0 +1,51 @@
+// scripts/create-admin.js - Create an admin account from the command line
+// Usage: npm run admin:create -- <username> [owner|officer|scorekeeper]
+// The password is read from NEW_ADMIN_PASSWORD, or prompted for.
+const readline = require('readline');
+const { createPool } = require('../lib/db');
+const { ADMIN_ROLES, hashPassword, validatePassword } = require('../lib/auth');
+require('dotenv').config();
+
+const prompt = (question) => new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(question, answer => {
+        rl.close();
+        resolve(answer);
+    });
+});
+
+async function createAdmin() {
+    const [username, role = 'owner'] = process.argv.slice(2);
+
+    if (!username || !ADMIN_ROLES.includes(role)) {
+        console.error(`Usage: npm run admin:create -- <username> [${ADMIN_ROLES.join('|')}]`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const password = process.env.NEW_ADMIN_PASSWORD || await prompt(`Password for ${username}: `);
+    const passwordError = validatePassword(password);
+
+    if (passwordError) {
+        console.error(passwordError);
+        process.exitCode = 1;
+        return;
+    }
+
+    const pool = createPool({ max: 1 });
+
+    try {
+        await pool.query(`
+            INSERT INTO admins (username, password_hash, role)
+            VALUES ($1, $2, $3)
+        `, [username, await hashPassword(password), role]);
+        console.log(`Created ${role} account ${username}.`);
+    } catch (error) {
+        console.error(error.code === '23505' ? 'Username already exists' : `Failed to create admin: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+createAdmin();
@@ -0,0 +1,74 @@
+// scripts/migrate.js - Apply, revert or list schema migrations
+// Usage:
+//   npm run db:migrate [-- --to <version>]               apply pending migrations
+//   npm run db:rollback [-- --steps <n> | --to <version>] revert the newest (default: one)
+//   npm run db:status                                     list applied and pending migrations
+const { createPool } = require('../lib/db');
+const { migrationStatus, migrateUp, migrateDown } = require('../lib/migrations');
+require('dotenv').config();
+
+const USAGE = 'Usage: node scripts/migrate.js up [--to <version>] | down [--steps <n> | --to <version>] | status';
+
+// --to 9 and --to 009 both mean version 009
+const parseOptions = (args) => {
+    const options = {};
+
+    for (let i = 0; i < args.length; i += 2) {
+        const [flag, value] = [args[i], args[i + 1]];
+
+        if (flag === '--to' && /^\d{1,3}$/.test(value || '')) {
+            options.to = value.padStart(3, '0');
+        } else if (flag === '--steps' && /^\d+$/.test(value || '') && Number(value) > 0) {
+            options.steps = Number(value);
+        } else {
+            return null;
+        }
+    }
+
+    return options;
+};
+
+const printStatus = async (pool) => {
+    const { applied, pending, unknown } = await migrationStatus(pool);
+
+    applied.forEach(row => {
+        const note = row.modified ? '  (file changed since it was applied)' : '';
+        console.log(`  applied  ${row.name}  ${row.applied_at.toISOString()}${note}`);
+    });
+    pending.forEach(migration => console.log(`  pending  ${migration.name}`));
+    unknown.forEach(row => console.log(`  unknown  ${row.name}  (no file in db/migrations)`));
+
+    console.log(pending.length === 0 ? 'Schema is up to date.' : `${pending.length} pending.`);
+};
+
+async function migrate() {
+    const [command, ...args] = process.argv.slice(2);
+    const options = parseOptions(args);
+
+    if (!['up', 'down', 'status'].includes(command) || !options || (command === 'up' && options.steps)) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    const pool = createPool({ max: 1 });
+
+    try {
+        if (command === 'status') {
+            await printStatus(pool);
+        } else if (command === 'up') {
+            const applied = await migrateUp(pool, options);
+            console.log(applied.length === 0 ? 'Nothing to apply.' : `Applied ${applied.length} migration(s).`);
+        } else {
+            const reverted = await migrateDown(pool, options);
+            console.log(reverted.length === 0 ? 'Nothing to revert.' : `Reverted ${reverted.length} migration(s).`);
+        }
+    } catch (error) {
+        console.error(`Migration failed: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+migrate();
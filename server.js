@@ -1,10 +1,41 @@
 // Crown Point Chess Club - Node.js Backend with PostgreSQL
+const fs = require('fs');
 const express = require('express');
-const { Pool } = require('pg');
 const cors = require('cors');
-const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
+const { createPool, withTransaction, withRollback } = require('./lib/db');
+const { migrationStatus } = require('./lib/migrations');
+const { LEADERBOARD_SORTS, backendSetting, createRepositories, transactionRepositories, unavailablePool } = require('./lib/repositories');
+const { previewMatch, simulateMatches, validateMatchDetails, pgnDetails } = require('./lib/matches');
+const { reviseMatch } = require('./lib/corrections');
+const { seasonSettings: loadSeasonSettings, startSeasonScheduler } = require('./lib/seasons');
+const { parseAsOf, leaderboardAsOf, playerHistory } = require('./lib/history');
+const { opponentBreakdown, headToHead } = require('./lib/opponents');
+const { playerStats, clubSummary } = require('./lib/stats');
+const { validateProfile, updatePlayer, mergePlayers } = require('./lib/players');
+const { checkMatchRows } = require('./lib/imports');
+const { parseBatch, recordBatch, batchErrors } = require('./lib/batch');
+const { parsePgn, matchGameToResult } = require('./lib/pgn');
+const { recordAudit, snapshotPlayer } = require('./lib/audit');
+const { isProvisional } = require('./lib/rating');
+const { startingPointsRange } = require('./lib/points');
+const { publishStandings, publishMatch, liveSettings, createLiveFeed } = require('./lib/live');
+const { MAX_LIMIT, parseFilters, parseListQuery, pageFields } = require('./lib/pagination');
+const { reportSettings: loadReportSettings } = require('./lib/reports');
+const { challengeSettings: loadChallengeSettings, startChallengeScheduler } = require('./lib/challenges');
+const { OFFICER, SCOREKEEPER, hashPassword, verifyPassword } = require('./lib/auth');
+const createTournamentRoutes = require('./routes/tournaments');
+const createAdminRoutes = require('./routes/admins');
+const createAuditRoutes = require('./routes/audit');
+const createSeasonRoutes = require('./routes/seasons');
+const createImportRoutes = require('./routes/imports');
+const createLiveRoutes = require('./routes/live');
+const createAccountRoutes = require('./routes/accounts');
+const createReportRoutes = require('./routes/reports');
+const createChallengeRoutes = require('./routes/challenges');
+const createBadgeRoutes = require('./routes/badges');
+const createScoringRoutes = require('./routes/scoring');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -14,51 +45,143 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public')); // Serve static files
 
+// Data backend: postgres, or memory to run without a database (see lib/repositories)
+const backend = backendSetting();
+
 // PostgreSQL configuration
-const pool = new Pool({
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'postgres',
-    password: process.env.DB_PASSWORD || 'password',
-    database: process.env.DB_NAME || 'crown_point_chess_club',
-    port: process.env.DB_PORT || 5432,
-    max: process.env.DB_POOL_MAX || 10,
-    idleTimeoutMillis: process.env.DB_POOL_IDLE_TIMEOUT || 30000,
-    connectionTimeoutMillis: 2000,
-    ssl:true
+const pool = backend === 'postgres' ? createPool() : unavailablePool();
+const repos = createRepositories({ backend, pool });
+
+// Features that only run on Postgres (listed in lib/repositories/index.js) answer
+// 501 under the memory backend
+const postgresOnly = (res, feature) => res.status(501).json({
+    success: false,
+    error: `The Postgres backend (DATA_BACKEND=postgres) is needed for ${feature}`
 });
 
+const requirePostgres = (feature) => (req, res, next) => (backend === 'postgres' ? next() : postgresOnly(res, feature));
+
 // Test database connection
-pool.connect()
-    .then(client => {
-        console.log('Successfully connected to PostgreSQL database');
-        client.release();
-    })
-    .catch(err => {
-        console.error('Error connecting to PostgreSQL database:', err);
-    });
+if (backend === 'postgres') {
+    pool.connect()
+        .then(client => {
+            console.log('Successfully connected to PostgreSQL database');
+            client.release();
+        })
+        .catch(err => {
+            console.error('Error connecting to PostgreSQL database:', err);
+        });
+}
+
+// Season boundary and reset rule (see lib/seasons.js)
+const seasonSettings = loadSeasonSettings();
+let seasonTimer = null;
+
+// Confirmation window for self-reported results (see lib/reports.js)
+const reportSettings = loadReportSettings();
+
+// Ladder challenge rules and deadlines (see lib/challenges.js)
+const challengeSettings = loadChallengeSettings();
+let challengeTimer = null;
+
+// Live leaderboard and match feed (see lib/live.js)
+const liveFeed = createLiveFeed({ backend, pool, repos, settings: liveSettings() });
 
 // JWT Secret
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
 
-// Admin authentication middleware
-const authenticateAdmin = (req, res, next) => {
+// Admin authentication middleware. Pass the roles allowed on the route, e.g.
+// authenticateAdmin(...OFFICER); with no roles any active admin is let through.
+// The account is looked up on every request so disabled admins lose access at once.
+const authenticateAdmin = (...roles) => async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     
     if (!token) {
         return res.status(401).json({ success: false, error: 'No token provided' });
     }
     
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.admin = decoded;
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+    
+    try {
+        const admin = await repos.admins.findById(decoded.adminId);
+        
+        // Tokens issued before a password change are no longer valid
+        if (!admin || !admin.is_active || decoded.iat < Math.floor(admin.password_changed_at.getTime() / 1000)) {
+            return res.status(401).json({ success: false, error: 'Invalid token' });
+        }
+        
+        if (roles.length > 0 && !roles.includes(admin.role)) {
+            return res.status(403).json({ success: false, error: 'Your role does not allow this action' });
+        }
+        
+        req.admin = { adminId: admin.admin_id, username: admin.username, role: admin.role };
         next();
+    } catch (error) {
+        handleError(res, error, 'Failed to authenticate');
+    }
+};
+
+// Player (student) authentication. Player tokens carry accountId rather than adminId,
+// so neither kind of token passes the other middleware.
+const authenticatePlayer = async (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    
+    if (!token) {
+        return res.status(401).json({ success: false, error: 'No token provided' });
+    }
+    
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
     } catch (error) {
         return res.status(401).json({ success: false, error: 'Invalid token' });
     }
+    
+    if (!decoded.accountId) {
+        return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+    
+    try {
+        const result = await pool.query(`
+            SELECT a.account_id, a.username, a.is_active, a.password_changed_at, p.player_id, p.name
+            FROM player_accounts a
+            JOIN players p ON a.player_id = p.player_id
+            WHERE a.account_id = $1
+        `, [decoded.accountId]);
+        const account = result.rows[0];
+        
+        if (!account || !account.is_active || decoded.iat < Math.floor(account.password_changed_at.getTime() / 1000)) {
+            return res.status(401).json({ success: false, error: 'Invalid token' });
+        }
+        
+        req.player = { accountId: account.account_id, username: account.username, playerId: account.player_id, name: account.name };
+        next();
+    } catch (error) {
+        handleError(res, error, 'Failed to authenticate');
+    }
 };
 
+const issuePlayerToken = (account) => jwt.sign(
+    { isPlayer: true, accountId: account.account_id, playerId: account.player_id, username: account.username },
+    JWT_SECRET,
+    { expiresIn: '8h' }
+);
+
+// Unique violations on players come from the name or the email index
+const duplicatePlayerError = (error) =>
+    error.constraint === 'idx_players_email' ? 'Email address already in use' : 'Player name already exists';
+
 // Utility function for error handling
 const handleError = (res, error, message = 'Internal server error') => {
+    if (error.code === 'BACKEND_UNAVAILABLE') {
+        return res.status(503).json({ success: false, error: error.message });
+    }
+    
     console.error(message, error);
     res.status(500).json({ 
         success: false, 
@@ -72,13 +195,19 @@ const handleError = (res, error, message = 'Internal server error') => {
 // Admin login
 app.post('/api/admin/login', async (req, res) => {
     try {
-        const { password } = req.body;
+        const { username, password } = req.body;
+        
+        if (!username || !password) {
+            return res.status(400).json({ success: false, error: 'Username and password are required' });
+        }
         
-        const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
+        const admin = await repos.admins.findForLogin(username);
         
-        if (password === adminPassword) {
+        if (admin && await verifyPassword(password, admin.password_hash)) {
+            await repos.admins.recordLogin(admin.admin_id);
+            
             const token = jwt.sign(
-                { isAdmin: true, loginTime: Date.now() },
+                { isAdmin: true, adminId: admin.admin_id, username: admin.username, role: admin.role },
                 JWT_SECRET,
                 { expiresIn: '8h' }
             );
@@ -86,12 +215,13 @@ app.post('/api/admin/login', async (req, res) => {
             res.json({ 
                 success: true, 
                 token,
+                admin: { id: admin.admin_id, username: admin.username, role: admin.role },
                 message: 'Authentication successful'
             });
         } else {
             res.status(401).json({ 
                 success: false, 
-                error: 'Invalid password' 
+                error: 'Invalid username or password' 
             });
         }
     } catch (error) {
@@ -101,72 +231,59 @@ app.post('/api/admin/login', async (req, res) => {
 
 // === LEADERBOARD ENDPOINTS ===
 
-// Get current leaderboard with all player info
+// Get current leaderboard with all player info, a page at a time (see lib/pagination.js).
+// Sorts: points (default), rating, name, wins, win_percentage. Filters: tier, activeOnly.
+// Without ?limit the whole leaderboard comes back in one page, as it did before paging.
+// ?asOf=<date or timestamp> rebuilds the whole leaderboard as it stood then (?sort=points|rating).
 app.get('/api/leaderboard', async (req, res) => {
     try {
-        const result = await pool.query(`
-            SELECT 
-                p.player_id as id,
-                p.name,
-                p.points,
-                p.tier,
-                COALESCE(wins.win_count, 0) as wins,
-                COALESCE(losses.loss_count, 0) as losses,
-                CASE 
-                    WHEN COALESCE(wins.win_count, 0) + COALESCE(losses.loss_count, 0) = 0 THEN 0
-                    ELSE ROUND((COALESCE(wins.win_count, 0)::NUMERIC / (COALESCE(wins.win_count, 0) + COALESCE(losses.loss_count, 0))) * 100, 2)
-                END as win_percentage,
-                CASE WHEN champions.player_id IS NOT NULL THEN true ELSE false END as is_champion,
-                CASE WHEN tw.player_id IS NOT NULL THEN true ELSE false END as is_tournament_winner,
-                ROW_NUMBER() OVER (ORDER BY p.points DESC, COALESCE(wins.win_count, 0) DESC, p.name ASC) as rank
-            FROM players p
-            LEFT JOIN (
-                SELECT winner_id, COUNT(*) as win_count 
-                FROM matches 
-                GROUP BY winner_id
-            ) wins ON p.player_id = wins.winner_id
-            LEFT JOIN (
-                SELECT loser_id, COUNT(*) as loss_count 
-                FROM matches 
-                GROUP BY loser_id  
-            ) losses ON p.player_id = losses.loser_id
-            LEFT JOIN (
-                SELECT DISTINCT unnest(ARRAY[first_place_player_id, second_place_player_id, third_place_player_id]) as player_id
-                FROM monthly_archives
-            ) champions ON p.player_id = champions.player_id
-            LEFT JOIN tournament_winners tw ON p.player_id = tw.player_id
-            ORDER BY p.points DESC, COALESCE(wins.win_count, 0) DESC, p.name ASC
-        `);
-        
-        res.json({ success: true, players: result.rows });
+        if (req.query.asOf !== undefined) {
+            if (backend !== 'postgres') {
+                return postgresOnly(res, 'the leaderboard for a past date');
+            }
+            
+            const sort = req.query.sort || 'points';
+            
+            if (!LEADERBOARD_SORTS[sort]) {
+                return res.status(400).json({ success: false, error: 'Sort must be one of: points, rating' });
+            }
+            
+            const asOf = parseAsOf(req.query.asOf);
+            
+            if (!asOf) {
+                return res.status(400).json({ success: false, error: 'asOf must be an ISO 8601 date (YYYY-MM-DD) or timestamp' });
+            }
+            
+            const players = await leaderboardAsOf(pool, asOf, sort);
+            return res.json({ success: true, asOf: req.query.asOf, players, nextCursor: null, total: players.length });
+        }
+        
+        const query = parseListQuery(req.query, 'leaderboard', { defaultLimit: null });
+        
+        if (query.error) {
+            return res.status(400).json({ success: false, error: query.error });
+        }
+        
+        const result = await repos.players.leaderboardPage(query.filters, query.page);
+        
+        res.json({ success: true, players: result.rows, ...pageFields(result, query.page) });
     } catch (error) {
         handleError(res, error, 'Failed to fetch leaderboard');
     }
 });
 
-// Get top 3 players for podium
+// Get top 3 players for podium (?sort=points|rating)
 app.get('/api/leaderboard/top3', async (req, res) => {
     try {
-        const result = await pool.query(`
-            SELECT 
-                p.player_id as id,
-                p.name,
-                p.points,
-                p.tier,
-                CASE WHEN champions.player_id IS NOT NULL THEN true ELSE false END as is_champion,
-                CASE WHEN tw.player_id IS NOT NULL THEN true ELSE false END as is_tournament_winner,
-                ROW_NUMBER() OVER (ORDER BY p.points DESC, p.name ASC) as rank
-            FROM players p
-            LEFT JOIN (
-                SELECT DISTINCT unnest(ARRAY[first_place_player_id, second_place_player_id, third_place_player_id]) as player_id
-                FROM monthly_archives
-            ) champions ON p.player_id = champions.player_id
-            LEFT JOIN tournament_winners tw ON p.player_id = tw.player_id
-            ORDER BY p.points DESC, p.name ASC
-            LIMIT 3
-        `);
-        
-        res.json({ success: true, top3: result.rows });
+        const sort = req.query.sort || 'points';
+        
+        if (!LEADERBOARD_SORTS[sort]) {
+            return res.status(400).json({ success: false, error: 'Sort must be one of: points, rating' });
+        }
+        
+        const top3 = await repos.players.top3(sort);
+        
+        res.json({ success: true, top3 });
     } catch (error) {
         handleError(res, error, 'Failed to fetch top 3');
     }
@@ -181,44 +298,20 @@ app.get('/api/player/:id/stats', async (req, res) => {
             return res.status(400).json({ success: false, error: 'Invalid player ID' });
         }
         
-        // Get player basic stats using the view
-        const playerResult = await pool.query(`
-            SELECT * FROM player_statistics WHERE player_id = $1
-        `, [playerId]);
+        const player = await repos.players.statistics(playerId);
         
-        if (playerResult.rows.length === 0) {
+        if (!player) {
             return res.status(404).json({ success: false, error: 'Player not found' });
         }
         
-        // Get recent match history
-        const historyResult = await pool.query(`
-            SELECT 
-                CASE 
-                    WHEN m.winner_id = $1 THEN 'win'
-                    ELSE 'loss'
-                END as result,
-                CASE 
-                    WHEN m.winner_id = $1 THEN lp.name
-                    ELSE wp.name
-                END as opponent_name,
-                CASE 
-                    WHEN m.winner_id = $1 THEN m.loser_tier_before
-                    ELSE m.winner_tier_before
-                END as opponent_tier,
-                CASE 
-                    WHEN m.winner_id = $1 THEN m.winner_points_change
-                    ELSE m.loser_points_change
-                END as point_change,
-                m.match_date
-            FROM matches m
-            JOIN players wp ON m.winner_id = wp.player_id
-            JOIN players lp ON m.loser_id = lp.player_id
-            WHERE m.winner_id = $1 OR m.loser_id = $1
-            ORDER BY m.match_date DESC
-            LIMIT 20
-        `, [playerId]);
-        
-        const player = playerResult.rows[0];
+        const [matchHistory, seasons, breakdown, advanced, badges] = await Promise.all([
+            repos.matches.recentFor(playerId, 20),
+            // Final placement in every closed season the player took part in
+            repos.players.seasonResults(playerId),
+            opponentBreakdown(repos, playerId),
+            playerStats(repos, playerId),
+            repos.badges.forPlayer(playerId)
+        ]);
         
         res.json({ 
             success: true, 
@@ -229,45 +322,196 @@ app.get('/api/player/:id/stats', async (req, res) => {
                 tier: player.tier,
                 wins: player.wins,
                 losses: player.losses,
+                draws: player.draws,
                 total_games: player.total_games,
-                win_percentage: player.win_percentage
+                win_percentage: player.win_percentage,
+                rating: Math.round(player.rating),
+                rating_deviation: Math.round(player.rating_deviation),
+                rated_games: player.rated_games,
+                is_provisional: isProvisional({ deviation: player.rating_deviation }),
+                is_active: player.is_active
             },
-            matchHistory: historyResult.rows 
+            matchHistory,
+            seasons,
+            opponents: breakdown.opponents,
+            byOpponentTier: breakdown.byOpponentTier,
+            worstLoss: breakdown.worstLoss,
+            streaks: advanced.streaks,
+            form: advanced.form,
+            peak: advanced.peak,
+            averagePointsPerWin: advanced.average_points_per_win,
+            activity: advanced.activity,
+            upsets: advanced.upsets,
+            byColor: advanced.byColor,
+            byTimeControl: advanced.byTimeControl,
+            byColorAndTimeControl: advanced.byColorAndTimeControl,
+            badges
         });
     } catch (error) {
         handleError(res, error, 'Failed to fetch player statistics');
     }
 });
 
+// Club-wide statistics: most active players, biggest upsets and players per tier
+// at the end of each month. ?from= and ?to= (YYYY-MM-DD) narrow the matches
+// counted and the months shown; ?limit= caps the player and upset lists (default 10).
+app.get('/api/stats/summary', requirePostgres('club statistics'), async (req, res) => {
+    try {
+        const parsed = parseFilters(req.query, { filters: ['from', 'to'] });
+        
+        if (parsed.error) {
+            return res.status(400).json({ success: false, error: parsed.error });
+        }
+        
+        let limit = 10;
+        if (req.query.limit !== undefined) {
+            limit = parseInt(req.query.limit);
+            
+            if (isNaN(limit) || limit < 1) {
+                return res.status(400).json({ success: false, error: 'limit must be a positive number' });
+            }
+            limit = Math.min(limit, MAX_LIMIT);
+        }
+        
+        const summary = await clubSummary(pool, { ...parsed.filters, limit });
+        
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch club statistics');
+    }
+});
+
+// Points, tier and rank after every change to a player's points, for charting
+app.get('/api/player/:id/history', async (req, res) => {
+    try {
+        const playerId = parseInt(req.params.id);
+        
+        if (isNaN(playerId)) {
+            return res.status(400).json({ success: false, error: 'Invalid player ID' });
+        }
+        
+        const result = await playerHistory(repos, playerId);
+        
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Player not found' });
+        }
+        
+        res.json({ success: true, player: result.player, history: result.history });
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch player history');
+    }
+});
+
+// Head-to-head record between two players, from the first player's side
+app.get('/api/players/:a/vs/:b', async (req, res) => {
+    try {
+        const playerId = parseInt(req.params.a);
+        const opponentId = parseInt(req.params.b);
+        
+        if (isNaN(playerId) || isNaN(opponentId)) {
+            return res.status(400).json({ success: false, error: 'Invalid player ID' });
+        }
+        
+        if (playerId === opponentId) {
+            return res.status(400).json({ success: false, error: 'Choose two different players' });
+        }
+        
+        const result = await headToHead(repos, playerId, opponentId);
+        
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Player not found' });
+        }
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch head-to-head record');
+    }
+});
+
+// Download every recorded game for a player as one PGN file
+app.get('/api/player/:id/games.pgn', async (req, res) => {
+    try {
+        const playerId = parseInt(req.params.id);
+        
+        if (isNaN(playerId)) {
+            return res.status(400).json({ success: false, error: 'Invalid player ID' });
+        }
+        
+        const player = await repos.players.findById(playerId);
+        
+        if (!player) {
+            return res.status(404).json({ success: false, error: 'Player not found' });
+        }
+        
+        const games = await repos.matches.pgnFor(playerId);
+        
+        const fileName = player.name.replace(/[^A-Za-z0-9_-]+/g, '_');
+        
+        res.set('Content-Type', 'application/x-chess-pgn');
+        res.set('Content-Disposition', `attachment; filename="${fileName}-games.pgn"`);
+        res.send(games.join('\n'));
+    } catch (error) {
+        handleError(res, error, 'Failed to export games');
+    }
+});
+
 // === ADMIN PLAYER MANAGEMENT ===
 
-// Add new player (admin only)
-app.post('/api/admin/players', authenticateAdmin, async (req, res) => {
+// Add new player (admin only). Optional: email, grade, graduationYear
+app.post('/api/admin/players', authenticateAdmin(...OFFICER), async (req, res) => {
     try {
-        const { name, email, points = 0 } = req.body;
+        const { name } = req.body;
         
         if (!name || name.trim() === '') {
             return res.status(400).json({ success: false, error: 'Player name is required' });
         }
         
-        if (points < 0 || points > 49) {
-            return res.status(400).json({ success: false, error: 'Points must be between 0 and 49' });
+        const { min, max } = startingPointsRange((await repos.scoringRules.current()).rules);
+        // Without points a player starts at the floor, as in roster imports
+        const points = req.body.points === undefined ? min : req.body.points;
+        
+        if (!Number.isInteger(points) || points < min || points > max) {
+            return res.status(400).json({ success: false, error: `Points must be a whole number between ${min} and ${max}` });
         }
         
-        const result = await pool.query(`
-            INSERT INTO players (name, points) 
-            VALUES ($1, $2) 
-            RETURNING player_id, name, points, tier
-        `, [name.trim(), points]);
+        const profile = validateProfile(req.body);
+        
+        if (profile.error) {
+            return res.status(400).json({ success: false, error: profile.error });
+        }
+        
+        const { email = null, grade = null, graduation_year = null } = profile.values;
+        
+        const player = await repos.transaction(async (tx) => {
+            const created = await tx.players.create({ name: profile.values.name, points, email, grade, graduation_year });
+            
+            await tx.audit(req, {
+                action: 'player.create',
+                entityType: 'player',
+                entityId: created.player_id,
+                after: created
+            });
+            await publishStandings(tx, 'player.create', { player_id: created.player_id });
+            
+            return created;
+        });
         
         res.json({ 
             success: true, 
             message: `Player ${name} added successfully!`,
-            player: result.rows[0]
+            player: {
+                player_id: player.player_id,
+                name: player.name,
+                points: player.points,
+                tier: player.tier,
+                email: player.email,
+                grade: player.grade,
+                graduation_year: player.graduation_year
+            }
         });
     } catch (error) {
         if (error.code === '23505') { // Unique violation
-            res.status(400).json({ success: false, error: 'Player name already exists' });
+            res.status(400).json({ success: false, error: duplicatePlayerError(error) });
         } else {
             handleError(res, error, 'Failed to add player');
         }
@@ -275,33 +519,19 @@ app.post('/api/admin/players', authenticateAdmin, async (req, res) => {
 });
 
 // Get all players for admin dropdowns
-app.get('/api/admin/players', authenticateAdmin, async (req, res) => {
+app.get('/api/admin/players', authenticateAdmin(...SCOREKEEPER), async (req, res) => {
     try {
-        const result = await pool.query(`
-            SELECT 
-                p.player_id as id,
-                p.name,
-                p.points,
-                p.tier,
-                CASE WHEN champions.player_id IS NOT NULL THEN true ELSE false END as is_champion,
-                CASE WHEN tw.player_id IS NOT NULL THEN true ELSE false END as is_tournament_winner
-            FROM players p
-            LEFT JOIN (
-                SELECT DISTINCT unnest(ARRAY[first_place_player_id, second_place_player_id, third_place_player_id]) as player_id
-                FROM monthly_archives
-            ) champions ON p.player_id = champions.player_id
-            LEFT JOIN tournament_winners tw ON p.player_id = tw.player_id
-            ORDER BY p.name ASC
-        `);
-        
-        res.json({ success: true, players: result.rows });
+        const players = await repos.players.listForAdmin();
+        
+        res.json({ success: true, players });
     } catch (error) {
         handleError(res, error, 'Failed to fetch players');
     }
 });
 
-// Remove player (admin only)
-app.delete('/api/admin/players/:id', authenticateAdmin, async (req, res) => {
+// Edit a player's profile or (de)activate them (admin only).
+// Fields: name, email, grade, graduationYear, isActive, inactiveReason (graduated|left|other)
+app.patch('/api/admin/players/:id', authenticateAdmin(...OFFICER), async (req, res) => {
     try {
         const playerId = parseInt(req.params.id);
         
@@ -309,17 +539,161 @@ app.delete('/api/admin/players/:id', authenticateAdmin, async (req, res) => {
             return res.status(400).json({ success: false, error: 'Invalid player ID' });
         }
         
-        const result = await pool.query(`
-            DELETE FROM players WHERE player_id = $1 RETURNING name
-        `, [playerId]);
+        const outcome = await repos.transaction(async (tx) => {
+            const updated = await updatePlayer(tx.players, playerId, req.body);
+            
+            if (!updated.error) {
+                await tx.audit(req, {
+                    action: updated.before.is_active !== updated.player.is_active
+                        ? (updated.player.is_active ? 'player.reactivate' : 'player.deactivate')
+                        : 'player.update',
+                    entityType: 'player',
+                    entityId: playerId,
+                    before: updated.before,
+                    after: updated.player
+                });
+                
+                // Only name and active status show on the leaderboard
+                if (updated.before.is_active !== updated.player.is_active || updated.before.name !== updated.player.name) {
+                    await publishStandings(tx, 'player.update', { player_id: playerId });
+                }
+            }
+            
+            return updated;
+        });
+        
+        if (outcome.error) {
+            return res.status(outcome.status || 400).json({ success: false, error: outcome.error });
+        }
+        
+        const { player } = outcome;
+        
+        res.json({ 
+            success: true, 
+            message: `Player ${player.name} updated`,
+            player: {
+                id: player.player_id,
+                name: player.name,
+                points: player.points,
+                tier: player.tier,
+                email: player.email,
+                grade: player.grade,
+                graduation_year: player.graduation_year,
+                is_active: player.is_active,
+                inactive_reason: player.inactive_reason,
+                deactivated_at: player.deactivated_at
+            }
+        });
+    } catch (error) {
+        if (error.code === '23505') { // Unique violation
+            res.status(400).json({ success: false, error: duplicatePlayerError(error) });
+        } else {
+            handleError(res, error, 'Failed to update player');
+        }
+    }
+});
+
+// Merge a duplicate entry into this player (admin only). Body: { duplicateId }
+// Matches, games, archives, badges, tournaments and season placements move across.
+app.post('/api/admin/players/:id/merge', requirePostgres('merging players'), authenticateAdmin(...OFFICER), async (req, res) => {
+    try {
+        const playerId = parseInt(req.params.id);
+        const duplicateId = parseInt(req.body.duplicateId);
+        
+        if (isNaN(playerId) || isNaN(duplicateId)) {
+            return res.status(400).json({ success: false, error: 'Invalid player ID' });
+        }
         
-        if (result.rows.length === 0) {
+        const outcome = await withTransaction(pool, async (client) => {
+            const [keepBefore, duplicateBefore] = await Promise.all([
+                snapshotPlayer(client, playerId),
+                snapshotPlayer(client, duplicateId)
+            ]);
+            const merged = await mergePlayers(client, playerId, duplicateId);
+            
+            if (!merged.error) {
+                await recordAudit(client, req, {
+                    action: 'player.merge',
+                    entityType: 'player',
+                    entityId: `${playerId},${duplicateId}`,
+                    before: { player: keepBefore, duplicate: duplicateBefore },
+                    after: { player: merged.player, moved: merged.moved }
+                });
+                await publishStandings(transactionRepositories(client), 'player.merge', { player_id: playerId });
+            }
+            
+            return merged;
+        });
+        
+        if (outcome.error) {
+            return res.status(outcome.status || 400).json({ success: false, error: outcome.error });
+        }
+        
+        res.json({ 
+            success: true, 
+            message: `Merged ${outcome.duplicate.name} into ${outcome.player.name}`,
+            player: {
+                id: outcome.player.player_id,
+                name: outcome.player.name,
+                points: outcome.player.points,
+                tier: outcome.player.tier,
+                rating: Math.round(outcome.player.rating)
+            },
+            moved: outcome.moved
+        });
+    } catch (error) {
+        handleError(res, error, 'Failed to merge players');
+    }
+});
+
+// Remove player (admin only). Only players with no recorded history can be deleted;
+// deactivate or merge the rest.
+app.delete('/api/admin/players/:id', authenticateAdmin(...OFFICER), async (req, res) => {
+    try {
+        const playerId = parseInt(req.params.id);
+        
+        if (isNaN(playerId)) {
+            return res.status(400).json({ success: false, error: 'Invalid player ID' });
+        }
+        
+        const removed = await repos.transaction(async (tx) => {
+            const before = await tx.players.snapshot(playerId);
+            
+            if (!before) {
+                return null;
+            }
+            
+            if (before.matches.length > 0 || before.monthly_archives.length > 0
+                || before.tournament_winners.length > 0 || await tx.players.isInTournament(playerId)) {
+                return { hasHistory: true, player: before.player };
+            }
+            
+            await tx.players.remove(playerId);
+            await tx.audit(req, {
+                action: 'player.delete',
+                entityType: 'player',
+                entityId: playerId,
+                before
+            });
+            await publishStandings(tx, 'player.delete', { player_id: playerId });
+            
+            return { player: before.player };
+        });
+        
+        if (!removed) {
             return res.status(404).json({ success: false, error: 'Player not found' });
         }
         
+        if (removed.hasHistory) {
+            return res.status(409).json({ 
+                success: false, 
+                error: `${removed.player.name} has recorded matches, archives or tournaments; deactivate or merge them instead` 
+            });
+        }
+        
         res.json({ 
             success: true, 
-            message: `Player ${result.rows[0].name} removed successfully!` 
+            message: `Player ${removed.player.name} removed successfully!` 
         });
     } catch (error) {
         handleError(res, error, 'Failed to remove player');
@@ -329,9 +703,19 @@ app.delete('/api/admin/players/:id', authenticateAdmin, async (req, res) => {
 // === MATCH MANAGEMENT ===
 
 // Record match result (admin only)
-app.post('/api/admin/matches', authenticateAdmin, async (req, res) => {
+// For a draw send isDraw: true; winner/loser then just name the two players.
+// An optional pgn is validated against the result and stored with the match.
+// Optional details: whiteId, timeControl, eco, opening, event, round and notes (see
+// validateMatchDetails); a PGN's tags fill in any that are left out.
+app.post('/api/admin/matches', authenticateAdmin(...SCOREKEEPER), async (req, res) => {
     try {
-        const { winnerId, loserId, winnerName, loserName } = req.body;
+        const { winnerId, loserId, winnerName, loserName, isDraw = false, pgn, whiteId } = req.body;
+        
+        const details = validateMatchDetails(req.body);
+        
+        if (details.error) {
+            return res.status(400).json({ success: false, error: details.error });
+        }
         
         // Support both ID-based and name-based match recording
         let finalWinnerName, finalLoserName;
@@ -341,15 +725,17 @@ app.post('/api/admin/matches', authenticateAdmin, async (req, res) => {
             finalLoserName = loserName;
         } else if (winnerId && loserId) {
             // Get names from IDs
-            const winnerResult = await pool.query('SELECT name FROM players WHERE player_id = $1', [winnerId]);
-            const loserResult = await pool.query('SELECT name FROM players WHERE player_id = $1', [loserId]);
+            const [winner, loser] = await Promise.all([
+                repos.players.findById(winnerId),
+                repos.players.findById(loserId)
+            ]);
             
-            if (winnerResult.rows.length === 0 || loserResult.rows.length === 0) {
+            if (!winner || !loser) {
                 return res.status(400).json({ success: false, error: 'One or both players not found' });
             }
             
-            finalWinnerName = winnerResult.rows[0].name;
-            finalLoserName = loserResult.rows[0].name;
+            finalWinnerName = winner.name;
+            finalLoserName = loser.name;
         } else {
             return res.status(400).json({ 
                 success: false, 
@@ -360,50 +746,528 @@ app.post('/api/admin/matches', authenticateAdmin, async (req, res) => {
         if (finalWinnerName === finalLoserName) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'Winner and loser cannot be the same player' 
+                error: isDraw
+                    ? 'A player cannot draw against themselves'
+                    : 'Winner and loser cannot be the same player' 
             });
         }
         
-        // Use the stored function to record match
-        const result = await pool.query(`
-            SELECT record_match_result($1, $2) as message
-        `, [finalWinnerName, finalLoserName]);
+        const matchPlayers = await repos.players.findByNames([finalWinnerName, finalLoserName]);
+        const inactive = matchPlayers.filter(player => !player.is_active);
         
-        const message = result.rows[0].message;
+        if (inactive.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `${inactive[0].name} is inactive; reactivate them before recording a match` 
+            });
+        }
+        
+        let white = null;
+        if (whiteId !== undefined && whiteId !== null) {
+            white = matchPlayers.find(player => player.player_id === Number(whiteId));
+            
+            if (!white) {
+                return res.status(400).json({ success: false, error: 'whiteId must be the winner or the loser' });
+            }
+        }
+        
+        let game = null;
+        let colors = null;
+        let matchDetails = details.values;
+        
+        if (pgn) {
+            game = parsePgn(pgn);
+            
+            if (game.error) {
+                return res.status(400).json({ success: false, error: game.error });
+            }
+            
+            colors = matchGameToResult(game, {
+                winnerName: finalWinnerName,
+                loserName: finalLoserName,
+                isDraw
+            }, white ? white.name : null);
+            
+            if (colors.error) {
+                return res.status(400).json({ success: false, error: colors.error });
+            }
+            
+            white = matchPlayers.find(player => player.name === colors.whiteName);
+            matchDetails = { ...pgnDetails(game.headers), ...matchDetails };
+        }
+        
+        if (white) {
+            matchDetails = { ...matchDetails, white_player_id: white.player_id };
+        }
+        
+        // Record points through the stored functions, update ratings and store the game in one transaction
+        const outcome = await repos.transaction(async (tx) => {
+            const playersBefore = await tx.players.standings(
+                (await tx.players.findByNames([finalWinnerName, finalLoserName])).map(player => player.player_id)
+            );
+            
+            const recorded = await tx.matches.record({
+                winnerName: finalWinnerName,
+                loserName: finalLoserName,
+                isDraw,
+                details: matchDetails
+            });
+            
+            if (recorded.error) {
+                return recorded;
+            }
+            
+            const { match } = recorded;
+            let savedGame = null;
+            
+            if (game) {
+                const whiteIsWinner = colors.whiteName === finalWinnerName;
+                savedGame = await tx.matches.saveGame(match.match_id, game, {
+                    ...colors,
+                    whiteId: whiteIsWinner ? match.winner_id : match.loser_id,
+                    blackId: whiteIsWinner ? match.loser_id : match.winner_id
+                });
+            }
+            
+            await tx.audit(req, {
+                action: 'match.record',
+                entityType: 'match',
+                entityId: match.match_id,
+                before: { players: playersBefore },
+                after: {
+                    match,
+                    game: savedGame,
+                    players: await tx.players.standings([match.winner_id, match.loser_id]),
+                    badges: recorded.badges
+                }
+            });
+            await publishMatch(tx, match.match_id);
+            await publishStandings(tx, 'match.record', { match_id: match.match_id });
+            
+            return recorded;
+        });
         
-        if (message.startsWith('Error:')) {
-            return res.status(400).json({ success: false, error: message });
+        if (outcome.error) {
+            return res.status(400).json({ success: false, error: outcome.error });
         }
         
+        const message = outcome.message;
+        
         // Get updated player info for response
+        const playerInfo = ({ player_id, name, points, tier, rating }) => ({
+            id: player_id, name, points, tier, rating: Math.round(rating)
+        });
         const [winnerInfo, loserInfo] = await Promise.all([
-            pool.query('SELECT player_id as id, name, points, tier FROM players WHERE name = $1', [finalWinnerName]),
-            pool.query('SELECT player_id as id, name, points, tier FROM players WHERE name = $1', [finalLoserName])
+            repos.players.findById(outcome.match.winner_id),
+            repos.players.findById(outcome.match.loser_id)
         ]);
         
         res.json({ 
             success: true, 
             message: message,
-            winner: winnerInfo.rows[0],
-            loser: loserInfo.rows[0]
+            matchId: outcome.match.match_id,
+            isDraw: Boolean(isDraw),
+            hasPgn: Boolean(game),
+            winner: playerInfo(winnerInfo),
+            loser: playerInfo(loserInfo),
+            badges: outcome.badges
         });
     } catch (error) {
         handleError(res, error, 'Failed to record match');
     }
 });
 
-// Get recent matches for dashboard
+// Record a club night's results in one go (admin only).
+// Body: { matches: [{ winnerId | winnerName, loserId | loserName, isDraw }] }, applied in order.
+// If any entry is invalid nothing is recorded.
+app.post('/api/admin/matches/batch', requirePostgres('recording a batch of matches'), authenticateAdmin(...SCOREKEEPER), async (req, res) => {
+    try {
+        const batch = parseBatch(req.body);
+        
+        if (batch.error) {
+            return res.status(400).json({ success: false, error: batch.error });
+        }
+        
+        const outcome = await withTransaction(pool, async (client) => {
+            const recorded = await recordBatch(client, batch.entries);
+            
+            if (recorded.errors) {
+                return recorded;
+            }
+            
+            const { results, matchIds } = recorded;
+            
+            await recordAudit(client, req, {
+                action: 'match.batch',
+                entityType: 'match',
+                entityId: matchIds.join(','),
+                before: { standings: recorded.standingsBefore },
+                after: { matches: results }
+            });
+            
+            const tx = transactionRepositories(client);
+            for (const matchId of matchIds) {
+                await publishMatch(tx, matchId);
+            }
+            await publishStandings(tx, 'match.batch', { match_ids: matchIds });
+            
+            return recorded;
+        });
+        
+        if (outcome.errors) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Some entries are invalid; no matches were recorded',
+                errors: batchErrors(outcome.errors)
+            });
+        }
+        
+        res.json({ 
+            success: true, 
+            message: `Recorded ${outcome.results.length} matches`,
+            matches: outcome.results,
+            standings: outcome.standings
+        });
+    } catch (error) {
+        handleError(res, error, 'Failed to record matches');
+    }
+});
+
+// === MATCH PREVIEWS ===
+// Scored with the current rules by the same code that scores real matches (see
+// playGame in lib/matches.js), from a read of the players; nothing is locked or saved
+
+// Points, tier and rating change for both players under every result of one game.
+// ?white= and ?black= are player IDs.
+app.get('/api/matches/preview', async (req, res) => {
+    try {
+        const { white: whiteParam, black: blackParam } = req.query;
+        
+        if (!/^\d+$/.test(whiteParam || '') || !/^\d+$/.test(blackParam || '')) {
+            return res.status(400).json({ success: false, error: 'white and black must be player IDs' });
+        }
+        
+        const whiteId = Number(whiteParam);
+        const blackId = Number(blackParam);
+        
+        if (whiteId === blackId) {
+            return res.status(400).json({ success: false, error: 'Choose two different players' });
+        }
+        
+        const [white, black, current] = await Promise.all([
+            repos.players.statistics(whiteId),
+            repos.players.statistics(blackId),
+            repos.scoringRules.current()
+        ]);
+        
+        if (!white || !black) {
+            return res.status(404).json({ success: false, error: 'Player not found' });
+        }
+        
+        const inactive = [white, black].find(player => !player.is_active);
+        
+        if (inactive) {
+            return res.status(400).json({ success: false, error: `${inactive.name} is inactive` });
+        }
+        
+        const outcomes = previewMatch(
+            current.rules,
+            { ...white, games: Number(white.total_games) },
+            { ...black, games: Number(black.total_games) }
+        );
+        
+        const playerInfo = ({ player_id, name, points, tier, rating }) => ({
+            id: player_id, name, points, tier, rating: Math.round(rating)
+        });
+        
+        res.json({ 
+            success: true, 
+            white: playerInfo(white),
+            black: playerInfo(black),
+            outcomes
+        });
+    } catch (error) {
+        handleError(res, error, 'Failed to preview match');
+    }
+});
+
+// What-if: apply a list of results in order and return the projected leaderboard.
+// Body as for /api/admin/matches/batch. Nothing is saved.
+app.post('/api/matches/preview', async (req, res) => {
+    try {
+        const batch = parseBatch(req.body);
+        
+        if (batch.error) {
+            return res.status(400).json({ success: false, error: batch.error });
+        }
+        
+        const [everyone, leaderboard, current] = await Promise.all([
+            repos.players.listForAdmin(),
+            repos.players.leaderboard('points'),
+            repos.scoringRules.current()
+        ]);
+        
+        const validated = checkMatchRows(
+            batch.entries,
+            everyone.map(({ id, name, is_active }) => ({ player_id: id, name, is_active }))
+        );
+        
+        if (validated.errors) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Some entries are invalid',
+                errors: batchErrors(validated.errors)
+            });
+        }
+        
+        // Everyone who plays, as playGame needs them, with their record so far
+        const records = new Map(leaderboard.map(row => [row.id, row]));
+        const playing = await repos.players.findByIds([
+            ...new Set(validated.matches.flatMap(({ winner, loser }) => [winner.player_id, loser.player_id]))
+        ]);
+        const players = new Map(playing.map(player => {
+            const { wins, losses, draws } = records.get(player.player_id);
+            return [player.player_id, { ...player, wins: Number(wins), games: Number(wins) + Number(losses) + Number(draws) }];
+        }));
+        
+        const simulated = simulateMatches(current.rules, players, validated.matches);
+        
+        // The leaderboard afterwards, in the order recordBatch reports it
+        const standings = leaderboard
+            .map(row => {
+                const after = simulated.players.get(row.id);
+                return {
+                    id: row.id,
+                    name: row.name,
+                    points: after ? after.points : row.points,
+                    tier: after ? after.tier : row.tier,
+                    rating: after ? Math.round(after.rating) : row.rating,
+                    wins: after ? after.wins : Number(row.wins),
+                    previous_rank: Number(row.rank),
+                    points_change: after ? after.points - row.points : 0
+                };
+            })
+            .sort((a, b) => b.points - a.points || b.wins - a.wins || a.name.localeCompare(b.name))
+            .map(({ wins, ...row }, index) => ({ rank: index + 1, ...row }));
+        
+        res.json({ 
+            success: true, 
+            matches: simulated.results,
+            standings
+        });
+    } catch (error) {
+        handleError(res, error, 'Failed to simulate matches');
+    }
+});
+
+// Attach or replace the PGN for an existing match (admin only)
+app.put('/api/admin/matches/:id/pgn', authenticateAdmin(...SCOREKEEPER), async (req, res) => {
+    try {
+        const matchId = parseInt(req.params.id);
+        const { pgn, whiteId } = req.body;
+        
+        if (isNaN(matchId)) {
+            return res.status(400).json({ success: false, error: 'Invalid match ID' });
+        }
+        
+        const match = await repos.matches.findDetailed(matchId);
+        
+        if (!match) {
+            return res.status(404).json({ success: false, error: 'Match not found' });
+        }
+        
+        const game = parsePgn(pgn);
+        
+        if (game.error) {
+            return res.status(400).json({ success: false, error: game.error });
+        }
+        
+        let whiteName = null;
+        if (whiteId !== undefined && whiteId !== null) {
+            whiteName = Number(whiteId) === match.winner_id ? match.winner_name
+                : Number(whiteId) === match.loser_id ? match.loser_name
+                : undefined;
+            
+            if (whiteName === undefined) {
+                return res.status(400).json({ success: false, error: 'whiteId must be one of the players in this match' });
+            }
+        }
+        
+        const colors = matchGameToResult(game, {
+            winnerName: match.winner_name,
+            loserName: match.loser_name,
+            isDraw: match.is_draw
+        }, whiteName);
+        
+        if (colors.error) {
+            return res.status(400).json({ success: false, error: colors.error });
+        }
+        
+        const whiteIsWinner = colors.whiteName === match.winner_name;
+        const saved = await repos.transaction(async (tx) => {
+            const before = await tx.matches.findGame(matchId);
+            const savedGame = await tx.matches.saveGame(matchId, game, {
+                ...colors,
+                whiteId: whiteIsWinner ? match.winner_id : match.loser_id,
+                blackId: whiteIsWinner ? match.loser_id : match.winner_id
+            });
+            
+            await tx.audit(req, {
+                action: 'match.pgn',
+                entityType: 'match',
+                entityId: matchId,
+                before,
+                after: savedGame
+            });
+            
+            return savedGame;
+        });
+        
+        res.json({ 
+            success: true, 
+            message: `PGN saved for match ${matchId}`,
+            game: {
+                match_id: saved.match_id,
+                headers: saved.headers,
+                moves: saved.moves,
+                pgn: saved.pgn
+            }
+        });
+    } catch (error) {
+        handleError(res, error, 'Failed to save PGN');
+    }
+});
+
+// Void or correct a match, replaying every later match so points and tiers end up
+// as if it had been recorded correctly. ?dryRun=true returns the diff without saving.
+const reviseMatchRoute = async (req, res, changes) => {
+    const matchId = parseInt(req.params.id);
+    const dryRun = req.query.dryRun === 'true';
+    
+    if (isNaN(matchId)) {
+        return res.status(400).json({ success: false, error: 'Invalid match ID' });
+    }
+    
+    const revise = async (client) => {
+        const outcome = await reviseMatch(client, matchId, changes);
+        
+        if (!outcome.error && !dryRun) {
+            await recordAudit(client, req, {
+                action: changes ? 'match.correct' : 'match.void',
+                entityType: 'match',
+                entityId: matchId,
+                before: outcome.match,
+                after: { match: outcome.correction, gameRemoved: outcome.gameRemoved, diff: outcome.diff }
+            });
+            
+            const tx = transactionRepositories(client);
+            if (changes) {
+                await publishMatch(tx, matchId, { type: 'match.corrected' });
+            } else {
+                await tx.publish('matches', 'match.voided', { match_id: matchId });
+            }
+            await publishStandings(tx, changes ? 'match.correct' : 'match.void', { match_id: matchId });
+        }
+        
+        return outcome;
+    };
+    
+    const outcome = dryRun ? await withRollback(pool, revise) : await withTransaction(pool, revise);
+    
+    if (outcome.error) {
+        return res.status(outcome.status || 400).json({ success: false, error: outcome.error });
+    }
+    
+    const verb = changes ? 'corrected' : 'voided';
+    
+    res.json({
+        success: true,
+        dryRun,
+        message: dryRun
+            ? `Match ${matchId} would be ${verb}; nothing was saved`
+            : `Match ${matchId} ${verb}`,
+        match: outcome.correction,
+        gameRemoved: outcome.gameRemoved,
+        diff: outcome.diff
+    });
+};
+
+// Correct a match's result (admin only). Send any of winnerId, loserId, isDraw.
+app.patch('/api/admin/matches/:id', requirePostgres('correcting a match'), authenticateAdmin(...SCOREKEEPER), async (req, res) => {
+    try {
+        const { winnerId, loserId, isDraw } = req.body;
+        
+        if (winnerId === undefined && loserId === undefined && isDraw === undefined) {
+            return res.status(400).json({ success: false, error: 'Provide winnerId, loserId or isDraw to correct' });
+        }
+        
+        if ((winnerId !== undefined && !Number.isInteger(winnerId))
+            || (loserId !== undefined && !Number.isInteger(loserId))
+            || (isDraw !== undefined && typeof isDraw !== 'boolean')) {
+            return res.status(400).json({ success: false, error: 'winnerId and loserId must be player IDs and isDraw a boolean' });
+        }
+        
+        await reviseMatchRoute(req, res, { winnerId, loserId, isDraw });
+    } catch (error) {
+        handleError(res, error, 'Failed to correct match');
+    }
+});
+
+// Void a match (admin only)
+app.delete('/api/admin/matches/:id', requirePostgres('voiding a match'), authenticateAdmin(...SCOREKEEPER), async (req, res) => {
+    try {
+        await reviseMatchRoute(req, res, null);
+    } catch (error) {
+        handleError(res, error, 'Failed to void match');
+    }
+});
+
+// Get the PGN and move list for a match
+app.get('/api/matches/:id/pgn', async (req, res) => {
+    try {
+        const matchId = parseInt(req.params.id);
+        
+        if (isNaN(matchId)) {
+            return res.status(400).json({ success: false, error: 'Invalid match ID' });
+        }
+        
+        const game = await repos.matches.findGame(matchId);
+        
+        if (!game) {
+            return res.status(404).json({ success: false, error: 'No PGN recorded for this match' });
+        }
+        
+        res.json({ 
+            success: true, 
+            game: {
+                match_id: game.match_id,
+                white_name: game.white_name,
+                black_name: game.black_name,
+                headers: game.headers,
+                moves: game.moves,
+                final_fen: game.final_fen,
+                pgn: game.pgn,
+                uploaded_at: game.uploaded_at
+            }
+        });
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch PGN');
+    }
+});
+
+// Get recent matches for dashboard, a page at a time (see lib/pagination.js).
+// Sorts: date (default), winner, loser. Filters: from, to, player, tier, tournament.
 app.get('/api/matches/recent', async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 10;
+        const query = parseListQuery(req.query, 'matches', { defaultLimit: 10 });
         
-        const result = await pool.query(`
-            SELECT * FROM match_history_detailed
-            ORDER BY match_date DESC 
-            LIMIT $1
-        `, [limit]);
+        if (query.error) {
+            return res.status(400).json({ success: false, error: query.error });
+        }
         
-        res.json({ success: true, matches: result.rows });
+        const result = await repos.matches.page(query.filters, query.page);
+        
+        res.json({ success: true, matches: result.rows, ...pageFields(result, query.page) });
     } catch (error) {
         handleError(res, error, 'Failed to fetch recent matches');
     }
@@ -411,35 +1275,26 @@ app.get('/api/matches/recent', async (req, res) => {
 
 // === ARCHIVES MANAGEMENT ===
 
-// Get monthly archives
+// Get monthly archives, a page at a time (see lib/pagination.js).
+// Sorts: date (default), month. Filters: from, to, player. Every archive without ?limit.
 app.get('/api/archives', async (req, res) => {
     try {
-        const result = await pool.query(`
-            SELECT 
-                ma.archive_id as id,
-                ma.archive_month,
-                fp.name as first_place_name,
-                ma.first_place_points,
-                sp.name as second_place_name,
-                ma.second_place_points,
-                tp.name as third_place_name,
-                ma.third_place_points,
-                ma.created_at as archive_date
-            FROM monthly_archives ma
-            JOIN players fp ON ma.first_place_player_id = fp.player_id
-            JOIN players sp ON ma.second_place_player_id = sp.player_id
-            JOIN players tp ON ma.third_place_player_id = tp.player_id
-            ORDER BY ma.created_at DESC
-        `);
-        
-        res.json({ success: true, archives: result.rows });
+        const query = parseListQuery(req.query, 'archives', { defaultLimit: null });
+        
+        if (query.error) {
+            return res.status(400).json({ success: false, error: query.error });
+        }
+        
+        const result = await repos.archives.page(query.filters, query.page);
+        
+        res.json({ success: true, archives: result.rows, ...pageFields(result, query.page) });
     } catch (error) {
         handleError(res, error, 'Failed to fetch archives');
     }
 });
 
 // Add monthly archive (admin only)
-app.post('/api/admin/archives', authenticateAdmin, async (req, res) => {
+app.post('/api/admin/archives', authenticateAdmin(...OFFICER), async (req, res) => {
     try {
         const { 
             month, 
@@ -465,13 +1320,9 @@ app.post('/api/admin/archives', authenticateAdmin, async (req, res) => {
         }
         
         // Get player points
-        const playersResult = await pool.query(`
-            SELECT player_id, name, points 
-            FROM players 
-            WHERE player_id = ANY($1)
-        `, [winners]);
+        const players = await repos.players.findByIds(winners);
         
-        if (playersResult.rows.length !== 3) {
+        if (players.length !== 3) {
             return res.status(400).json({ 
                 success: false, 
                 error: 'One or more players not found' 
@@ -479,23 +1330,21 @@ app.post('/api/admin/archives', authenticateAdmin, async (req, res) => {
         }
         
         const playerMap = {};
-        playersResult.rows.forEach(player => {
+        players.forEach(player => {
             playerMap[player.player_id] = player;
         });
         
-        await pool.query(`
-            INSERT INTO monthly_archives (
-                archive_month, 
-                first_place_player_id, first_place_points,
-                second_place_player_id, second_place_points,
-                third_place_player_id, third_place_points
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-        `, [
-            month,
-            firstPlaceId, playerMap[firstPlaceId].points,
-            secondPlaceId, playerMap[secondPlaceId].points,
-            thirdPlaceId, playerMap[thirdPlaceId].points
-        ]);
+        await repos.transaction(async (tx) => {
+            const archive = await tx.archives.create(month, winners.map(playerId => playerMap[playerId]));
+            
+            await tx.audit(req, {
+                action: 'archive.create',
+                entityType: 'archive',
+                entityId: archive.archive_id,
+                after: archive
+            });
+            await tx.publish('leaderboard', 'archive.created', { archive });
+        });
         
         res.json({ 
             success: true, 
@@ -514,7 +1363,7 @@ app.post('/api/admin/archives', authenticateAdmin, async (req, res) => {
 });
 
 // Delete archive (admin only)
-app.delete('/api/admin/archives/:id', authenticateAdmin, async (req, res) => {
+app.delete('/api/admin/archives/:id', authenticateAdmin(...OFFICER), async (req, res) => {
     try {
         const archiveId = parseInt(req.params.id);
         
@@ -522,17 +1371,28 @@ app.delete('/api/admin/archives/:id', authenticateAdmin, async (req, res) => {
             return res.status(400).json({ success: false, error: 'Invalid archive ID' });
         }
         
-        const result = await pool.query(`
-            DELETE FROM monthly_archives WHERE archive_id = $1 RETURNING archive_month
-        `, [archiveId]);
+        const deleted = await repos.transaction(async (tx) => {
+            const archive = await tx.archives.remove(archiveId);
+            
+            if (archive) {
+                await tx.audit(req, {
+                    action: 'archive.delete',
+                    entityType: 'archive',
+                    entityId: archiveId,
+                    before: archive
+                });
+            }
+            
+            return archive;
+        });
         
-        if (result.rows.length === 0) {
+        if (!deleted) {
             return res.status(404).json({ success: false, error: 'Archive not found' });
         }
         
         res.json({ 
             success: true, 
-            message: `Archive for ${result.rows[0].archive_month} deleted successfully!` 
+            message: `Archive for ${deleted.archive_month} deleted successfully!` 
         });
     } catch (error) {
         handleError(res, error, 'Failed to delete archive');
@@ -541,28 +1401,27 @@ app.delete('/api/admin/archives/:id', authenticateAdmin, async (req, res) => {
 
 // === TOURNAMENT MANAGEMENT ===
 
-// Get tournament winners
+// Get tournament winners, a page at a time (see lib/pagination.js).
+// Sorts: date (default), name, tournament. Filters: from, to, player, tournament, activeOnly.
+// Every winner without ?limit.
 app.get('/api/tournament-winners', async (req, res) => {
     try {
-        const result = await pool.query(`
-            SELECT 
-                tw.winner_id,
-                p.name,
-                tw.tournament_name,
-                tw.tournament_date
-            FROM tournament_winners tw
-            JOIN players p ON tw.player_id = p.player_id
-            ORDER BY tw.tournament_date DESC
-        `);
-        
-        res.json({ success: true, tournament_winners: result.rows });
+        const query = parseListQuery(req.query, 'tournamentWinners', { defaultLimit: null });
+        
+        if (query.error) {
+            return res.status(400).json({ success: false, error: query.error });
+        }
+        
+        const result = await repos.tournamentWinners.page(query.filters, query.page);
+        
+        res.json({ success: true, tournament_winners: result.rows, ...pageFields(result, query.page) });
     } catch (error) {
         handleError(res, error, 'Failed to fetch tournament winners');
     }
 });
 
 // Update tournament winner status (admin only)
-app.patch('/api/admin/players/:id/tournament-winner', authenticateAdmin, async (req, res) => {
+app.patch('/api/admin/players/:id/tournament-winner', authenticateAdmin(...OFFICER), async (req, res) => {
     try {
         const playerId = parseInt(req.params.id);
         const { isTournamentWinner, tournamentName = 'Tournament' } = req.body;
@@ -571,19 +1430,33 @@ app.patch('/api/admin/players/:id/tournament-winner', authenticateAdmin, async (
             return res.status(400).json({ success: false, error: 'Invalid player ID' });
         }
         
-        if (isTournamentWinner) {
-            // Add tournament winner
-            await pool.query(`
-                INSERT INTO tournament_winners (player_id, tournament_name)
-                VALUES ($1, $2)
-                ON CONFLICT (player_id, tournament_name, tournament_date) DO NOTHING
-            `, [playerId, tournamentName]);
-        } else {
-            // Remove tournament winner
-            await pool.query(`
-                DELETE FROM tournament_winners WHERE player_id = $1
-            `, [playerId]);
-        }
+        await repos.transaction(async (tx) => {
+            if (isTournamentWinner) {
+                // Add tournament winner
+                const added = await tx.tournamentWinners.add(playerId, tournamentName, { ignoreExisting: true });
+                
+                if (added) {
+                    await tx.audit(req, {
+                        action: 'tournament_winner.create',
+                        entityType: 'tournament_winner',
+                        entityId: added.winner_id,
+                        after: added
+                    });
+                }
+            } else {
+                // Remove tournament winner
+                const removed = await tx.tournamentWinners.removeForPlayer(playerId);
+                
+                if (removed.length > 0) {
+                    await tx.audit(req, {
+                        action: 'tournament_winner.delete',
+                        entityType: 'tournament_winner',
+                        entityId: removed.map(row => row.winner_id).join(','),
+                        before: removed
+                    });
+                }
+            }
+        });
         
         res.json({ 
             success: true, 
@@ -595,7 +1468,7 @@ app.patch('/api/admin/players/:id/tournament-winner', authenticateAdmin, async (
 });
 
 // Add tournament winner (admin only)
-app.post('/api/admin/tournament-winners', authenticateAdmin, async (req, res) => {
+app.post('/api/admin/tournament-winners', authenticateAdmin(...OFFICER), async (req, res) => {
     try {
         const { playerId, playerName, tournamentName = 'Tournament' } = req.body;
         
@@ -604,11 +1477,11 @@ app.post('/api/admin/tournament-winners', authenticateAdmin, async (req, res) =>
         if (playerId) {
             finalPlayerId = playerId;
         } else if (playerName) {
-            const result = await pool.query('SELECT player_id FROM players WHERE name = $1', [playerName]);
-            if (result.rows.length === 0) {
+            const player = await repos.players.findByName(playerName);
+            if (!player) {
                 return res.status(404).json({ success: false, error: 'Player not found' });
             }
-            finalPlayerId = result.rows[0].player_id;
+            finalPlayerId = player.player_id;
         } else {
             return res.status(400).json({ 
                 success: false, 
@@ -616,10 +1489,16 @@ app.post('/api/admin/tournament-winners', authenticateAdmin, async (req, res) =>
             });
         }
         
-        await pool.query(`
-            INSERT INTO tournament_winners (player_id, tournament_name)
-            VALUES ($1, $2)
-        `, [finalPlayerId, tournamentName]);
+        await repos.transaction(async (tx) => {
+            const added = await tx.tournamentWinners.add(finalPlayerId, tournamentName);
+            
+            await tx.audit(req, {
+                action: 'tournament_winner.create',
+                entityType: 'tournament_winner',
+                entityId: added.winner_id,
+                after: added
+            });
+        });
         
         res.json({ 
             success: true, 
@@ -638,7 +1517,7 @@ app.post('/api/admin/tournament-winners', authenticateAdmin, async (req, res) =>
 });
 
 // Remove tournament winner (admin only)
-app.delete('/api/admin/tournament-winners/:id', authenticateAdmin, async (req, res) => {
+app.delete('/api/admin/tournament-winners/:id', authenticateAdmin(...OFFICER), async (req, res) => {
     try {
         const playerId = parseInt(req.params.id);
         
@@ -646,13 +1525,22 @@ app.delete('/api/admin/tournament-winners/:id', authenticateAdmin, async (req, r
             return res.status(400).json({ success: false, error: 'Invalid player ID' });
         }
         
-        const result = await pool.query(`
-            DELETE FROM tournament_winners 
-            WHERE player_id = $1
-            RETURNING winner_id
-        `, [playerId]);
+        const removed = await repos.transaction(async (tx) => {
+            const badges = await tx.tournamentWinners.removeForPlayer(playerId);
+            
+            if (badges.length > 0) {
+                await tx.audit(req, {
+                    action: 'tournament_winner.delete',
+                    entityType: 'tournament_winner',
+                    entityId: badges.map(row => row.winner_id).join(','),
+                    before: badges
+                });
+            }
+            
+            return badges;
+        });
         
-        if (result.rows.length === 0) {
+        if (removed.length === 0) {
             return res.status(404).json({ 
                 success: false, 
                 error: 'Tournament winner not found' 
@@ -669,31 +1557,90 @@ app.delete('/api/admin/tournament-winners/:id', authenticateAdmin, async (req, r
 });
 
 // Clear all tournament winners (admin only)
-app.delete('/api/admin/tournament-winners', authenticateAdmin, async (req, res) => {
+app.delete('/api/admin/tournament-winners', authenticateAdmin(...OFFICER), async (req, res) => {
     try {
-        const result = await pool.query('DELETE FROM tournament_winners');
+        const cleared = await repos.transaction(async (tx) => {
+            const badges = await tx.tournamentWinners.clear();
+            
+            await tx.audit(req, {
+                action: 'tournament_winner.clear',
+                entityType: 'tournament_winner',
+                before: badges
+            });
+            
+            return badges;
+        });
         
         res.json({ 
             success: true, 
-            message: `Cleared ${result.rowCount} tournament winner badges`
+            message: `Cleared ${cleared.length} tournament winner badges`
         });
     } catch (error) {
         handleError(res, error, 'Failed to clear tournament winners');
     }
 });
 
+// Subsystems that query the pool themselves. Under the memory backend their paths
+// answer 501 instead.
+const usePostgresRoutes = (feature, paths, createRoutes) => {
+    if (backend === 'postgres') {
+        app.use(createRoutes());
+    } else {
+        app.use(paths, requirePostgres(feature));
+    }
+};
+
+// Admin accounts
+usePostgresRoutes('managing admin accounts', ['/api/admin/admins', '/api/admin/me'],
+    () => createAdminRoutes({ pool, authenticateAdmin, handleError }));
+
+// Audit log of admin writes
+usePostgresRoutes('the audit log', ['/api/admin/audit'],
+    () => createAuditRoutes({ pool, authenticateAdmin, handleError }));
+
+// Season routes (routes/seasons.js)
+usePostgresRoutes('seasons', ['/api/seasons', '/api/admin/seasons'],
+    () => createSeasonRoutes({ pool, authenticateAdmin, handleError, seasonSettings }));
+
+// Import and export routes (routes/imports.js)
+usePostgresRoutes('imports and exports', ['/api/admin/import', '/api/admin/export'],
+    () => createImportRoutes({ pool, authenticateAdmin, handleError }));
+
+// Tournament subsystem (pairings, results, standings)
+usePostgresRoutes('tournaments', ['/api/tournaments', '/api/admin/tournaments'],
+    () => createTournamentRoutes({ pool, authenticateAdmin, handleError }));
+
+// Player logins (routes/accounts.js) and self-reported results (routes/reports.js)
+usePostgresRoutes('player accounts', ['/api/player/login', '/api/player/me', '/api/admin/players/:id/account'],
+    () => createAccountRoutes({ pool, authenticateAdmin, authenticatePlayer, issuePlayerToken, handleError }));
+usePostgresRoutes('match reports', ['/api/player/reports', '/api/admin/reports'],
+    () => createReportRoutes({ pool, authenticateAdmin, authenticatePlayer, handleError, reportSettings }));
+
+// Ladder challenges (routes/challenges.js)
+usePostgresRoutes('challenges', ['/api/challenges', '/api/player/challenges', '/api/admin/challenges'],
+    () => createChallengeRoutes({ pool, authenticateAdmin, authenticatePlayer, handleError, challengeSettings }));
+
+// Achievements and badges (routes/badges.js)
+app.use(createBadgeRoutes({ repos, authenticateAdmin, handleError }));
+
+// Points and tier rules (routes/scoring.js)
+app.use(createScoringRoutes({ repos, authenticateAdmin, handleError }));
+
+// Live feed for scoreboards (routes/live.js)
+app.use(createLiveRoutes({ liveFeed, handleError }));
+
 // === UTILITY ENDPOINTS ===
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
     try {
-        const result = await pool.query('SELECT NOW() as server_time');
+        const serverTime = await repos.serverTime();
         res.json({ 
             success: true,
             status: 'healthy', 
             timestamp: new Date().toISOString(),
-            database: 'connected',
-            server_time: result.rows[0].server_time
+            database: backend === 'postgres' ? 'connected' : 'in-memory',
+            server_time: serverTime
         });
     } catch (error) {
         res.status(500).json({ 
@@ -729,6 +1676,9 @@ app.use((req, res) => {
 
 const gracefulShutdown = async (signal) => {
     console.log(`Received ${signal}, shutting down gracefully...`);
+    clearInterval(seasonTimer);
+    clearInterval(challengeTimer);
+    liveFeed.stop();
     try {
         await pool.end();
         console.log('Database connections closed.');
@@ -742,11 +1692,67 @@ const gracefulShutdown = async (signal) => {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
-// Start server
-app.listen(port, () => {
-    console.log(`Crown Point Chess Club API running on port ${port}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`Health check: http://localhost:${port}/api/health`);
+// Fill the in-memory backend from MEMORY_SEED (a JSON file with a players list)
+// and create an owner account from MEMORY_ADMIN_USERNAME / MEMORY_ADMIN_PASSWORD
+const seedMemoryBackend = async () => {
+    const seed = process.env.MEMORY_SEED ? JSON.parse(fs.readFileSync(process.env.MEMORY_SEED, 'utf8')) : {};
+    const admins = [];
+    
+    if (process.env.MEMORY_ADMIN_PASSWORD) {
+        admins.push({
+            username: process.env.MEMORY_ADMIN_USERNAME || 'admin',
+            password_hash: await hashPassword(process.env.MEMORY_ADMIN_PASSWORD),
+            role: 'owner'
+        });
+    } else {
+        console.warn('MEMORY_ADMIN_PASSWORD is not set; admin routes cannot be logged into.');
+    }
+    
+    await repos.seed({ players: seed.players || [], admins });
+};
+
+const listen = async () => {
+    await liveFeed.start();
+    
+    app.listen(port, () => {
+        console.log(`Crown Point Chess Club API running on port ${port}`);
+        console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`Data backend: ${backend}`);
+        console.log(`Health check: http://localhost:${port}/api/health`);
+        
+        if (backend === 'postgres') {
+            seasonTimer = startSeasonScheduler(pool, seasonSettings);
+            challengeTimer = startChallengeScheduler(pool, challengeSettings);
+        }
+    });
+};
+
+// Start server, but only against a database with every migration applied
+const startServer = async () => {
+    if (backend === 'memory') {
+        await seedMemoryBackend();
+        return listen();
+    }
+    
+    const { pending, unknown } = await migrationStatus(pool);
+    
+    if (pending.length > 0) {
+        console.error(`Database schema is behind: ${pending.map(migration => migration.name).join(', ')} not applied.`);
+        console.error('Run npm run db:migrate, then start the server again.');
+        await pool.end();
+        process.exit(1);
+    }
+    
+    if (unknown.length > 0) {
+        console.warn(`Database has migrations this checkout does not know about: ${unknown.map(row => row.name).join(', ')}`);
+    }
+    
+    await listen();
+};
+
+startServer().catch(error => {
+    console.error('Failed to start the server:', error);
+    process.exit(1);
 });
 
 module.exports = app;
\ No newline at end of file
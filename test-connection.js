@@ -125,7 +125,7 @@ async function testConnection() {
             missingTables.forEach(table => {
                 console.log(`   - ${table}`);
             });
-            console.log('💡 Run the schema.sql file to create the required tables');
+            console.log('💡 Run npm run db:migrate to create the required tables');
         }
         
         client.release();
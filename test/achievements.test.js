@@ -0,0 +1,83 @@
+// Achievement badges (lib/achievements.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withTransaction } = require('../lib/db');
+const { recordMatch } = require('../lib/matches');
+const {
+    STREAK_LENGTH, GAMES_MILESTONE, matchBadges, playerRecord, archiveBadges, describeBadge, replayBadges
+} = require('../lib/achievements');
+const { postgresTests, addPlayers } = require('./helpers/database');
+
+const databaseTest = postgresTests();
+
+const STATE = { won: true, forfeit: false, streak: 1, games: 1, tierBefore: 'Bronze', tierAfter: 'Bronze', opponentTierBefore: 'Bronze' };
+
+test('matchBadges applies each rule to the player state', () => {
+    assert.deepEqual(matchBadges(STATE), []);
+    assert.deepEqual(matchBadges({ ...STATE, streak: STREAK_LENGTH, games: GAMES_MILESTONE }), [
+        { key: 'win_streak', detail: '' },
+        { key: 'games_played', detail: '' }
+    ]);
+    assert.deepEqual(matchBadges({ ...STATE, opponentTierBefore: 'Gold', tierAfter: 'Silver' }), [
+        { key: 'giant_slayer', detail: '' },
+        { key: 'promotion', detail: 'Silver' }
+    ]);
+    // No giant slaying by forfeit, and none for the loser
+    assert.deepEqual(matchBadges({ ...STATE, forfeit: true, opponentTierBefore: 'Gold' }), []);
+    assert.deepEqual(matchBadges({ ...STATE, won: false, opponentTierBefore: 'Gold' }), []);
+});
+
+test('playerRecord counts streaks and games, leaving forfeits out', () => {
+    const win = { winner_id: 1, loser_id: 2, is_draw: false, is_forfeit: false };
+    const forfeitLoss = { winner_id: 2, loser_id: 1, is_draw: false, is_forfeit: true };
+    const draw = { winner_id: 1, loser_id: 2, is_draw: true, is_forfeit: false };
+
+    assert.deepEqual(playerRecord([win, win, forfeitLoss, win], 1), { streak: 3, games: 3 });
+    assert.deepEqual(playerRecord([win, draw], 1), { streak: 0, games: 2 });
+    assert.deepEqual(playerRecord([], 1), { streak: 0, games: 0 });
+});
+
+test('archiveBadges crowns first place and puts the top three on the podium', () => {
+    const archive = { archive_month: 'March 2026', first_place_player_id: 7, second_place_player_id: 8, third_place_player_id: 9 };
+
+    assert.deepEqual(archiveBadges(archive).map(({ playerId, key }) => [playerId, key]), [
+        [7, 'monthly_champion'], [7, 'monthly_podium'], [8, 'monthly_podium'], [9, 'monthly_podium']
+    ]);
+});
+
+test('describeBadge names manual badges by their detail', () => {
+    const earnedAt = '2026-03-01T10:00:00';
+
+    assert.deepEqual(describeBadge({ id: 1, badge_key: 'manual', detail: 'Best Sport', source: 'manual', note: null, earned_at: earnedAt }), {
+        id: 1, key: 'manual', name: 'Best Sport', description: 'Awarded by the club', detail: null, source: 'manual', earned_at: new Date(earnedAt)
+    });
+    assert.deepEqual(describeBadge({ id: 2, badge_key: 'promotion', detail: 'Gold', source: 'match', note: null, earned_at: new Date(earnedAt) }), {
+        id: 2, key: 'promotion', name: 'Promoted', description: 'Reached a new tier', detail: 'Gold', source: 'match', earned_at: new Date(earnedAt)
+    });
+});
+
+databaseTest('recording a match awards its badges once, and a replay rebuilds them', async (pool) => {
+    const ids = await addPlayers(pool, { Climber: 47, Silverback: 60 });
+    const play = () => withTransaction(pool, (client) => recordMatch(client, { winnerName: 'Climber', loserName: 'Silverback' }));
+
+    const first = await play();
+    assert.deepEqual(first.badges.map(badge => [badge.key, badge.detail]), [['giant_slayer', null], ['promotion', 'Silver']]);
+    // Both players are Silver now: nothing new
+    assert.deepEqual((await play()).badges, []);
+
+    const held = () => pool.query(`
+        SELECT player_id, badge_key, detail, match_id FROM player_badges
+        WHERE source = 'match' ORDER BY player_id, badge_key
+    `);
+    const before = (await held()).rows;
+    assert.deepEqual(before.map(row => [row.player_id, row.badge_key, row.match_id]), [
+        [ids.Climber, 'giant_slayer', first.match.match_id],
+        [ids.Climber, 'promotion', first.match.match_id]
+    ]);
+
+    await pool.query(`DELETE FROM player_badges WHERE source = 'match'`);
+    const replayed = await withTransaction(pool, (client) => replayBadges(client));
+
+    assert.equal(replayed.badges, 2);
+    assert.deepEqual((await held()).rows, before);
+});
@@ -0,0 +1,19 @@
+// Audit trail (lib/audit.js)
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ENTITY_TYPES } = require('../lib/audit');
+
+const ROOT = path.join(__dirname, '..');
+
+test('every entity type the code records can be filtered on', () => {
+    const sources = ['server.js', ...['lib', 'routes'].flatMap(dir => fs.readdirSync(path.join(ROOT, dir))
+        .filter(file => file.endsWith('.js'))
+        .map(file => path.join(dir, file)))];
+    const recorded = new Set(sources.flatMap(file => [...fs.readFileSync(path.join(ROOT, file), 'utf8')
+        .matchAll(/entityType: '([a-z_]+)'/g)].map(match => match[1])));
+
+    assert.ok(recorded.size > 0);
+    assert.deepEqual([...recorded].filter(type => !ENTITY_TYPES.includes(type)), []);
+});
@@ -0,0 +1,80 @@
+// Batch match entry (lib/batch.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withTransaction } = require('../lib/db');
+const { MAX_BATCH_MATCHES, parseBatch, recordBatch, batchErrors } = require('../lib/batch');
+const { postgresTests, addPlayers, pointsByName } = require('./helpers/database');
+
+const databaseTest = postgresTests();
+
+const matchCount = async (pool) => (await pool.query('SELECT COUNT(*)::INTEGER as count FROM matches')).rows[0].count;
+
+test('parseBatch takes a non-empty list of at most MAX_BATCH_MATCHES entries', () => {
+    assert.deepEqual(parseBatch({ matches: [{ winnerName: 'A', loserId: 2, isDraw: true, extra: 1 }] }), {
+        entries: [{ winnerId: undefined, loserId: 2, winnerName: 'A', loserName: undefined, isDraw: true }]
+    });
+    assert.deepEqual(parseBatch({}), { error: 'matches must be a non-empty list' });
+    assert.deepEqual(parseBatch({ matches: [] }), { error: 'matches must be a non-empty list' });
+    assert.deepEqual(parseBatch({ matches: new Array(MAX_BATCH_MATCHES + 1).fill({}) }), { error: 'At most 100 matches per batch' });
+});
+
+test('batchErrors indexes errors like the request list', () => {
+    assert.deepEqual(batchErrors([{ row: 2, error: 'Loser not found' }, { row: null, error: 'No rows to import' }]), [
+        { index: 1, error: 'Loser not found' },
+        { index: null, error: 'No rows to import' }
+    ]);
+});
+
+databaseTest('recordBatch records games in order and reports the standings they moved', async (pool) => {
+    const ids = await addPlayers(pool, { BatA: 20, BatB: 21, BatC: 22 });
+
+    const outcome = await withTransaction(pool, (client) => recordBatch(client, [
+        { winnerName: 'BatA', loserName: 'BatC' },
+        { winnerId: ids.BatA, loserId: ids.BatB },
+        { winnerName: 'BatB', loserName: 'BatC', isDraw: true }
+    ]));
+
+    assert.deepEqual(
+        outcome.results.map(({ index, winner, loser }) => [index, winner.name, winner.points, loser.name, loser.points]),
+        [[0, 'BatA', 23, 'BatC', 20], [1, 'BatA', 26, 'BatB', 19], [2, 'BatB', 19, 'BatC', 20]]
+    );
+    assert.deepEqual(
+        outcome.standings.map(({ name, rank, previous_rank, points_change }) => [name, rank, previous_rank, points_change]),
+        [['BatA', 1, 3, 6], ['BatC', 2, 1, -2], ['BatB', 3, 2, -2]]
+    );
+    assert.equal(await matchCount(pool), 3);
+});
+
+databaseTest('an invalid entry records nothing', async (pool) => {
+    await addPlayers(pool, { BadA: 20, BadB: 20 });
+    const before = await pointsByName(pool);
+
+    const outcome = await withTransaction(pool, (client) => recordBatch(client, [
+        { winnerName: 'BadA', loserName: 'BadB' },
+        { winnerName: 'BadA', loserName: 'Nobody' }
+    ]));
+
+    assert.deepEqual(batchErrors(outcome.errors), [{ index: 1, error: 'Loser not found' }]);
+    assert.deepEqual(await pointsByName(pool), before);
+    assert.equal(await matchCount(pool), 3);
+});
+
+databaseTest('a failure after recording rolls the whole batch back', async (pool) => {
+    await addPlayers(pool, { RollA: 20, RollB: 20 });
+    const before = await pointsByName(pool);
+    const historyBefore = (await pool.query('SELECT COUNT(*)::INTEGER as count FROM points_history')).rows[0].count;
+
+    await assert.rejects(withTransaction(pool, async (client) => {
+        const recorded = await recordBatch(client, [
+            { winnerName: 'RollA', loserName: 'RollB' },
+            { winnerName: 'RollB', loserName: 'RollA' }
+        ]);
+        assert.equal(recorded.results.length, 2);
+        // As when the audit entry or a live event cannot be written
+        throw new Error('Audit failed');
+    }), /Audit failed/);
+
+    assert.deepEqual(await pointsByName(pool), before);
+    assert.equal(await matchCount(pool), 3);
+    assert.equal((await pool.query('SELECT COUNT(*)::INTEGER as count FROM points_history')).rows[0].count, historyBefore);
+});
@@ -0,0 +1,75 @@
+// Round-robin and knockout schedules (lib/brackets.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bergerSchedule, eliminationBracket, nextPowerOfTwo, nextSlot, roundName } = require('../lib/brackets');
+
+// Every pairing in a schedule as "low-high"
+const meetings = (rounds) => rounds.flat()
+    .filter(game => game.blackId !== null)
+    .map(({ whiteId, blackId }) => [whiteId, blackId].sort((a, b) => a - b).join('-'));
+
+test('bergerSchedule has everyone meet once, once a round', () => {
+    const rounds = bergerSchedule([1, 2, 3, 4, 5, 6]);
+
+    assert.equal(rounds.length, 5);
+    rounds.forEach(games => {
+        assert.deepEqual(games.flatMap(game => [game.whiteId, game.blackId]).sort(), [1, 2, 3, 4, 5, 6]);
+    });
+    assert.equal(new Set(meetings(rounds)).size, 15);
+});
+
+test('bergerSchedule gives each player of an odd field one bye', () => {
+    const rounds = bergerSchedule([1, 2, 3, 4, 5]);
+    const byes = rounds.map(games => games.filter(game => game.blackId === null));
+
+    assert.equal(rounds.length, 5);
+    byes.forEach(roundByes => assert.equal(roundByes.length, 1));
+    assert.deepEqual(byes.map(([bye]) => bye.whiteId).sort(), [1, 2, 3, 4, 5]);
+    assert.equal(new Set(meetings(rounds)).size, 10);
+});
+
+test('bergerSchedule starts from the Berger table', () => {
+    assert.deepEqual(bergerSchedule([1, 2, 3, 4]), [
+        [{ whiteId: 1, blackId: 4 }, { whiteId: 2, blackId: 3 }],
+        [{ whiteId: 4, blackId: 3 }, { whiteId: 1, blackId: 2 }],
+        [{ whiteId: 2, blackId: 4 }, { whiteId: 3, blackId: 1 }]
+    ]);
+});
+
+test('eliminationBracket keeps the top seeds apart', () => {
+    const bracket = eliminationBracket([11, 12, 13, 14, 15, 16, 17, 18]);
+
+    assert.equal(bracket.size, 8);
+    assert.equal(bracket.rounds, 3);
+    assert.deepEqual(bracket.games, [
+        { position: 1, whiteId: 11, blackId: 18 },
+        { position: 2, whiteId: 14, blackId: 15 },
+        { position: 3, whiteId: 12, blackId: 17 },
+        { position: 4, whiteId: 13, blackId: 16 }
+    ]);
+});
+
+test('eliminationBracket gives the byes to the top seeds', () => {
+    const bracket = eliminationBracket([11, 12, 13, 14, 15, 16]);
+
+    assert.equal(bracket.size, 8);
+    assert.deepEqual(bracket.games.filter(game => game.blackId === null).map(game => game.whiteId), [11, 12]);
+    assert.deepEqual(eliminationBracket([11]).games, [{ position: 1, whiteId: 11, blackId: null }]);
+});
+
+test('nextPowerOfTwo rounds up', () => {
+    assert.deepEqual([1, 2, 3, 5, 8, 9].map(nextPowerOfTwo), [1, 2, 4, 8, 8, 16]);
+});
+
+test('nextSlot sends odd positions to white and even ones to black', () => {
+    assert.deepEqual(nextSlot(1, 3), { round: 2, position: 2, color: 'white' });
+    assert.deepEqual(nextSlot(1, 4), { round: 2, position: 2, color: 'black' });
+    assert.deepEqual(nextSlot(2, 1), { round: 3, position: 1, color: 'white' });
+});
+
+test('roundName counts back from the final', () => {
+    assert.equal(roundName(3, 3), 'Final');
+    assert.equal(roundName(2, 3), 'Semifinals');
+    assert.equal(roundName(1, 3), 'Quarterfinals');
+    assert.equal(roundName(1, 5), 'Round of 32');
+});
@@ -0,0 +1,89 @@
+// Ladder challenges (lib/challenges.js), against Postgres
+const assert = require('node:assert/strict');
+const { withTransaction } = require('../lib/db');
+const { challengeSettings, createChallenge, forfeitOverdue, cancelUnplayed } = require('../lib/challenges');
+const { postgresTests, addPlayers, withRollback } = require('./helpers/database');
+
+const test = postgresTests();
+
+// Defaults: three places up, one open challenge each, 72 hours to answer, 7 days to play
+const SETTINGS = challengeSettings({});
+
+// Players ({ name: points }) as the only active ones, so ranks follow their points
+const ladder = async (pool, players) => {
+    await pool.query('UPDATE players SET is_active = FALSE');
+    return addPlayers(pool, players);
+};
+
+const challenge = (pool, challengerId, defenderId) =>
+    withTransaction(pool, (client) => createChallenge(client, challengerId, { defenderId }, SETTINGS));
+
+test('createChallenge allows players a few places up the ladder', async (pool) => {
+    const ids = await ladder(pool, { Lad1: 40, Lad2: 30, Lad3: 20, Lad4: 10, Lad5: 5 });
+    const attempt = (challengerId, defenderId) =>
+        withRollback(pool, (client) => createChallenge(client, challengerId, { defenderId }, SETTINGS));
+
+    assert.deepEqual(await attempt(ids.Lad2, 'Lad1'), { error: 'defenderId must be a player ID' });
+    assert.deepEqual(await attempt(ids.Lad2, ids.Lad2), { error: 'You cannot challenge yourself' });
+    assert.deepEqual(await attempt(ids.Lad2, 0), { error: 'Player not found', status: 404 });
+    assert.deepEqual(await attempt(0, ids.Lad2), { error: 'Player not found', status: 404 });
+    assert.deepEqual(await attempt(ids.Lad2, ids.Lad3), {
+        error: 'You can only challenge players ranked above you (you are #2, Lad3 is #3)'
+    });
+    assert.deepEqual(await attempt(ids.Lad5, ids.Lad1), {
+        error: 'You can challenge at most 3 place(s) above you (you are #5, Lad1 is #1)'
+    });
+
+    const created = await challenge(pool, ids.Lad4, ids.Lad1);
+    assert.deepEqual(
+        [created.challenge.status, created.challenge.challenger_rank, created.challenge.defender_rank],
+        ['pending', 4, 1]
+    );
+
+    assert.deepEqual(await attempt(ids.Lad4, ids.Lad1), { error: 'You already have an open challenge with Lad1', status: 409 });
+    assert.deepEqual(await attempt(ids.Lad4, ids.Lad2), { error: 'You already have 1 open challenge(s); the limit is 1', status: 409 });
+    assert.deepEqual(await attempt(ids.Lad3, ids.Lad1), { error: 'Lad1 already has 1 open challenge(s); try again later', status: 409 });
+});
+
+test('forfeitOverdue awards unanswered challenges to the challenger', async (pool) => {
+    const ids = await ladder(pool, { For1: 40, For2: 30, For3: 20, For4: 10 });
+    const answered = await challenge(pool, ids.For2, ids.For1);
+    const unrecordable = await challenge(pool, ids.For4, ids.For3);
+    await pool.query(`UPDATE challenges SET respond_by = NOW() - INTERVAL '1 hour' WHERE challenge_id = ANY($1)`, [
+        [answered.challenge.id, unrecordable.challenge.id]
+    ]);
+    await pool.query('UPDATE players SET is_active = FALSE WHERE player_id = $1', [ids.For3]);
+
+    const forfeited = await withTransaction(pool, (client) => forfeitOverdue(client));
+
+    assert.deepEqual(forfeited.map(({ challenge: { id, status } }) => [id, status]), [
+        [answered.challenge.id, 'forfeited'],
+        [unrecordable.challenge.id, 'cancelled']
+    ]);
+    assert.equal(forfeited[0].match.winner_id, ids.For2);
+    assert.equal(forfeited[0].match.is_forfeit, true);
+    assert.equal(forfeited[0].challenge.match_id, forfeited[0].match.match_id);
+    assert.equal(forfeited[1].match, null);
+    assert.equal(forfeited[1].challenge.note, 'Forfeit could not be recorded: For3 is inactive');
+
+    assert.deepEqual(await withTransaction(pool, (client) => forfeitOverdue(client)), []);
+});
+
+test('cancelUnplayed calls off accepted challenges long past their game', async (pool) => {
+    const ids = await ladder(pool, { Un1: 40, Un2: 30, Un3: 20, Un4: 10 });
+    const overdue = await challenge(pool, ids.Un2, ids.Un1);
+    const recent = await challenge(pool, ids.Un4, ids.Un3);
+    await pool.query(`
+        UPDATE challenges SET status = 'accepted', responded_at = NOW(),
+            scheduled_for = NOW() - CASE WHEN challenge_id = $1 THEN INTERVAL '8 days' ELSE INTERVAL '6 days' END
+        WHERE challenge_id = ANY($2)
+    `, [overdue.challenge.id, [overdue.challenge.id, recent.challenge.id]]);
+
+    const cancelled = await withTransaction(pool, (client) => cancelUnplayed(client, SETTINGS));
+
+    assert.deepEqual(cancelled.map(({ id, status, note }) => [id, status, note]), [
+        [overdue.challenge.id, 'cancelled', 'No result was recorded within 7 day(s) of the scheduled game']
+    ]);
+    const { rows: [still] } = await pool.query('SELECT status FROM challenges WHERE challenge_id = $1', [recent.challenge.id]);
+    assert.equal(still.status, 'accepted');
+});
@@ -0,0 +1,97 @@
+// Voiding and correcting matches (lib/corrections.js), against Postgres
+const assert = require('node:assert/strict');
+const { withTransaction } = require('../lib/db');
+const { recordMatch } = require('../lib/matches');
+const { reviseMatch } = require('../lib/corrections');
+const { postgresTests, addPlayers, pointsByName, withRollback } = require('./helpers/database');
+
+const test = postgresTests();
+
+// Record [winner, loser, isDraw] games one transaction each, as the routes do.
+// Returns the match IDs.
+const play = async (pool, games) => {
+    const matchIds = [];
+
+    for (const [winnerName, loserName, isDraw = false] of games) {
+        const recorded = await withTransaction(pool, (client) => recordMatch(client, { winnerName, loserName, isDraw }));
+        assert.equal(recorded.error, undefined);
+        matchIds.push(recorded.match.match_id);
+    }
+
+    return matchIds;
+};
+
+const pointsOf = async (pool, names) => {
+    const points = await pointsByName(pool);
+    return Object.fromEntries(names.map(name => [name, points[name]]));
+};
+
+test('voiding a match re-scores the games after it', async (pool) => {
+    await addPlayers(pool, { VoidA: 48, VoidB: 48, VoidC: 48 });
+    // VoidA reaches Silver, so VoidC's win over them is an upset
+    const [first, second] = await play(pool, [['VoidA', 'VoidB'], ['VoidC', 'VoidA']]);
+    assert.deepEqual(await pointsOf(pool, ['VoidA', 'VoidB', 'VoidC']), { VoidA: 48, VoidB: 46, VoidC: 53 });
+
+    const outcome = await withTransaction(pool, (client) => reviseMatch(client, first));
+
+    assert.equal(outcome.correction, null);
+    // Without the first game everyone is Bronze and VoidC's win is an ordinary one
+    assert.deepEqual(await pointsOf(pool, ['VoidA', 'VoidB', 'VoidC']), { VoidA: 46, VoidB: 48, VoidC: 51 });
+    assert.deepEqual(
+        outcome.diff.matches.map(match => [match.matchId, match.voided, match.after && match.after.winnerPointsChange]),
+        [[first, true, null], [second, false, 3]]
+    );
+
+    const history = await pool.query(`
+        SELECT h.points FROM points_history h JOIN players p ON h.player_id = p.player_id
+        WHERE p.name = 'VoidC' AND h.match_id = $1
+    `, [second]);
+    assert.deepEqual(history.rows, [{ points: 51 }]);
+});
+
+test('correcting a result keeps points nobody played for', async (pool) => {
+    const ids = await addPlayers(pool, { FixA: 10, FixB: 10, FixC: 10 });
+    const [first] = await play(pool, [['FixA', 'FixB'], ['FixB', 'FixC'], ['FixA', 'FixC']]);
+
+    // A manual adjustment after the games is carried through the replay
+    await pool.query(`UPDATE players SET points = points + 5 WHERE name = 'FixC'`);
+
+    const outcome = await withTransaction(pool, (client) => reviseMatch(client, first, { winnerId: ids.FixB, loserId: ids.FixA }));
+
+    assert.equal(outcome.correction.winner_id, ids.FixB);
+    assert.deepEqual(await pointsOf(pool, ['FixA', 'FixB', 'FixC']), { FixA: 11, FixB: 16, FixC: 11 });
+});
+
+test('a dry run leaves everything as it was', async (pool) => {
+    await addPlayers(pool, { DryA: 20, DryB: 20 });
+    const [matchId] = await play(pool, [['DryA', 'DryB']]);
+
+    const outcome = await withRollback(pool, (client) => reviseMatch(client, matchId, { isDraw: true }));
+
+    assert.equal(outcome.correction.is_draw, true);
+    assert.deepEqual(await pointsOf(pool, ['DryA', 'DryB']), { DryA: 23, DryB: 18 });
+});
+
+test('reviseMatch refuses changes it cannot make', async (pool) => {
+    const ids = await addPlayers(pool, { RefA: 20, RefB: 20 });
+    const [matchId] = await play(pool, [['RefA', 'RefB']]);
+
+    const revise = (id, changes) => withRollback(pool, (client) => reviseMatch(client, id, changes));
+
+    assert.deepEqual(await revise(0, null), { error: 'Match not found', status: 404 });
+    assert.deepEqual(await revise(matchId, { loserId: ids.RefA }), { error: 'Winner and loser cannot be the same player' });
+    assert.deepEqual(await revise(matchId, { isDraw: false }), { error: 'The correction does not change the match' });
+    assert.deepEqual(await revise(matchId, { loserId: 0 }), { error: 'One or both players not found' });
+
+    await pool.query(`
+        INSERT INTO seasons (name, boundary, starts_on, ends_on, status, closed_at)
+        VALUES ('Closed 2026-01', 'month', CURRENT_DATE - 30, CURRENT_DATE, 'closed', NOW() + INTERVAL '1 minute')
+    `);
+    try {
+        const outcome = await revise(matchId, null);
+        assert.equal(outcome.status, 409);
+        assert.match(outcome.error, /^Match was played before season Closed 2026-01 closed/);
+    } finally {
+        await pool.query(`DELETE FROM seasons WHERE name = 'Closed 2026-01'`);
+    }
+});
@@ -0,0 +1,63 @@
+// CSV reading and writing (lib/csv.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv } = require('../lib/csv');
+
+test('parseCsv reads rows keyed by header with their lines', () => {
+    assert.deepEqual(parseCsv('name, points\nAlice,10\nBob,\n'), {
+        headers: ['name', 'points'],
+        rows: [
+            { line: 2, name: 'Alice', points: '10' },
+            { line: 3, name: 'Bob', points: '' }
+        ]
+    });
+});
+
+test('parseCsv handles quotes, escaped quotes and line breaks inside fields', () => {
+    const parsed = parseCsv('name,notes\r\n"Smith, Jo","said ""hi""\nthen left"\r\nAl,x');
+
+    assert.deepEqual(parsed.rows, [
+        { line: 2, name: 'Smith, Jo', notes: 'said "hi"\nthen left' },
+        { line: 4, name: 'Al', notes: 'x' }
+    ]);
+});
+
+test('parseCsv skips a byte order mark and blank lines, and fills missing fields', () => {
+    const parsed = parseCsv('\uFEFFname,grade\n\nAlice\n');
+
+    assert.deepEqual(parsed.headers, ['name', 'grade']);
+    assert.deepEqual(parsed.rows, [{ line: 3, name: 'Alice', grade: '' }]);
+});
+
+test('parseCsv rejects malformed input', () => {
+    assert.deepEqual(parseCsv(''), { error: 'CSV is empty' });
+    assert.deepEqual(parseCsv('a,b\n1,2,3'), { error: 'Line 2 has 3 fields but the header has 2' });
+    assert.deepEqual(parseCsv('a\nx"y"'), { error: 'Unexpected quote on line 2' });
+    assert.deepEqual(parseCsv('a\n"open'), { error: 'Unterminated quoted field starting before line 2' });
+});
+
+test('toCsv quotes where needed and ends lines with CRLF', () => {
+    const csv = toCsv(['name', 'notes', 'points', 'date'], [
+        { name: 'Smith, Jo', notes: 'said "hi"', points: 10, date: new Date('2026-01-02T03:04:05Z') },
+        { name: 'Al', notes: null, points: 0 }
+    ]);
+
+    assert.equal(csv, [
+        'name,notes,points,date',
+        '"Smith, Jo","said ""hi""",10,2026-01-02T03:04:05.000Z',
+        'Al,,0,',
+        ''
+    ].join('\r\n'));
+});
+
+test('toCsv stops spreadsheets running text as a formula', () => {
+    assert.equal(toCsv(['a', 'b', 'c'], [{ a: '=SUM(A1)', b: '-5', c: -5 }]), "a,b,c\r\n'=SUM(A1),-5,-5\r\n");
+    assert.equal(toCsv(['a'], [{ a: '@cmd' }]), "a\r\n'@cmd\r\n");
+});
+
+test('toCsv output parses back to the same values', () => {
+    const rows = [{ name: 'Smith, Jo', notes: 'line one\nline "two"' }, { name: 'Al', notes: '' }];
+    const parsed = parseCsv(toCsv(['name', 'notes'], rows));
+
+    assert.deepEqual(parsed.rows.map(({ line, ...row }) => row), rows);
+});
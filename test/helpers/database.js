@@ -0,0 +1,64 @@
+// Scratch Postgres databases for tests of the SQL-backed services. Each test file
+// gets its own database, built by running db/migrations, and drops it afterwards.
+// The server is reached through the DB_* variables lib/db.js reads (DB_NAME aside);
+// when none answers there, the tests are skipped.
+const { before, after, test } = require('node:test');
+const { createPool, withRollback } = require('../../lib/db');
+const { migrateUp } = require('../../lib/migrations');
+
+const QUIET = { log: () => {} };
+
+// Register hooks that create this file's database (migrated unless migrate is
+// false) and drop it afterwards. Returns test(name, fn), which runs fn(pool, t)
+// against it or skips when Postgres is unavailable.
+const postgresTests = ({ migrate = true } = {}) => {
+    const name = `chess_test_${process.pid}`;
+    const admin = createPool({ database: 'postgres', max: 1 });
+    let pool = null;
+    let unavailable = null;
+
+    before(async () => {
+        try {
+            await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+            await admin.query(`CREATE DATABASE ${name}`);
+        } catch (error) {
+            unavailable = `Postgres is not available: ${error.message}`;
+            return;
+        }
+
+        pool = createPool({ database: name, max: 2 });
+        if (migrate) {
+            await migrateUp(pool, { log: QUIET });
+        }
+    });
+
+    after(async () => {
+        if (pool) {
+            await pool.end();
+            await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+        }
+        await admin.end();
+    });
+
+    return (title, fn) => test(title, (t) => (pool ? fn(pool, t) : t.skip(unavailable)));
+};
+
+// Add players ({ name: points }) on db and return their IDs by name
+const addPlayers = async (db, players) => {
+    const ids = {};
+
+    for (const [name, points] of Object.entries(players)) {
+        const result = await db.query('INSERT INTO players (name, points) VALUES ($1, $2) RETURNING player_id', [name, points]);
+        ids[name] = result.rows[0].player_id;
+    }
+
+    return ids;
+};
+
+// Points of every player by name
+const pointsByName = async (db) => {
+    const result = await db.query('SELECT name, points FROM players ORDER BY name');
+    return Object.fromEntries(result.rows.map(row => [row.name, row.points]));
+};
+
+module.exports = { QUIET, postgresTests, addPlayers, pointsByName, withRollback };
@@ -0,0 +1,35 @@
+// Points history (lib/history.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+const { parseAsOf, playerHistory } = require('../lib/history');
+
+test('parseAsOf takes an ISO date or timestamp', () => {
+    assert.deepEqual(parseAsOf('2024-02-29'), { cutoff: '2024-02-29', span: '1 day' });
+    assert.deepEqual(parseAsOf('2024-03-01T18:30:00Z'), { cutoff: '2024-03-01T18:30:00Z', span: '1 microsecond' });
+    assert.deepEqual(parseAsOf('2024-03-01 18:30'), { cutoff: '2024-03-01 18:30', span: '1 microsecond' });
+});
+
+test('parseAsOf refuses anything else', () => {
+    ['2023-02-29', '2024-13-01', '2024-03-01T24:00', '2024-3-1', 'March 1, 2024', 'yesterday', '', undefined].forEach(value => {
+        assert.equal(parseAsOf(value), null, String(value));
+    });
+});
+
+test('playerHistory ranks among active players only', async () => {
+    const repos = createMemoryRepositories();
+    await repos.seed({ players: [{ name: 'Gone', points: 50 }, { name: 'Bea', points: 20 }, { name: 'Al', points: 19 }] });
+    const [gone, , al] = await repos.players.findByNames(['Gone', 'Bea', 'Al']);
+    await repos.players.update(gone.player_id, { is_active: false });
+
+    await repos.matches.record({ winnerName: 'Al', loserName: 'Bea' });
+
+    const result = await playerHistory(repos, al.player_id);
+
+    assert.deepEqual(result.player, { id: al.player_id, name: 'Al' });
+    assert.deepEqual(
+        result.history.map(({ points, rank, player_count }) => [points, rank, player_count]),
+        [[19, 2, 2], [22, 1, 2]]
+    );
+    assert.equal(await playerHistory(repos, 0), null);
+});
@@ -0,0 +1,110 @@
+// Roster and match log imports (lib/imports.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withTransaction } = require('../lib/db');
+const { validatePlayers, insertPlayers, checkMatchRows, validateMatches, insertMatches } = require('../lib/imports');
+const { postgresTests, addPlayers, pointsByName } = require('./helpers/database');
+
+const databaseTest = postgresTests();
+
+const PLAYERS = [
+    { player_id: 1, name: 'Ana', is_active: true },
+    { player_id: 2, name: 'Ben', is_active: true },
+    { player_id: 3, name: 'Cy', is_active: false }
+];
+
+test('checkMatchRows orders dated games first, oldest first', () => {
+    const { matches } = checkMatchRows([
+        { winner: 'ana', loser: 'Ben' },
+        { Winner: 'Ben', Loser: 'Ana', Date: '2024-03-02' },
+        { 'Winner ID': '1', 'Loser ID': '2', Draw: 'yes', Date: '2024-03-01' }
+    ], PLAYERS);
+
+    assert.deepEqual(
+        matches.map(({ row, winner, loser, isDraw }) => [row, winner.name, loser.name, isDraw]),
+        [[3, 'Ana', 'Ben', true], [2, 'Ben', 'Ana', false], [1, 'Ana', 'Ben', false]]
+    );
+});
+
+test('checkMatchRows reports every bad row with its line', () => {
+    const earliest = new Date('2024-01-01T00:00:00Z');
+    const { errors } = checkMatchRows([
+        { line: 2, winner: 'Ana', loser: 'Dee' },
+        { line: 3, winner: 'Ana', loser: 'ana' },
+        { line: 4, winner: 'Ana', loser: 'Cy' },
+        { line: 5, winner: 'Ana', loser: 'Ben', draw: 'maybe' },
+        { line: 6, winner: 'Ana', loser: 'Ben', date: 'soon' },
+        { line: 7, winner: 'Ana', loser: 'Ben', date: '2999-01-01' },
+        { line: 8, winner: 'Ana', loser: 'Ben', date: '2023-12-31' },
+        { line: 9, winner: 'Ana', loser: 'Ben' }
+    ], PLAYERS, earliest);
+
+    assert.deepEqual(errors, [
+        { row: 1, line: 2, error: 'Loser not found' },
+        { row: 2, line: 3, error: 'Winner and loser cannot be the same player' },
+        { row: 3, line: 4, error: 'Cy is inactive' },
+        { row: 4, line: 5, error: 'Draw must be yes or no' },
+        { row: 5, line: 6, error: 'Invalid date soon' },
+        { row: 6, line: 7, error: 'Date is in the future' },
+        { row: 7, line: 8, error: 'Date is before 2024-01-01T00:00:00.000Z, the latest recorded match or season close' }
+    ]);
+    assert.deepEqual(checkMatchRows([], PLAYERS), { errors: [{ row: null, error: 'No rows to import' }] });
+});
+
+databaseTest('validatePlayers checks names, emails and starting points', async (pool) => {
+    await addPlayers(pool, { Taken: 10 });
+
+    const invalid = await validatePlayers(pool, [
+        { name: 'taken' },
+        { name: 'Dana', email: 'dana@example.com' },
+        { name: 'Eli', email: 'DANA@example.com' },
+        { name: 'Fay', points: '50' },
+        { name: 'Gus', points: 'ten' },
+        { name: '' }
+    ]);
+    assert.deepEqual(invalid.errors, [
+        { row: 1, error: 'Player name taken already exists' },
+        { row: 3, error: 'Email address DANA@example.com already in use' },
+        { row: 4, error: 'Points must be a whole number between 0 and 49' },
+        { row: 5, error: 'Points must be a whole number between 0 and 49' },
+        { row: 6, error: 'Player name is required' }
+    ]);
+
+    const valid = await validatePlayers(pool, [{ Name: 'Hal', 'Graduation Year': '2027', Grade: '10' }, { name: 'Ivy', points: '49' }]);
+    assert.deepEqual(valid.players, [
+        { name: 'Hal', email: null, grade: 10, graduation_year: 2027, points: 0 },
+        { name: 'Ivy', email: null, grade: null, graduation_year: null, points: 49 }
+    ]);
+
+    await withTransaction(pool, (client) => insertPlayers(client, valid.players));
+    const points = await pointsByName(pool);
+    assert.deepEqual([points.Hal, points.Ivy], [0, 49]);
+});
+
+databaseTest('match logs are recorded in date order and cannot go back before the last game', async (pool) => {
+    await addPlayers(pool, { LogA: 20, LogB: 20 });
+
+    const checked = await validateMatches(pool, [
+        { winner: 'LogB', loser: 'LogA', date: '2024-05-02T12:00:00Z' },
+        { winner: 'LogA', loser: 'LogB', date: '2024-05-01T12:00:00Z' }
+    ]);
+    const recorded = await withTransaction(pool, (client) => insertMatches(client, checked.matches));
+
+    assert.deepEqual(recorded.map(entry => entry.row), [2, 1]);
+    const { LogA, LogB } = await pointsByName(pool);
+    assert.deepEqual([LogA, LogB], [21, 21]);
+
+    const dates = await pool.query(`
+        SELECT m.match_id, m.match_date, ARRAY_AGG(h.recorded_at) as history
+        FROM matches m JOIN points_history h ON m.match_id = h.match_id
+        GROUP BY m.match_id ORDER BY m.match_id
+    `);
+    dates.rows.forEach(row => {
+        assert.deepEqual(row.history, [row.match_date, row.match_date]);
+    });
+    assert.deepEqual(dates.rows.map(row => row.match_date.toISOString()), ['2024-05-01T12:00:00.000Z', '2024-05-02T12:00:00.000Z']);
+
+    const stale = await validateMatches(pool, [{ winner: 'LogA', loser: 'LogB', date: '2024-05-01T18:00:00Z' }]);
+    assert.equal(stale.errors.length, 1);
+    assert.match(stale.errors[0].error, /^Date is before /);
+});
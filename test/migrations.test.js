@@ -0,0 +1,129 @@
+// Schema migrations (lib/migrations.js), against Postgres
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { after } = test;
+const assert = require('node:assert/strict');
+const { loadMigrations, migrationStatus, migrateUp, migrateDown } = require('../lib/migrations');
+const { QUIET, postgresTests } = require('./helpers/database');
+
+const databaseTest = postgresTests({ migrate: false });
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const write = (files) => Object.entries(files).forEach(([file, sql]) => fs.writeFileSync(path.join(dir, file), sql));
+
+write({
+    '000_baseline.sql': 'CREATE TABLE players (player_id SERIAL PRIMARY KEY, name TEXT NOT NULL);',
+    '000_baseline.down.sql': 'DROP TABLE players;',
+    '001_points.sql': 'ALTER TABLE players ADD COLUMN points INTEGER NOT NULL DEFAULT 0;',
+    '001_points.down.sql': 'ALTER TABLE players DROP COLUMN points;',
+    '002_notes.sql': 'CREATE TABLE notes (note TEXT);',
+    'README.md': 'Not a migration'
+});
+
+const tables = async (pool) => {
+    const result = await pool.query(`
+        SELECT table_name FROM information_schema.tables
+        WHERE table_schema = 'public' ORDER BY table_name
+    `);
+    return result.rows.map(row => row.table_name);
+};
+
+test('loadMigrations pairs up and down files in version order', () => {
+    const migrations = loadMigrations(dir);
+
+    assert.deepEqual(migrations.map(({ name, downSql }) => [name, downSql !== null]), [
+        ['000_baseline', true], ['001_points', true], ['002_notes', false]
+    ]);
+    assert.match(migrations[0].checksum, /^[0-9a-f]{64}$/);
+});
+
+test('loadMigrations refuses two migrations with one version', () => {
+    const clash = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    try {
+        fs.writeFileSync(path.join(clash, '001_one.sql'), 'SELECT 1;');
+        fs.writeFileSync(path.join(clash, '001_two.sql'), 'SELECT 2;');
+        assert.throws(() => loadMigrations(clash), /Two migrations share version 001/);
+    } finally {
+        fs.rmSync(clash, { recursive: true, force: true });
+    }
+});
+
+databaseTest('migrateUp applies pending migrations in order, up to a version', async (pool) => {
+    const migrations = loadMigrations(dir);
+
+    assert.deepEqual(await migrateUp(pool, { to: '001', migrations, log: QUIET }), ['000_baseline', '001_points']);
+    assert.deepEqual(await tables(pool), ['players', 'schema_migrations']);
+
+    const status = await migrationStatus(pool, migrations);
+    assert.deepEqual(status.applied.map(row => [row.name, row.modified]), [['000_baseline', false], ['001_points', false]]);
+    assert.deepEqual(status.pending.map(migration => migration.name), ['002_notes']);
+
+    assert.deepEqual(await migrateUp(pool, { migrations, log: QUIET }), ['002_notes']);
+    assert.deepEqual(await migrateUp(pool, { migrations, log: QUIET }), []);
+});
+
+databaseTest('a failed migration is rolled back and stops the run', async (pool) => {
+    write({ '003_broken.sql': 'CREATE TABLE half (id INTEGER); SELECT no_such_column FROM players;' });
+    try {
+        await assert.rejects(migrateUp(pool, { migrations: loadMigrations(dir), log: QUIET }), /^Error: 003_broken failed: /);
+        assert.deepEqual(await tables(pool), ['notes', 'players', 'schema_migrations']);
+    } finally {
+        fs.rmSync(path.join(dir, '003_broken.sql'));
+    }
+});
+
+databaseTest('migrationStatus notices a file changed after it was applied', async (pool) => {
+    const migrations = loadMigrations(dir).map(migration => (migration.version === '001'
+        ? { ...migration, checksum: 'f'.repeat(64) }
+        : migration));
+
+    const status = await migrationStatus(pool, migrations.filter(migration => migration.version !== '002'));
+
+    assert.deepEqual(status.applied.map(row => [row.name, row.modified]), [
+        ['000_baseline', false], ['001_points', true], ['002_notes', false]
+    ]);
+    assert.deepEqual(status.unknown.map(row => row.name), ['002_notes']);
+});
+
+databaseTest('migrateDown refuses to revert a migration without a down file', async (pool) => {
+    const migrations = loadMigrations(dir);
+
+    await assert.rejects(migrateDown(pool, { migrations, log: QUIET }), /^Error: No down migration for 002_notes$/);
+    assert.deepEqual(await tables(pool), ['notes', 'players', 'schema_migrations']);
+
+    await pool.query('DROP TABLE notes');
+    await pool.query(`DELETE FROM schema_migrations WHERE version = '002'`);
+
+    assert.deepEqual(await migrateDown(pool, { to: '', migrations, log: QUIET }), ['001_points', '000_baseline']);
+    assert.deepEqual(await tables(pool), ['schema_migrations']);
+});
+
+databaseTest('a schema built by hand gets the baseline marked as applied', async (pool) => {
+    await pool.query('DROP TABLE schema_migrations');
+    await pool.query('CREATE TABLE players (player_id SERIAL PRIMARY KEY, name TEXT NOT NULL)');
+
+    const migrations = loadMigrations(dir);
+
+    // Running 000_baseline.sql would fail: players already exists
+    assert.deepEqual(await migrateUp(pool, { to: '001', migrations, log: QUIET }), ['000_baseline', '001_points']);
+    const columns = await pool.query(`SELECT column_name FROM information_schema.columns WHERE table_name = 'players' ORDER BY ordinal_position`);
+    assert.deepEqual(columns.rows.map(row => row.column_name), ['player_id', 'name', 'points']);
+
+    await migrateDown(pool, { to: '', migrations, log: QUIET });
+    await pool.query('DROP TABLE schema_migrations');
+});
+
+databaseTest('the club migrations apply, revert and apply again', async (pool) => {
+    const applied = await migrateUp(pool, { log: QUIET });
+    assert.deepEqual(applied, loadMigrations().map(migration => migration.name));
+
+    const reverted = await migrateDown(pool, { to: '', log: QUIET });
+    assert.deepEqual(reverted, [...applied].reverse());
+    assert.deepEqual(await tables(pool), ['schema_migrations']);
+
+    assert.deepEqual(await migrateUp(pool, { log: QUIET }), applied);
+});
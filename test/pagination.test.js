@@ -0,0 +1,94 @@
+// List query parsing and cursors (lib/pagination.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_LIMIT, MAX_LIMIT, LISTS, parseFilters, parseListQuery, isDescending, pageFields } = require('../lib/pagination');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+
+test('parseListQuery fills in the list defaults', () => {
+    assert.deepEqual(parseListQuery({}, 'leaderboard'), {
+        filters: { activeOnly: true },
+        page: {
+            sort: 'points',
+            order: 'desc',
+            spec: LISTS.leaderboard.sorts.points,
+            idField: 'id',
+            limit: DEFAULT_LIMIT,
+            after: null
+        }
+    });
+    assert.equal(parseListQuery({}, 'matches', { defaultLimit: 20 }).page.limit, 20);
+});
+
+test('parseListQuery checks sort, order and limit', () => {
+    assert.equal(parseListQuery({ sort: 'rating', order: 'asc' }, 'leaderboard').page.order, 'asc');
+    assert.equal(parseListQuery({ limit: '5000' }, 'matches').page.limit, MAX_LIMIT);
+    assert.deepEqual(parseListQuery({ sort: 'points' }, 'matches'), { error: 'Sort must be one of: date, winner, loser' });
+    assert.deepEqual(parseListQuery({ order: 'up' }, 'matches'), { error: 'Order must be asc or desc' });
+    assert.deepEqual(parseListQuery({ limit: '0' }, 'matches'), { error: 'limit must be a positive number' });
+    assert.deepEqual(parseListQuery({ limit: 'ten' }, 'matches'), { error: 'limit must be a positive number' });
+    assert.deepEqual(parseListQuery({ player: 'x' }, 'matches'), { error: 'player must be a player ID' });
+});
+
+test('a list with no default limit returns everything unless asked for a page', async () => {
+    assert.equal(parseListQuery({}, 'leaderboard', { defaultLimit: null }).page.limit, null);
+    assert.equal(parseListQuery({ limit: '5000' }, 'leaderboard', { defaultLimit: null }).page.limit, MAX_LIMIT);
+
+    const repos = createMemoryRepositories();
+    await repos.seed({ players: Array.from({ length: MAX_LIMIT + 1 }, (_, index) => ({ name: `Player ${index}`, points: index % 50 })) });
+
+    const everyone = await repos.players.leaderboardPage({ activeOnly: true }, parseListQuery({}, 'leaderboard', { defaultLimit: null }).page);
+    assert.equal(everyone.rows.length, MAX_LIMIT + 1);
+    assert.equal(everyone.next, null);
+
+    const { page } = parseListQuery({ limit: '150' }, 'leaderboard', { defaultLimit: null });
+    const first = await repos.players.leaderboardPage({ activeOnly: true }, page);
+    const second = await repos.players.leaderboardPage({ activeOnly: true }, { ...page, after: first.next });
+    assert.deepEqual([first.rows.length, second.rows.length, second.next], [150, MAX_LIMIT + 1 - 150, null]);
+});
+
+test('a page cursor continues the sort it was issued for', () => {
+    const { page } = parseListQuery({ sort: 'winner' }, 'matches');
+    const { nextCursor, total } = pageFields({ total: '12', next: { value: 'Bob', id: 7 } }, page);
+
+    assert.equal(total, 12);
+    assert.deepEqual(parseListQuery({ sort: 'winner', cursor: nextCursor }, 'matches').page.after, { value: 'Bob', id: 7 });
+    assert.deepEqual(parseListQuery({ sort: 'loser', cursor: nextCursor }, 'matches'), { error: 'Invalid cursor for this sort' });
+    assert.deepEqual(parseListQuery({ sort: 'winner', order: 'desc', cursor: nextCursor }, 'matches'), { error: 'Invalid cursor for this sort' });
+    assert.deepEqual(parseListQuery({ cursor: 'not-a-cursor' }, 'matches'), { error: 'Invalid cursor for this sort' });
+});
+
+test('pageFields has no cursor after the last page', () => {
+    assert.deepEqual(pageFields({ total: '3', next: null }, parseListQuery({}, 'archives').page), { nextCursor: null, total: 3 });
+});
+
+test('parseFilters checks each filter the list accepts and ignores the rest', () => {
+    const matches = LISTS.matches;
+
+    assert.deepEqual(
+        parseFilters({ from: '2026-01-01', to: '2026-02-01', player: '4', tier: 'gold', tournament: ' Spring ' }, matches),
+        { filters: { from: '2026-01-01', to: '2026-02-01', player: 4, tier: 'Gold', tournament: 'Spring' } }
+    );
+    assert.deepEqual(parseFilters({ tier: 'gold', activeOnly: 'false' }, LISTS.archives), { filters: {} });
+    assert.deepEqual(parseFilters({ activeOnly: 'false' }, LISTS.leaderboard), { filters: { activeOnly: false } });
+    assert.deepEqual(parseFilters({}, LISTS.tournamentWinners), { filters: { activeOnly: false } });
+});
+
+test('parseFilters rejects bad values', () => {
+    const matches = LISTS.matches;
+
+    assert.deepEqual(parseFilters({ from: '2026-13-01' }, matches), { error: 'from must be a date (YYYY-MM-DD)' });
+    assert.deepEqual(parseFilters({ to: 'yesterday' }, matches), { error: 'to must be a date (YYYY-MM-DD)' });
+    assert.deepEqual(parseFilters({ from: '2026-02-01', to: '2026-01-01' }, matches), { error: 'from must not be after to' });
+    assert.deepEqual(parseFilters({ tier: 'Wood' }, matches), { error: 'tier must be one of: Bronze, Silver, Gold, Platinum, Diamond' });
+    assert.deepEqual(parseFilters({ tournament: '  ' }, matches), { error: 'tournament must not be empty' });
+    assert.deepEqual(parseFilters({ activeOnly: 'yes' }, LISTS.leaderboard), { error: 'activeOnly must be true or false' });
+});
+
+test('isDescending accounts for columns that run opposite to the sort', () => {
+    const leaderboard = LISTS.leaderboard.sorts;
+
+    assert.equal(isDescending({ order: 'desc', spec: leaderboard.points }), false);
+    assert.equal(isDescending({ order: 'asc', spec: leaderboard.points }), true);
+    assert.equal(isDescending({ order: 'desc', spec: leaderboard.wins }), true);
+    assert.equal(isDescending({ order: 'asc', spec: leaderboard.name }), false);
+});
@@ -0,0 +1,132 @@
+// Scoring rules (lib/points.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RULES, validateRules, tierLevel, tierFor, clampPoints, pointsChange } = require('../lib/points');
+
+// Enough games that provisional scoring never applies
+const settled = (points) => ({ points, games: 50 });
+
+test('pointsChange with the default rules matches calculate_points_change()', () => {
+    // [player 1 points, player 2 points, draw, what the database function returned]
+    const cases = [
+        [30, 49, false, [3, -2]],
+        [49, 30, false, [3, -2]],
+        [50, 50, false, [3, -2]],
+        [49, 50, false, [5, -3]],
+        [30, 120, false, [7, -4]],
+        [0, 210, false, [11, -6]],
+        [50, 400, false, [17, -9]],
+        [50, 1, false, [2, -1]],
+        [120, 30, false, [1, -1]],
+        [160, 49, false, [1, -1]],
+        [160, 1, false, [1, -1]],
+        [210, 30, false, [1, -1]],
+        [400, 30, false, [1, -1]],
+        [400, 210, false, [1, -1]],
+        [210, 0, false, [1, 0]],
+        [0, 1, false, [3, -1]],
+        [1, 0, false, [3, 0]],
+        [30, 49, true, [0, 0]],
+        [50, 50, true, [0, 0]],
+        [0, 49, true, [0, 0]],
+        [30, 120, true, [2, -2]],
+        [1, 210, true, [4, -4]],
+        [120, 1, true, [-2, 2]],
+        [160, 0, true, [-3, 3]],
+        [400, 50, true, [-7, 7]]
+    ];
+
+    for (const [points1, points2, isDraw, expected] of cases) {
+        assert.deepEqual(
+            pointsChange(DEFAULT_RULES, settled(points1), settled(points2), isDraw),
+            expected,
+            `${points1} vs ${points2}${isDraw ? ' (draw)' : ''}`
+        );
+    }
+});
+
+test('pointsChange keeps players between floor and ceiling', () => {
+    const rules = { ...DEFAULT_RULES, floor: 10, ceiling: 100, maxStartingPoints: 10 };
+
+    assert.deepEqual(pointsChange(rules, settled(99), settled(11), false), [1, -1]);
+    assert.deepEqual(pointsChange(rules, settled(100), settled(11), false), [0, -1]);
+    assert.deepEqual(pointsChange(rules, settled(100), settled(10), false), [0, 0]);
+    assert.deepEqual(pointsChange(rules, settled(10), settled(99), true), [1, -1]);
+});
+
+test('pointsChange scales provisional players only', () => {
+    const rules = { ...DEFAULT_RULES, provisional: { games: 10, factor: 1.5 } };
+
+    assert.deepEqual(pointsChange(rules, { points: 30, games: 9 }, settled(30), false), [5, -2]);
+    assert.deepEqual(pointsChange(rules, settled(30), { points: 30, games: 0 }, false), [3, -3]);
+    assert.deepEqual(pointsChange(rules, settled(30), { points: 30, games: 10 }, false), [3, -2]);
+});
+
+test('tierLevel counts tiers and keeps counting bands above the top one', () => {
+    const cases = [[0, 0], [49, 0], [50, 1], [199, 3], [200, 4], [249, 4], [250, 5], [400, 8]];
+
+    for (const [points, level] of cases) {
+        assert.equal(tierLevel(points, DEFAULT_RULES), level, `${points} points`);
+    }
+
+    // The top band is as wide as the one below it: 100 - 60
+    const rules = { ...DEFAULT_RULES, tierMinimums: [0, 10, 30, 60, 100] };
+    assert.equal(tierLevel(29, rules), 1);
+    assert.equal(tierLevel(139, rules), 4);
+    assert.equal(tierLevel(140, rules), 5);
+});
+
+test('tierFor names the tier and stops at Diamond', () => {
+    assert.equal(tierFor(0), 'Bronze');
+    assert.equal(tierFor(50), 'Silver');
+    assert.equal(tierFor(149), 'Gold');
+    assert.equal(tierFor(150), 'Platinum');
+    assert.equal(tierFor(1000), 'Diamond');
+    assert.equal(tierFor(60, { ...DEFAULT_RULES, tierMinimums: [0, 10, 30, 60, 100] }), 'Platinum');
+});
+
+test('clampPoints keeps points between floor and ceiling', () => {
+    assert.deepEqual([-3, 7, 500].map(points => clampPoints(points, DEFAULT_RULES)), [0, 7, 500]);
+    assert.deepEqual([-3, 7, 500].map(points => clampPoints(points, { floor: 5, ceiling: 100 })), [5, 7, 100]);
+});
+
+test('validateRules merges partial changes without touching the rules given', () => {
+    const rules = structuredClone(DEFAULT_RULES);
+    const checked = validateRules(rules, { win: 4, upsetBonus: { win: 5 }, provisional: { games: 5 } });
+
+    assert.equal(checked.error, undefined);
+    assert.equal(checked.rules.win, 4);
+    assert.deepEqual(checked.rules.upsetBonus, { win: 5, loss: 1 });
+    assert.deepEqual(checked.rules.provisional, { games: 5, factor: 1 });
+    assert.deepEqual(rules, DEFAULT_RULES);
+});
+
+test('validateRules rejects rules it cannot score with', () => {
+    const cases = [
+        [null, 'rules must be an object'],
+        [[], 'rules must be an object'],
+        [{ bonus: 1 }, /^Unknown rule: bonus/],
+        [{ tierMinimums: [0, 50, 100, 150] }, /^tierMinimums must list/],
+        [{ tierMinimums: [5, 50, 100, 150, 200] }, 'tierMinimums must start at 0 and increase'],
+        [{ tierMinimums: [0, 50, 50, 150, 200] }, 'tierMinimums must start at 0 and increase'],
+        [{ win: -1 }, /^win and loss must be/],
+        [{ loss: 1.5 }, /^win and loss must be/],
+        [{ minimum: { win: 1, draw: 1 } }, /^minimum must be/],
+        [{ drawPerTier: 'one' }, /^drawPerTier must be/],
+        [{ floor: -5 }, /^floor must be/],
+        [{ ceiling: 0 }, 'ceiling must be null or a whole number above floor'],
+        [{ provisional: { factor: 0 } }, /^provisional must be/],
+        [{ maxStartingPoints: 60, ceiling: 50 }, 'maxStartingPoints must be a whole number from floor to ceiling'],
+        [{ floor: 60 }, 'maxStartingPoints must be a whole number from floor to ceiling']
+    ];
+
+    for (const [update, error] of cases) {
+        const checked = validateRules(DEFAULT_RULES, update);
+
+        if (error instanceof RegExp) {
+            assert.match(checked.error, error, JSON.stringify(update));
+        } else {
+            assert.equal(checked.error, error, JSON.stringify(update));
+        }
+    }
+});
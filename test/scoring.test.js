@@ -0,0 +1,42 @@
+// Changing the scoring rules (repos.scoringRules), on both backends
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RULES } = require('../lib/points');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+const { createPostgresRepositories } = require('../lib/repositories/postgres');
+const { postgresTests, addPlayers, pointsByName } = require('./helpers/database');
+
+const databaseTest = postgresTests();
+
+const PLAYERS = { Low: 3, Mid: 30, High: 90 };
+
+// Raise the floor and add a ceiling, then clamp; returns what clamp() reported, by name
+const tighten = async (repos) => {
+    await repos.scoringRules.create({ rules: { ...DEFAULT_RULES, floor: 10, ceiling: 60 }, note: 'Tighter' });
+    const clamped = await repos.scoringRules.clamp();
+    return clamped
+        .map(({ name, points_before, points, tier_before, tier }) => [name, points_before, points, tier_before, tier])
+        .sort();
+};
+
+const EXPECTED = [['High', 90, 60, 'Silver', 'Silver'], ['Low', 3, 10, 'Bronze', 'Bronze']];
+
+test('clamp brings points within new rules (memory)', async () => {
+    const repos = createMemoryRepositories();
+    await repos.seed({ players: Object.entries(PLAYERS).map(([name, points]) => ({ name, points })) });
+
+    assert.deepEqual(await tighten(repos), EXPECTED);
+    assert.deepEqual((await repos.players.listForAdmin()).map(({ name, points }) => [name, points]).sort(), [
+        ['High', 60], ['Low', 10], ['Mid', 30]
+    ]);
+    assert.deepEqual(await repos.scoringRules.clamp(), []);
+});
+
+databaseTest('clamp brings points within new rules (Postgres)', async (pool) => {
+    const repos = createPostgresRepositories(pool);
+    await addPlayers(pool, PLAYERS);
+
+    assert.deepEqual(await tighten(repos), EXPECTED);
+    assert.deepEqual(await pointsByName(pool), { High: 60, Low: 10, Mid: 30 });
+    assert.deepEqual(await repos.scoringRules.clamp(), []);
+});
@@ -0,0 +1,62 @@
+// Closing a season (lib/seasons.js), against Postgres
+const assert = require('node:assert/strict');
+const { withTransaction } = require('../lib/db');
+const { recordMatch } = require('../lib/matches');
+const { DEFAULT_RULES } = require('../lib/points');
+const { closeSeason } = require('../lib/seasons');
+const { postgresTests, addPlayers, pointsByName } = require('./helpers/database');
+
+const test = postgresTests();
+
+test('closeSeason snapshots the standings at the end of the season', async (pool) => {
+    const ids = await addPlayers(pool, { EndA: 20, EndB: 20, EndC: 20 });
+    const play = (winnerName, loserName) => withTransaction(pool, (client) => recordMatch(client, { winnerName, loserName }));
+
+    // The season ended yesterday: move everything so far back into it
+    await play('EndA', 'EndB');
+    await pool.query(`UPDATE matches SET match_date = match_date - INTERVAL '2 days'`);
+    await pool.query(`UPDATE points_history SET recorded_at = recorded_at - INTERVAL '2 days'`);
+    const { rows: [season] } = await pool.query(`
+        INSERT INTO seasons (name, boundary, starts_on, ends_on)
+        VALUES ('Ended 2026-01', 'month', CURRENT_DATE - 10, CURRENT_DATE - 1)
+        RETURNING *
+    `);
+
+    // Played after the season ended but before it was closed
+    await play('EndC', 'EndA');
+    assert.deepEqual(await pointsByName(pool), { EndA: 21, EndB: 18, EndC: 23 });
+
+    const closed = await withTransaction(pool, (client) => closeSeason(client, season, { reset: 'soft', softResetKeep: 0.5 }));
+
+    assert.deepEqual(
+        closed.standings.map(({ name, points, wins, losses, points_after_reset }) => [name, points, wins, losses, points_after_reset]),
+        [['EndA', 23, 1, 0, 9], ['EndC', 20, 0, 0, 13], ['EndB', 18, 0, 1, 9]]
+    );
+    assert.equal(closed.archive.first_place_player_id, ids.EndA);
+    assert.equal(closed.archive.first_place_points, 23);
+    assert.deepEqual(await pointsByName(pool), { EndA: 9, EndB: 9, EndC: 13 });
+});
+
+test('a season reset stays within the scoring rules', async (pool) => {
+    await pool.query('UPDATE players SET is_active = FALSE');
+    await addPlayers(pool, { FloorA: 30, FloorB: 9 });
+    await pool.query('INSERT INTO scoring_rules (rules, note) VALUES ($1, $2)', [
+        JSON.stringify({ ...DEFAULT_RULES, floor: 5 }), 'Nobody below 5'
+    ]);
+    const close = async (name, settings) => {
+        const { rows: [season] } = await pool.query(`
+            INSERT INTO seasons (name, boundary, starts_on, ends_on)
+            VALUES ($1, 'month', CURRENT_DATE - 10, CURRENT_DATE)
+            RETURNING *
+        `, [name]);
+        return withTransaction(pool, (client) => closeSeason(client, season, settings));
+    };
+
+    await close('Soft 2026-02', { reset: 'soft', softResetKeep: 0.5 });
+    const { FloorA, FloorB } = await pointsByName(pool);
+    assert.deepEqual([FloorA, FloorB], [15, 5]);
+
+    await close('Hard 2026-03', { reset: 'hard' });
+    const after = await pointsByName(pool);
+    assert.deepEqual([after.FloorA, after.FloorB], [5, 5]);
+});
@@ -0,0 +1,96 @@
+// Swiss pairings and standings (lib/swiss.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROUND_ROBIN_TIEBREAKS, computeStandings, pairRound, recommendedRounds } = require('../lib/swiss');
+
+const seeded = (count) => Array.from({ length: count }, (_, index) => ({ playerId: index + 1, seed: index + 1 }));
+
+// Round 1 of four players: 1 beats 4, 2 and 3 draw
+const ROUND_ONE = [
+    { round: 1, whiteId: 1, blackId: 4, result: '1-0' },
+    { round: 1, whiteId: 2, blackId: 3, result: '1/2-1/2' }
+];
+
+test('computeStandings scores games and works out tiebreaks', () => {
+    const standings = computeStandings(seeded(4), ROUND_ONE);
+
+    assert.deepEqual(
+        standings.map(({ playerId, score, buchholz, sonnebornBerger, rank }) => [playerId, score, buchholz, sonnebornBerger, rank]),
+        [
+            [1, 1, 0, 0, 1],
+            [2, 0.5, 0.5, 0.25, 2],
+            [3, 0.5, 0.5, 0.25, 3],
+            [4, 0, 1, 0, 4]
+        ]
+    );
+    assert.deepEqual(standings[0].colors, ['white']);
+    assert.deepEqual(standings[3].opponents, [1]);
+});
+
+test('computeStandings counts byes in the score but not in tiebreaks', () => {
+    const standings = computeStandings(seeded(3), [
+        { round: 1, whiteId: 1, blackId: 2, result: '0-1' },
+        { round: 1, whiteId: 3, blackId: null, result: 'bye' }
+    ]);
+    const bye = standings.find(entry => entry.playerId === 3);
+
+    assert.equal(bye.score, 1);
+    assert.equal(bye.byes, 1);
+    assert.equal(bye.buchholz, 0);
+    assert.deepEqual(standings.map(entry => entry.playerId), [2, 3, 1]);
+});
+
+test('computeStandings leaves unplayed games out of the score', () => {
+    const standings = computeStandings(seeded(2), [{ round: 1, whiteId: 1, blackId: 2, result: null }]);
+
+    assert.deepEqual(standings.map(entry => entry.score), [0, 0]);
+    assert.deepEqual(standings[0].opponents, [2]);
+});
+
+test('computeStandings ranks by the tiebreaks it is given, then seed', () => {
+    const standings = computeStandings(seeded(3), [
+        { round: 1, whiteId: 1, blackId: 2, result: '1/2-1/2' },
+        { round: 1, whiteId: 3, blackId: 1, result: '1/2-1/2' },
+        { round: 2, whiteId: 2, blackId: 3, result: '1/2-1/2' }
+    ], { tiebreaks: ROUND_ROBIN_TIEBREAKS });
+
+    assert.deepEqual(standings.map(entry => [entry.playerId, entry.rank]), [[1, 1], [2, 2], [3, 3]]);
+});
+
+test('pairRound pairs by score without rematches', () => {
+    const { pairings, byeId } = pairRound(computeStandings(seeded(4), ROUND_ONE));
+
+    assert.equal(byeId, null);
+    assert.deepEqual(pairings, [{ whiteId: 1, blackId: 2 }, { whiteId: 3, blackId: 4 }]);
+});
+
+test('pairRound gives the bye to the lowest player who has not had one', () => {
+    assert.deepEqual(pairRound(computeStandings(seeded(3), [])), {
+        pairings: [{ whiteId: 1, blackId: 2 }],
+        byeId: 3
+    });
+
+    const afterBye = computeStandings(seeded(3), [
+        { round: 1, whiteId: 1, blackId: 2, result: '1-0' },
+        { round: 1, whiteId: 3, blackId: null, result: 'bye' }
+    ]);
+    assert.equal(pairRound(afterBye).byeId, 2);
+});
+
+test('pairRound leaves withdrawn players out', () => {
+    const players = seeded(4).map(player => ({ ...player, withdrawn: player.playerId === 2 }));
+    const { pairings, byeId } = pairRound(computeStandings(players, []));
+
+    assert.equal(byeId, 4);
+    assert.deepEqual(pairings, [{ whiteId: 1, blackId: 3 }]);
+});
+
+test('pairRound allows a rematch when nothing else is left', () => {
+    const { pairings } = pairRound(computeStandings(seeded(2), [{ round: 1, whiteId: 1, blackId: 2, result: '1-0' }]));
+
+    assert.deepEqual(pairings, [{ whiteId: 2, blackId: 1 }]);
+});
+
+test('recommendedRounds is enough rounds to find a winner', () => {
+    assert.deepEqual([1, 2, 3, 8, 9, 16, 17].map(recommendedRounds), [1, 1, 2, 3, 4, 4, 5]);
+});